@@ -1,20 +1,55 @@
-const mysql = require("mysql2");
-const dbConfig = require("./db.config.js");
-// Create a connection to the database
-const connection = mysql.createPool({
-    connectionLimit: 1000,
-    host: dbConfig.HOST,
-    user: dbConfig.USER,
-    password: dbConfig.PASSWORD,
-    database: dbConfig.DB,
-    port: dbConfig.PORTAWS,
-    waitForConnections: true,
-    queueLimit: 0
-        //port: dbConfig.PORTAWS
-});
-// open the MySQL connection
-connection.getConnection(function(error, connection) {
-    if (error) throw error;
-    console.log("Successfully connected to the database.");
-});
-module.exports = connection;
\ No newline at end of file
+const mysql = require('mysql2/promise');
+const { loadConfig } = require('./index');
+
+// Everything is kept and compared in UTC, whatever the time zone of the app server or the
+// database server: timezone makes mysql2 read DATE and DATETIME values as UTC and write Dates
+// as UTC, and the session time zone makes NOW() and CURRENT_TIMESTAMP agree with them.
+const SET_UTC = `SET time_zone = '+00:00'`;
+
+// DB_* settings from the environment; see config/index.js
+function connectionOptions(db, overrides) {
+    const { host, user, password, database, port } = db;
+    return { host, user, password, database, port, timezone: 'Z', ...overrides };
+}
+
+// The connection pool the server uses. There is one pool per process; routes get connections
+// from it and pass them to the query functions in services/.
+function createPool(overrides = {}) {
+    const { db } = loadConfig(process.env, ['db']);
+    const pool = mysql.createPool(connectionOptions(db, {
+        waitForConnections: true,
+        connectionLimit: db.connectionLimit,
+        queueLimit: 0,
+        ...overrides
+    }));
+    // Runs before the new connection is handed out, as a connection runs its queries in order
+    pool.on('connection', connection => {
+        connection.query(SET_UTC, error => {
+            if (error) console.error('Error setting the session time zone:', error);
+        });
+    });
+    return pool;
+}
+
+// A single connection for scripts, with the same settings as the pool
+async function createConnection(overrides = {}) {
+    const connection = await mysql.createConnection(connectionOptions(loadConfig(process.env, ['db']).db, overrides));
+    await connection.query(SET_UTC);
+    return connection;
+}
+
+// Rolls back the transaction on connection, for catch blocks. A rollback on a connection that has
+// failed can throw too, and would hide the original error and leave the request unanswered, so this
+// never throws: it logs, and destroys the connection so the pool does not hand it out again with a
+// transaction still open. A later release() of a destroyed connection does nothing.
+async function rollback(connection) {
+    if (!connection) return;
+    try {
+        await connection.rollback();
+    } catch (error) {
+        console.error('Error rolling back:', error.message);
+        connection.destroy();
+    }
+}
+
+module.exports = { createPool, createConnection, rollback };
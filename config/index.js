@@ -0,0 +1,261 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+// Every setting the server and the scripts read from the environment (or .env), by section.
+// An entry is { env, type, required | requiredIf | default }. There are deliberately no
+// defaults for hosts, accounts or secrets: a missing one is an error, never a built-in value.
+//   server   PORT, TLS_KEY_FILE + TLS_CERT_FILE (HTTPS; plain HTTP when unset), PUBLIC_URL (the
+//            address in QR codes and certificate links), CHECK_IN_URL, CERTIFICATE_VERIFY_URL,
+//            CORS_ORIGINS (comma-separated sites whose pages may call the API; other sites are
+//            refused), TRUST_PROXY (Express "trust proxy": true, a hop count or addresses, so
+//            limits count the client's address and not the proxy's), BODY_LIMIT, SYNC_BODY_LIMIT
+//   db       DB_HOST, DB_USER, DB_PASSWORD (may be set empty), DB_NAME, DB_PORT, DB_CONNECTION_LIMIT
+//   auth     AUTH_TOKEN_SECRET, AUTH_TOKEN_TTL_SECONDS
+//   storage  SIGNATURE_STORE (local or s3), SIGNATURE_STORE_DIR, SIGNATURE_S3_*
+//   email    EMAIL_TRANSPORT (sendgrid, mock or unset for none), SENDGRID_API_KEY, EMAIL_MOCK_DIR,
+//            EMAIL_FROM, EMAIL_TEMPLATES_DIR, EMAIL_REGISTER_RECIPIENTS
+// SIGNATURE_STORE_DIR and EMAIL_MOCK_DIR may not be inside public/, which is served to anyone.
+//   limits   requests per client address: RATE_LIMIT_API (any API route, per minute),
+//            RATE_LIMIT_LOGIN (per 15 minutes), RATE_LIMIT_SEARCH, RATE_LIMIT_SIGN and
+//            RATE_LIMIT_SYNC (kiosk routes, per minute); LOGIN_MAX_FAILURES wrong passwords for one
+//            account in 15 minutes lock it for LOGIN_LOCKOUT_MINUTES; CHECK_IN_MAX_FAILURES wrong
+//            check-in codes from one kiosk (see middleware/rateLimit.js) and
+//            CHECK_IN_MAX_ADDRESS_FAILURES from one address (keep it to a few times
+//            CHECK_IN_MAX_FAILURES), in 10 minutes, block it for 10 minutes
+//   learners LEARNER_RETENTION_DAYS, how long archived learners are kept before
+//            scripts/purge-learners.js deletes them (default six years)
+const SCHEMA = {
+    server: {
+        port: { env: 'PORT', type: 'port', default: 3000 },
+        tlsKeyFile: { env: 'TLS_KEY_FILE', type: 'file', requiredIf: values => Boolean(values.tlsCertFile) },
+        tlsCertFile: { env: 'TLS_CERT_FILE', type: 'file', requiredIf: values => Boolean(values.tlsKeyFile) },
+        publicUrl: { env: 'PUBLIC_URL', type: 'url' },
+        checkInUrl: { env: 'CHECK_IN_URL', type: 'url' },
+        certificateVerifyUrl: { env: 'CERTIFICATE_VERIFY_URL', type: 'url' },
+        corsOrigins: { env: 'CORS_ORIGINS', type: 'origins', default: [] },
+        trustProxy: { env: 'TRUST_PROXY', type: 'string' },
+        bodyLimit: { env: 'BODY_LIMIT', type: 'size', default: '1mb' },
+        syncBodyLimit: { env: 'SYNC_BODY_LIMIT', type: 'size', default: '40mb' }
+    },
+    db: {
+        host: { env: 'DB_HOST', type: 'string', required: true },
+        user: { env: 'DB_USER', type: 'string', required: true },
+        password: { env: 'DB_PASSWORD', type: 'string', required: true, allowEmpty: true },
+        database: { env: 'DB_NAME', type: 'string', required: true },
+        port: { env: 'DB_PORT', type: 'port', default: 3306 },
+        connectionLimit: { env: 'DB_CONNECTION_LIMIT', type: 'int', min: 1, default: 10 }
+    },
+    auth: {
+        tokenSecret: { env: 'AUTH_TOKEN_SECRET', type: 'string', required: true, minLength: 16 },
+        tokenTtlSeconds: { env: 'AUTH_TOKEN_TTL_SECONDS', type: 'int', min: 60, default: 8 * 60 * 60 }
+    },
+    storage: {
+        backend: { env: 'SIGNATURE_STORE', type: 'enum', values: ['local', 's3'], default: 'local' },
+        dir: { env: 'SIGNATURE_STORE_DIR', type: 'privateDir', requiredIf: values => values.backend === 'local' },
+        bucket: { env: 'SIGNATURE_S3_BUCKET', type: 'string', requiredIf: values => values.backend === 's3' },
+        region: { env: 'SIGNATURE_S3_REGION', type: 'string' },
+        endpoint: { env: 'SIGNATURE_S3_ENDPOINT', type: 'url' },
+        forcePathStyle: { env: 'SIGNATURE_S3_FORCE_PATH_STYLE', type: 'boolean', default: false },
+        accessKeyId: { env: 'SIGNATURE_S3_ACCESS_KEY_ID', type: 'string', requiredIf: values => Boolean(values.secretAccessKey) },
+        secretAccessKey: { env: 'SIGNATURE_S3_SECRET_ACCESS_KEY', type: 'string', requiredIf: values => Boolean(values.accessKeyId) },
+        prefix: { env: 'SIGNATURE_S3_PREFIX', type: 'string' }
+    },
+    email: {
+        transport: { env: 'EMAIL_TRANSPORT', type: 'enum', values: ['sendgrid', 'mock'] },
+        sendgridApiKey: { env: 'SENDGRID_API_KEY', type: 'string', requiredIf: values => values.transport === 'sendgrid' },
+        mockDir: { env: 'EMAIL_MOCK_DIR', type: 'privateDir' },
+        from: { env: 'EMAIL_FROM', type: 'email', requiredIf: values => Boolean(values.transport) },
+        templatesDir: { env: 'EMAIL_TEMPLATES_DIR', type: 'string' },
+        registerRecipients: { env: 'EMAIL_REGISTER_RECIPIENTS', type: 'emails', default: [] }
+    },
+    limits: {
+        api: { env: 'RATE_LIMIT_API', type: 'int', min: 1, default: 600 },
+        login: { env: 'RATE_LIMIT_LOGIN', type: 'int', min: 1, default: 30 },
+        search: { env: 'RATE_LIMIT_SEARCH', type: 'int', min: 1, default: 120 },
+        sign: { env: 'RATE_LIMIT_SIGN', type: 'int', min: 1, default: 30 },
+        sync: { env: 'RATE_LIMIT_SYNC', type: 'int', min: 1, default: 10 },
+        loginMaxFailures: { env: 'LOGIN_MAX_FAILURES', type: 'int', min: 1, default: 5 },
+        loginLockoutMinutes: { env: 'LOGIN_LOCKOUT_MINUTES', type: 'int', min: 1, default: 15 },
+        checkInMaxFailures: { env: 'CHECK_IN_MAX_FAILURES', type: 'int', min: 1, default: 20 },
+        checkInMaxAddressFailures: { env: 'CHECK_IN_MAX_ADDRESS_FAILURES', type: 'int', min: 1, default: 60 }
+    },
+    learners: {
+        retentionDays: { env: 'LEARNER_RETENTION_DAYS', type: 'int', min: 1, default: 6 * 365 }
+    }
+};
+const SECTIONS = Object.keys(SCHEMA);
+// The kiosk and dashboard pages. Everything in it can be fetched without logging in.
+const STATIC_DIR = path.join(__dirname, '..', 'public');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SIZE_PATTERN = /^\d+(b|kb|mb)$/i;
+
+// The configuration is wrong. message lists every problem, one per line.
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n  ${problems.join('\n  ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function isUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+function isInside(dir, parent) {
+    const relative = path.relative(parent, dir);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+function splitList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Converts one raw string by type. Returns { value } or { error }.
+function parseValue(field, raw) {
+    switch (field.type) {
+    case 'string':
+        if (field.minLength && raw.length < field.minLength) {
+            return { error: `must be at least ${field.minLength} characters long` };
+        }
+        return { value: raw };
+    case 'int':
+    case 'port': {
+        const number = Number(raw);
+        const min = field.type === 'port' ? 0 : field.min;
+        if (!/^\d+$/.test(raw) || (min !== undefined && number < min) || (field.type === 'port' && number > 65535)) {
+            return { error: field.type === 'port' ? 'must be a port number' : `must be a whole number of at least ${min}` };
+        }
+        return { value: number };
+    }
+    case 'boolean':
+        if (!['true', 'false'].includes(raw)) {
+            return { error: 'must be true or false' };
+        }
+        return { value: raw === 'true' };
+    case 'enum':
+        if (!field.values.includes(raw)) {
+            return { error: `must be one of: ${field.values.join(', ')}` };
+        }
+        return { value: raw };
+    case 'url':
+        return isUrl(raw) ? { value: raw.replace(/\/+$/, '') } : { error: 'must be an http(s) URL' };
+    case 'origins': {
+        const origins = splitList(raw).map(origin => origin.replace(/\/+$/, ''));
+        const bad = origins.find(origin => !isUrl(origin) || new URL(origin).origin !== origin);
+        return bad ? { error: `has an invalid origin: ${bad} (use scheme://host[:port])` } : { value: origins };
+    }
+    case 'email':
+        return EMAIL_PATTERN.test(raw) ? { value: raw } : { error: 'must be an email address' };
+    case 'emails': {
+        const emails = splitList(raw);
+        const bad = emails.find(email => !EMAIL_PATTERN.test(email));
+        return bad ? { error: `has an invalid email address: ${bad}` } : { value: emails };
+    }
+    case 'size':
+        return SIZE_PATTERN.test(raw) ? { value: raw.toLowerCase() } : { error: 'must be a size such as 500kb or 2mb' };
+    case 'privateDir':
+        return isInside(path.resolve(raw), STATIC_DIR)
+            ? { error: `must not be inside ${STATIC_DIR}, which is served publicly` }
+            : { value: raw };
+    case 'file':
+        try {
+            fs.accessSync(raw, fs.constants.R_OK);
+        } catch (error) {
+            return { error: `cannot be read: ${raw}` };
+        }
+        return { value: raw };
+    default:
+        throw new Error(`Unknown config type: ${field.type}`);
+    }
+}
+
+// Reads and checks one section. Problems are collected rather than thrown, so one run reports
+// all of them. Messages never repeat a string value, as those include the secrets.
+function loadSection(env, name, problems) {
+    const fields = SCHEMA[name];
+    const values = {};
+    const invalid = new Set();
+    for (const [key, field] of Object.entries(fields)) {
+        const raw = env[field.env];
+        if (raw === undefined || (raw.trim() === '' && !field.allowEmpty)) {
+            values[key] = field.default !== undefined ? field.default : null;
+            continue;
+        }
+        const parsed = parseValue(field, field.allowEmpty ? raw : raw.trim());
+        if (parsed.error) {
+            problems.push(`${field.env} ${parsed.error}.`);
+            invalid.add(key);
+            values[key] = null;
+        } else {
+            values[key] = parsed.value;
+        }
+    }
+    // Required fields are checked once every value is read, as some depend on others
+    for (const [key, field] of Object.entries(fields)) {
+        const required = field.required || (field.requiredIf && field.requiredIf(values));
+        if (required && values[key] === null && !invalid.has(key)) {
+            problems.push(`${field.env} is not set.`);
+        }
+    }
+    return values;
+}
+
+// TRUST_PROXY as Express takes it: a boolean, a hop count, or addresses and subnets as given
+function parseTrustProxy(value) {
+    if (value === null) return false;
+    if (value === 'true' || value === 'false') return value === 'true';
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+// Settings worked out from others
+function deriveServer(server) {
+    const tls = server.tlsKeyFile && server.tlsCertFile ? { keyFile: server.tlsKeyFile, certFile: server.tlsCertFile } : null;
+    const publicUrl = server.publicUrl || `${tls ? 'https' : 'http'}://localhost:${server.port}`;
+    return {
+        port: server.port,
+        tls,
+        publicUrl,
+        checkInUrl: server.checkInUrl || `${publicUrl}/`,
+        certificateVerifyUrl: server.certificateVerifyUrl || `${publicUrl}/api/certificates/verify`,
+        corsOrigins: server.corsOrigins,
+        trustProxy: parseTrustProxy(server.trustProxy),
+        bodyLimit: server.bodyLimit,
+        syncBodyLimit: server.syncBodyLimit,
+        staticDir: STATIC_DIR
+    };
+}
+
+// Loads and validates the given sections (all of them by default) from env, so a script that
+// only needs the database can ask for ['db'] without setting up the server.
+// Throws ConfigError listing every problem found.
+function loadConfig(env = process.env, sections = SECTIONS) {
+    const problems = [];
+    const config = {};
+    for (const name of sections) {
+        if (!SCHEMA[name]) {
+            throw new Error(`Unknown config section: ${name}`);
+        }
+        config[name] = loadSection(env, name, problems);
+    }
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    if (config.server) {
+        config.server = deriveServer(config.server);
+    }
+    return config;
+}
+
+module.exports = {
+    SCHEMA,
+    STATIC_DIR,
+    ConfigError,
+    loadConfig
+};
@@ -0,0 +1,47 @@
+const { resolveSession } = require('../services/auth');
+
+// Builds the middleware that protects admin routes. Expects "Authorization: Bearer <token>"
+// and sets req.user to { userId, email, role, sessionId } on success. tokenSettings is the auth
+// section of config/index.js.
+function createRequireAuth(pool, tokenSettings) {
+    return async function requireAuth(req, res, next) {
+        const header = req.get('Authorization') || '';
+        const [scheme, token] = header.split(' ');
+        if (scheme !== 'Bearer' || !token) {
+            return res.status(401).json({ message: 'Authentication required.' });
+        }
+
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const user = await resolveSession(connection, token, tokenSettings);
+            if (!user) {
+                return res.status(401).json({ message: 'Session is invalid or has expired. Please log in again.' });
+            }
+            req.user = user;
+            next();
+        } catch (error) {
+            console.error('Error checking authentication:', error);
+            res.status(500).json({ message: 'Error checking authentication.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    };
+}
+
+// Must run after requireAuth. Rejects callers whose role is not in the allowed list.
+function requireRole(...allowedRoles) {
+    return function checkRole(req, res, next) {
+        if (!req.user) {
+            return res.status(401).json({ message: 'Authentication required.' });
+        }
+        if (!allowedRoles.includes(req.user.role)) {
+            return res.status(403).json({
+                message: `Your role (${req.user.role}) is not allowed to perform this action. Allowed roles: ${allowedRoles.join(', ')}.`
+            });
+        }
+        next();
+    };
+}
+
+module.exports = { createRequireAuth, requireRole };
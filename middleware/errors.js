@@ -0,0 +1,63 @@
+// Every error response has the form { code, message, details? }: code is for programs,
+// message is for people and details lists the problem fields (see middleware/validate.js).
+// Handlers keep answering with res.status(...).json({ message }); errorCodes fills in the code
+// for the status unless the handler set a more specific one.
+const STATUS_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHENTICATED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+    429: 'TOO_MANY_REQUESTS',
+    500: 'INTERNAL_ERROR'
+};
+
+function codeForStatus(status) {
+    return STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+// Mounted before everything else, so errors from the body parsers get a code too
+function errorCodes(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = body => {
+        if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && body.code === undefined) {
+            return json({ code: codeForStatus(res.statusCode), ...body });
+        }
+        return json(body);
+    };
+    next();
+}
+
+// API paths no route answered
+function notFound(req, res) {
+    res.status(404).json({ message: 'Not found.' });
+}
+
+// Mounted last: errors passed to next(), such as request bodies that cannot be read. The
+// error's own text is logged, never sent.
+function handleErrors(error, req, res, next) {
+    if (res.headersSent) {
+        return next(error);
+    }
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ code: 'INVALID_JSON', message: 'The request body is not valid JSON.' });
+    }
+    const status = error.status || error.statusCode;
+    if (status === 413) {
+        return res.status(413).json({ message: 'The request body is too large.' });
+    }
+    if (error.expose && status >= 400 && status < 500) {
+        return res.status(status).json({ message: 'The request could not be read.' });
+    }
+    console.error('Unhandled error:', error);
+    res.status(500).json({ message: 'Server error.' });
+}
+
+module.exports = {
+    codeForStatus,
+    errorCodes,
+    notFound,
+    handleErrors
+};
@@ -0,0 +1,17 @@
+// Refuses API requests made by pages on other sites. Browsers send Origin on cross-site
+// requests, so without this a page anywhere could post to the kiosk routes from its visitors'
+// browsers: CORS only stops it reading the answers. Allowed are the server's own address
+// (PUBLIC_URL, or the Host the request came in on) and the sites in CORS_ORIGINS. Requests
+// without Origin, such as scripts and other servers, are let through.
+function createOriginCheck({ corsOrigins, publicUrl }) {
+    const allowed = new Set([...corsOrigins, new URL(publicUrl).origin]);
+    return function checkOrigin(req, res, next) {
+        const origin = req.get('Origin');
+        if (!origin || allowed.has(origin) || origin === `${req.protocol}://${req.get('Host')}`) {
+            return next();
+        }
+        res.status(403).json({ code: 'ORIGIN_NOT_ALLOWED', message: 'Requests from this site are not allowed.' });
+    };
+}
+
+module.exports = { createOriginCheck };
@@ -0,0 +1,186 @@
+const MINUTE = 60 * 1000;
+
+// Counters are kept in a store (services/rateLimit/memory.js describes the interface) under
+// "<name>:<key>", so one store serves every limit.
+
+function secondsUntil(resetAt) {
+    return Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+}
+
+// The 429, with Retry-After so clients know when to come back
+function sendTooManyRequests(res, retryAfter, message) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ code: 'TOO_MANY_REQUESTS', message, retryAfter });
+}
+
+// Middleware allowing max requests per windowMs for each key (the client address by default).
+// Sends RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers on every response.
+function rateLimit({ store, name, windowMs, max, key = req => req.ip, message = 'Too many requests. Please slow down and try again shortly.' }) {
+    return async function limitRate(req, res, next) {
+        let counter;
+        try {
+            counter = await store.increment(`${name}:${key(req)}`, windowMs);
+        } catch (error) {
+            // A store that is down should not take the API down with it
+            console.error(`Error checking ${name} rate limit:`, error);
+            return next();
+        }
+        const retryAfter = secondsUntil(counter.resetAt);
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(Math.max(max - counter.count, 0)));
+        res.set('RateLimit-Reset', String(retryAfter));
+        if (counter.count > max) {
+            return sendTooManyRequests(res, retryAfter, message);
+        }
+        next();
+    };
+}
+
+// Locks an id (an account, a client address) out for lockoutMs once maxFailures failures are
+// recorded for it within windowMs. Callers record the failures; guard() refuses requests while
+// the id is locked.
+function createLockout({ store, name, maxFailures, windowMs, lockoutMs, message }) {
+    const lockKey = id => `${name}-lock:${id}`;
+    const failureKey = id => `${name}-failures:${id}`;
+
+    const lockout = {
+        message,
+
+        // Resolves to the seconds left on the lock, or 0 when id is not locked
+        async lockedFor(id) {
+            const lock = await store.get(lockKey(id));
+            return lock ? secondsUntil(lock.resetAt) : 0;
+        },
+
+        // Resolves to the seconds of the lock when this failure started one, otherwise 0
+        async recordFailure(id) {
+            const failures = await store.increment(failureKey(id), windowMs);
+            if (failures.count < maxFailures) {
+                return 0;
+            }
+            await store.reset(failureKey(id));
+            const lock = await store.increment(lockKey(id), lockoutMs);
+            console.warn(`${name}: ${id} locked out after ${maxFailures} failures`);
+            return secondsUntil(lock.resetAt);
+        },
+
+        // Clears the failures, after a success
+        async reset(id) {
+            await store.reset(failureKey(id));
+        },
+
+        // Middleware answering 429 while the request's id (the client address by default) is locked
+        guard(key = req => req.ip) {
+            return async function checkLockout(req, res, next) {
+                let retryAfter;
+                try {
+                    retryAfter = await lockout.lockedFor(key(req));
+                } catch (error) {
+                    console.error(`Error checking ${name} lockout:`, error);
+                    return next();
+                }
+                if (retryAfter) {
+                    return sendTooManyRequests(res, retryAfter, message);
+                }
+                next();
+            };
+        }
+    };
+    return lockout;
+}
+
+// Wrong check-in codes, counted per kiosk and per address. Classroom tablets usually share one
+// address, so one tablet's typos must not lock out the room: a tablet that sends X-Kiosk-Id (any
+// id it keeps for itself) is locked out on its own after maxFailures. The address is only locked
+// after maxAddressFailures, which stops a guesser who changes or leaves out the id, so that must
+// stay a small multiple of maxFailures: any more and a new id per guess buys that many guesses.
+function createCheckInLockout({ store, maxFailures, maxAddressFailures, windowMs, lockoutMs, message }) {
+    const kiosks = createLockout({ store, name: 'check-in', maxFailures, windowMs, lockoutMs, message });
+    const addresses = createLockout({ store, name: 'check-in-address', maxFailures: maxAddressFailures, windowMs, lockoutMs, message });
+    const kioskKey = req => {
+        const kioskId = String(req.get('X-Kiosk-Id') || '').trim().slice(0, 64);
+        return kioskId ? `${req.ip}|${kioskId}` : null;
+    };
+
+    const lockout = {
+        message,
+
+        // Resolves to the seconds left on whichever lock applies to the request, or 0
+        async lockedFor(req) {
+            const key = kioskKey(req);
+            const kioskLock = key ? await kiosks.lockedFor(key) : 0;
+            return Math.max(kioskLock, await addresses.lockedFor(req.ip));
+        },
+
+        // Resolves to the seconds of the lock this failure started for the request, otherwise 0
+        async recordFailure(req) {
+            const key = kioskKey(req);
+            const kioskLock = key ? await kiosks.recordFailure(key) : 0;
+            return Math.max(kioskLock, await addresses.recordFailure(req.ip));
+        },
+
+        // Middleware answering 429 while the request's kiosk or address is locked
+        guard() {
+            return async function checkCheckInLockout(req, res, next) {
+                let retryAfter;
+                try {
+                    retryAfter = await lockout.lockedFor(req);
+                } catch (error) {
+                    console.error('Error checking check-in lockout:', error);
+                    return next();
+                }
+                if (retryAfter) {
+                    return sendTooManyRequests(res, retryAfter, message);
+                }
+                next();
+            };
+        }
+    };
+    return lockout;
+}
+
+// The limits the app applies, with the numbers from the limits section of config/index.js
+function createLimits({ store, limits }) {
+    return {
+        // Any API request, checked before the body is read
+        api: rateLimit({ store, name: 'api', windowMs: MINUTE, max: limits.api }),
+        // Every login attempt from one address, right or wrong
+        login: rateLimit({
+            store,
+            name: 'login',
+            windowMs: 15 * MINUTE,
+            max: limits.login,
+            message: 'Too many login attempts from this address. Try again later.'
+        }),
+        // Wrong passwords per account, at login and password change
+        loginFailures: createLockout({
+            store,
+            name: 'login',
+            maxFailures: limits.loginMaxFailures,
+            windowMs: 15 * MINUTE,
+            lockoutMs: limits.loginLockoutMinutes * MINUTE,
+            message: `Too many failed logins for this account. Try again in ${limits.loginLockoutMinutes} minutes.`
+        }),
+        // The public kiosk lookups, which would otherwise let anyone page through learner names
+        search: rateLimit({ store, name: 'search', windowMs: MINUTE, max: limits.search }),
+        sign: rateLimit({ store, name: 'sign', windowMs: MINUTE, max: limits.sign }),
+        sync: rateLimit({ store, name: 'sync', windowMs: MINUTE, max: limits.sync }),
+        // Wrong check-in codes: the PIN is only six digits
+        checkInFailures: createCheckInLockout({
+            store,
+            maxFailures: limits.checkInMaxFailures,
+            maxAddressFailures: limits.checkInMaxAddressFailures,
+            windowMs: 10 * MINUTE,
+            lockoutMs: 10 * MINUTE,
+            message: 'Too many wrong check-in codes from this device. Wait a few minutes, then ask your trainer for the current code.'
+        })
+    };
+}
+
+module.exports = {
+    sendTooManyRequests,
+    rateLimit,
+    createLockout,
+    createCheckInLockout,
+    createLimits
+};
@@ -0,0 +1,205 @@
+const { isValidDate } = require('../services/courses');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Declarative request checks. A schema lists the fields a route reads from each part of the
+// request, as { params: fields, query: fields, body: fields }, where fields maps a field name to
+// a rule { type, ... }. Every rule may have:
+//   required  the field must be present and not blank
+//   notBlank  the field may be left out but not sent blank, for updates of fields that must
+//             always have a value
+//   default   the value to use when the field is absent or blank
+//   message   replaces the generated message (the code stays the same)
+//   check     (value, values) => problem or null, run once the type check passes
+// and by type:
+//   id        a positive whole number; also lists literal values accepted as they are ('NEW')
+//   int       a whole number, with optional min and max
+//   number    any number, with optional min and max
+//   string    text, with optional minLength and maxLength (of the trimmed text) and pattern
+//   enum      one of values
+//   boolean   true or false, also as text (query strings and forms)
+//   date      YYYY-MM-DD, a real calendar date
+//   time      HH:MM, 24-hour
+//   datetime  an ISO 8601 date and time
+//   email     an email address
+//   array     an array, with optional minItems and maxItems
+//   object    a plain object
+// Other blank optional fields are left as they are, as some routes use an empty value to clear
+// a field. Fields not in the schema are passed through unchecked.
+
+function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    return typeof value === 'string' && NUMBER_PATTERN.test(value.trim()) ? Number(value) : NaN;
+}
+
+function rangeProblem(rule) {
+    if (rule.min !== undefined && rule.max !== undefined) return `must be from ${rule.min} to ${rule.max}`;
+    return rule.min !== undefined ? `must be at least ${rule.min}` : `must be at most ${rule.max}`;
+}
+
+// Checks and converts one value that is present. Returns { value } or { code, problem }.
+function checkValue(rule, value) {
+    switch (rule.type) {
+    case 'id': {
+        if (rule.also && rule.also.includes(value)) {
+            return { value };
+        }
+        const number = toNumber(value);
+        return Number.isInteger(number) && number >= 1
+            ? { value: number }
+            : { code: 'INVALID_FORMAT', problem: 'must be a positive whole number' };
+    }
+    case 'int':
+    case 'number': {
+        const number = toNumber(value);
+        if (rule.type === 'int' ? !Number.isInteger(number) : !Number.isFinite(number)) {
+            return { code: 'INVALID_FORMAT', problem: rule.type === 'int' ? 'must be a whole number' : 'must be a number' };
+        }
+        if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+            return { code: 'OUT_OF_RANGE', problem: rangeProblem(rule) };
+        }
+        return { value: number };
+    }
+    case 'string': {
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            return { code: 'INVALID_TYPE', problem: 'must be text' };
+        }
+        const text = String(value);
+        const length = text.trim().length;
+        if (rule.minLength && length < rule.minLength) {
+            return { code: 'TOO_SHORT', problem: `must be at least ${rule.minLength} characters long` };
+        }
+        if (rule.maxLength && length > rule.maxLength) {
+            return { code: 'TOO_LONG', problem: `must be at most ${rule.maxLength} characters long` };
+        }
+        if (rule.pattern && !rule.pattern.test(text.trim())) {
+            return { code: 'INVALID_FORMAT', problem: 'is not in a valid format' };
+        }
+        return { value: text };
+    }
+    case 'enum':
+        return rule.values.includes(value)
+            ? { value }
+            : { code: 'NOT_ALLOWED', problem: `must be one of: ${rule.values.join(', ')}` };
+    case 'boolean':
+        if (value === true || value === 'true') return { value: true };
+        if (value === false || value === 'false') return { value: false };
+        return { code: 'INVALID_FORMAT', problem: 'must be true or false' };
+    case 'date':
+        return isValidDate(value) ? { value } : { code: 'INVALID_FORMAT', problem: 'must be a date in YYYY-MM-DD form' };
+    case 'time':
+        return typeof value === 'string' && TIME_PATTERN.test(value)
+            ? { value }
+            : { code: 'INVALID_FORMAT', problem: 'must be a time in HH:MM form' };
+    case 'datetime':
+        return typeof value === 'string' && DATETIME_PATTERN.test(value) && !isNaN(Date.parse(value))
+            ? { value }
+            : { code: 'INVALID_FORMAT', problem: 'must be an ISO 8601 date and time' };
+    case 'email':
+        return typeof value === 'string' && value.trim().length <= 255 && EMAIL_PATTERN.test(value.trim())
+            ? { value: value.trim() }
+            : { code: 'INVALID_FORMAT', problem: 'must be an email address' };
+    case 'array':
+        if (!Array.isArray(value)) {
+            return { code: 'INVALID_TYPE', problem: 'must be an array' };
+        }
+        if (rule.minItems && value.length < rule.minItems) {
+            return { code: 'TOO_SHORT', problem: `must have at least ${rule.minItems} ${rule.minItems === 1 ? 'item' : 'items'}` };
+        }
+        if (rule.maxItems && value.length > rule.maxItems) {
+            return { code: 'TOO_LONG', problem: `must have at most ${rule.maxItems} items` };
+        }
+        return { value };
+    case 'object':
+        return typeof value === 'object' && !Array.isArray(value)
+            ? { value }
+            : { code: 'INVALID_TYPE', problem: 'must be an object' };
+    default:
+        throw new Error(`Unknown validation type: ${rule.type}`);
+    }
+}
+
+// Checks input (such as req.body) against fields. Returns { values, details }: values is a copy
+// of input with the checked fields converted (ids and numbers as numbers, defaults filled in);
+// details lists every problem as { location, field, code, message } and is empty when there are none.
+function checkFields(fields, input, location) {
+    const values = input && typeof input === 'object' && !Array.isArray(input) ? { ...input } : {};
+    const details = [];
+    for (const [field, rule] of Object.entries(fields)) {
+        let result;
+        if (isBlank(values[field])) {
+            if (rule.default !== undefined) {
+                values[field] = rule.default;
+                continue;
+            }
+            if (rule.required) {
+                result = { code: 'REQUIRED', problem: 'is required' };
+            } else if (rule.notBlank && values[field] !== undefined) {
+                result = { code: 'REQUIRED', problem: 'must not be blank' };
+            } else {
+                continue;
+            }
+        } else {
+            result = checkValue(rule, values[field]);
+            const problem = !result.code && rule.check ? rule.check(result.value, values) : null;
+            if (problem) {
+                result = { code: 'INVALID_VALUE', problem };
+            }
+        }
+        if (result.code) {
+            details.push({ location, field, code: result.code, message: rule.message || `${field} ${result.problem}.` });
+        } else {
+            values[field] = result.value;
+        }
+    }
+    return { values, details };
+}
+
+// The 400 for a request that failed its checks. message joins the details' messages, for
+// clients that only show one line.
+function sendValidationError(res, details) {
+    return res.status(400).json({
+        code: 'VALIDATION_FAILED',
+        message: details.map(detail => detail.message).join(' '),
+        details
+    });
+}
+
+// For the checks a schema cannot express (a field that depends on another, or on the database)
+function sendFieldError(res, location, field, message, code = 'INVALID_VALUE') {
+    return sendValidationError(res, [{ location, field, code, message }]);
+}
+
+// Middleware checking a request against a schema. The converted values replace the originals,
+// so handlers get numbers for ids and defaults for absent fields. Every problem in every part
+// of the request is reported at once.
+function validate(schema) {
+    return function checkRequest(req, res, next) {
+        const details = [];
+        for (const location of LOCATIONS) {
+            if (!schema[location]) continue;
+            const checked = checkFields(schema[location], req[location], location);
+            details.push(...checked.details);
+            req[location] = Object.assign(req[location] || {}, checked.values);
+        }
+        if (details.length > 0) {
+            return sendValidationError(res, details);
+        }
+        next();
+    };
+}
+
+module.exports = {
+    checkFields,
+    sendValidationError,
+    sendFieldError,
+    validate
+};
@@ -0,0 +1,31 @@
+-- The schema the attendance system started from, before any numbered migration: learners and
+-- one attendance row per learner and module with four fixed signature columns. Later
+-- migrations move these to courses, course_sessions and attendance_signatures.
+-- Existing databases already have these tables; see scripts/migrate.js baseline.
+CREATE TABLE IF NOT EXISTS learners (
+    learner_id INT AUTO_INCREMENT PRIMARY KEY,
+    learner_name VARCHAR(255) NOT NULL,
+    registration_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_learners_name (learner_name)
+);
+
+-- module_day is from the original kiosk, which no longer sends it; it is only read back by
+-- GET /api/learners/:id/attendance for old records
+CREATE TABLE IF NOT EXISTS attendance_records (
+    record_id INT AUTO_INCREMENT PRIMARY KEY,
+    learner_id INT NOT NULL,
+    attendance_date DATE NOT NULL,
+    module_title VARCHAR(255) NOT NULL,
+    module_day VARCHAR(50) NULL DEFAULT NULL,
+    signature1 MEDIUMTEXT NULL DEFAULT NULL,
+    is_signed1 TINYINT(1) NOT NULL DEFAULT 0,
+    signature2 MEDIUMTEXT NULL DEFAULT NULL,
+    is_signed2 TINYINT(1) NOT NULL DEFAULT 0,
+    signature3 MEDIUMTEXT NULL DEFAULT NULL,
+    is_signed3 TINYINT(1) NOT NULL DEFAULT 0,
+    signature4 MEDIUMTEXT NULL DEFAULT NULL,
+    is_signed4 TINYINT(1) NOT NULL DEFAULT 0,
+    submission_timestamp TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_attendance_learner_module (learner_id, module_title),
+    CONSTRAINT fk_attendance_learner FOREIGN KEY (learner_id) REFERENCES learners (learner_id)
+);
@@ -0,0 +1,21 @@
+-- Admin accounts for the dashboard. Passwords are stored as bcrypt hashes only.
+CREATE TABLE IF NOT EXISTS admin_users (
+    user_id INT AUTO_INCREMENT PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    password_changed_at TIMESTAMP NULL DEFAULT NULL,
+    UNIQUE KEY uq_admin_users_email (email)
+);
+
+-- One row per issued login token, so a token can be revoked (logout, password change)
+-- before it expires.
+CREATE TABLE IF NOT EXISTS admin_sessions (
+    session_id CHAR(36) PRIMARY KEY,
+    user_id INT NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME NULL DEFAULT NULL,
+    KEY idx_admin_sessions_user (user_id),
+    CONSTRAINT fk_admin_sessions_user FOREIGN KEY (user_id) REFERENCES admin_users (user_id) ON DELETE CASCADE
+);
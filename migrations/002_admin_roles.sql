@@ -0,0 +1,3 @@
+-- Dashboard roles. Existing accounts keep full access as administrators.
+ALTER TABLE admin_users
+    ADD COLUMN role ENUM('trainer', 'administrator', 'auditor') NOT NULL DEFAULT 'administrator' AFTER password_hash;
@@ -0,0 +1,51 @@
+-- A course is one run (cohort) of a NEBOSH unit: the same unit taught again later is a new course.
+CREATE TABLE IF NOT EXISTS courses (
+    course_id INT AUTO_INCREMENT PRIMARY KEY,
+    unit VARCHAR(255) NOT NULL,
+    start_date DATE NOT NULL,
+    venue VARCHAR(255) NOT NULL,
+    trainer_id INT NULL DEFAULT NULL,
+    signed_off_at DATETIME NULL DEFAULT NULL,
+    signed_off_by INT NULL DEFAULT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_courses_trainer (trainer_id),
+    KEY idx_courses_unit_start (unit, start_date),
+    CONSTRAINT fk_courses_trainer FOREIGN KEY (trainer_id) REFERENCES admin_users (user_id) ON DELETE SET NULL,
+    CONSTRAINT fk_courses_signed_off_by FOREIGN KEY (signed_off_by) REFERENCES admin_users (user_id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS enrollments (
+    enrollment_id INT AUTO_INCREMENT PRIMARY KEY,
+    course_id INT NOT NULL,
+    learner_id INT NOT NULL,
+    enrolled_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_enrollments_course_learner (course_id, learner_id),
+    KEY idx_enrollments_learner (learner_id),
+    CONSTRAINT fk_enrollments_course FOREIGN KEY (course_id) REFERENCES courses (course_id) ON DELETE CASCADE,
+    CONSTRAINT fk_enrollments_learner FOREIGN KEY (learner_id) REFERENCES learners (learner_id) ON DELETE CASCADE
+);
+
+ALTER TABLE attendance_records ADD COLUMN course_id INT NULL DEFAULT NULL AFTER learner_id;
+
+-- Existing records only have a free-text module_title. Give each title one placeholder course
+-- (venue unknown, starting on its earliest attendance date) and enroll its learners in it.
+INSERT INTO courses (unit, start_date, venue)
+SELECT module_title, MIN(DATE(attendance_date)), 'Not recorded'
+FROM attendance_records
+WHERE course_id IS NULL
+GROUP BY module_title;
+
+UPDATE attendance_records ar
+JOIN courses c ON c.unit = ar.module_title AND c.venue = 'Not recorded'
+SET ar.course_id = c.course_id
+WHERE ar.course_id IS NULL;
+
+INSERT IGNORE INTO enrollments (course_id, learner_id)
+SELECT DISTINCT course_id, learner_id FROM attendance_records;
+
+-- One attendance record per learner per course; a retake is a new course, so a new record.
+ALTER TABLE attendance_records
+    MODIFY course_id INT NOT NULL,
+    ADD UNIQUE KEY uq_attendance_learner_course (learner_id, course_id),
+    ADD KEY idx_attendance_course (course_id),
+    ADD CONSTRAINT fk_attendance_course FOREIGN KEY (course_id) REFERENCES courses (course_id);
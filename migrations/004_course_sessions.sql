@@ -0,0 +1,54 @@
+-- Each course defines its own schedule: one row per session, numbered from 1.
+CREATE TABLE IF NOT EXISTS course_sessions (
+    session_id INT AUTO_INCREMENT PRIMARY KEY,
+    course_id INT NOT NULL,
+    session_num TINYINT UNSIGNED NOT NULL,
+    session_date DATE NULL DEFAULT NULL,
+    start_time TIME NULL DEFAULT NULL,
+    end_time TIME NULL DEFAULT NULL,
+    UNIQUE KEY uq_course_sessions_course_num (course_id, session_num),
+    CONSTRAINT fk_course_sessions_course FOREIGN KEY (course_id) REFERENCES courses (course_id) ON DELETE CASCADE
+);
+
+-- One row per signed session, replacing the signature1..4 / is_signed1..4 columns
+CREATE TABLE IF NOT EXISTS attendance_signatures (
+    signature_id INT AUTO_INCREMENT PRIMARY KEY,
+    record_id INT NOT NULL,
+    session_id INT NOT NULL,
+    signature_data MEDIUMTEXT NOT NULL,
+    signed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_attendance_signatures_record_session (record_id, session_id),
+    KEY idx_attendance_signatures_session (session_id),
+    CONSTRAINT fk_attendance_signatures_record FOREIGN KEY (record_id) REFERENCES attendance_records (record_id) ON DELETE CASCADE,
+    CONSTRAINT fk_attendance_signatures_session FOREIGN KEY (session_id) REFERENCES course_sessions (session_id)
+);
+
+-- Courses created before this migration all ran the old fixed four-session format
+INSERT INTO course_sessions (course_id, session_num)
+SELECT c.course_id, n.session_num
+FROM courses c
+CROSS JOIN (SELECT 1 AS session_num UNION ALL SELECT 2 UNION ALL SELECT 3 UNION ALL SELECT 4) n;
+
+-- Copy existing signatures across. The per-session signing time was never stored, so the
+-- record's last submission time is the best available value.
+INSERT INTO attendance_signatures (record_id, session_id, signature_data, signed_at)
+SELECT ar.record_id, cs.session_id,
+    COALESCE(CASE cs.session_num
+        WHEN 1 THEN ar.signature1
+        WHEN 2 THEN ar.signature2
+        WHEN 3 THEN ar.signature3
+        ELSE ar.signature4
+    END, ''),
+    COALESCE(ar.submission_timestamp, CURRENT_TIMESTAMP)
+FROM attendance_records ar
+JOIN course_sessions cs ON cs.course_id = ar.course_id
+WHERE (cs.session_num = 1 AND ar.is_signed1 = 1)
+    OR (cs.session_num = 2 AND ar.is_signed2 = 1)
+    OR (cs.session_num = 3 AND ar.is_signed3 = 1)
+    OR (cs.session_num = 4 AND ar.is_signed4 = 1);
+
+ALTER TABLE attendance_records
+    DROP COLUMN signature1, DROP COLUMN is_signed1,
+    DROP COLUMN signature2, DROP COLUMN is_signed2,
+    DROP COLUMN signature3, DROP COLUMN is_signed3,
+    DROP COLUMN signature4, DROP COLUMN is_signed4;
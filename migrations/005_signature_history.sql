@@ -0,0 +1,12 @@
+-- Per-signature history: when the server accepted it, the date the kiosk reported, and where
+-- the request came from. The date is stored as sent since it comes from the client.
+ALTER TABLE attendance_signatures
+    ADD COLUMN client_date VARCHAR(40) NULL DEFAULT NULL AFTER signed_at,
+    ADD COLUMN ip_address VARCHAR(45) NULL DEFAULT NULL AFTER client_date,
+    ADD COLUMN user_agent VARCHAR(512) NULL DEFAULT NULL AFTER ip_address;
+
+-- Signatures copied from the old columns only know the record's last attendance date
+UPDATE attendance_signatures s
+JOIN attendance_records ar ON ar.record_id = s.record_id
+SET s.client_date = CAST(ar.attendance_date AS CHAR)
+WHERE s.client_date IS NULL;
@@ -0,0 +1,35 @@
+-- Append-only, hash-chained audit log. Each entry's hash covers its payload and the previous
+-- entry's hash, so changing or removing any entry breaks every hash after it.
+CREATE TABLE IF NOT EXISTS audit_log (
+    entry_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    action VARCHAR(32) NOT NULL,
+    entity_type VARCHAR(32) NOT NULL,
+    entity_id VARCHAR(64) NOT NULL,
+    actor_type VARCHAR(16) NOT NULL,
+    actor_id VARCHAR(64) NULL DEFAULT NULL,
+    occurred_at DATETIME(3) NOT NULL,
+    before_hash CHAR(64) NULL DEFAULT NULL,
+    after_hash CHAR(64) NULL DEFAULT NULL,
+    payload TEXT NOT NULL,
+    prev_hash CHAR(64) NOT NULL,
+    entry_hash CHAR(64) NOT NULL,
+    KEY idx_audit_log_entity (entity_type, entity_id),
+    KEY idx_audit_log_occurred (occurred_at)
+);
+
+-- Single row holding the hash of the latest entry. Appends lock this row so concurrent
+-- writers cannot both chain onto the same previous entry.
+CREATE TABLE IF NOT EXISTS audit_chain_head (
+    head_id TINYINT PRIMARY KEY,
+    last_entry_id BIGINT NULL DEFAULT NULL,
+    last_hash CHAR(64) NOT NULL
+);
+
+INSERT IGNORE INTO audit_chain_head (head_id, last_entry_id, last_hash)
+VALUES (1, NULL, '0000000000000000000000000000000000000000000000000000000000000000');
+
+CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only';
+
+CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only';
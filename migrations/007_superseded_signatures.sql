@@ -0,0 +1,18 @@
+-- Signatures replaced through the admin override, kept with who replaced them and why
+CREATE TABLE IF NOT EXISTS superseded_signatures (
+    superseded_id INT AUTO_INCREMENT PRIMARY KEY,
+    signature_id INT NOT NULL,
+    record_id INT NOT NULL,
+    session_id INT NOT NULL,
+    signature_data MEDIUMTEXT NOT NULL,
+    signed_at TIMESTAMP NOT NULL,
+    client_date VARCHAR(40) NULL DEFAULT NULL,
+    ip_address VARCHAR(45) NULL DEFAULT NULL,
+    user_agent VARCHAR(512) NULL DEFAULT NULL,
+    superseded_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    superseded_by INT NULL DEFAULT NULL,
+    reason VARCHAR(1000) NOT NULL,
+    KEY idx_superseded_signatures_signature (signature_id),
+    CONSTRAINT fk_superseded_signatures_record FOREIGN KEY (record_id) REFERENCES attendance_records (record_id) ON DELETE CASCADE,
+    CONSTRAINT fk_superseded_signatures_user FOREIGN KEY (superseded_by) REFERENCES admin_users (user_id) ON DELETE SET NULL
+);
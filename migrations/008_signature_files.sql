@@ -0,0 +1,12 @@
+-- Signature images move out of the database into the signature store (local disk or S3).
+-- Rows keep the storage reference and a SHA-256 of the image bytes. signature_data stays
+-- until scripts/migrate-signatures.js has moved the existing images across.
+ALTER TABLE attendance_signatures
+    ADD COLUMN signature_ref VARCHAR(255) NULL DEFAULT NULL AFTER session_id,
+    ADD COLUMN signature_sha256 CHAR(64) NULL DEFAULT NULL AFTER signature_ref,
+    MODIFY signature_data MEDIUMTEXT NULL DEFAULT NULL;
+
+ALTER TABLE superseded_signatures
+    ADD COLUMN signature_ref VARCHAR(255) NULL DEFAULT NULL AFTER session_id,
+    ADD COLUMN signature_sha256 CHAR(64) NULL DEFAULT NULL AFTER signature_ref,
+    MODIFY signature_data MEDIUMTEXT NULL DEFAULT NULL;
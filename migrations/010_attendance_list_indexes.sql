@@ -0,0 +1,4 @@
+-- Supports the paged dashboard list: default sort on last activity and the date range filter
+ALTER TABLE attendance_records
+    ADD KEY idx_attendance_submission (submission_timestamp),
+    ADD KEY idx_attendance_date (attendance_date);
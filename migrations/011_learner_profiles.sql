@@ -0,0 +1,14 @@
+-- Learner profile fields used to tell learners with the same name apart.
+-- A NEBOSH learner number belongs to one person, so it is unique; emails are only indexed
+-- because a client may register several delegates under one company address.
+ALTER TABLE learners
+    ADD COLUMN email VARCHAR(255) NULL DEFAULT NULL,
+    ADD COLUMN phone VARCHAR(40) NULL DEFAULT NULL,
+    ADD COLUMN employer VARCHAR(255) NULL DEFAULT NULL,
+    ADD COLUMN nebosh_learner_number VARCHAR(50) NULL DEFAULT NULL,
+    ADD COLUMN date_of_birth DATE NULL DEFAULT NULL,
+    ADD UNIQUE KEY uq_learners_nebosh_number (nebosh_learner_number),
+    ADD KEY idx_learners_email (email);
+
+-- Names were stored as typed at the kiosk; matching now ignores surrounding spaces
+UPDATE learners SET learner_name = TRIM(learner_name) WHERE learner_name <> TRIM(learner_name);
@@ -0,0 +1,7 @@
+-- Deleting a learner now archives them. Archived learners are hidden from the dashboard and
+-- kiosk but keep their attendance until scripts/purge-learners.js removes them for good.
+ALTER TABLE learners
+    ADD COLUMN archived_at DATETIME NULL DEFAULT NULL,
+    ADD COLUMN archived_by INT NULL DEFAULT NULL,
+    ADD KEY idx_learners_archived (archived_at),
+    ADD CONSTRAINT fk_learners_archived_by FOREIGN KEY (archived_by) REFERENCES admin_users (user_id) ON DELETE SET NULL;
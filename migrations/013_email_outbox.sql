@@ -0,0 +1,20 @@
+-- Outgoing notification emails. Rows are written in the same transaction as the event that
+-- triggers them and sent by the queue worker, which retries failures with a backoff.
+-- dedupe_key stops the same notification being queued twice (e.g. one reminder per learner
+-- and course).
+CREATE TABLE IF NOT EXISTS email_outbox (
+    email_id INT AUTO_INCREMENT PRIMARY KEY,
+    template VARCHAR(64) NOT NULL,
+    to_address VARCHAR(255) NOT NULL,
+    data TEXT NOT NULL,
+    attachment VARCHAR(64) NULL DEFAULT NULL,
+    dedupe_key VARCHAR(191) NULL DEFAULT NULL,
+    status ENUM('pending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_error VARCHAR(1000) NULL DEFAULT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    sent_at DATETIME NULL DEFAULT NULL,
+    UNIQUE KEY uq_email_outbox_dedupe (dedupe_key),
+    KEY idx_email_outbox_due (status, next_attempt_at)
+);
@@ -0,0 +1,18 @@
+-- Attendance certificates, one per learner and course, issued when every session is signed.
+-- certificate_number is what the learner quotes and what the QR code on the PDF points to.
+-- file_ref is set once the PDF has been rendered into the file store.
+CREATE TABLE IF NOT EXISTS certificates (
+    certificate_id INT AUTO_INCREMENT PRIMARY KEY,
+    certificate_number VARCHAR(40) NOT NULL,
+    learner_id INT NOT NULL,
+    course_id INT NOT NULL,
+    sessions_completed INT NOT NULL,
+    completed_at DATETIME NOT NULL,
+    issued_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    file_ref VARCHAR(255) NULL DEFAULT NULL,
+    file_sha256 CHAR(64) NULL DEFAULT NULL,
+    UNIQUE KEY uq_certificates_number (certificate_number),
+    UNIQUE KEY uq_certificates_learner_course (learner_id, course_id),
+    CONSTRAINT fk_certificates_learner FOREIGN KEY (learner_id) REFERENCES learners (learner_id) ON DELETE CASCADE,
+    CONSTRAINT fk_certificates_course FOREIGN KEY (course_id) REFERENCES courses (course_id)
+);
@@ -0,0 +1,17 @@
+-- Check-in windows a trainer opens for one session. Learners can only sign that session while
+-- a window is open, using its QR token or PIN. Opening a new window closes the previous one.
+CREATE TABLE IF NOT EXISTS session_check_ins (
+    check_in_id INT AUTO_INCREMENT PRIMARY KEY,
+    session_id INT NOT NULL,
+    token CHAR(32) NOT NULL,
+    pin CHAR(6) NOT NULL,
+    opened_by INT NULL DEFAULT NULL,
+    opened_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    closed_at DATETIME NULL DEFAULT NULL,
+    UNIQUE KEY uq_session_check_ins_token (token),
+    KEY idx_session_check_ins_pin (pin, expires_at),
+    KEY idx_session_check_ins_session (session_id, expires_at),
+    CONSTRAINT fk_session_check_ins_session FOREIGN KEY (session_id) REFERENCES course_sessions (session_id) ON DELETE CASCADE,
+    CONSTRAINT fk_session_check_ins_user FOREIGN KEY (opened_by) REFERENCES admin_users (user_id) ON DELETE SET NULL
+);
@@ -0,0 +1,7 @@
+-- Signatures captured offline on a tablet and synced later. idempotency_key is generated by the
+-- tablet for each signature so a replayed sync does not sign twice; captured_at is when the
+-- learner signed, as reported by the tablet. Both are NULL for signatures made online.
+ALTER TABLE attendance_signatures
+    ADD COLUMN idempotency_key VARCHAR(64) NULL DEFAULT NULL AFTER user_agent,
+    ADD COLUMN captured_at DATETIME NULL DEFAULT NULL AFTER idempotency_key,
+    ADD UNIQUE KEY uq_attendance_signatures_idempotency_key (idempotency_key);
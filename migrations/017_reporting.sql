@@ -0,0 +1,7 @@
+-- Reporting: registrations over time filter and group learners by registration date, and
+-- completion reports filter and group courses by start date
+ALTER TABLE learners
+    ADD KEY idx_learners_registration (registration_date);
+
+ALTER TABLE courses
+    ADD KEY idx_courses_start (start_date);
@@ -0,0 +1,6 @@
+-- attendance_records.module_title copies the course's unit, but renaming a course did not
+-- update it. Bring records for courses renamed since back in line.
+UPDATE attendance_records ar
+JOIN courses c ON c.course_id = ar.course_id
+SET ar.module_title = c.unit
+WHERE ar.module_title <> c.unit;
@@ -0,0 +1,72 @@
+const express = require('express');
+const { ROLES } = require('../services/auth');
+const attendance = require('../services/attendance');
+const sessions = require('../services/sessions');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const canViewAttendance = requireRole(ROLES.ADMINISTRATOR, ROLES.TRAINER, ROLES.AUDITOR);
+
+// The attendance list on the admin dashboard
+function createAttendanceRouter({ pool, requireAuth }) {
+    const router = express.Router();
+
+    // Attendance records for the admin dashboard, one entry per learner and course
+    // Paged, sorted and filtered in SQL; see services/attendance.js for the query parameters.
+    // Only the signed/unsigned flags are returned unless includeSignatures=true.
+    // Trainers only get records for the courses they teach.
+    router.get('/api/attendance', requireAuth, canViewAttendance, validate({ query: attendance.LIST_QUERY }), async (req, res) => {
+        const { filters, page, pageSize, sort, order } = attendance.parseListQuery(req.query);
+        const { includeSignatures } = req.query;
+
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const total = await attendance.countRecords(connection, filters, req.user);
+            const records = await attendance.findRecords(connection, filters, req.user, {
+                sort,
+                order,
+                limit: pageSize,
+                offset: (page - 1) * pageSize
+            });
+
+            const groupedRecords = new Map();
+            records.forEach(row => {
+                groupedRecords.set(row.record_id, {
+                    learnerId: row.learner_id,
+                    learnerName: row.learner_name,
+                    courseId: row.course_id,
+                    courseStartDate: row.start_date,
+                    venue: row.venue,
+                    moduleTitle: row.module_title,
+                    // The attendance_date and submission_timestamp here represent the latest activity
+                    attendanceDate: row.attendance_date,
+                    submissionTimestamp: row.submission_timestamp,
+                    sessionCount: row.session_count,
+                    signedCount: row.signed_count,
+                    ...(includeSignatures ? { signatures: {} } : {}),
+                    isSignedStatus: {}
+                });
+            });
+            const sessionRows = await attendance.findSessionRows(connection, [...groupedRecords.keys()]);
+            sessionRows.forEach(row => sessions.addSessionToGroup(groupedRecords.get(row.record_id), row));
+
+            res.status(200).json({
+                data: [...groupedRecords.values()],
+                total,
+                page,
+                pageSize,
+                totalPages: Math.ceil(total / pageSize)
+            });
+        } catch (error) {
+            console.error('Error fetching attendance records for admin dashboard:', error);
+            res.status(500).json({ message: 'Error fetching attendance records.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    return router;
+}
+
+module.exports = createAttendanceRouter;
@@ -0,0 +1,56 @@
+const express = require('express');
+const { ROLES } = require('../services/auth');
+const audit = require('../services/audit');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const MAX_PAGE_SIZE = 500;
+
+// Read-only access to the audit log for administrators and auditors
+function createAuditRouter({ pool, requireAuth }) {
+    const router = express.Router();
+
+    router.use('/api/audit', requireAuth, requireRole(ROLES.ADMINISTRATOR, ROLES.AUDITOR));
+
+    // Newest entries first. Page backwards with ?beforeId=<smallest entryId already seen>.
+    router.get('/api/audit', validate({
+        query: {
+            entityType: { type: 'string', maxLength: 32 },
+            entityId: { type: 'string', maxLength: 64 },
+            beforeId: { type: 'id' },
+            limit: { type: 'int', min: 1, max: MAX_PAGE_SIZE, default: 100 }
+        }
+    }), async (req, res) => {
+        const { entityType, entityId, beforeId, limit } = req.query;
+
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            res.status(200).json(await audit.listEntries(connection, { entityType, entityId, beforeId, limit }));
+        } catch (error) {
+            console.error('Error fetching audit log:', error);
+            res.status(500).json({ message: 'Error fetching audit log.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Recompute the hash chain and report the first entry where it breaks
+    router.get('/api/audit/verify', async (req, res) => {
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const result = await audit.verifyChain(connection);
+            res.status(200).json(result);
+        } catch (error) {
+            console.error('Error verifying audit log:', error);
+            res.status(500).json({ message: 'Error verifying audit log.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    return router;
+}
+
+module.exports = createAuditRouter;
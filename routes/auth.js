@@ -0,0 +1,118 @@
+const express = require('express');
+const auth = require('../services/auth');
+const { validate, sendFieldError } = require('../middleware/validate');
+const { sendTooManyRequests } = require('../middleware/rateLimit');
+const { rollback } = require('../config/db');
+
+// Dashboard login, logout and password change. Wrong passwords count towards locking the
+// account (limits.loginFailures), on top of the per-address limit on login attempts.
+function createAuthRouter({ pool, requireAuth, limits, tokenSettings }) {
+    const router = express.Router();
+    const failures = limits.loginFailures;
+
+    // Admin login: checks the bcrypt hash and issues a signed, expiring token
+    router.post('/api/login', limits.login, validate({
+        body: {
+            username: { type: 'string', required: true, maxLength: 255 },
+            password: { type: 'string', required: true }
+        }
+    }), async (req, res) => {
+        const { username, password } = req.body;
+        const account = username.trim().toLowerCase();
+
+        let connection;
+        try {
+            // A locked account is refused without checking the password, so guessing gains nothing
+            const lockedFor = await failures.lockedFor(account);
+            if (lockedFor) {
+                return sendTooManyRequests(res, lockedFor, failures.message);
+            }
+            connection = await pool.getConnection();
+            const user = await auth.authenticateUser(connection, username, password);
+            if (!user) {
+                const lockedNow = await failures.recordFailure(account);
+                if (lockedNow) {
+                    return sendTooManyRequests(res, lockedNow, failures.message);
+                }
+                return res.status(401).json({ message: 'Invalid credentials.' });
+            }
+            await failures.reset(account);
+            const session = await auth.createSession(connection, user.user_id, tokenSettings);
+            res.status(200).json({
+                message: 'Login successful!',
+                token: session.token,
+                expiresAt: session.expiresAt,
+                role: user.role
+            });
+        } catch (error) {
+            console.error('Error logging in:', error);
+            res.status(500).json({ message: 'Error logging in.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Revoke the token used for this request
+    router.post('/api/logout', requireAuth, async (req, res) => {
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            await auth.revokeSession(connection, req.user.sessionId);
+            res.status(200).json({ message: 'Logged out successfully.' });
+        } catch (error) {
+            console.error('Error logging out:', error);
+            res.status(500).json({ message: 'Error logging out.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Change the logged-in admin's password. Other sessions for the account are revoked.
+    router.post('/api/password', requireAuth, validate({
+        body: {
+            currentPassword: { type: 'string', required: true },
+            newPassword: { type: 'string', required: true }
+        }
+    }), async (req, res) => {
+        const { currentPassword, newPassword } = req.body;
+
+        const strengthError = auth.checkPasswordStrength(newPassword);
+        if (strengthError) {
+            return sendFieldError(res, 'body', 'newPassword', strengthError, 'WEAK_PASSWORD');
+        }
+
+        let connection;
+        try {
+            // Guesses at the current password count against the account too, so a stolen token
+            // cannot be used to find the password
+            const lockedFor = await failures.lockedFor(req.user.email);
+            if (lockedFor) {
+                return sendTooManyRequests(res, lockedFor, failures.message);
+            }
+            connection = await pool.getConnection();
+            const matches = await auth.verifyUserPassword(connection, req.user.userId, currentPassword);
+            if (!matches) {
+                const lockedNow = await failures.recordFailure(req.user.email);
+                if (lockedNow) {
+                    return sendTooManyRequests(res, lockedNow, failures.message);
+                }
+                return res.status(401).json({ message: 'Current password is incorrect.' });
+            }
+            await connection.beginTransaction();
+            await auth.changePassword(connection, req.user.userId, newPassword);
+            await auth.revokeOtherSessions(connection, req.user.userId, req.user.sessionId);
+            await connection.commit();
+            res.status(200).json({ message: 'Password changed successfully.' });
+        } catch (error) {
+            await rollback(connection);
+            console.error('Error changing password:', error);
+            res.status(500).json({ message: 'Error changing password.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    return router;
+}
+
+module.exports = createAuthRouter;
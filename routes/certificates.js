@@ -0,0 +1,108 @@
+const express = require('express');
+const { pipeline } = require('stream');
+const { ROLES } = require('../services/auth');
+const courses = require('../services/courses');
+const { normalizeNumber, findCertificate, listCertificates } = require('../services/certificates');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const canViewCertificates = requireRole(ROLES.ADMINISTRATOR, ROLES.TRAINER, ROLES.AUDITOR);
+const numberParams = { number: { type: 'string', maxLength: 64 } };
+
+// Completion certificates: listing and PDF download for staff, and the public check that a
+// certificate is genuine
+function createCertificatesRouter({ pool, requireAuth, certificates }) {
+    const router = express.Router();
+
+    // Public: confirms a certificate number (typed in, or from the QR code on the PDF) was issued
+    // by us, and for whom
+    router.get('/api/certificates/verify/:number', validate({ params: numberParams }), async (req, res) => {
+        const number = normalizeNumber(req.params.number);
+        if (!number) {
+            return res.status(404).json({ valid: false, message: 'No certificate has this number.' });
+        }
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const certificate = await findCertificate(connection, number);
+            if (!certificate) {
+                return res.status(404).json({ valid: false, message: 'No certificate has this number.' });
+            }
+            res.status(200).json({
+                valid: true,
+                certificateNumber: certificate.certificate_number,
+                learnerName: certificate.learner_name,
+                unit: certificate.unit,
+                venue: certificate.venue,
+                courseStartDate: certificate.start_date,
+                sessionsCompleted: certificate.sessions_completed,
+                completedAt: certificate.completed_at,
+                issuedAt: certificate.issued_at
+            });
+        } catch (error) {
+            console.error('Error verifying certificate:', error);
+            res.status(500).json({ message: 'Error verifying certificate.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // List certificates, optionally for one learner or course. Trainers only see their courses.
+    router.get('/api/certificates', requireAuth, canViewCertificates, validate({
+        query: { learnerId: { type: 'id' }, courseId: { type: 'id' } }
+    }), async (req, res) => {
+        const { learnerId, courseId } = req.query;
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            res.status(200).json(await listCertificates(connection, req.user, { learnerId, courseId }));
+        } catch (error) {
+            console.error('Error fetching certificates:', error);
+            res.status(500).json({ message: 'Error fetching certificates.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Download the certificate PDF. It is rendered and stored here if that did not happen at issue.
+    router.get('/api/certificates/:number/pdf', requireAuth, canViewCertificates, validate({ params: numberParams }), async (req, res) => {
+        const number = normalizeNumber(req.params.number);
+        if (!number) {
+            return res.status(404).json({ message: 'Certificate not found.' });
+        }
+        let connection;
+        let certificate;
+        try {
+            connection = await pool.getConnection();
+            certificate = await findCertificate(connection, number);
+            if (!certificate || !courses.canAccessCourse(req.user, certificate)) {
+                return res.status(404).json({ message: 'Certificate not found.' });
+            }
+            if (!certificate.file_ref) {
+                certificate = await certificates.generatePdf(connection, number);
+            }
+        } catch (error) {
+            console.error('Error fetching certificate:', error);
+            return res.status(500).json({ message: 'Error fetching certificate.' });
+        } finally {
+            if (connection) connection.release();
+        }
+
+        try {
+            const stream = await certificates.open(certificate.file_ref);
+            res.type('application/pdf');
+            res.set('Content-Disposition', `attachment; filename="certificate-${certificate.certificate_number}.pdf"`);
+            res.set('ETag', `"${certificate.file_sha256}"`);
+            pipeline(stream, res, error => {
+                if (error) console.error('Error streaming certificate:', error.message);
+            });
+        } catch (error) {
+            console.error('Error opening certificate file:', error);
+            res.status(404).json({ message: 'Certificate file not available.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createCertificatesRouter;
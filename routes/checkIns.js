@@ -0,0 +1,133 @@
+const express = require('express');
+const QRCode = require('qrcode');
+const { ROLES } = require('../services/auth');
+const courses = require('../services/courses');
+const sessions = require('../services/sessions');
+const checkIns = require('../services/checkIns');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { rollback } = require('../config/db');
+
+const canRunSessions = requireRole(ROLES.TRAINER, ROLES.ADMINISTRATOR);
+const sessionParams = {
+    id: { type: 'id' },
+    sessionNum: { type: 'int', min: 1, max: sessions.MAX_SESSIONS }
+};
+
+// Self check-in: the trainer opens a session for a few minutes and shows learners a QR code or
+// PIN; only then can learners sign that session at the kiosk
+function createCheckInsRouter({ pool, requireAuth, limits, checkInBaseUrl }) {
+    const router = express.Router();
+
+    // Looks up the course and session for the trainer routes. Sends the error response and
+    // resolves to null when the course or session is missing or not the trainer's.
+    async function findTrainerSession(connection, req, res) {
+        const course = await courses.findCourse(connection, req.params.id);
+        if (!course) {
+            res.status(404).json({ message: 'Course not found.' });
+            return null;
+        }
+        if (!courses.canAccessCourse(req.user, course)) {
+            res.status(403).json({ message: 'You can only open sessions on courses you teach.' });
+            return null;
+        }
+        const session = await sessions.findSession(connection, course.course_id, req.params.sessionNum);
+        if (!session) {
+            res.status(404).json({ message: 'Session not found.' });
+            return null;
+        }
+        return { course, session };
+    }
+
+    // Open check-in for a session. Body: { minutes } (default 15). Replaces any open window.
+    // Returns the PIN, the QR code (PNG data URL of the kiosk link) and when they expire.
+    router.post('/api/courses/:id/sessions/:sessionNum/check-in', requireAuth, canRunSessions, validate({
+        params: sessionParams,
+        body: { minutes: { type: 'int', min: 1, max: checkIns.MAX_MINUTES, default: checkIns.DEFAULT_MINUTES } }
+    }), async (req, res) => {
+        const { minutes } = req.body;
+
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            await connection.beginTransaction();
+            const found = await findTrainerSession(connection, req, res);
+            if (!found) {
+                await connection.rollback();
+                return;
+            }
+            const window = await checkIns.openWindow(connection, found.session.session_id, req.user.userId, minutes);
+            await connection.commit();
+
+            const checkInUrl = `${checkInBaseUrl}${checkInBaseUrl.includes('?') ? '&' : '?'}code=${window.token}`;
+            res.status(201).json({
+                courseId: found.course.course_id,
+                sessionNum: found.session.session_num,
+                pin: window.pin,
+                token: window.token,
+                checkInUrl,
+                qrCode: await QRCode.toDataURL(checkInUrl, { margin: 1, width: 320 }),
+                expiresAt: window.expiresAt
+            });
+        } catch (error) {
+            await rollback(connection);
+            console.error('Error opening check-in:', error);
+            res.status(500).json({ message: 'Error opening check-in.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Close check-in for a session before it expires
+    router.delete('/api/courses/:id/sessions/:sessionNum/check-in', requireAuth, canRunSessions, validate({ params: sessionParams }), async (req, res) => {
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const found = await findTrainerSession(connection, req, res);
+            if (!found) return;
+            const closed = await checkIns.closeWindow(connection, found.session.session_id);
+            if (closed === 0) {
+                return res.status(404).json({ message: 'Check-in is not open for this session.' });
+            }
+            res.status(200).json({ message: 'Check-in closed.' });
+        } catch (error) {
+            console.error('Error closing check-in:', error);
+            res.status(500).json({ message: 'Error closing check-in.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Public: what a QR token or PIN opens, so the kiosk can show the course and session. Unknown
+    // codes count towards the check-in lockout, like those sent to the kiosk routes.
+    router.get('/api/check-in/:code', limits.search, limits.checkInFailures.guard(), validate({ params: { code: { type: 'string', maxLength: 64 } } }), async (req, res) => {
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const window = await checkIns.findOpenWindow(connection, req.params.code);
+            if (!window) {
+                await limits.checkInFailures.recordFailure(req);
+                return res.status(404).json({ message: 'This check-in code is not valid or has expired. Ask your trainer for the current code.' });
+            }
+            res.status(200).json({
+                courseId: window.course_id,
+                unit: window.unit,
+                venue: window.venue,
+                sessionNum: window.session_num,
+                sessionDate: window.session_date,
+                startTime: window.start_time,
+                endTime: window.end_time,
+                expiresAt: window.expires_at
+            });
+        } catch (error) {
+            console.error('Error checking check-in code:', error);
+            res.status(500).json({ message: 'Error checking check-in code.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    return router;
+}
+
+module.exports = createCheckInsRouter;
@@ -0,0 +1,363 @@
+const express = require('express');
+const auth = require('../services/auth');
+const courses = require('../services/courses');
+const learners = require('../services/learners');
+const sessions = require('../services/sessions');
+const audit = require('../services/audit');
+const { requireRole } = require('../middleware/auth');
+const { validate, sendFieldError } = require('../middleware/validate');
+const { rollback } = require('../config/db');
+
+const { ROLES } = auth;
+const canViewCourses = requireRole(ROLES.ADMINISTRATOR, ROLES.TRAINER, ROLES.AUDITOR);
+const canManageCourses = requireRole(ROLES.ADMINISTRATOR);
+const canSignOffCourses = requireRole(ROLES.TRAINER, ROLES.ADMINISTRATOR);
+const courseParams = { id: { type: 'id' } };
+const scheduleField = { type: 'array', minItems: 1, maxItems: sessions.MAX_SESSIONS };
+
+// Returns an error message when trainerId is set but is not a trainer account
+async function checkTrainer(connection, trainerId) {
+    if (trainerId === undefined || trainerId === null) {
+        return null;
+    }
+    const user = await auth.findUser(connection, trainerId);
+    if (!user || user.role !== ROLES.TRAINER) {
+        return `User ${trainerId} is not a trainer.`;
+    }
+    return null;
+}
+
+// Courses (cohorts): one run of a unit at a venue, with a trainer and enrolled learners
+function createCoursesRouter({ pool, requireAuth, certificates }) {
+    const router = express.Router();
+
+    // List courses. Trainers only get the courses they teach.
+    router.get('/api/courses', requireAuth, canViewCourses, async (req, res) => {
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            res.status(200).json(await courses.listCourses(connection, req.user));
+        } catch (error) {
+            console.error('Error fetching courses:', error);
+            res.status(500).json({ message: 'Error fetching courses.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Get one course with its session schedule and enrolled learners
+    router.get('/api/courses/:id', requireAuth, canViewCourses, validate({ params: courseParams }), async (req, res) => {
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const course = await courses.findCourse(connection, req.params.id);
+            if (!course) {
+                return res.status(404).json({ message: 'Course not found.' });
+            }
+            if (!courses.canAccessCourse(req.user, course)) {
+                return res.status(403).json({ message: 'You can only view courses you teach.' });
+            }
+            const enrolled = await courses.findEnrolledLearners(connection, course.course_id);
+            const schedule = await sessions.getSchedule(connection, course.course_id);
+            res.status(200).json({ ...course, sessions: schedule, learners: enrolled });
+        } catch (error) {
+            console.error('Error fetching course:', error);
+            res.status(500).json({ message: 'Error fetching course.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Create a course with its session schedule: sessions = [{ date, startTime, endTime }, ...]
+    router.post('/api/courses', requireAuth, canManageCourses, validate({
+        body: {
+            unit: { type: 'string', required: true, maxLength: 255 },
+            startDate: { type: 'date', required: true },
+            venue: { type: 'string', required: true, maxLength: 255 },
+            trainerId: { type: 'id' },
+            sessions: { ...scheduleField, required: true }
+        }
+    }), async (req, res) => {
+        const { unit, startDate, venue, trainerId, sessions: schedule } = req.body;
+
+        const scheduleError = sessions.validateSchedule(schedule);
+        if (scheduleError) {
+            return sendFieldError(res, 'body', 'sessions', scheduleError);
+        }
+
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const trainerError = await checkTrainer(connection, trainerId);
+            if (trainerError) {
+                return sendFieldError(res, 'body', 'trainerId', trainerError);
+            }
+            await connection.beginTransaction();
+            const courseId = await courses.createCourse(connection, { unit, startDate, venue, trainerId });
+            await sessions.replaceSchedule(connection, courseId, schedule);
+            await connection.commit();
+            res.status(201).json({ message: 'Course created successfully.', courseId });
+        } catch (error) {
+            await rollback(connection);
+            console.error('Error creating course:', error);
+            res.status(500).json({ message: 'Error creating course.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Update a course. Only the fields sent are changed; unit, startDate and venue cannot be
+    // cleared.
+    router.patch('/api/courses/:id', requireAuth, canManageCourses, validate({
+        params: courseParams,
+        body: {
+            unit: { type: 'string', notBlank: true, maxLength: 255 },
+            startDate: { type: 'date', notBlank: true },
+            venue: { type: 'string', notBlank: true, maxLength: 255 },
+            trainerId: { type: 'id' }
+        }
+    }), async (req, res) => {
+        const { unit, startDate, venue, trainerId } = req.body;
+
+        const changes = {};
+        if (unit !== undefined) changes.unit = unit;
+        if (startDate !== undefined) changes.start_date = startDate;
+        if (venue !== undefined) changes.venue = venue;
+        if (trainerId !== undefined) changes.trainer_id = trainerId;
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ code: 'NOTHING_TO_UPDATE', message: 'Nothing to update.' });
+        }
+
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const trainerError = await checkTrainer(connection, trainerId);
+            if (trainerError) {
+                return sendFieldError(res, 'body', 'trainerId', trainerError);
+            }
+            await connection.beginTransaction();
+            const before = await courses.findCourse(connection, req.params.id);
+            if (!before) {
+                await connection.rollback();
+                return res.status(404).json({ message: 'Course not found.' });
+            }
+            await courses.updateCourse(connection, before.course_id, changes);
+            await audit.record(connection, {
+                action: audit.ACTIONS.EDIT,
+                entityType: 'course',
+                entityId: before.course_id,
+                actor: audit.actorFromRequest(req),
+                before,
+                after: await courses.findCourse(connection, before.course_id)
+            });
+            await connection.commit();
+            res.status(200).json({ message: 'Course updated successfully.' });
+        } catch (error) {
+            await rollback(connection);
+            console.error('Error updating course:', error);
+            res.status(500).json({ message: 'Error updating course.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Replace a course's session schedule. Sessions that have been signed cannot be removed. A
+    // shorter schedule can complete learners who signed every remaining session; their
+    // certificates are issued here, as when they sign.
+    router.put('/api/courses/:id/sessions', requireAuth, canManageCourses, validate({
+        params: courseParams,
+        body: { sessions: { ...scheduleField, required: true } }
+    }), async (req, res) => {
+        const schedule = req.body.sessions;
+
+        const scheduleError = sessions.validateSchedule(schedule);
+        if (scheduleError) {
+            return sendFieldError(res, 'body', 'sessions', scheduleError);
+        }
+
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const course = await courses.findCourse(connection, req.params.id);
+            if (!course) {
+                return res.status(404).json({ message: 'Course not found.' });
+            }
+            await connection.beginTransaction();
+            const before = await sessions.getSchedule(connection, course.course_id);
+            const replaced = await sessions.replaceSchedule(connection, course.course_id, schedule);
+            if (!replaced) {
+                await connection.rollback();
+                return res.status(409).json({ message: 'Sessions that have already been signed cannot be removed.' });
+            }
+            const actor = audit.actorFromRequest(req);
+            await audit.record(connection, {
+                action: audit.ACTIONS.EDIT,
+                entityType: 'course_schedule',
+                entityId: course.course_id,
+                actor,
+                before,
+                after: await sessions.getSchedule(connection, course.course_id)
+            });
+            const certificateNumbers = schedule.length < before.length
+                ? await certificates.issueForCourse(connection, { course, actor })
+                : [];
+            await connection.commit();
+
+            // As in signing.finish(): a PDF that fails here is rendered on first download
+            for (const certificateNumber of certificateNumbers) {
+                try {
+                    await certificates.generatePdf(connection, certificateNumber);
+                } catch (error) {
+                    console.error(`Error generating certificate ${certificateNumber}:`, error);
+                }
+            }
+            res.status(200).json({ message: 'Session schedule updated successfully.', sessionCount: schedule.length, certificateNumbers });
+        } catch (error) {
+            await rollback(connection);
+            console.error('Error updating session schedule:', error);
+            res.status(500).json({ message: 'Error updating session schedule.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Delete a course. Refused once anyone has signed attendance for it.
+    router.delete('/api/courses/:id', requireAuth, canManageCourses, validate({ params: courseParams }), async (req, res) => {
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            await connection.beginTransaction();
+            const course = await courses.findCourse(connection, req.params.id);
+            if (!course) {
+                await connection.rollback();
+                return res.status(404).json({ message: 'Course not found.' });
+            }
+            if (await courses.hasAttendance(connection, course.course_id)) {
+                await connection.rollback();
+                return res.status(409).json({ message: 'Course has attendance records and cannot be deleted.' });
+            }
+            await courses.deleteCourse(connection, course.course_id);
+            await audit.record(connection, {
+                action: audit.ACTIONS.DELETE,
+                entityType: 'course',
+                entityId: course.course_id,
+                actor: audit.actorFromRequest(req),
+                before: course,
+                after: null
+            });
+            await connection.commit();
+            res.status(200).json({ message: 'Course removed successfully.' });
+        } catch (error) {
+            await rollback(connection);
+            console.error('Error removing course:', error);
+            res.status(500).json({ message: 'Error removing course.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Enroll a learner into a course
+    router.post('/api/courses/:id/enrollments', requireAuth, canManageCourses, validate({
+        params: courseParams,
+        body: { learnerId: { type: 'id', required: true } }
+    }), async (req, res) => {
+        const { learnerId } = req.body;
+
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const course = await courses.findCourse(connection, req.params.id);
+            if (!course) {
+                return res.status(404).json({ message: 'Course not found.' });
+            }
+            const learner = await learners.findLearner(connection, learnerId);
+            if (!learner) {
+                return res.status(404).json({ message: 'Learner not found.' });
+            }
+            if (learner.archived_at) {
+                return res.status(409).json({ message: 'This learner is archived. Restore them before enrolling them.' });
+            }
+            await courses.enrollLearner(connection, course.course_id, learnerId);
+            res.status(201).json({ message: 'Learner enrolled successfully.' });
+        } catch (error) {
+            console.error('Error enrolling learner:', error);
+            res.status(500).json({ message: 'Error enrolling learner.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Remove a learner from a course
+    router.delete('/api/courses/:id/enrollments/:learnerId', requireAuth, canManageCourses, validate({
+        params: { ...courseParams, learnerId: { type: 'id' } }
+    }), async (req, res) => {
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            await connection.beginTransaction();
+            const enrollment = await courses.findEnrollment(connection, req.params.id, req.params.learnerId);
+            if (!enrollment) {
+                await connection.rollback();
+                return res.status(404).json({ message: 'Enrollment not found.' });
+            }
+            await courses.deleteEnrollment(connection, enrollment.enrollment_id);
+            await audit.record(connection, {
+                action: audit.ACTIONS.DELETE,
+                entityType: 'enrollment',
+                entityId: enrollment.enrollment_id,
+                actor: audit.actorFromRequest(req),
+                before: enrollment,
+                after: null
+            });
+            await connection.commit();
+            res.status(200).json({ message: 'Learner removed from course successfully.' });
+        } catch (error) {
+            await rollback(connection);
+            console.error('Error removing enrollment:', error);
+            res.status(500).json({ message: 'Error removing enrollment.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Trainer sign-off: the trainer confirms the register for a course they teach
+    router.post('/api/courses/:id/sign-off', requireAuth, canSignOffCourses, validate({ params: courseParams }), async (req, res) => {
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const course = await courses.findCourse(connection, req.params.id);
+            if (!course) {
+                return res.status(404).json({ message: 'Course not found.' });
+            }
+            if (!courses.canAccessCourse(req.user, course)) {
+                return res.status(403).json({ message: 'You can only sign off courses you teach.' });
+            }
+            if (course.signed_off_at) {
+                return res.status(409).json({ message: 'Course has already been signed off.' });
+            }
+            await connection.beginTransaction();
+            await courses.signOffCourse(connection, course.course_id, req.user.userId);
+            await audit.record(connection, {
+                action: audit.ACTIONS.EDIT,
+                entityType: 'course',
+                entityId: course.course_id,
+                actor: audit.actorFromRequest(req),
+                before: course,
+                after: await courses.findCourse(connection, course.course_id),
+                details: { signedOff: true }
+            });
+            await connection.commit();
+            res.status(200).json({ message: 'Course signed off successfully.' });
+        } catch (error) {
+            await rollback(connection);
+            console.error('Error signing off course:', error);
+            res.status(500).json({ message: 'Error signing off course.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    return router;
+}
+
+module.exports = createCoursesRouter;
@@ -0,0 +1,97 @@
+const express = require('express');
+const { ROLES } = require('../services/auth');
+const attendance = require('../services/attendance');
+const courses = require('../services/courses');
+const registerExport = require('../services/registerExport');
+const registerPdf = require('../services/registerPdf');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const canExport = requireRole(ROLES.ADMINISTRATOR, ROLES.TRAINER, ROLES.AUDITOR);
+
+// Attendance register downloads for sending to NEBOSH and clients
+function createExportsRouter({ pool, requireAuth, signatureStore }) {
+    const router = express.Router();
+
+    // GET /api/exports/attendance?format=csv|xlsx with the same filters as GET /api/attendance
+    // (module, courseId, learner, dateFrom, dateTo, status). Trainers only export their courses.
+    router.get('/api/exports/attendance', requireAuth, canExport, validate({
+        query: { ...attendance.FILTER_QUERY, format: { type: 'enum', values: Object.keys(FORMATS), default: 'csv' } }
+    }), async (req, res) => {
+        const { format } = req.query;
+        const filters = attendance.parseFilters(req.query);
+
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const records = await attendance.findRecords(connection, filters, req.user, {
+                sort: 'learnerName',
+                order: 'asc'
+            });
+            const sessionRows = await attendance.findSessionRows(connection, records.map(record => record.record_id));
+            const register = registerExport.buildRegister(records, sessionRows);
+
+            const body = format === 'csv'
+                ? registerExport.toCsv(register)
+                : await registerExport.toXlsx(register);
+            const filename = `attendance-register-${new Date().toISOString().slice(0, 10)}.${format}`;
+            res.set('Content-Type', FORMATS[format]);
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+            res.status(200).send(body);
+        } catch (error) {
+            console.error('Error exporting attendance register:', error);
+            res.status(500).json({ message: 'Error exporting attendance register.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // GET /api/exports/courses/:id/register.pdf[?learnerId=]: the signed register sheet for one
+    // course, with each learner's signature images in the session cells. learnerId limits the
+    // sheet to one learner.
+    router.get('/api/exports/courses/:id/register.pdf', requireAuth, canExport, validate({
+        params: { id: { type: 'id' } },
+        query: { learnerId: { type: 'id' } }
+    }), async (req, res) => {
+        const { learnerId } = req.query;
+
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const course = await courses.findCourse(connection, req.params.id);
+            if (!course) {
+                return res.status(404).json({ message: 'Course not found.' });
+            }
+            if (!courses.canAccessCourse(req.user, course)) {
+                return res.status(403).json({ message: 'You can only export courses you teach.' });
+            }
+            const data = await registerPdf.loadCourseRegister(connection, course, learnerId);
+            if (learnerId !== undefined && data.learners.length === 0) {
+                return res.status(404).json({ message: 'Learner not found on this course.' });
+            }
+            // Images are read from the store after the connection is back in the pool
+            connection.release();
+            connection = null;
+
+            const pdf = await registerPdf.renderCourseRegister(signatureStore, course, data);
+            const suffix = learnerId !== undefined ? `-learner-${learnerId}` : '';
+            res.set('Content-Type', 'application/pdf');
+            res.set('Content-Disposition', `attachment; filename="register-course-${course.course_id}${suffix}.pdf"`);
+            res.status(200).send(pdf);
+        } catch (error) {
+            console.error('Error generating register PDF:', error);
+            res.status(500).json({ message: 'Error generating register PDF.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    return router;
+}
+
+module.exports = createExportsRouter;
@@ -0,0 +1,104 @@
+const express = require('express');
+const multer = require('multer');
+const { ROLES } = require('../services/auth');
+const courses = require('../services/courses');
+const rosterImport = require('../services/rosterImport');
+const { requireRole } = require('../middleware/auth');
+const { validate, sendFieldError } = require('../middleware/validate');
+const { rollback } = require('../config/db');
+
+const MAX_FILE_BYTES = 2 * 1024 * 1024;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_BYTES, files: 1 }
+}).single('file');
+
+// Runs multer and turns its errors into the usual error responses
+function receiveRoster(req, res, next) {
+    upload(req, res, error => {
+        if (!error) {
+            return next();
+        }
+        if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ message: `Roster file is larger than ${MAX_FILE_BYTES / 1024 / 1024} MB.` });
+        }
+        if (error instanceof multer.MulterError) {
+            return sendFieldError(res, 'body', error.field || 'file', 'Send one roster file, in the file field.', 'INVALID_UPLOAD');
+        }
+        next(error);
+    });
+}
+
+// Bulk learner import from client rosters, so learners exist and are enrolled before signing day
+function createImportsRouter({ pool, requireAuth }) {
+    const router = express.Router();
+
+    // POST /api/imports/roster (multipart): file (.csv or .xlsx with a name column and optional
+    // email, phone, employer, NEBOSH learner number and date of birth columns), courseId,
+    // dryRun. With dryRun=true (the default) nothing is written and the response previews each
+    // row as create, match, conflict or invalid. With dryRun=false the creates are inserted and
+    // creates and matches are enrolled on the course; conflicts and invalid rows are skipped.
+    router.post('/api/imports/roster', requireAuth, requireRole(ROLES.ADMINISTRATOR), receiveRoster, validate({
+        body: { courseId: { type: 'id', required: true }, dryRun: { type: 'boolean', default: true } }
+    }), async (req, res) => {
+        const { courseId, dryRun } = req.body;
+
+        if (!req.file) {
+            return sendFieldError(res, 'body', 'file', 'file is required.', 'REQUIRED');
+        }
+
+        let rows;
+        try {
+            rows = await rosterImport.parseRoster(req.file.buffer, req.file.originalname);
+        } catch (error) {
+            if (error instanceof rosterImport.RosterError) {
+                return sendFieldError(res, 'body', 'file', error.message, 'INVALID_ROSTER');
+            }
+            console.error('Error reading roster:', error);
+            return res.status(500).json({ message: 'Error reading roster.' });
+        }
+
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const course = await courses.findCourse(connection, courseId);
+            if (!course) {
+                return res.status(404).json({ message: 'Course not found.' });
+            }
+
+            if (dryRun) {
+                const preview = await rosterImport.previewImport(connection, course.course_id, rows);
+                return res.status(200).json({
+                    dryRun: true,
+                    courseId: course.course_id,
+                    summary: rosterImport.summarize(preview),
+                    rows: preview
+                });
+            }
+
+            await connection.beginTransaction();
+            // Re-run the matching inside the transaction so it reflects the data being written
+            const preview = await rosterImport.previewImport(connection, course.course_id, rows);
+            const enrolled = await rosterImport.commitImport(connection, course.course_id, preview);
+            await connection.commit();
+            res.status(201).json({
+                dryRun: false,
+                courseId: course.course_id,
+                summary: rosterImport.summarize(preview),
+                enrolled,
+                rows: preview
+            });
+        } catch (error) {
+            if (!dryRun) await rollback(connection);
+            console.error('Error importing roster:', error);
+            res.status(500).json({ message: 'Error importing roster.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    return router;
+}
+
+module.exports = createImportsRouter;
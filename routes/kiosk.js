@@ -0,0 +1,205 @@
+const express = require('express');
+const attendance = require('../services/attendance');
+const audit = require('../services/audit');
+const checkIns = require('../services/checkIns');
+const learners = require('../services/learners');
+const signatureImage = require('../services/signatureImage');
+const { SIGNING_FIELDS, SigningError, parseSigningRequest } = require('../services/signing');
+const { validate, sendFieldError } = require('../middleware/validate');
+const { rollback } = require('../config/db');
+
+const CHECK_IN_CODE = {
+    type: 'string',
+    required: true,
+    maxLength: 64,
+    message: 'Missing check-in code. Scan the QR code or enter the PIN your trainer gives you.'
+};
+
+// The learner sign-in routes used by the kiosk. They stay public because learners sign without
+// an account; the check-in code of an open session is what lets them in, and they only show
+// learners and attendance for that session's course. Wrong codes count towards locking the
+// kiosk out (limits.checkInFailures), so the PIN cannot be guessed.
+function createKioskRouter({ pool, signatureStore, signing, limits }) {
+    const router = express.Router();
+    const checkInLockout = limits.checkInFailures.guard();
+
+    // The open window for the request's check-in code. Answers 403 and resolves to null when
+    // there is none.
+    async function findWindow(connection, code, req, res) {
+        const window = await checkIns.findOpenWindow(connection, code);
+        if (!window) {
+            await limits.checkInFailures.recordFailure(req);
+            res.status(403).json({ message: 'This check-in code is not valid or has expired. Ask your trainer for the current code.' });
+        }
+        return window;
+    }
+
+    // Search for learners (for autocomplete)
+    // Needs the check-in code (QR token or PIN) of an open session and only finds learners
+    // enrolled on that session's course
+    router.get('/api/learners/search', limits.search, checkInLockout, validate({
+        query: { code: CHECK_IN_CODE, query: { type: 'string', maxLength: learners.MAX_NAME_LENGTH } }
+    }), async (req, res) => {
+        const query = req.query.query;
+        if (!query || query.length < 2) {
+            return res.json([]);
+        }
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const window = await findWindow(connection, req.query.code, req, res);
+            if (!window) return;
+            res.json(await learners.searchEnrolled(connection, window.course_id, query));
+        } catch (error) {
+            console.error('Error searching learners:', error);
+            res.status(500).json({ message: 'Error searching learners' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // The check-in session's course, as a list, when the learner is enrolled on it (an empty
+    // list otherwise), so the kiosk can offer it after the name is picked
+    router.get('/api/learners/:id/courses', limits.search, checkInLockout, validate({
+        params: { id: { type: 'id' } },
+        query: { code: CHECK_IN_CODE }
+    }), async (req, res) => {
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const window = await findWindow(connection, req.query.code, req, res);
+            if (!window) return;
+            res.json(await learners.findLearnerCourses(connection, req.params.id, window.course_id));
+        } catch (error) {
+            console.error('Error fetching learner courses:', error);
+            res.status(500).json({ message: 'Error fetching learner courses.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // A learner's attendance status on the check-in session's course
+    // Returns is_signedN for every session the course has, plus session_count, for a learner
+    // enrolled on it. courseId, when sent, must be that course. Signature images are never sent
+    // to the public kiosk.
+    router.get('/api/attendance/learner-module', limits.search, checkInLockout, validate({
+        query: {
+            code: CHECK_IN_CODE,
+            learnerId: { type: 'id', required: true },
+            courseId: { type: 'id' }
+        }
+    }), async (req, res) => {
+        const { learnerId, courseId } = req.query;
+
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const window = await findWindow(connection, req.query.code, req, res);
+            if (!window) return;
+            if (courseId && courseId !== window.course_id) {
+                return res.status(403).json({ message: 'This check-in code is for a different course.' });
+            }
+            const enrolled = await learners.findLearnerCourses(connection, learnerId, window.course_id);
+            if (enrolled.length === 0) {
+                return res.status(404).json({ message: 'This learner is not on the register for this course.' });
+            }
+            // All sessions of the course, with the learner's signature where there is one
+            const { record, sessions: sessionRows } = await attendance.findLearnerModule(connection, learnerId, window.course_id);
+            const result = record || { learner_id: learnerId, course_id: window.course_id };
+            result.session_count = sessionRows.length;
+            sessionRows.forEach(row => {
+                result[`is_signed${row.session_num}`] = row.signature_id !== null ? 1 : 0;
+            });
+            res.json(result);
+        } catch (error) {
+            console.error('Error fetching learner module attendance:', error);
+            res.status(500).json({ message: 'Error fetching attendance status.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+
+    // Sign a specific session for a learner on a course
+    // The record is looked up by learner and course, so a retake on a new course gets its own record.
+    // checkInCode is the QR token or PIN of the session's open check-in window: a session can only
+    // be signed while its trainer has it open, and only by learners enrolled on the course.
+    // See services/signing.js for the steps.
+    router.post('/api/sign-session', limits.sign, checkInLockout, validate({ body: SIGNING_FIELDS }), async (req, res) => {
+        const parsed = parseSigningRequest(req.body);
+        if (parsed.error) {
+            return sendFieldError(res, 'body', parsed.field, parsed.error);
+        }
+        const { learnerName, attendanceDate, courseId, signatureData, checkInCode } = req.body;
+        const { sessionNumber } = parsed;
+        // Decode, check and normalize the image before touching the database
+        let image;
+        try {
+            image = await signatureImage.normalizeSignature(signatureData);
+        } catch (error) {
+            if (error instanceof signatureImage.SignatureValidationError) {
+                return error.status === 400
+                    ? sendFieldError(res, 'body', 'signatureData', error.message, 'INVALID_SIGNATURE')
+                    : res.status(error.status).json({ message: error.message });
+            }
+            console.error('Error checking signature image:', error);
+            return res.status(500).json({ message: 'Error checking signature image.' });
+        }
+
+        let connection;
+        let signed;
+        let committed = false;
+        try {
+            connection = await pool.getConnection();
+            await connection.beginTransaction(); // Start a transaction
+            signed = await signing.sign(connection, {
+                ...parsed,
+                learnerName,
+                attendanceDate,
+                courseId,
+                image,
+                checkInCode,
+                actor: audit.actorFromRequest(req),
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+            await connection.commit(); // Commit the transaction
+            committed = true;
+
+            await signing.finish(connection, signed);
+            res.status(201).json({
+                message: `Session ${sessionNumber} signed successfully!`,
+                learnerId: signed.learnerId,
+                certificateNumber: signed.certificateNumber
+            });
+
+        } catch (error) {
+            if (connection && !committed) {
+                await rollback(connection); // Rollback on error if anything fails
+            }
+            if (signed && !committed) {
+                await signatureStore.remove(signed.signatureRef); // The row pointing at it was rolled back
+            }
+            if (error instanceof SigningError) {
+                if (error.code === 'CHECK_IN_INVALID') {
+                    await limits.checkInFailures.recordFailure(req);
+                }
+                return res.status(error.status).json({
+                    ...(error.code ? { code: error.code } : {}),
+                    message: error.message,
+                    ...(error.details ? { existingSignature: error.details } : {})
+                });
+            }
+            console.error('Error signing session:', error);
+            res.status(500).json({ message: 'Failed to sign session due to a server error.' });
+        } finally {
+            if (connection) {
+                connection.release(); // Always release the connection back to the pool
+            }
+        }
+    });
+
+    return router;
+}
+
+module.exports = createKioskRouter;
@@ -0,0 +1,376 @@
+const express = require('express');
+const { ROLES } = require('../services/auth');
+const attendance = require('../services/attendance');
+const audit = require('../services/audit');
+const learners = require('../services/learners');
+const sessions = require('../services/sessions');
+const { requireRole } = require('../middleware/auth');
+const { validate, sendFieldError } = require('../middleware/validate');
+const { rollback } = require('../config/db');
+
+const canViewAttendance = requireRole(ROLES.ADMINISTRATOR, ROLES.TRAINER, ROLES.AUDITOR);
+const canManageLearners = requireRole(ROLES.ADMINISTRATOR);
+const learnerParams = { id: { type: 'id' } };
+const learnerName = { type: 'string', maxLength: learners.MAX_NAME_LENGTH };
+
+// Learner records on the admin dashboard: listing, registering, correcting, merging duplicates
+// and archiving. Trainers can view the learners enrolled on their courses.
+function createLearnersRouter({ pool, requireAuth }) {
+    const router = express.Router();
+
+    // Get all learners (trainers: learners enrolled on their courses). ?archived=true lists the
+    // archived learners instead, for restoring.
+    router.get('/api/learners', requireAuth, canViewAttendance, validate({
+        query: { archived: { type: 'boolean', default: false } }
+    }), async (req, res) => {
+        const { archived } = req.query;
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            res.status(200).json(await learners.listLearners(connection, req.user, { archived }));
+        } catch (error) {
+            console.error('Error fetching learners:', error);
+            res.status(500).json({ message: 'Error fetching learners.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Get total number of learners (trainers: learners enrolled on their courses)
+    router.get('/api/learners/count', requireAuth, canViewAttendance, async (req, res) => {
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            res.status(200).json({ total_learners: await learners.countLearners(connection, req.user) });
+        } catch (error) {
+            console.error('Error fetching learner count:', error);
+            res.status(500).json({ message: 'Error fetching learner count.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Register a learner ahead of signing day. Refuses when the details match someone already registered.
+    router.post('/api/learners', requireAuth, canManageLearners, validate({
+        body: { learnerName: { ...learnerName, required: true }, ...learners.PROFILE_FIELDS }
+    }), async (req, res) => {
+        const parsedName = learners.parseLearnerName(req.body.learnerName);
+        const parsedProfile = learners.parseProfile(req.body);
+        if (parsedName.error || parsedProfile.error) {
+            return sendFieldError(res, 'body', parsedName.error ? 'learnerName' : parsedProfile.field, parsedName.error || parsedProfile.error);
+        }
+
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const match = await learners.findMatchingLearner(connection, parsedName.name, parsedProfile.profile);
+            if (match.learner || match.ambiguous) {
+                const existing = match.learner ? [match.learner] : match.ambiguous;
+                return res.status(409).json({
+                    message: 'A learner with these details is already registered.',
+                    matches: existing.map(learner => ({
+                        learnerId: learner.learner_id,
+                        learnerName: learner.learner_name,
+                        archived: learner.archived_at !== null
+                    }))
+                });
+            }
+            const learnerId = await learners.createLearner(connection, parsedName.name, parsedProfile.profile);
+            res.status(201).json({ message: 'Learner created successfully.', learnerId });
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({ message: 'That NEBOSH learner number is already registered.' });
+            }
+            console.error('Error creating learner:', error);
+            res.status(500).json({ message: 'Error creating learner.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Likely duplicate learners (similar names, shared email, phone or date of birth) for review
+    // before merging. ?minScore= between 0 and 1 (default 0.6).
+    router.get('/api/learners/duplicates', requireAuth, canManageLearners, validate({
+        query: { minScore: { type: 'number', min: 0, max: 1 } }
+    }), async (req, res) => {
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            res.status(200).json(await learners.findDuplicates(connection, req.query.minScore));
+        } catch (error) {
+            console.error('Error finding duplicate learners:', error);
+            res.status(500).json({ message: 'Error finding duplicate learners.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Merge a duplicate into this learner: attendance, signatures, enrollments and certificates
+    // move across and the duplicate is deleted. Body: { duplicateId }. Refused with 409 when both
+    // learners hold a certificate for the same course, as issued certificates are never deleted.
+    // The conflicting courses are listed in conflicts.
+    router.post('/api/learners/:id/merge', requireAuth, canManageLearners, validate({
+        params: learnerParams,
+        body: { duplicateId: { type: 'id', required: true } }
+    }), async (req, res) => {
+        const keepId = req.params.id;
+        const { duplicateId } = req.body;
+        if (duplicateId === keepId) {
+            return sendFieldError(res, 'body', 'duplicateId', 'A learner cannot be merged into itself.');
+        }
+
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            await connection.beginTransaction();
+            // Locked in id order so two merges of the same pair cannot deadlock
+            const [first, second] = [keepId, duplicateId].sort((a, b) => a - b);
+            const rows = [
+                await learners.findLearner(connection, first, { forUpdate: true }),
+                await learners.findLearner(connection, second, { forUpdate: true })
+            ];
+            const keep = rows.find(row => row && row.learner_id === keepId);
+            const duplicate = rows.find(row => row && row.learner_id === duplicateId);
+            if (!keep || !duplicate) {
+                await connection.rollback();
+                return res.status(404).json({ message: 'Learner not found.' });
+            }
+            if (keep.archived_at || duplicate.archived_at) {
+                await connection.rollback();
+                return res.status(409).json({ message: 'Restore archived learners before merging them.' });
+            }
+            const conflicts = await learners.findCertificateConflicts(connection, keepId, duplicateId);
+            if (conflicts.length > 0) {
+                await connection.rollback();
+                return res.status(409).json({
+                    code: 'CERTIFICATE_CONFLICT',
+                    message: 'Both learners hold a certificate for the same course, so they cannot be merged.',
+                    conflicts: conflicts.map(row => ({
+                        courseId: row.course_id,
+                        keepCertificate: row.keep_certificate,
+                        duplicateCertificate: row.duplicate_certificate
+                    }))
+                });
+            }
+
+            const summary = await learners.mergeLearners(connection, keep, duplicate, req.user.userId);
+            const merged = await learners.findLearner(connection, keepId);
+            await audit.record(connection, {
+                action: audit.ACTIONS.MERGE,
+                entityType: 'learner',
+                entityId: keepId,
+                actor: audit.actorFromRequest(req),
+                before: { keep, duplicate },
+                after: merged,
+                details: { duplicateId, ...summary }
+            });
+            await connection.commit();
+            res.status(200).json({ message: 'Learners merged successfully.', learnerId: keepId, ...summary });
+        } catch (error) {
+            await rollback(connection);
+            console.error('Error merging learners:', error);
+            res.status(500).json({ message: 'Error merging learners.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Get attendance records for a specific learner (trainers: only their courses)
+    router.get('/api/learners/:id/attendance', requireAuth, canViewAttendance, validate({ params: learnerParams }), async (req, res) => {
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const rows = await attendance.findLearnerSessions(connection, req.params.id, req.user);
+
+            // Group the session rows into one entry per course, keeping query order
+            const groupedRecords = new Map();
+            rows.forEach(row => {
+                if (!groupedRecords.has(row.record_id)) {
+                    groupedRecords.set(row.record_id, {
+                        attendanceDate: row.attendance_date,
+                        moduleDay: row.module_day,
+                        moduleTitle: row.module_title,
+                        courseId: row.course_id,
+                        courseStartDate: row.start_date,
+                        venue: row.venue,
+                        sessionCount: 0,
+                        signatures: {},
+                        isSignedStatus: {},
+                        submissionTimestamp: row.submission_timestamp
+                    });
+                }
+                sessions.addSessionToGroup(groupedRecords.get(row.record_id), row);
+            });
+
+            res.status(200).json([...groupedRecords.values()]); // Send array of grouped attendance
+        } catch (error) {
+            console.error('Error fetching attendance records for admin dashboard:', error);
+            res.status(500).json({ message: 'Error fetching attendance records.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Signing timeline for a learner: one entry per signature in the order they were made.
+    // Optional courseId or moduleTitle narrows it to one module.
+    router.get('/api/learners/:id/timeline', requireAuth, canViewAttendance, validate({
+        params: learnerParams,
+        query: { courseId: { type: 'id' }, moduleTitle: { type: 'string', maxLength: 255 } }
+    }), async (req, res) => {
+        const { courseId, moduleTitle } = req.query;
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const rows = await attendance.findTimeline(connection, req.params.id, req.user, { courseId, moduleTitle });
+            res.status(200).json(rows.map(row => ({
+                signatureId: row.signature_id,
+                courseId: row.course_id,
+                moduleTitle: row.module_title,
+                courseStartDate: row.start_date,
+                venue: row.venue,
+                sessionNum: row.session_num,
+                sessionDate: row.session_date,
+                signedAt: row.signed_at,
+                clientDate: row.client_date,
+                ipAddress: row.ip_address,
+                userAgent: row.user_agent
+            })));
+        } catch (error) {
+            console.error('Error fetching signing timeline:', error);
+            res.status(500).json({ message: 'Error fetching signing timeline.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Correct a learner's name or profile. Body: any of learnerName, email, phone, employer,
+    // neboshLearnerNumber, dateOfBirth; an empty value clears a profile field.
+    router.patch('/api/learners/:id', requireAuth, canManageLearners, validate({
+        params: learnerParams,
+        body: { learnerName, ...learners.PROFILE_FIELDS }
+    }), async (req, res) => {
+        const changes = {};
+        if (req.body.learnerName !== undefined) {
+            const parsedName = learners.parseLearnerName(req.body.learnerName);
+            if (parsedName.error) {
+                return sendFieldError(res, 'body', 'learnerName', parsedName.error);
+            }
+            changes.learner_name = parsedName.name;
+        }
+        const parsedProfile = learners.parseProfile(req.body);
+        if (parsedProfile.error) {
+            return sendFieldError(res, 'body', parsedProfile.field, parsedProfile.error);
+        }
+        Object.assign(changes, parsedProfile.profile);
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ code: 'NOTHING_TO_UPDATE', message: 'No fields to update.' });
+        }
+
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            await connection.beginTransaction();
+            const before = await learners.findLearner(connection, req.params.id, { forUpdate: true });
+            if (!before) {
+                await connection.rollback();
+                return res.status(404).json({ message: 'Learner not found.' });
+            }
+            if (before.archived_at) {
+                await connection.rollback();
+                return res.status(409).json({ message: 'Learner is archived. Restore them before editing.' });
+            }
+            await learners.updateLearner(connection, req.params.id, changes);
+            await audit.record(connection, {
+                action: audit.ACTIONS.EDIT,
+                entityType: 'learner',
+                entityId: req.params.id,
+                actor: audit.actorFromRequest(req),
+                before,
+                after: await learners.findLearner(connection, req.params.id),
+                details: { fields: Object.keys(changes) }
+            });
+            await connection.commit();
+            res.status(200).json({ message: 'Learner updated successfully.' });
+        } catch (error) {
+            await rollback(connection);
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({ message: 'That NEBOSH learner number belongs to another learner.' });
+            }
+            console.error('Error updating learner:', error);
+            res.status(500).json({ message: 'Error updating learner.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Archive a learner. They disappear from the learner lists, search and the kiosk, but their
+    // attendance and signatures are kept until scripts/purge-learners.js deletes them after the
+    // retention period.
+    router.delete('/api/learners/:id', requireAuth, canManageLearners, validate({ params: learnerParams }), async (req, res) => {
+        const learnerId = req.params.id;
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            await connection.beginTransaction(); // Start a transaction
+
+            if (!(await learners.archiveLearner(connection, learnerId, req.user.userId))) {
+                await connection.rollback();
+                return res.status(404).json({ message: 'Learner not found.' });
+            }
+            const archived = await learners.findLearner(connection, learnerId);
+            await audit.record(connection, {
+                action: audit.ACTIONS.ARCHIVE,
+                entityType: 'learner',
+                entityId: learnerId,
+                actor: audit.actorFromRequest(req),
+                before: { ...archived, archived_at: null, archived_by: null },
+                after: archived
+            });
+
+            await connection.commit(); // Commit the transaction
+            res.status(200).json({ message: 'Learner archived successfully.' });
+        } catch (error) {
+            await rollback(connection); // Rollback on error
+            console.error('Error archiving learner:', error);
+            res.status(500).json({ message: 'Error archiving learner.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Bring an archived learner back
+    router.post('/api/learners/:id/restore', requireAuth, canManageLearners, validate({ params: learnerParams }), async (req, res) => {
+        const learnerId = req.params.id;
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            await connection.beginTransaction();
+            const learner = await learners.findLearner(connection, learnerId, { forUpdate: true });
+            if (!learner || !learner.archived_at) {
+                await connection.rollback();
+                return res.status(404).json({ message: 'Archived learner not found.' });
+            }
+            await learners.restoreLearner(connection, learnerId);
+            await audit.record(connection, {
+                action: audit.ACTIONS.RESTORE,
+                entityType: 'learner',
+                entityId: learnerId,
+                actor: audit.actorFromRequest(req),
+                before: learner,
+                after: { ...learner, archived_at: null, archived_by: null }
+            });
+            await connection.commit();
+            res.status(200).json({ message: 'Learner restored successfully.' });
+        } catch (error) {
+            await rollback(connection);
+            console.error('Error restoring learner:', error);
+            res.status(500).json({ message: 'Error restoring learner.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    return router;
+}
+
+module.exports = createLearnersRouter;
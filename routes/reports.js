@@ -0,0 +1,68 @@
+const express = require('express');
+const { ROLES } = require('../services/auth');
+const reports = require('../services/reports');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+// Attendance statistics for management, computed in SQL. Every report takes dateFrom / dateTo,
+// module and courseId; see services/reports.js. Trainers only get figures for their own courses.
+function createReportsRouter({ pool, requireAuth }) {
+    const router = express.Router();
+
+    router.use('/api/reports', requireAuth, requireRole(ROLES.ADMINISTRATOR, ROLES.TRAINER, ROLES.AUDITOR));
+
+    // Runs one report, taking the shared filters plus the report's own query fields.
+    // build(connection, filters, user, query) resolves to the response body.
+    function report(name, query, build) {
+        return [validate({ query: { ...reports.FILTER_QUERY, ...query } }), async (req, res) => {
+            let connection;
+            try {
+                connection = await pool.getConnection();
+                res.status(200).json(await build(connection, reports.parseFilters(req.query), req.user, req.query));
+            } catch (error) {
+                console.error(`Error building ${name} report:`, error);
+                res.status(500).json({ message: `Error building ${name} report.` });
+            } finally {
+                if (connection) connection.release();
+            }
+        }];
+    }
+
+    // Completion rate and average sessions signed, ?groupBy=module (default) or month
+    router.get('/api/reports/completion', report(
+        'completion',
+        { groupBy: { type: 'enum', values: Object.keys(reports.COMPLETION_GROUPS), default: 'module' } },
+        (connection, filters, user, query) => reports.completion(connection, filters, user, query.groupBy)
+    ));
+
+    // How many learners signed, and dropped off at, each session number
+    router.get('/api/reports/drop-off', report(
+        'drop-off',
+        {},
+        async (connection, filters, user) => ({ sessions: await reports.dropOff(connection, filters, user) })
+    ));
+
+    // Learners with unsigned sessions, paged with ?page= and ?pageSize=
+    router.get('/api/reports/incomplete', report(
+        'incomplete',
+        {
+            page: { type: 'int', min: 1, default: 1 },
+            pageSize: { type: 'int', min: 1, default: reports.DEFAULT_PAGE_SIZE }
+        },
+        (connection, filters, user, query) => reports.incomplete(connection, filters, user, {
+            page: query.page,
+            pageSize: Math.min(query.pageSize, reports.MAX_PAGE_SIZE)
+        })
+    ));
+
+    // New learner registrations over time, ?interval=day, week or month (default)
+    router.get('/api/reports/registrations', report(
+        'registrations',
+        { interval: { type: 'enum', values: Object.keys(reports.REGISTRATION_INTERVALS), default: 'month' } },
+        (connection, filters, user, query) => reports.registrations(connection, filters, user, query.interval)
+    ));
+
+    return router;
+}
+
+module.exports = createReportsRouter;
@@ -0,0 +1,163 @@
+const express = require('express');
+const { pipeline } = require('stream');
+const { ROLES } = require('../services/auth');
+const audit = require('../services/audit');
+const signatures = require('../services/signatures');
+const { mimeTypeForRef } = require('../services/signatureStore');
+const signatureImage = require('../services/signatureImage');
+const { requireRole } = require('../middleware/auth');
+const { validate, sendFieldError } = require('../middleware/validate');
+const { rollback } = require('../config/db');
+
+const MIN_REASON_LENGTH = 10;
+const signatureParams = { id: { type: 'id' } };
+
+// Individual session signatures: image download and the admin override
+function createSignaturesRouter({ pool, requireAuth, signatureStore }) {
+    const router = express.Router();
+
+    // Stream one signature image. Trainers can only fetch signatures from their own courses.
+    router.get('/api/signatures/:id/image', requireAuth, requireRole(ROLES.ADMINISTRATOR, ROLES.TRAINER, ROLES.AUDITOR), validate({
+        params: signatureParams
+    }), async (req, res) => {
+        let connection;
+        let signature;
+        try {
+            connection = await pool.getConnection();
+            signature = await signatures.findSignatureImage(connection, req.params.id, req.user);
+        } catch (error) {
+            console.error('Error fetching signature:', error);
+            return res.status(500).json({ message: 'Error fetching signature.' });
+        } finally {
+            if (connection) connection.release();
+        }
+
+        if (!signature) {
+            return res.status(404).json({ message: 'Signature not found.' });
+        }
+        res.set('Cache-Control', 'private, max-age=3600');
+        // Images opened directly must not be able to run anything, whatever they contain
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.set('Content-Security-Policy', "default-src 'none'");
+
+        // Rows not yet moved by scripts/migrate-signatures.js still hold the data URL. It was
+        // stored unchecked, so it is only sent re-rendered as a PNG, like new signatures.
+        if (!signature.signature_ref) {
+            let image;
+            try {
+                image = await signatureImage.normalizeSignature(signature.signature_data, { checkInk: false });
+            } catch (error) {
+                console.warn(`Signature ${req.params.id} image not sent: ${error.message}`);
+                return res.status(404).json({ message: 'Signature image not available.' });
+            }
+            return res.type(image.mimeType).send(image.buffer);
+        }
+
+        try {
+            const stream = await signatureStore.open(signature.signature_ref);
+            res.type(mimeTypeForRef(signature.signature_ref));
+            res.set('ETag', `"${signature.signature_sha256}"`);
+            pipeline(stream, res, error => {
+                if (error) console.error('Error streaming signature image:', error.message);
+            });
+        } catch (error) {
+            console.error('Error opening signature image:', error);
+            res.status(404).json({ message: 'Signature image not available.' });
+        }
+    });
+
+    // Replace an existing signature. The old one is kept in superseded_signatures with the reason.
+    // Body: { signatureData, reason, attendanceDate (the admin's own date, kept as given) }
+    router.post('/api/signatures/:id/override', requireAuth, requireRole(ROLES.ADMINISTRATOR), validate({
+        params: signatureParams,
+        body: {
+            signatureData: { type: 'string', required: true },
+            reason: { type: 'string', required: true, minLength: MIN_REASON_LENGTH, maxLength: 1000 },
+            attendanceDate: { type: 'string', maxLength: 40 }
+        }
+    }), async (req, res) => {
+        const { signatureData, reason, attendanceDate } = req.body;
+        // Decode, check and normalize the image before touching the database
+        let image;
+        try {
+            image = await signatureImage.normalizeSignature(signatureData);
+        } catch (error) {
+            if (error instanceof signatureImage.SignatureValidationError) {
+                return error.status === 400
+                    ? sendFieldError(res, 'body', 'signatureData', error.message, 'INVALID_SIGNATURE')
+                    : res.status(error.status).json({ message: error.message });
+            }
+            console.error('Error checking signature image:', error);
+            return res.status(500).json({ message: 'Error checking signature image.' });
+        }
+
+        let connection;
+        let stored;
+        try {
+            connection = await pool.getConnection();
+            await connection.beginTransaction();
+
+            const previous = await signatures.findSignatureForUpdate(connection, req.params.id);
+            if (!previous) {
+                await connection.rollback();
+                return res.status(404).json({ message: 'Signature not found.' });
+            }
+
+            const supersededId = await signatures.supersedeSignature(connection, previous, req.user.userId, String(reason).trim());
+            stored = await signatureStore.save(image.buffer, image.mimeType);
+            await signatures.replaceSignatureImage(connection, previous.signature_id, stored, {
+                clientDate: attendanceDate || null,
+                ipAddress: req.ip || null,
+                userAgent: (req.get('User-Agent') || '').slice(0, 512) || null
+            });
+            await audit.record(connection, {
+                action: audit.ACTIONS.RESIGN,
+                entityType: 'signature',
+                entityId: previous.signature_id,
+                actor: audit.actorFromRequest(req),
+                beforeHash: previous.signature_sha256 || audit.hashState(previous.signature_data),
+                afterHash: stored.sha256,
+                details: {
+                    learnerId: previous.learner_id,
+                    courseId: previous.course_id,
+                    sessionNum: previous.session_num,
+                    supersededId,
+                    reason: String(reason).trim()
+                }
+            });
+
+            await connection.commit();
+            res.status(200).json({
+                message: `Session ${previous.session_num} signature replaced successfully.`,
+                supersededId
+            });
+        } catch (error) {
+            await rollback(connection);
+            if (stored) await signatureStore.remove(stored.ref);
+            console.error('Error overriding signature:', error);
+            res.status(500).json({ message: 'Error overriding signature.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Signatures that were replaced through the override, newest first
+    router.get('/api/signatures/:id/superseded', requireAuth, requireRole(ROLES.ADMINISTRATOR, ROLES.AUDITOR), validate({
+        params: signatureParams
+    }), async (req, res) => {
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            res.status(200).json(await signatures.listSuperseded(connection, req.params.id));
+        } catch (error) {
+            console.error('Error fetching superseded signatures:', error);
+            res.status(500).json({ message: 'Error fetching superseded signatures.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    return router;
+}
+
+module.exports = createSignaturesRouter;
@@ -0,0 +1,211 @@
+const express = require('express');
+const audit = require('../services/audit');
+const signatureImage = require('../services/signatureImage');
+const { SIGNING_FIELDS, SigningError, parseSigningRequest, findSyncedSignature } = require('../services/signing');
+const { codeForStatus } = require('../middleware/errors');
+const { checkFields, validate } = require('../middleware/validate');
+const { rollback } = require('../config/db');
+
+const MAX_ITEMS = 50;
+// The fields of one queued signature: those of POST /api/sign-session, plus the key the tablet
+// generated for it and when the learner signed
+const ITEM_FIELDS = {
+    idempotencyKey: {
+        type: 'string',
+        required: true,
+        pattern: /^[A-Za-z0-9_.:-]{8,64}$/,
+        message: 'idempotencyKey must be 8 to 64 letters, digits or -_.: characters.'
+    },
+    // With Z or an offset: the server would otherwise read it in its own time zone, not the tablet's
+    capturedAt: {
+        type: 'datetime',
+        required: true,
+        check: value => (/(Z|[+-]\d{2}:?\d{2})$/.test(value) ? null : 'must end in Z or a UTC offset such as +01:00')
+    },
+    ...SIGNING_FIELDS
+};
+// How far ahead of the server clock a tablet's captured-at time may be
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function duplicateResult(idempotencyKey, synced) {
+    return {
+        idempotencyKey,
+        status: 'duplicate',
+        signatureId: synced.signature_id,
+        learnerId: synced.learner_id,
+        courseId: synced.course_id,
+        sessionNum: synced.session_num,
+        signedAt: synced.signed_at
+    };
+}
+
+// Offline signing: the kiosk tablet queues signatures while it has no connection and sends them
+// here when it is back online
+function createSyncRouter({ pool, signatureStore, signing, limits }) {
+    const router = express.Router();
+
+    // Checks the parts of one queued signature that need no database. Resolves to the request
+    // for signing.sign(), or { error } in the form of an error response.
+    async function parseItem(item, req) {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            return { error: { code: 'VALIDATION_FAILED', message: 'Each item must be an object.' } };
+        }
+        const { values, details } = checkFields(ITEM_FIELDS, item, 'item');
+        if (details.length > 0) {
+            return { error: { code: 'VALIDATION_FAILED', message: details.map(detail => detail.message).join(' '), details } };
+        }
+        const capturedAt = new Date(values.capturedAt);
+        if (capturedAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+            return { error: { code: 'VALIDATION_FAILED', message: 'capturedAt is in the future. Check the tablet clock.' } };
+        }
+        const parsed = parseSigningRequest(values);
+        if (parsed.error) {
+            const details = [{ location: 'item', field: parsed.field, code: 'INVALID_VALUE', message: parsed.error }];
+            return { error: { code: 'VALIDATION_FAILED', message: parsed.error, details } };
+        }
+        let image;
+        try {
+            image = await signatureImage.normalizeSignature(values.signatureData);
+        } catch (error) {
+            if (error instanceof signatureImage.SignatureValidationError) {
+                return { error: { code: codeForStatus(error.status), message: error.message } };
+            }
+            throw error;
+        }
+        return {
+            ...parsed,
+            learnerName: values.learnerName,
+            attendanceDate: values.attendanceDate,
+            courseId: values.courseId,
+            checkInCode: values.checkInCode,
+            image,
+            capturedAt,
+            idempotencyKey: values.idempotencyKey,
+            actor: audit.actorFromRequest(req),
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        };
+    }
+
+    // Applies one queued signature in its own transaction, on a connection of its own, so one bad
+    // item, or a connection that fails under it, does not hold up the rest
+    async function syncItem(item, req) {
+        const request = await parseItem(item, req);
+        if (request.error) {
+            return { idempotencyKey: item && item.idempotencyKey, status: 'rejected', ...request.error };
+        }
+        const { idempotencyKey } = request;
+
+        let connection;
+        let signed;
+        let committed = false;
+        try {
+            connection = await pool.getConnection();
+            await connection.beginTransaction();
+            const synced = await findSyncedSignature(connection, idempotencyKey);
+            if (synced) {
+                await connection.rollback();
+                return duplicateResult(idempotencyKey, synced);
+            }
+            signed = await signing.sign(connection, request);
+            await connection.commit();
+            committed = true;
+
+            await signing.finish(connection, signed);
+            return {
+                idempotencyKey,
+                status: 'accepted',
+                signatureId: signed.signatureId,
+                learnerId: signed.learnerId,
+                courseId: signed.course.course_id,
+                sessionNum: signed.sessionNumber,
+                certificateNumber: signed.certificateNumber
+            };
+        } catch (error) {
+            if (!committed) {
+                await rollback(connection);
+            }
+            if (signed && !committed) {
+                await signatureStore.remove(signed.signatureRef);
+            }
+            if (error instanceof SigningError) {
+                if (error.code === 'DUPLICATE_KEY') {
+                    // Another sync of the same batch got there first
+                    const synced = await findSyncedSignature(connection, idempotencyKey);
+                    return synced
+                        ? duplicateResult(idempotencyKey, synced)
+                        : { idempotencyKey, status: 'error', code: error.code, message: error.message };
+                }
+                if (error.code === 'ALREADY_SIGNED') {
+                    return {
+                        idempotencyKey,
+                        status: 'conflict',
+                        code: error.code,
+                        message: error.message,
+                        ...(error.details ? { existingSignature: error.details } : {})
+                    };
+                }
+                return { idempotencyKey, status: 'rejected', code: error.code || codeForStatus(error.status), message: error.message };
+            }
+            console.error(`Error syncing signature ${idempotencyKey}:`, error);
+            return { idempotencyKey, status: 'error', code: 'INTERNAL_ERROR', message: 'Server error. Send this signature again later.' };
+        } finally {
+            if (connection) connection.release();
+        }
+    }
+
+    // Body: { items: [{ idempotencyKey, capturedAt, ...the fields of POST /api/sign-session }] }, at
+    // most 50 items. capturedAt is when the learner signed, as an ISO 8601 date and time with Z or
+    // an offset; the session's check-in window must have been open then. Items are applied in order
+    // and replaying a batch is safe.
+    // Each result has the item's idempotencyKey and a status:
+    //   accepted   - signed now
+    //   duplicate  - already synced under this key; nothing changed
+    //   conflict   - the learner already has a different signature for the session
+    //   rejected   - the item is invalid or the session was not open; sending it again will not help
+    //   error      - a server error, or too many wrong check-in codes from this kiosk (code
+    //                TOO_MANY_REQUESTS); keep the item and send it again later
+    // Results other than accepted and duplicate also have the code and message of an error
+    // response, and details for invalid fields.
+    // Each different check-in code rejected as invalid counts once towards the lockout, so a
+    // tablet whose queue holds one expired code is not locked out for it.
+    router.post('/api/sync/signatures', limits.sync, limits.checkInFailures.guard(), validate({
+        body: { items: { type: 'array', required: true, minItems: 1, maxItems: MAX_ITEMS } }
+    }), async (req, res) => {
+        const { items } = req.body;
+
+        try {
+            const results = [];
+            const invalidCodes = new Set();
+            let lockedFor = 0;
+            for (const item of items) {
+                if (lockedFor) {
+                    results.push({
+                        idempotencyKey: item && item.idempotencyKey,
+                        status: 'error',
+                        code: 'TOO_MANY_REQUESTS',
+                        message: limits.checkInFailures.message,
+                        retryAfter: lockedFor
+                    });
+                    continue;
+                }
+                const result = await syncItem(item, req);
+                results.push(result);
+                if (result.code === 'CHECK_IN_INVALID' && !invalidCodes.has(item.checkInCode)) {
+                    invalidCodes.add(item.checkInCode);
+                    lockedFor = await limits.checkInFailures.recordFailure(req);
+                }
+            }
+            const summary = { accepted: 0, duplicate: 0, conflict: 0, rejected: 0, error: 0 };
+            results.forEach(result => { summary[result.status]++; });
+            res.status(200).json({ summary, results });
+        } catch (error) {
+            console.error('Error syncing signatures:', error);
+            res.status(500).json({ message: 'Error syncing signatures.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createSyncRouter;
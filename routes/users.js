@@ -0,0 +1,89 @@
+const express = require('express');
+const auth = require('../services/auth');
+const { requireRole } = require('../middleware/auth');
+const { validate, sendFieldError } = require('../middleware/validate');
+
+const VALID_ROLES = Object.values(auth.ROLES);
+const roleField = { type: 'enum', values: VALID_ROLES, required: true };
+
+// Dashboard account management. Administrators only.
+function createUsersRouter({ pool, requireAuth }) {
+    const router = express.Router();
+
+    router.use('/api/users', requireAuth, requireRole(auth.ROLES.ADMINISTRATOR));
+
+    // List dashboard accounts
+    router.get('/api/users', async (req, res) => {
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            res.status(200).json(await auth.listUsers(connection));
+        } catch (error) {
+            console.error('Error fetching users:', error);
+            res.status(500).json({ message: 'Error fetching users.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Create a trainer, administrator or auditor account
+    router.post('/api/users', validate({
+        body: {
+            email: { type: 'email', required: true },
+            password: { type: 'string', required: true },
+            role: roleField
+        }
+    }), async (req, res) => {
+        const { email, password, role } = req.body;
+
+        const strengthError = auth.checkPasswordStrength(password);
+        if (strengthError) {
+            return sendFieldError(res, 'body', 'password', strengthError, 'WEAK_PASSWORD');
+        }
+
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const userId = await auth.createUser(connection, email, password, role);
+            res.status(201).json({ message: 'User created successfully.', userId });
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({ message: 'A user with this email already exists.' });
+            }
+            console.error('Error creating user:', error);
+            res.status(500).json({ message: 'Error creating user.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    // Change a user's role. Takes effect on their next request.
+    router.patch('/api/users/:id/role', validate({
+        params: { id: { type: 'id' } },
+        body: { role: roleField }
+    }), async (req, res) => {
+        const { role } = req.body;
+
+        if (String(req.params.id) === String(req.user.userId)) {
+            return sendFieldError(res, 'params', 'id', 'You cannot change your own role.');
+        }
+
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            if (!(await auth.setUserRole(connection, req.params.id, role))) {
+                return res.status(404).json({ message: 'User not found.' });
+            }
+            res.status(200).json({ message: 'Role updated successfully.' });
+        } catch (error) {
+            console.error('Error updating user role:', error);
+            res.status(500).json({ message: 'Error updating user role.' });
+        } finally {
+            if (connection) connection.release();
+        }
+    });
+
+    return router;
+}
+
+module.exports = createUsersRouter;
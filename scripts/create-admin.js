@@ -0,0 +1,35 @@
+// Creates (or resets the password of) a dashboard account.
+// Usage: node scripts/create-admin.js <email> <password> [trainer|administrator|auditor]
+require('dotenv').config();
+const { createConnection } = require('../config/db');
+const auth = require('../services/auth');
+
+async function main() {
+    const [email, password, role = auth.ROLES.ADMINISTRATOR] = process.argv.slice(2);
+    if (!email || !password) {
+        console.error('Usage: node scripts/create-admin.js <email> <password> [trainer|administrator|auditor]');
+        process.exit(1);
+    }
+    if (!Object.values(auth.ROLES).includes(role)) {
+        console.error(`Invalid role: ${role}`);
+        process.exit(1);
+    }
+    const strengthError = auth.checkPasswordStrength(password);
+    if (strengthError) {
+        console.error(strengthError);
+        process.exit(1);
+    }
+
+    const connection = await createConnection();
+    try {
+        await auth.saveUser(connection, email, password, role);
+        console.log(`${role} account ready for ${email}`);
+    } finally {
+        await connection.end();
+    }
+}
+
+main().catch(err => {
+    console.error('Error creating admin:', err.message);
+    process.exit(1);
+});
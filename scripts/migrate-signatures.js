@@ -0,0 +1,73 @@
+// Moves signature images still held as data URLs in the database into the signature store,
+// leaving only the storage reference and checksum on each row. Each image is checked and
+// re-rendered as a PNG on the way, as new signatures are, so nothing stored unchecked (an SVG
+// with a script in it, say) reaches the store. Safe to re-run.
+// Usage: node scripts/migrate-signatures.js
+require('dotenv').config();
+const { loadConfig } = require('../config');
+const { createConnection } = require('../config/db');
+const signatureStorage = require('../services/signatureStore');
+const signatureImage = require('../services/signatureImage');
+
+const BATCH_SIZE = 100;
+const TABLES = [
+    { table: 'attendance_signatures', idColumn: 'signature_id' },
+    { table: 'superseded_signatures', idColumn: 'superseded_id' }
+];
+
+async function migrateTable(connection, store, { table, idColumn }) {
+    let lastId = 0;
+    let moved = 0;
+    let skipped = 0;
+
+    for (;;) {
+        const [rows] = await connection.execute(
+            `SELECT ${idColumn} AS id, signature_data
+            FROM ${table}
+            WHERE ${idColumn} > ? AND signature_ref IS NULL AND signature_data IS NOT NULL
+            ORDER BY ${idColumn}
+            LIMIT ${BATCH_SIZE}`,
+            [lastId]
+        );
+        if (rows.length === 0) {
+            break;
+        }
+        for (const row of rows) {
+            lastId = row.id;
+            let image;
+            try {
+                // Signatures taken before the ink checks existed are kept however faint
+                image = await signatureImage.normalizeSignature(row.signature_data, { checkInk: false });
+            } catch (error) {
+                if (!(error instanceof signatureImage.SignatureValidationError)) throw error;
+                console.warn(`${table} ${row.id}: ${error.message} Left in place.`);
+                skipped++;
+                continue;
+            }
+            const stored = await store.save(image.buffer, image.mimeType);
+            await connection.execute(
+                `UPDATE ${table} SET signature_ref = ?, signature_sha256 = ?, signature_data = NULL WHERE ${idColumn} = ?`,
+                [stored.ref, stored.sha256, row.id]
+            );
+            moved++;
+        }
+    }
+    console.log(`${table}: moved ${moved}, skipped ${skipped}`);
+}
+
+async function main() {
+    const store = signatureStorage.createSignatureStore(signatureStorage.createStorage(loadConfig(process.env, ['storage']).storage));
+    const connection = await createConnection();
+    try {
+        for (const table of TABLES) {
+            await migrateTable(connection, store, table);
+        }
+    } finally {
+        await connection.end();
+    }
+}
+
+main().catch(err => {
+    console.error('Error migrating signatures:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,48 @@
+// Creates or upgrades the database schema from the files in migrations/.
+// Usage:
+//   node scripts/migrate.js                 apply every migration that has not run yet
+//   node scripts/migrate.js status          list migrations and whether they have run
+//   node scripts/migrate.js baseline <NNN>  record migrations up to NNN as already applied,
+//                                           for a database set up by hand before this script
+// The database user needs to create tables, indexes and triggers. With binary logging on (the
+// default on managed MySQL), triggers also need the SUPER privilege or
+// log_bin_trust_function_creators = 1; migrating stops before it starts when neither is there.
+require('dotenv').config();
+const { createConnection } = require('../config/db');
+const migrations = require('../services/migrations');
+
+async function main() {
+    const [command = 'up', version] = process.argv.slice(2);
+    if (!['up', 'status', 'baseline'].includes(command) || (command === 'baseline' && !/^\d{3}$/.test(version || ''))) {
+        console.error('Usage: node scripts/migrate.js [up | status | baseline <NNN>]');
+        process.exit(1);
+    }
+    // Migration files hold several statements each
+    const connection = await createConnection({ multipleStatements: true });
+    try {
+        if (command === 'status') {
+            const status = await migrations.getStatus(connection);
+            status.forEach(entry => {
+                const state = entry.missing ? 'applied, file missing'
+                    : entry.changed ? 'applied, file changed since'
+                        : entry.applied ? 'applied' : 'pending';
+                console.log(`${entry.version} ${entry.name.padEnd(32)} ${state}`);
+            });
+            return;
+        }
+        if (command === 'baseline') {
+            const recorded = await migrations.markApplied(connection, version);
+            console.log(`${recorded.length} migration(s) up to ${version} recorded as applied`);
+            return;
+        }
+        const applied = await migrations.migrate(connection, { log: message => console.log(message) });
+        console.log(applied.length > 0 ? `${applied.length} migration(s) applied` : 'Database is up to date');
+    } finally {
+        await connection.end();
+    }
+}
+
+main().catch(err => {
+    console.error('Error migrating database:', err.message);
+    process.exit(1);
+});
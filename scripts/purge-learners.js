@@ -0,0 +1,55 @@
+// Permanently deletes learners archived longer than the retention period, with their
+// attendance records, signature images and certificates. Run it from a scheduled job.
+// Usage: node scripts/purge-learners.js [--dry-run]
+// LEARNER_RETENTION_DAYS (default 2190, six years) sets how long archived learners are kept.
+require('dotenv').config();
+const { loadConfig } = require('../config');
+const { createConnection, rollback } = require('../config/db');
+const audit = require('../services/audit');
+const learners = require('../services/learners');
+const signatureStorage = require('../services/signatureStore');
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const config = loadConfig(process.env, ['storage', 'learners']);
+    const { retentionDays } = config.learners;
+    const store = signatureStorage.createSignatureStore(signatureStorage.createStorage(config.storage));
+    const connection = await createConnection();
+    try {
+        const due = await learners.findArchivedBefore(connection, retentionDays);
+        console.log(`${due.length} learner(s) archived more than ${retentionDays} days ago`);
+        if (dryRun) {
+            due.forEach(row => console.log(`would purge ${row.learner_id} ${row.learner_name} (archived ${row.archived_at.toISOString()})`));
+            return;
+        }
+
+        const actor = audit.systemActor('purge-learners');
+        for (const { learner_id: learnerId } of due) {
+            let refs;
+            try {
+                await connection.beginTransaction();
+                const learner = await learners.findLearner(connection, learnerId, { forUpdate: true });
+                // Restored since the list was read
+                if (!learner || !learner.archived_at) {
+                    await rollback(connection);
+                    continue;
+                }
+                refs = await learners.purgeLearner(connection, learner, actor);
+                await connection.commit();
+            } catch (error) {
+                await rollback(connection);
+                throw error;
+            }
+            // Images go only once nothing references them
+            await Promise.all(refs.map(ref => store.remove(ref)));
+            console.log(`purged learner ${learnerId} (${refs.length} stored file(s) removed)`);
+        }
+    } finally {
+        await connection.end();
+    }
+}
+
+main().catch(err => {
+    console.error('Error purging learners:', err.message);
+    process.exit(1);
+});
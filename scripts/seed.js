@@ -0,0 +1,97 @@
+// Fills an empty database with demo data: an administrator, a trainer, a course starting
+// today with four sessions, and a few learners enrolled on it. Run scripts/migrate.js first.
+// Usage: node scripts/seed.js [--force]
+// Refuses when the database already has learners or courses, unless --force is given.
+// SEED_ADMIN_PASSWORD and SEED_TRAINER_PASSWORD set the account passwords; otherwise random
+// ones are generated and printed.
+require('dotenv').config();
+const crypto = require('crypto');
+const { createConnection, rollback } = require('../config/db');
+const auth = require('../services/auth');
+const courses = require('../services/courses');
+const sessions = require('../services/sessions');
+const learners = require('../services/learners');
+
+const ADMIN_EMAIL = 'admin@example.com';
+const TRAINER_EMAIL = 'trainer@example.com';
+const LEARNERS = [
+    { name: 'Alex Morgan', profile: { email: 'alex.morgan@example.com', employer: 'Northside Construction' } },
+    { name: 'Priya Shah', profile: { email: 'priya.shah@example.com', employer: 'Northside Construction' } },
+    { name: 'Tomasz Nowak', profile: { phone: '+44 7700 900123' } },
+    { name: 'Grace Okafor', profile: {} }
+];
+
+function isoDate(daysFromToday) {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + daysFromToday);
+    return date.toISOString().slice(0, 10);
+}
+
+// Resolves to the account's user_id
+async function seedUser(connection, email, password, role) {
+    await auth.saveUser(connection, email, password, role);
+    const users = await auth.listUsers(connection);
+    return users.find(user => user.email === email).user_id;
+}
+
+async function main() {
+    const force = process.argv.includes('--force');
+    const passwords = {
+        admin: process.env.SEED_ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url'),
+        trainer: process.env.SEED_TRAINER_PASSWORD || crypto.randomBytes(9).toString('base64url')
+    };
+    for (const password of Object.values(passwords)) {
+        const strengthError = auth.checkPasswordStrength(password);
+        if (strengthError) {
+            console.error(strengthError);
+            process.exit(1);
+        }
+    }
+
+    const connection = await createConnection();
+    try {
+        const everyone = { role: auth.ROLES.ADMINISTRATOR };
+        const learnerCount = await learners.countLearners(connection, everyone);
+        const courseCount = (await courses.listCourses(connection, everyone)).length;
+        if ((learnerCount > 0 || courseCount > 0) && !force) {
+            console.error(`Database already has ${learnerCount} learner(s) and ${courseCount} course(s). Use --force to seed anyway.`);
+            process.exit(1);
+        }
+
+        await connection.beginTransaction();
+        try {
+            await seedUser(connection, ADMIN_EMAIL, passwords.admin, auth.ROLES.ADMINISTRATOR);
+            const trainerId = await seedUser(connection, TRAINER_EMAIL, passwords.trainer, auth.ROLES.TRAINER);
+            const courseId = await courses.createCourse(connection, {
+                unit: 'NEBOSH IG1',
+                startDate: isoDate(0),
+                venue: 'Training Room 1',
+                trainerId
+            });
+            await sessions.replaceSchedule(connection, courseId, [0, 1, 7, 8].map(day => ({
+                date: isoDate(day),
+                startTime: '09:00',
+                endTime: '16:30'
+            })));
+            for (const { name, profile } of LEARNERS) {
+                const learnerId = await learners.createLearner(connection, name, profile);
+                await courses.enrollLearner(connection, courseId, learnerId);
+            }
+            await connection.commit();
+            console.log(`Course ${courseId} created with ${LEARNERS.length} enrolled learners`);
+        } catch (error) {
+            await rollback(connection);
+            throw error;
+        }
+
+        console.log(`administrator: ${ADMIN_EMAIL} / ${passwords.admin}`);
+        console.log(`trainer:       ${TRAINER_EMAIL} / ${passwords.trainer}`);
+    } finally {
+        await connection.end();
+    }
+}
+
+main().catch(err => {
+    console.error('Error seeding database:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,112 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const cors = require('cors');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { createRequireAuth } = require('./middleware/auth');
+const { errorCodes, notFound, handleErrors } = require('./middleware/errors');
+const { createLimits } = require('./middleware/rateLimit');
+const { createOriginCheck } = require('./middleware/origins');
+const { createMemoryStore } = require('./services/rateLimit/memory');
+const { createSignatureStore } = require('./services/signatureStore');
+const { createNotifications } = require('./services/notifications');
+const { createCertificates } = require('./services/certificates');
+const { createSigning } = require('./services/signing');
+const createKioskRouter = require('./routes/kiosk');
+const createAttendanceRouter = require('./routes/attendance');
+const createAuthRouter = require('./routes/auth');
+const createLearnersRouter = require('./routes/learners');
+const createUsersRouter = require('./routes/users');
+const createCoursesRouter = require('./routes/courses');
+const createAuditRouter = require('./routes/audit');
+const createSignaturesRouter = require('./routes/signatures');
+const createExportsRouter = require('./routes/exports');
+const createImportsRouter = require('./routes/imports');
+const createCertificatesRouter = require('./routes/certificates');
+const createCheckInsRouter = require('./routes/checkIns');
+const createSyncRouter = require('./routes/sync');
+const createReportsRouter = require('./routes/reports');
+
+// Builds the Express app without starting it, so tests can run it against their own database.
+// options: { config (the server, auth, email and limits sections of config/index.js), pool, storage
+//            (where signature images and certificates go, { put, getStream, delete }), transport
+//            (email, null for none), rateLimitStore (defaults to counting in this process; see
+//            services/rateLimit/memory.js) }
+// Throws when a setting the app cannot run without is missing. The notification worker is
+// created but not started: call app.locals.notifications.start() once the server is listening.
+function createApp({ config, pool, storage, transport, rateLimitStore = createMemoryStore() }) {
+    // Admin tokens are signed with this secret, so refuse to build the app without one
+    if (!config.auth || !config.auth.tokenSecret) {
+        throw new Error('The auth section of the config, with AUTH_TOKEN_SECRET, is required.');
+    }
+    // Certificates are kept in the same store as signature images
+    const signatureStore = createSignatureStore(storage);
+    const certificates = createCertificates({ storage, verifyBaseUrl: config.server.certificateVerifyUrl });
+    const notifications = createNotifications({
+        pool,
+        transport,
+        from: config.email.from,
+        templatesDir: config.email.templatesDir,
+        registerRecipients: config.email.registerRecipients,
+        signatureStore
+    });
+    const signing = createSigning({ signatureStore, notifications, certificates });
+    const requireAuth = createRequireAuth(pool, config.auth);
+    const limits = createLimits({ store: rateLimitStore, limits: config.limits });
+
+    const app = express();
+    app.locals.notifications = notifications;
+    app.set('trust proxy', config.server.trustProxy);
+
+    app.use(errorCodes); // Error responses are { code, message, details? }; see middleware/errors.js
+    // Turn away floods and other sites' pages before reading any request body
+    app.use('/api', limits.api, createOriginCheck(config.server));
+    // Offline sync sends a batch of signatures at once, so it gets a larger limit than the rest
+    app.use('/api/sync/signatures', bodyParser.json({ limit: config.server.syncBodyLimit }));
+    app.use(bodyParser.json({ limit: config.server.bodyLimit })); // Room for one base64 signature image per request
+    app.use(bodyParser.urlencoded({ extended: true, limit: config.server.bodyLimit }));
+    // Cross-origin requests only from CORS_ORIGINS
+    app.use(cors({ origin: config.server.corsOrigins }));
+
+    // Serve the kiosk and dashboard pages: public/ only, never the project root
+    app.use(express.static(config.server.staticDir));
+
+    app.use(createKioskRouter({ pool, signatureStore, signing, limits }));
+    app.use(createAttendanceRouter({ pool, requireAuth }));
+    app.use(createAuthRouter({ pool, requireAuth, limits, tokenSettings: config.auth }));
+    app.use(createLearnersRouter({ pool, requireAuth }));
+    app.use(createUsersRouter({ pool, requireAuth }));
+    app.use(createCoursesRouter({ pool, requireAuth, certificates }));
+    app.use(createAuditRouter({ pool, requireAuth }));
+    app.use(createSignaturesRouter({ pool, requireAuth, signatureStore }));
+    app.use(createExportsRouter({ pool, requireAuth, signatureStore }));
+    app.use(createImportsRouter({ pool, requireAuth }));
+    app.use(createCertificatesRouter({ pool, requireAuth, certificates }));
+    app.use(createCheckInsRouter({ pool, requireAuth, limits, checkInBaseUrl: config.server.checkInUrl }));
+    app.use(createSyncRouter({ pool, signatureStore, signing, limits }));
+    app.use(createReportsRouter({ pool, requireAuth }));
+    // JSON errors for unknown API paths and for anything passed to next(error)
+    app.use('/api', notFound);
+    app.use(handleErrors);
+
+    return app;
+}
+
+// Listens over HTTPS when config.server.tls names a key and certificate, plain HTTP otherwise.
+// Resolves to the server once it is listening.
+function startServer(app, config) {
+    const { tls, port } = config.server;
+    const server = tls
+        ? https.createServer({ key: fs.readFileSync(tls.keyFile), cert: fs.readFileSync(tls.certFile) }, app)
+        : http.createServer(app);
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => {
+            server.off('error', reject);
+            resolve(server);
+        });
+    });
+}
+
+module.exports = { createApp, startServer };
@@ -0,0 +1,254 @@
+const { courseScope } = require('./courses');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 200;
+
+// Sort keys the dashboard may ask for, mapped to columns of the records query
+const SORT_COLUMNS = {
+    lastActivity: 't.submission_timestamp',
+    attendanceDate: 't.attendance_date',
+    learnerName: 't.learner_name',
+    moduleTitle: 't.module_title',
+    courseStartDate: 't.start_date',
+    completion: 't.signed_count / NULLIF(t.session_count, 0)'
+};
+const STATUSES = ['complete', 'incomplete'];
+
+// The filters shared by the attendance list and exports, as query fields for
+// middleware/validate.js: module, courseId, learner (name contains), dateFrom / dateTo (on the
+// last signed date) and status (complete | incomplete)
+const FILTER_QUERY = {
+    module: { type: 'string', maxLength: 255 },
+    courseId: { type: 'id' },
+    learner: { type: 'string', maxLength: 255 },
+    dateFrom: { type: 'date' },
+    dateTo: { type: 'date' },
+    status: { type: 'enum', values: STATUSES }
+};
+// The dashboard list adds paging and sorting. pageSize above the maximum is cut down to it.
+const LIST_QUERY = {
+    ...FILTER_QUERY,
+    sort: { type: 'enum', values: Object.keys(SORT_COLUMNS), default: 'lastActivity' },
+    order: { type: 'enum', values: ['asc', 'desc'] },
+    page: { type: 'int', min: 1, default: 1 },
+    pageSize: { type: 'int', min: 1, default: DEFAULT_PAGE_SIZE },
+    includeSignatures: { type: 'boolean', default: false }
+};
+
+// Reads the filters from a query already checked against FILTER_QUERY
+function parseFilters(query) {
+    return {
+        moduleTitle: query.module || null,
+        courseId: query.courseId || null,
+        learnerName: query.learner || null,
+        dateFrom: query.dateFrom || null,
+        dateTo: query.dateTo || null,
+        status: query.status || null
+    };
+}
+
+// Reads { filters, page, pageSize, sort, order } from a query already checked against LIST_QUERY
+function parseListQuery(query) {
+    const { sort, page } = query;
+    const order = query.order || (sort === 'lastActivity' ? 'desc' : 'asc');
+    const pageSize = Math.min(query.pageSize, MAX_PAGE_SIZE);
+    return { filters: parseFilters(query), page, pageSize, sort, order };
+}
+
+// One row per attendance record with its session and signature counts, restricted to what the
+// user may see and to the filters. Wrapped as derived table "t" so status can filter on counts.
+function recordsQuery(filters, user) {
+    const scope = courseScope(user, 'ar.course_id');
+    // Archived learners are hidden until they are restored or purged
+    const where = ['l.archived_at IS NULL', scope.sql];
+    const params = [...scope.params];
+    if (filters.moduleTitle) {
+        where.push('ar.module_title = ?');
+        params.push(filters.moduleTitle);
+    }
+    if (filters.courseId) {
+        where.push('ar.course_id = ?');
+        params.push(filters.courseId);
+    }
+    if (filters.learnerName) {
+        where.push('l.learner_name LIKE ?');
+        params.push(`%${filters.learnerName}%`);
+    }
+    if (filters.dateFrom) {
+        where.push('ar.attendance_date >= ?');
+        params.push(filters.dateFrom);
+    }
+    if (filters.dateTo) {
+        where.push('ar.attendance_date < ? + INTERVAL 1 DAY');
+        params.push(filters.dateTo);
+    }
+
+    let statusSql = '1 = 1';
+    if (filters.status === 'complete') {
+        statusSql = 't.signed_count >= t.session_count';
+    } else if (filters.status === 'incomplete') {
+        statusSql = 't.signed_count < t.session_count';
+    }
+
+    const sql = `(
+            SELECT
+                ar.record_id,
+                ar.learner_id,
+                l.learner_name,
+                ar.course_id,
+                c.start_date,
+                c.venue,
+                ar.module_title,
+                ar.attendance_date,
+                ar.submission_timestamp,
+                (SELECT COUNT(*) FROM course_sessions cs WHERE cs.course_id = ar.course_id) AS session_count,
+                (SELECT COUNT(*) FROM attendance_signatures s WHERE s.record_id = ar.record_id) AS signed_count
+            FROM attendance_records ar
+            JOIN learners l ON l.learner_id = ar.learner_id
+            JOIN courses c ON c.course_id = ar.course_id
+            WHERE ${where.join(' AND ')}
+        ) t
+        WHERE ${statusSql}`;
+    return { sql, params };
+}
+
+async function countRecords(connection, filters, user) {
+    const query = recordsQuery(filters, user);
+    const [rows] = await connection.execute(`SELECT COUNT(*) AS total FROM ${query.sql}`, query.params);
+    return rows[0].total;
+}
+
+// options: { sort, order, limit, offset }. limit is optional (exports take every row).
+async function findRecords(connection, filters, user, options = {}) {
+    const query = recordsQuery(filters, user);
+    const sortColumn = SORT_COLUMNS[options.sort || 'lastActivity'];
+    const order = options.order === 'asc' ? 'ASC' : 'DESC';
+    // LIMIT/OFFSET are inlined: both are integers parsed above, and prepared statements reject them as parameters
+    const paging = options.limit ? `LIMIT ${Number(options.limit)} OFFSET ${Number(options.offset) || 0}` : '';
+    const [rows] = await connection.execute(
+        `SELECT * FROM ${query.sql} ORDER BY ${sortColumn} ${order}, t.record_id ${order} ${paging}`,
+        query.params
+    );
+    return rows;
+}
+
+// Every session of each record's course, with the signature id and time where it was signed
+async function findSessionRows(connection, recordIds) {
+    if (recordIds.length === 0) {
+        return [];
+    }
+    const [rows] = await connection.execute(
+        `SELECT ar.record_id, cs.session_num, cs.session_date, s.signature_id, s.signed_at
+        FROM attendance_records ar
+        JOIN course_sessions cs ON cs.course_id = ar.course_id
+        LEFT JOIN attendance_signatures s ON s.record_id = ar.record_id AND s.session_id = cs.session_id
+        WHERE ar.record_id IN (${recordIds.map(() => '?').join(', ')})
+        ORDER BY ar.record_id, cs.session_num`,
+        recordIds
+    );
+    return rows;
+}
+
+// The kiosk's view of one learner on one course: the record, or null, and every session of
+// the course with its signature id where signed
+async function findLearnerModule(connection, learnerId, courseId) {
+    const [records] = await connection.execute(
+        `SELECT
+            ar.record_id,
+            ar.learner_id,
+            ar.course_id,
+            ar.attendance_date,
+            ar.module_title
+        FROM attendance_records ar
+        WHERE ar.learner_id = ? AND ar.course_id = ?
+        LIMIT 1`,
+        [learnerId, courseId]
+    );
+    const record = records[0] || null;
+    const [sessionRows] = await connection.execute(
+        `SELECT cs.session_num, s.signature_id
+        FROM course_sessions cs
+        LEFT JOIN attendance_signatures s ON s.session_id = cs.session_id AND s.record_id = ?
+        WHERE cs.course_id = ?
+        ORDER BY cs.session_num`,
+        [record ? record.record_id : null, courseId]
+    );
+    return { record, sessions: sessionRows };
+}
+
+// Every session of each of a learner's courses the user may see, with the signature id
+// where signed. Most recent attendance first, then by record and session number.
+async function findLearnerSessions(connection, learnerId, user) {
+    const scope = courseScope(user, 'ar.course_id');
+    const [rows] = await connection.execute(
+        `SELECT
+            ar.record_id,
+            ar.course_id,
+            c.start_date,
+            c.venue,
+            ar.attendance_date,
+            ar.module_day,
+            ar.module_title,
+            ar.submission_timestamp,
+            cs.session_num,
+            s.signature_id
+        FROM attendance_records ar
+        JOIN courses c ON c.course_id = ar.course_id
+        JOIN course_sessions cs ON cs.course_id = ar.course_id
+        LEFT JOIN attendance_signatures s ON s.record_id = ar.record_id AND s.session_id = cs.session_id
+        WHERE ar.learner_id = ? AND ${scope.sql}
+        ORDER BY ar.attendance_date DESC, ar.submission_timestamp DESC, ar.record_id, cs.session_num`,
+        [learnerId, ...scope.params]
+    );
+    return rows;
+}
+
+// A learner's signatures in the order they were made, optionally for one courseId or moduleTitle
+async function findTimeline(connection, learnerId, user, { courseId, moduleTitle } = {}) {
+    const scope = courseScope(user, 'ar.course_id');
+    const where = ['ar.learner_id = ?', scope.sql];
+    const params = [learnerId, ...scope.params];
+    if (courseId) {
+        where.push('ar.course_id = ?');
+        params.push(courseId);
+    }
+    if (moduleTitle) {
+        where.push('ar.module_title = ?');
+        params.push(moduleTitle);
+    }
+    const [rows] = await connection.execute(
+        `SELECT
+            ar.course_id,
+            ar.module_title,
+            c.start_date,
+            c.venue,
+            cs.session_num,
+            cs.session_date,
+            s.signature_id,
+            s.signed_at,
+            s.client_date,
+            s.ip_address,
+            s.user_agent
+        FROM attendance_signatures s
+        JOIN attendance_records ar ON ar.record_id = s.record_id
+        JOIN course_sessions cs ON cs.session_id = s.session_id
+        JOIN courses c ON c.course_id = ar.course_id
+        WHERE ${where.join(' AND ')}
+        ORDER BY s.signed_at, cs.session_num`,
+        params
+    );
+    return rows;
+}
+
+module.exports = {
+    FILTER_QUERY,
+    LIST_QUERY,
+    parseFilters,
+    parseListQuery,
+    countRecords,
+    findRecords,
+    findSessionRows,
+    findLearnerModule,
+    findLearnerSessions,
+    findTimeline
+};
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+const VERIFY_BATCH_SIZE = 1000;
+
+const ACTIONS = {
+    SIGN: 'sign',
+    RESIGN: 're-sign',
+    EDIT: 'edit',
+    DELETE: 'delete',
+    MERGE: 'merge',
+    ARCHIVE: 'archive',
+    RESTORE: 'restore',
+    ISSUE: 'issue'
+};
+
+// JSON with object keys sorted, so the same value always hashes the same way
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Hash of an entity's state for before/after fields. Strings and buffers (e.g. signature
+// images) are hashed as-is; anything else as canonical JSON. null means "did not exist".
+function hashState(state) {
+    if (state === null || state === undefined) {
+        return null;
+    }
+    if (typeof state === 'string' || Buffer.isBuffer(state)) {
+        return sha256(state);
+    }
+    return sha256(canonicalJson(state));
+}
+
+function computeEntryHash(prevHash, payload) {
+    return sha256(`${prevHash}\n${payload}`);
+}
+
+// Who made the request: a dashboard user, or an anonymous learner at the kiosk
+function actorFromRequest(req) {
+    if (req.user) {
+        return { type: 'user', id: String(req.user.userId), ip: req.ip || null };
+    }
+    return { type: 'learner', id: null, ip: req.ip || null };
+}
+
+// Scheduled jobs and maintenance scripts, identified by name
+function systemActor(name) {
+    return { type: 'system', id: name, ip: null };
+}
+
+// Appends one entry. Must be called inside the caller's transaction so the entry is only kept
+// if the change it describes is committed.
+// entry: { action, entityType, entityId, actor, before, after, details }. beforeHash / afterHash
+// can be passed instead of before / after when the hash is already known (stored images).
+async function record(connection, entry) {
+    const [heads] = await connection.execute(
+        'SELECT last_hash FROM audit_chain_head WHERE head_id = 1 FOR UPDATE'
+    );
+    if (heads.length === 0) {
+        throw new Error('Audit chain head is missing. Has the audit_log migration been run?');
+    }
+    const prevHash = heads[0].last_hash;
+
+    const occurredAt = new Date();
+    const fields = {
+        action: entry.action,
+        entityType: entry.entityType,
+        entityId: String(entry.entityId),
+        actorType: entry.actor.type,
+        actorId: entry.actor.id,
+        actorIp: entry.actor.ip || null,
+        occurredAt: occurredAt.toISOString(),
+        beforeHash: entry.beforeHash !== undefined ? entry.beforeHash : hashState(entry.before),
+        afterHash: entry.afterHash !== undefined ? entry.afterHash : hashState(entry.after),
+        details: entry.details || null
+    };
+    const payload = canonicalJson(fields);
+    const entryHash = computeEntryHash(prevHash, payload);
+
+    const [result] = await connection.execute(
+        `INSERT INTO audit_log
+        (action, entity_type, entity_id, actor_type, actor_id, occurred_at,
+         before_hash, after_hash, payload, prev_hash, entry_hash)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            fields.action, fields.entityType, fields.entityId, fields.actorType, fields.actorId,
+            occurredAt, fields.beforeHash, fields.afterHash, payload, prevHash, entryHash
+        ]
+    );
+    await connection.execute(
+        'UPDATE audit_chain_head SET last_entry_id = ?, last_hash = ? WHERE head_id = 1',
+        [result.insertId, entryHash]
+    );
+    return { entryId: result.insertId, entryHash };
+}
+
+// Checks one stored row against the previous hash. Returns a reason string, or null if intact.
+function checkEntry(row, expectedPrevHash) {
+    if (row.prev_hash !== expectedPrevHash) {
+        return 'prev_hash does not match the previous entry';
+    }
+    if (computeEntryHash(row.prev_hash, row.payload) !== row.entry_hash) {
+        return 'entry_hash does not match the entry payload';
+    }
+    let fields;
+    try {
+        fields = JSON.parse(row.payload);
+    } catch (error) {
+        return 'payload is not valid JSON';
+    }
+    if (fields.action !== row.action ||
+        fields.entityType !== row.entity_type ||
+        fields.entityId !== row.entity_id ||
+        fields.actorType !== row.actor_type ||
+        fields.actorId !== row.actor_id ||
+        fields.beforeHash !== row.before_hash ||
+        fields.afterHash !== row.after_hash) {
+        return 'entry columns do not match the hashed payload';
+    }
+    return null;
+}
+
+// Walks the whole chain in entry order. Resolves to
+// { valid, checked, headHash, brokenAt: { entryId, reason } | null }
+async function verifyChain(connection) {
+    let expectedPrevHash = GENESIS_HASH;
+    let lastEntryId = 0;
+    let checked = 0;
+
+    for (;;) {
+        const [rows] = await connection.execute(
+            `SELECT entry_id, action, entity_type, entity_id, actor_type, actor_id,
+                before_hash, after_hash, payload, prev_hash, entry_hash
+            FROM audit_log
+            WHERE entry_id > ?
+            ORDER BY entry_id
+            LIMIT ${VERIFY_BATCH_SIZE}`,
+            [lastEntryId]
+        );
+        for (const row of rows) {
+            const reason = checkEntry(row, expectedPrevHash);
+            if (reason) {
+                return { valid: false, checked, headHash: expectedPrevHash, brokenAt: { entryId: row.entry_id, reason } };
+            }
+            expectedPrevHash = row.entry_hash;
+            lastEntryId = row.entry_id;
+            checked++;
+        }
+        if (rows.length < VERIFY_BATCH_SIZE) {
+            break;
+        }
+    }
+
+    // Entries deleted from the end of the log leave the head pointing past the last row
+    const [heads] = await connection.execute('SELECT last_entry_id, last_hash FROM audit_chain_head WHERE head_id = 1');
+    if (heads.length === 0 || heads[0].last_hash !== expectedPrevHash) {
+        return {
+            valid: false,
+            checked,
+            headHash: expectedPrevHash,
+            brokenAt: { entryId: heads.length ? heads[0].last_entry_id : null, reason: 'chain head does not match the last entry' }
+        };
+    }
+    return { valid: true, checked, headHash: expectedPrevHash, brokenAt: null };
+}
+
+// Log entries, newest first, optionally for one entity type / entity. Pages backwards from
+// beforeId. limit is an integer checked by the caller.
+async function listEntries(connection, { entityType, entityId, beforeId, limit }) {
+    const filters = ['1 = 1'];
+    const params = [];
+    if (entityType) {
+        filters.push('entity_type = ?');
+        params.push(entityType);
+    }
+    if (entityId) {
+        filters.push('entity_id = ?');
+        params.push(String(entityId));
+    }
+    if (beforeId) {
+        filters.push('entry_id < ?');
+        params.push(beforeId);
+    }
+    const [rows] = await connection.execute(
+        `SELECT entry_id, action, entity_type, entity_id, actor_type, actor_id, occurred_at,
+            before_hash, after_hash, payload, prev_hash, entry_hash
+        FROM audit_log
+        WHERE ${filters.join(' AND ')}
+        ORDER BY entry_id DESC
+        LIMIT ${Number(limit)}`,
+        params
+    );
+    return rows.map(row => ({ ...row, payload: JSON.parse(row.payload) }));
+}
+
+module.exports = {
+    ACTIONS,
+    GENESIS_HASH,
+    hashState,
+    actorFromRequest,
+    systemActor,
+    record,
+    verifyChain,
+    listEntries
+};
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 10;
+const ROLES = {
+    TRAINER: 'trainer',
+    ADMINISTRATOR: 'administrator',
+    AUDITOR: 'auditor'
+};
+
+// Compared against when the email is unknown, so a failed login takes the same time either way
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', BCRYPT_ROUNDS);
+
+function hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+function verifyPassword(password, passwordHash) {
+    return bcrypt.compare(password, passwordHash || DUMMY_HASH);
+}
+
+// Returns an error message, or null when the password is acceptable
+function checkPasswordStrength(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`;
+    }
+    return null;
+}
+
+// Looks up an admin by email and checks the password. Resolves to the user row or null.
+async function authenticateUser(connection, email, password) {
+    const [rows] = await connection.execute(
+        'SELECT user_id, email, role, password_hash FROM admin_users WHERE email = ?',
+        [String(email || '').trim().toLowerCase()]
+    );
+    const user = rows[0];
+    const passwordMatches = await verifyPassword(String(password || ''), user && user.password_hash);
+    return user && passwordMatches ? user : null;
+}
+
+// Re-checks the password of an already logged-in user (e.g. before a password change)
+async function verifyUserPassword(connection, userId, password) {
+    const [rows] = await connection.execute(
+        'SELECT password_hash FROM admin_users WHERE user_id = ?',
+        [userId]
+    );
+    return verifyPassword(String(password || ''), rows[0] && rows[0].password_hash);
+}
+
+// Records a new session and returns a signed token that references it. tokenSettings is the
+// auth section of config/index.js: { tokenSecret, tokenTtlSeconds }.
+async function createSession(connection, userId, { tokenSecret, tokenTtlSeconds }) {
+    const sessionId = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + tokenTtlSeconds * 1000);
+
+    await connection.execute(
+        'INSERT INTO admin_sessions (session_id, user_id, expires_at) VALUES (?, ?, ?)',
+        [sessionId, userId, expiresAt]
+    );
+
+    const token = jwt.sign({ sid: sessionId }, tokenSecret, {
+        subject: String(userId),
+        expiresIn: tokenTtlSeconds
+    });
+    return { token, sessionId, expiresAt };
+}
+
+// Verifies the token signature and that its session is still live. Resolves to
+// { userId, email, role, sessionId } or null.
+async function resolveSession(connection, token, { tokenSecret }) {
+    let payload;
+    try {
+        payload = jwt.verify(token, tokenSecret);
+    } catch (error) {
+        return null;
+    }
+
+    const [rows] = await connection.execute(
+        `SELECT s.session_id, u.user_id, u.email, u.role
+        FROM admin_sessions s
+        JOIN admin_users u ON u.user_id = s.user_id
+        WHERE s.session_id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+        [payload.sid]
+    );
+    if (rows.length === 0 || String(rows[0].user_id) !== payload.sub) {
+        return null;
+    }
+    return {
+        userId: rows[0].user_id,
+        email: rows[0].email,
+        role: rows[0].role,
+        sessionId: rows[0].session_id
+    };
+}
+
+function revokeSession(connection, sessionId) {
+    return connection.execute(
+        'UPDATE admin_sessions SET revoked_at = NOW() WHERE session_id = ? AND revoked_at IS NULL',
+        [sessionId]
+    );
+}
+
+// Used after a password change so every other device has to log in again
+function revokeOtherSessions(connection, userId, keepSessionId) {
+    return connection.execute(
+        'UPDATE admin_sessions SET revoked_at = NOW() WHERE user_id = ? AND session_id <> ? AND revoked_at IS NULL',
+        [userId, keepSessionId]
+    );
+}
+
+async function changePassword(connection, userId, newPassword) {
+    const passwordHash = await hashPassword(newPassword);
+    await connection.execute(
+        'UPDATE admin_users SET password_hash = ?, password_changed_at = CURRENT_TIMESTAMP WHERE user_id = ?',
+        [passwordHash, userId]
+    );
+}
+
+async function listUsers(connection) {
+    const [rows] = await connection.execute(
+        'SELECT user_id, email, role, created_at, password_changed_at FROM admin_users ORDER BY email'
+    );
+    return rows;
+}
+
+async function findUser(connection, userId) {
+    const [rows] = await connection.execute(
+        'SELECT user_id, email, role, created_at, password_changed_at FROM admin_users WHERE user_id = ?',
+        [userId]
+    );
+    return rows[0] || null;
+}
+
+// Resolves to the new user_id. Fails with ER_DUP_ENTRY when the email is taken.
+async function createUser(connection, email, password, role) {
+    const passwordHash = await hashPassword(password);
+    const [result] = await connection.execute(
+        'INSERT INTO admin_users (email, password_hash, role) VALUES (?, ?, ?)',
+        [email.trim().toLowerCase(), passwordHash, role]
+    );
+    return result.insertId;
+}
+
+// Creates the account, or resets the password and role of an existing one with that email
+async function saveUser(connection, email, password, role) {
+    const passwordHash = await hashPassword(password);
+    await connection.execute(
+        `INSERT INTO admin_users (email, password_hash, role) VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE password_hash = VALUES(password_hash), role = VALUES(role),
+            password_changed_at = CURRENT_TIMESTAMP`,
+        [email.trim().toLowerCase(), passwordHash, role]
+    );
+}
+
+// Resolves to false when there is no such user
+async function setUserRole(connection, userId, role) {
+    const [result] = await connection.execute(
+        'UPDATE admin_users SET role = ? WHERE user_id = ?',
+        [role, userId]
+    );
+    return result.affectedRows > 0;
+}
+
+module.exports = {
+    ROLES,
+    hashPassword,
+    verifyPassword,
+    checkPasswordStrength,
+    authenticateUser,
+    verifyUserPassword,
+    createSession,
+    resolveSession,
+    revokeSession,
+    revokeOtherSessions,
+    changePassword,
+    listUsers,
+    findUser,
+    createUser,
+    saveUser,
+    setUserRole
+};
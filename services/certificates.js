@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const audit = require('./audit');
+const { getSchedule } = require('./sessions');
+const { courseScope } = require('./courses');
+
+const NUMBER_PREFIX = 'TIHS';
+// No 0/O or 1/I, so numbers read back over the phone correctly
+const CHECK_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const NUMBER_PATTERN = /^[A-Z]+-\d{4}-\d{6}-[A-Z2-9]{4}$/;
+
+// TIHS-<year>-<zero-padded id>-<4 random characters>. The random part stops anyone walking
+// the sequence through the public verification endpoint.
+function formatNumber(certificateId, issuedAt) {
+    const check = Array.from(crypto.randomBytes(4), byte => CHECK_ALPHABET[byte % CHECK_ALPHABET.length]).join('');
+    return `${NUMBER_PREFIX}-${issuedAt.getUTCFullYear()}-${String(certificateId).padStart(6, '0')}-${check}`;
+}
+
+// Upper-cased and trimmed, or null when it cannot be a certificate number
+function normalizeNumber(value) {
+    const number = String(value || '').trim().toUpperCase();
+    return NUMBER_PATTERN.test(number) ? number : null;
+}
+
+function formatDate(value) {
+    if (!value) return '';
+    return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+// One certificate with the learner and course it was issued for
+async function findCertificate(connection, certificateNumber) {
+    const [rows] = await connection.execute(
+        `SELECT ct.certificate_id, ct.certificate_number, ct.learner_id, ct.course_id, ct.sessions_completed,
+            ct.completed_at, ct.issued_at, ct.file_ref, ct.file_sha256,
+            l.learner_name, c.unit, c.venue, c.start_date, c.trainer_id, u.email AS trainer_email
+        FROM certificates ct
+        JOIN learners l ON l.learner_id = ct.learner_id
+        JOIN courses c ON c.course_id = ct.course_id
+        LEFT JOIN admin_users u ON u.user_id = c.trainer_id
+        WHERE ct.certificate_number = ?`,
+        [certificateNumber]
+    );
+    return rows[0] || null;
+}
+
+// Certificates issued, newest first, optionally for one learner or course. Trainers only get
+// their own courses.
+async function listCertificates(connection, user, { learnerId, courseId } = {}) {
+    const scope = courseScope(user, 'ct.course_id');
+    const where = [scope.sql];
+    const params = [...scope.params];
+    if (learnerId !== undefined) {
+        where.push('ct.learner_id = ?');
+        params.push(learnerId);
+    }
+    if (courseId !== undefined) {
+        where.push('ct.course_id = ?');
+        params.push(courseId);
+    }
+    const [rows] = await connection.execute(
+        `SELECT ct.certificate_number, ct.learner_id, l.learner_name, ct.course_id, c.unit, c.venue,
+            ct.sessions_completed, ct.completed_at, ct.issued_at
+        FROM certificates ct
+        JOIN learners l ON l.learner_id = ct.learner_id
+        JOIN courses c ON c.course_id = ct.course_id
+        WHERE ${where.join(' AND ')}
+        ORDER BY ct.issued_at DESC, ct.certificate_id DESC`,
+        params
+    );
+    return rows;
+}
+
+function renderPdf(certificate, sessions, qrImage, verifyUrl) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            layout: 'landscape',
+            margin: 50,
+            info: { Title: `Certificate of attendance ${certificate.certificate_number}` }
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const width = doc.page.width;
+        const height = doc.page.height;
+        doc.lineWidth(3).rect(25, 25, width - 50, height - 50).stroke();
+        doc.lineWidth(1).rect(32, 32, width - 64, height - 64).stroke();
+
+        const sessionDates = sessions.map(session => formatDate(session.session_date)).sort();
+        const dates = sessionDates.length > 1 && sessionDates[0] !== sessionDates[sessionDates.length - 1]
+            ? `${sessionDates[0]} to ${sessionDates[sessionDates.length - 1]}`
+            : sessionDates[0] || formatDate(certificate.start_date);
+
+        doc.font('Helvetica-Bold').fontSize(32).text('Certificate of Attendance', 50, 90, { align: 'center' });
+        doc.font('Helvetica').fontSize(14).text('This is to certify that', 50, 160, { align: 'center' });
+        doc.font('Helvetica-Bold').fontSize(26).text(certificate.learner_name, 50, 190, { align: 'center' });
+        doc.font('Helvetica').fontSize(14)
+            .text(`attended all ${certificate.sessions_completed} sessions of`, 50, 240, { align: 'center' })
+            .font('Helvetica-Bold').fontSize(18)
+            .text(certificate.unit, 50, 265, { align: 'center' })
+            .font('Helvetica').fontSize(12)
+            .text(`at ${certificate.venue}, ${dates}`, 50, 295, { align: 'center' });
+        if (certificate.trainer_email) {
+            doc.text(`Trainer: ${certificate.trainer_email}`, 50, 315, { align: 'center' });
+        }
+
+        doc.fontSize(11)
+            .text(`Certificate number: ${certificate.certificate_number}`, 70, height - 150)
+            .text(`Completed: ${formatDate(certificate.completed_at)}`, 70, height - 132)
+            .text(`Issued: ${formatDate(certificate.issued_at)}`, 70, height - 114);
+        doc.fontSize(8).fillColor('#555555')
+            .text(`Verify this certificate by scanning the code or at ${verifyUrl}`, 70, height - 90, { width: width - 300 })
+            .fillColor('#000000');
+        doc.image(qrImage, width - 190, height - 190, { fit: [120, 120] });
+        doc.end();
+    });
+}
+
+// Certificate issuing and PDFs. PDFs are kept in the same storage backend as signature images
+// ({ put, getStream, delete }), under certificates/. verifyBaseUrl is the public verification
+// endpoint the QR code points at; the certificate number is appended to it.
+function createCertificates({ storage, verifyBaseUrl }) {
+    function verifyUrl(certificateNumber) {
+        return `${verifyBaseUrl.replace(/\/+$/, '')}/${encodeURIComponent(certificateNumber)}`;
+    }
+
+    // Call in the signing transaction. Issues the learner's certificate for the course when
+    // every session is now signed. Resolves to the new certificate number, or null when the
+    // learner has not finished or already has a certificate for this course.
+    async function issueIfComplete(connection, { learnerId, course, actor }) {
+        const [records] = await connection.execute(
+            `SELECT
+                (SELECT COUNT(*) FROM course_sessions cs WHERE cs.course_id = ar.course_id) AS session_count,
+                COUNT(s.signature_id) AS signed_count,
+                MAX(s.signed_at) AS completed_at
+            FROM attendance_records ar
+            LEFT JOIN attendance_signatures s ON s.record_id = ar.record_id
+            WHERE ar.learner_id = ? AND ar.course_id = ?
+            GROUP BY ar.record_id, ar.course_id`,
+            [learnerId, course.course_id]
+        );
+        const record = records[0];
+        if (!record || record.session_count === 0 || record.signed_count < record.session_count) {
+            return null;
+        }
+
+        // The row needs its id before it can be numbered, so it starts with a unique placeholder
+        const [result] = await connection.execute(
+            `INSERT INTO certificates (certificate_number, learner_id, course_id, sessions_completed, completed_at)
+            VALUES (?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE certificate_id = certificate_id`,
+            [crypto.randomUUID(), learnerId, course.course_id, record.session_count, record.completed_at]
+        );
+        if (result.affectedRows !== 1) {
+            return null;
+        }
+        const certificateNumber = formatNumber(result.insertId, new Date());
+        await connection.execute(
+            'UPDATE certificates SET certificate_number = ? WHERE certificate_id = ?',
+            [certificateNumber, result.insertId]
+        );
+        await audit.record(connection, {
+            action: audit.ACTIONS.ISSUE,
+            entityType: 'certificate',
+            entityId: result.insertId,
+            actor,
+            before: null,
+            after: { certificateNumber, learnerId, courseId: course.course_id, sessionsCompleted: record.session_count }
+        });
+        return certificateNumber;
+    }
+
+    return {
+        verifyUrl,
+        issueIfComplete,
+
+        // Call in the transaction that shortened a course's schedule, which can leave learners
+        // with every remaining session signed. Issues their certificates as issueIfComplete does
+        // and resolves to the new certificate numbers. Archived learners are left out.
+        async issueForCourse(connection, { course, actor }) {
+            const [learners] = await connection.execute(
+                `SELECT DISTINCT ar.learner_id
+                FROM attendance_records ar
+                JOIN learners l ON l.learner_id = ar.learner_id
+                WHERE ar.course_id = ? AND l.archived_at IS NULL`,
+                [course.course_id]
+            );
+            const issued = [];
+            for (const { learner_id: learnerId } of learners) {
+                const certificateNumber = await issueIfComplete(connection, { learnerId, course, actor });
+                if (certificateNumber) issued.push(certificateNumber);
+            }
+            return issued;
+        },
+
+        // Renders the certificate PDF, stores it and records where. Resolves to the updated
+        // certificate row.
+        async generatePdf(connection, certificateNumber) {
+            const certificate = await findCertificate(connection, certificateNumber);
+            if (!certificate) {
+                throw new Error(`Certificate ${certificateNumber} not found`);
+            }
+            const sessions = await getSchedule(connection, certificate.course_id);
+            const url = verifyUrl(certificate.certificate_number);
+            const qrImage = await QRCode.toBuffer(url, { type: 'png', margin: 1, width: 300 });
+            const pdf = await renderPdf(certificate, sessions, qrImage, url);
+
+            const ref = `certificates/${new Date(certificate.issued_at).getUTCFullYear()}/${certificate.certificate_number}.pdf`;
+            const sha256 = crypto.createHash('sha256').update(pdf).digest('hex');
+            await storage.put(ref, pdf, 'application/pdf');
+            await connection.execute(
+                'UPDATE certificates SET file_ref = ?, file_sha256 = ? WHERE certificate_id = ?',
+                [ref, sha256, certificate.certificate_id]
+            );
+            return { ...certificate, file_ref: ref, file_sha256: sha256 };
+        },
+
+        open(ref) {
+            return storage.getStream(ref);
+        }
+    };
+}
+
+module.exports = {
+    normalizeNumber,
+    findCertificate,
+    listCertificates,
+    createCertificates
+};
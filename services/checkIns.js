@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+const DEFAULT_MINUTES = 15;
+const MAX_MINUTES = 240;
+const PIN_PATTERN = /^\d{6}$/;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+function newPin() {
+    return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+// Opens a check-in window for a session, closing any window already open for it. The PIN is
+// unique among open windows so it identifies one session on its own.
+// Resolves to { token, pin, expiresAt }.
+async function openWindow(connection, sessionId, userId, minutes = DEFAULT_MINUTES) {
+    await connection.execute(
+        'UPDATE session_check_ins SET closed_at = NOW() WHERE session_id = ? AND closed_at IS NULL AND expires_at > NOW()',
+        [sessionId]
+    );
+    const token = crypto.randomBytes(24).toString('base64url');
+    let pin;
+    for (;;) {
+        pin = newPin();
+        const [taken] = await connection.execute(
+            'SELECT 1 FROM session_check_ins WHERE pin = ? AND closed_at IS NULL AND expires_at > NOW() FOR UPDATE',
+            [pin]
+        );
+        if (taken.length === 0) break;
+    }
+    // The expiry is worked out by the database so it agrees with the NOW() checks above
+    const [result] = await connection.execute(
+        `INSERT INTO session_check_ins (session_id, token, pin, opened_by, expires_at)
+        VALUES (?, ?, ?, ?, NOW() + INTERVAL ${Number(minutes)} MINUTE)`,
+        [sessionId, token, pin, userId]
+    );
+    const [rows] = await connection.execute(
+        'SELECT expires_at FROM session_check_ins WHERE check_in_id = ?',
+        [result.insertId]
+    );
+    return { token, pin, expiresAt: rows[0].expires_at };
+}
+
+// Resolves to the number of windows closed (0 when none was open)
+async function closeWindow(connection, sessionId) {
+    const [result] = await connection.execute(
+        'UPDATE session_check_ins SET closed_at = NOW() WHERE session_id = ? AND closed_at IS NULL AND expires_at > NOW()',
+        [sessionId]
+    );
+    return result.affectedRows;
+}
+
+// The column a check-in code is looked up by, or null when it is neither a PIN nor a token
+function codeColumn(value) {
+    return PIN_PATTERN.test(value) ? 'ci.pin' : TOKEN_PATTERN.test(value) ? 'ci.token' : null;
+}
+
+async function findWindow(connection, code, condition, params) {
+    const value = String(code || '').trim();
+    const column = codeColumn(value);
+    if (!column) {
+        return null;
+    }
+    const [rows] = await connection.execute(
+        `SELECT ci.check_in_id, ci.session_id, ci.expires_at, cs.session_num, cs.session_date, cs.start_time,
+            cs.end_time, c.course_id, c.unit, c.venue
+        FROM session_check_ins ci
+        JOIN course_sessions cs ON cs.session_id = ci.session_id
+        JOIN courses c ON c.course_id = cs.course_id
+        WHERE ${column} = ? AND ${condition}
+        ORDER BY ci.check_in_id DESC
+        LIMIT 1`,
+        [value, ...params]
+    );
+    return rows[0] || null;
+}
+
+// The open window a QR token or PIN belongs to, with its session and course, or null when the
+// code is unknown, expired or closed
+function findOpenWindow(connection, code) {
+    return findWindow(connection, code, 'ci.closed_at IS NULL AND ci.expires_at > NOW()', []);
+}
+
+// The window a QR token or PIN belonged to at a past moment, e.g. when a signature was captured
+// offline, or null when no window with that code was open then
+function findWindowAt(connection, code, at) {
+    return findWindow(
+        connection,
+        code,
+        'ci.opened_at <= ? AND ? < LEAST(ci.expires_at, COALESCE(ci.closed_at, ci.expires_at))',
+        [at, at]
+    );
+}
+
+module.exports = {
+    DEFAULT_MINUTES,
+    MAX_MINUTES,
+    openWindow,
+    closeWindow,
+    findOpenWindow,
+    findWindowAt
+};
@@ -0,0 +1,171 @@
+const { ROLES } = require('./auth');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A real calendar date in YYYY-MM-DD form; Date.parse alone lets through days such as 02-30
+function isValidDate(value) {
+    return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(Date.parse(value))
+        && new Date(value).toISOString().slice(0, 10) === value;
+}
+
+async function findCourse(connection, courseId) {
+    const [rows] = await connection.execute(
+        `SELECT c.course_id, c.unit, c.start_date, c.venue, c.trainer_id, u.email AS trainer_email,
+            c.signed_off_at, c.signed_off_by, c.created_at
+        FROM courses c
+        LEFT JOIN admin_users u ON u.user_id = c.trainer_id
+        WHERE c.course_id = ?`,
+        [courseId]
+    );
+    return rows[0] || null;
+}
+
+async function isEnrolled(connection, courseId, learnerId) {
+    const [rows] = await connection.execute(
+        'SELECT enrollment_id FROM enrollments WHERE course_id = ? AND learner_id = ?',
+        [courseId, learnerId]
+    );
+    return rows.length > 0;
+}
+
+// Enrolling twice is a no-op
+function enrollLearner(connection, courseId, learnerId) {
+    return connection.execute(
+        'INSERT IGNORE INTO enrollments (course_id, learner_id) VALUES (?, ?)',
+        [courseId, learnerId]
+    );
+}
+
+// Courses the user may see, newest first, with their session and enrollment counts
+async function listCourses(connection, user) {
+    const scope = courseScope(user, 'c.course_id');
+    const [rows] = await connection.execute(
+        `SELECT c.course_id, c.unit, c.start_date, c.venue, c.trainer_id, u.email AS trainer_email,
+            c.signed_off_at,
+            (SELECT COUNT(*) FROM course_sessions cs WHERE cs.course_id = c.course_id) AS session_count,
+            (SELECT COUNT(*) FROM enrollments e WHERE e.course_id = c.course_id) AS enrolled_count
+        FROM courses c
+        LEFT JOIN admin_users u ON u.user_id = c.trainer_id
+        WHERE ${scope.sql}
+        ORDER BY c.start_date DESC, c.course_id DESC`,
+        scope.params
+    );
+    return rows;
+}
+
+// Resolves to the new course_id
+async function createCourse(connection, { unit, startDate, venue, trainerId }) {
+    const [result] = await connection.execute(
+        'INSERT INTO courses (unit, start_date, venue, trainer_id) VALUES (?, ?, ?, ?)',
+        [unit, startDate, venue, trainerId || null]
+    );
+    return result.insertId;
+}
+
+// changes is keyed by column (unit, start_date, venue, trainer_id). Attendance records keep a
+// copy of the unit in module_title, which the module filters, exports and reports read, so a
+// new unit is copied to them too. Call inside a transaction.
+async function updateCourse(connection, courseId, changes) {
+    const columns = Object.keys(changes);
+    await connection.execute(
+        `UPDATE courses SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE course_id = ?`,
+        [...Object.values(changes), courseId]
+    );
+    if (changes.unit !== undefined) {
+        await connection.execute(
+            'UPDATE attendance_records SET module_title = ? WHERE course_id = ?',
+            [changes.unit, courseId]
+        );
+    }
+}
+
+function signOffCourse(connection, courseId, userId) {
+    return connection.execute(
+        'UPDATE courses SET signed_off_at = NOW(), signed_off_by = ? WHERE course_id = ?',
+        [userId, courseId]
+    );
+}
+
+async function hasAttendance(connection, courseId) {
+    const [rows] = await connection.execute(
+        'SELECT COUNT(*) AS total FROM attendance_records WHERE course_id = ?',
+        [courseId]
+    );
+    return rows[0].total > 0;
+}
+
+function deleteCourse(connection, courseId) {
+    return connection.execute('DELETE FROM courses WHERE course_id = ?', [courseId]);
+}
+
+// Active learners enrolled on a course, by name
+async function findEnrolledLearners(connection, courseId) {
+    const [rows] = await connection.execute(
+        `SELECT l.learner_id, l.learner_name, e.enrolled_at
+        FROM enrollments e
+        JOIN learners l ON l.learner_id = e.learner_id
+        WHERE e.course_id = ? AND l.archived_at IS NULL
+        ORDER BY l.learner_name`,
+        [courseId]
+    );
+    return rows;
+}
+
+async function findEnrollment(connection, courseId, learnerId) {
+    const [rows] = await connection.execute(
+        'SELECT enrollment_id, course_id, learner_id, enrolled_at FROM enrollments WHERE course_id = ? AND learner_id = ?',
+        [courseId, learnerId]
+    );
+    return rows[0] || null;
+}
+
+function deleteEnrollment(connection, enrollmentId) {
+    return connection.execute('DELETE FROM enrollments WHERE enrollment_id = ?', [enrollmentId]);
+}
+
+// Trainers only see their own courses; administrators and auditors see every course
+function canAccessCourse(user, course) {
+    return user.role !== ROLES.TRAINER || course.trainer_id === user.userId;
+}
+
+// SQL condition (and its params) restricting a course_id column to what the user may see
+function courseScope(user, courseIdColumn) {
+    if (user.role !== ROLES.TRAINER) {
+        return { sql: '1 = 1', params: [] };
+    }
+    return {
+        sql: `${courseIdColumn} IN (SELECT course_id FROM courses WHERE trainer_id = ?)`,
+        params: [user.userId]
+    };
+}
+
+// Same as courseScope, for a learner_id column: trainers see learners enrolled on their courses
+function learnerScope(user, learnerIdColumn) {
+    if (user.role !== ROLES.TRAINER) {
+        return { sql: '1 = 1', params: [] };
+    }
+    return {
+        sql: `${learnerIdColumn} IN (SELECT e.learner_id FROM enrollments e
+            JOIN courses c ON c.course_id = e.course_id WHERE c.trainer_id = ?)`,
+        params: [user.userId]
+    };
+}
+
+module.exports = {
+    isValidDate,
+    findCourse,
+    listCourses,
+    createCourse,
+    updateCourse,
+    signOffCourse,
+    hasAttendance,
+    deleteCourse,
+    findEnrolledLearners,
+    findEnrollment,
+    deleteEnrollment,
+    isEnrolled,
+    enrollLearner,
+    canAccessCourse,
+    courseScope,
+    learnerScope
+};
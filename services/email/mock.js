@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+
+// Offline stand-in for SendGrid. Every message is kept in `sent`, and also written as JSON to
+// outDir when one is given so it can be inspected. failNext(n) makes the next n sends throw,
+// for exercising the queue's retries.
+function createMockTransport({ outDir } = {}) {
+    let failures = 0;
+    const transport = {
+        name: 'mock',
+        sent: [],
+
+        failNext(count = 1) {
+            failures = count;
+        },
+
+        async send(message) {
+            if (failures > 0) {
+                failures--;
+                throw new Error('Mock transport failure');
+            }
+            transport.sent.push(message);
+            if (outDir) {
+                await fs.promises.mkdir(outDir, { recursive: true });
+                const file = path.join(outDir, `${Date.now()}-${transport.sent.length}.json`);
+                const saved = {
+                    ...message,
+                    attachments: (message.attachments || []).map(({ filename, type, content }) => ({
+                        filename,
+                        type,
+                        bytes: content.length
+                    }))
+                };
+                await fs.promises.writeFile(file, JSON.stringify(saved, null, 2));
+            }
+        }
+    };
+    return transport;
+}
+
+module.exports = { createMockTransport };
@@ -0,0 +1,33 @@
+const { MailService } = require('@sendgrid/mail');
+
+// Sends through the SendGrid v3 API. Its own client instance, so the API key is not global.
+function createSendGridTransport({ apiKey }) {
+    if (!apiKey) {
+        throw new Error('SENDGRID_API_KEY is not set.');
+    }
+    const client = new MailService();
+    client.setApiKey(apiKey);
+
+    return {
+        name: 'sendgrid',
+
+        // message: { from, to, subject, text, html, attachments: [{ filename, content (Buffer), type }] }
+        async send(message) {
+            await client.send({
+                from: message.from,
+                to: message.to,
+                subject: message.subject,
+                text: message.text,
+                html: message.html,
+                attachments: (message.attachments || []).map(attachment => ({
+                    filename: attachment.filename,
+                    type: attachment.type,
+                    content: attachment.content.toString('base64'),
+                    disposition: 'attachment'
+                }))
+            });
+        }
+    };
+}
+
+module.exports = { createSendGridTransport };
@@ -0,0 +1,106 @@
+const { render } = require('./emailTemplates');
+const { rollback } = require('../config/db');
+
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 6;
+// Retries wait 1, 4, 16, 64 then 256 minutes
+const RETRY_BASE_SECONDS = 60;
+// A claimed email is due again after this, in case the process sending it dies
+const LEASE_MINUTES = 10;
+
+// Queues one email in the caller's transaction, so it is only sent if the event that caused
+// it is committed. A repeated dedupeKey is ignored. Resolves to true if a row was added.
+// email: { template, to, data, attachment ("kind:id", resolved when sending), dedupeKey }
+async function enqueue(connection, { template, to, data, attachment = null, dedupeKey = null }) {
+    const [result] = await connection.execute(
+        `INSERT INTO email_outbox (template, to_address, data, attachment, dedupe_key)
+        VALUES (?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE email_id = email_id`,
+        [template, to, JSON.stringify(data), attachment, dedupeKey]
+    );
+    return result.affectedRows === 1;
+}
+
+// Takes a batch of due emails by pushing their next attempt past the lease, so a second worker
+// skips them while they are being sent
+async function claimDue(connection) {
+    await connection.beginTransaction();
+    try {
+        const [rows] = await connection.execute(
+            `SELECT email_id, template, to_address, data, attachment, attempts
+            FROM email_outbox
+            WHERE status = 'pending' AND next_attempt_at <= NOW()
+            ORDER BY next_attempt_at, email_id
+            LIMIT ${BATCH_SIZE}
+            FOR UPDATE SKIP LOCKED`
+        );
+        if (rows.length > 0) {
+            await connection.execute(
+                `UPDATE email_outbox SET next_attempt_at = NOW() + INTERVAL ${LEASE_MINUTES} MINUTE
+                WHERE email_id IN (${rows.map(() => '?').join(', ')})`,
+                rows.map(row => row.email_id)
+            );
+        }
+        await connection.commit();
+        return rows;
+    } catch (error) {
+        await rollback(connection);
+        throw error;
+    }
+}
+
+// Sends one batch of due emails. options: { transport, templates, from, attachments }, where
+// attachments maps an attachment kind to async (id) => { filename, content, type }.
+// Resolves to { sent, retrying, failed }.
+async function processQueue(pool, { transport, templates, from, attachments = {} }) {
+    const counts = { sent: 0, retrying: 0, failed: 0 };
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const rows = await claimDue(connection);
+        for (const row of rows) {
+            try {
+                const message = render(templates, row.template, JSON.parse(row.data));
+                const files = [];
+                if (row.attachment) {
+                    const [kind, id] = row.attachment.split(':');
+                    if (!attachments[kind]) {
+                        throw new Error(`Unknown attachment kind: ${kind}`);
+                    }
+                    files.push(await attachments[kind](id));
+                }
+                await transport.send({ ...message, from, to: row.to_address, attachments: files });
+                await connection.execute(
+                    `UPDATE email_outbox SET status = 'sent', sent_at = NOW(), attempts = attempts + 1, last_error = NULL
+                    WHERE email_id = ?`,
+                    [row.email_id]
+                );
+                counts.sent++;
+            } catch (error) {
+                const attempts = row.attempts + 1;
+                const giveUp = attempts >= MAX_ATTEMPTS;
+                const delay = RETRY_BASE_SECONDS * 4 ** (attempts - 1);
+                await connection.execute(
+                    `UPDATE email_outbox SET
+                        status = ?,
+                        attempts = ?,
+                        next_attempt_at = NOW() + INTERVAL ${delay} SECOND,
+                        last_error = ?
+                    WHERE email_id = ?`,
+                    [giveUp ? 'failed' : 'pending', attempts, String(error.message).slice(0, 1000), row.email_id]
+                );
+                console.error(`Error sending email ${row.email_id} (attempt ${attempts}):`, error.message);
+                counts[giveUp ? 'failed' : 'retrying']++;
+            }
+        }
+    } finally {
+        if (connection) connection.release();
+    }
+    return counts;
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    enqueue,
+    processQueue
+};
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+
+// Built-in wording for each notification. {{name}} placeholders are filled from the queued
+// email's data; values are HTML-escaped in the html part.
+const DEFAULT_TEMPLATES = {
+    'sign-confirmation': {
+        subject: 'Session {{sessionNum}} of {{unit}} signed',
+        text: [
+            'Hello {{learnerName}},',
+            '',
+            'This confirms you signed the attendance register for session {{sessionNum}} of {{unit}} at {{venue}} on {{signedAt}}.',
+            '',
+            'If this was not you, please contact your trainer.'
+        ].join('\n'),
+        html: [
+            '<p>Hello {{learnerName}},</p>',
+            '<p>This confirms you signed the attendance register for session {{sessionNum}} of <strong>{{unit}}</strong> at {{venue}} on {{signedAt}}.</p>',
+            '<p>If this was not you, please contact your trainer.</p>'
+        ].join('\n')
+    },
+    'unsigned-reminder': {
+        subject: 'Unsigned sessions on {{unit}}',
+        text: [
+            'Hello {{learnerName}},',
+            '',
+            'Our register for {{unit}} at {{venue}} has no signature from you for session(s) {{sessions}}.',
+            '',
+            'Please speak to your trainer so your attendance can be recorded.'
+        ].join('\n'),
+        html: [
+            '<p>Hello {{learnerName}},</p>',
+            '<p>Our register for <strong>{{unit}}</strong> at {{venue}} has no signature from you for session(s) {{sessions}}.</p>',
+            '<p>Please speak to your trainer so your attendance can be recorded.</p>'
+        ].join('\n')
+    },
+    'register-complete': {
+        subject: 'Register complete: {{unit}} at {{venue}} (course {{courseId}})',
+        text: [
+            'Every enrolled learner has signed every session of {{unit}} at {{venue}} (course {{courseId}}, trainer {{trainerEmail}}).',
+            '',
+            'The signed register is attached.'
+        ].join('\n'),
+        html: [
+            '<p>Every enrolled learner has signed every session of <strong>{{unit}}</strong> at {{venue}} (course {{courseId}}, trainer {{trainerEmail}}).</p>',
+            '<p>The signed register is attached.</p>'
+        ].join('\n')
+    }
+};
+
+const PARTS = {
+    subject: 'subject.txt',
+    text: 'txt',
+    html: 'html'
+};
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function fill(template, data, escape) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => {
+        const value = data[key] === undefined || data[key] === null ? '' : data[key];
+        return escape ? escapeHtml(value) : String(value);
+    });
+}
+
+// The built-in templates, with any part overridden by a file in dir named
+// <template>.subject.txt, <template>.txt or <template>.html
+function loadTemplates(dir) {
+    const templates = {};
+    for (const [name, parts] of Object.entries(DEFAULT_TEMPLATES)) {
+        templates[name] = { ...parts };
+        if (!dir) continue;
+        for (const [part, extension] of Object.entries(PARTS)) {
+            const file = path.join(dir, `${name}.${extension}`);
+            if (fs.existsSync(file)) {
+                templates[name][part] = fs.readFileSync(file, 'utf8').trim();
+            }
+        }
+    }
+    return templates;
+}
+
+// Resolves { subject, text, html } for one queued email
+function render(templates, name, data) {
+    const template = templates[name];
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+    return {
+        // Subjects are single-line headers
+        subject: fill(template.subject, data, false).replace(/[\r\n]+/g, ' '),
+        text: fill(template.text, data, false),
+        html: fill(template.html, data, true)
+    };
+}
+
+module.exports = {
+    DEFAULT_TEMPLATES,
+    loadTemplates,
+    render
+};
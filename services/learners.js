@@ -0,0 +1,611 @@
+const { isValidDate, learnerScope } = require('./courses');
+const audit = require('./audit');
+
+const MAX_NAME_LENGTH = 255;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9 ()-]{6,40}$/;
+const LEARNER_NUMBER_PATTERN = /^[A-Z0-9-]{1,50}$/;
+
+// API field name => learners column
+const PROFILE_COLUMNS = {
+    email: 'email',
+    phone: 'phone',
+    employer: 'employer',
+    neboshLearnerNumber: 'nebosh_learner_number',
+    dateOfBirth: 'date_of_birth'
+};
+
+// The profile fields as request fields, for middleware/validate.js. Blank values pass, as they
+// clear the field; parseProfile then normalizes what is left.
+const PROFILE_FIELDS = {
+    email: { type: 'email' },
+    phone: {
+        type: 'string',
+        pattern: PHONE_PATTERN,
+        message: 'phone must be digits, spaces, brackets, dashes and an optional leading +.'
+    },
+    employer: { type: 'string', maxLength: 255 },
+    neboshLearnerNumber: {
+        type: 'string',
+        check: value => (LEARNER_NUMBER_PATTERN.test(normalizeLearnerNumber(value)) ? null : 'must be letters, digits and dashes')
+    },
+    dateOfBirth: {
+        type: 'date',
+        check: value => (value > new Date().toISOString().slice(0, 10) ? 'must not be in the future' : null)
+    }
+};
+
+// Duplicate report: pairs scoring below this are not worth a human look
+const DEFAULT_MIN_SCORE = 0.6;
+const MAX_DUPLICATE_PAIRS = 200;
+
+// Trimmed, single spaces; the form learner names are stored in
+function normalizeName(value) {
+    return String(value || '').trim().replace(/\s+/g, ' ');
+}
+
+// Upper case without spaces, as learner numbers are stored
+function normalizeLearnerNumber(value) {
+    return String(value).toUpperCase().replace(/\s+/g, '');
+}
+
+// Reads the optional profile fields from a request body (camelCase) and returns
+// { profile } keyed by column, holding only the fields present, or { error, field }.
+// Empty strings clear a field.
+function parseProfile(input) {
+    const profile = {};
+    for (const [field, column] of Object.entries(PROFILE_COLUMNS)) {
+        if (input[field] === undefined) continue;
+        const value = input[field] === null ? '' : String(input[field]).trim();
+        if (value === '') {
+            profile[column] = null;
+            continue;
+        }
+        if (field === 'email') {
+            if (value.length > 255 || !EMAIL_PATTERN.test(value)) {
+                return { error: 'Invalid email.', field };
+            }
+            profile[column] = value.toLowerCase();
+        } else if (field === 'phone') {
+            if (!PHONE_PATTERN.test(value)) {
+                return { error: 'Invalid phone. Use digits, spaces, brackets, dashes and an optional leading +.', field };
+            }
+            profile[column] = value;
+        } else if (field === 'employer') {
+            if (value.length > 255) {
+                return { error: 'Employer must be at most 255 characters.', field };
+            }
+            profile[column] = value;
+        } else if (field === 'neboshLearnerNumber') {
+            const number = normalizeLearnerNumber(value);
+            if (!LEARNER_NUMBER_PATTERN.test(number)) {
+                return { error: 'Invalid neboshLearnerNumber. Use letters, digits and dashes.', field };
+            }
+            profile[column] = number;
+        } else if (field === 'dateOfBirth') {
+            if (!isValidDate(value) || value > new Date().toISOString().slice(0, 10)) {
+                return { error: 'Invalid dateOfBirth. Use YYYY-MM-DD, not in the future.', field };
+            }
+            profile[column] = value;
+        }
+    }
+    return { profile };
+}
+
+function parseLearnerName(value) {
+    const name = normalizeName(value);
+    if (!name) {
+        return { error: 'Learner name is required.' };
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+        return { error: `Learner name must be at most ${MAX_NAME_LENGTH} characters.` };
+    }
+    return { name };
+}
+
+function formatDate(value) {
+    if (!value) return null;
+    return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+// Two values that are both set and differ mean two different people
+function contradicts(a, b) {
+    return a !== null && a !== undefined && b !== null && b !== undefined && String(a) !== String(b);
+}
+
+// Finds the existing learner a new registration refers to. In order:
+//   1. same NEBOSH learner number
+//   2. same email, unless date of birth or learner number say otherwise
+//   3. same name (case-insensitive), unless email, date of birth or learner number say otherwise
+// Resolves to { learner }, { ambiguous: [learners] } when several fit equally, or {} for none.
+// Archived learners are skipped, except by learner number: that stays unique until the purge,
+// so callers must check learner.archived_at.
+async function findMatchingLearner(connection, name, profile) {
+    const columns = 'learner_id, learner_name, email, phone, employer, nebosh_learner_number, date_of_birth, archived_at';
+    const compatible = learner => !contradicts(formatDate(learner.date_of_birth), profile.date_of_birth)
+        && !contradicts(learner.nebosh_learner_number, profile.nebosh_learner_number);
+    const pick = candidates => {
+        if (candidates.length === 1) return { learner: candidates[0] };
+        if (candidates.length > 1) return { ambiguous: candidates };
+        return null;
+    };
+
+    if (profile.nebosh_learner_number) {
+        const [rows] = await connection.execute(
+            `SELECT ${columns} FROM learners WHERE nebosh_learner_number = ?`,
+            [profile.nebosh_learner_number]
+        );
+        if (rows.length > 0) return { learner: rows[0] };
+    }
+    if (profile.email) {
+        const [rows] = await connection.execute(
+            `SELECT ${columns} FROM learners WHERE email = ? AND archived_at IS NULL`,
+            [profile.email]
+        );
+        // A shared company address only identifies someone together with their name
+        const sameName = rows.filter(learner => compatible(learner)
+            && learner.learner_name.toLowerCase() === name.toLowerCase());
+        const match = pick(sameName);
+        if (match) return match;
+    }
+    const [rows] = await connection.execute(
+        `SELECT ${columns} FROM learners WHERE LOWER(learner_name) = LOWER(?) AND archived_at IS NULL`,
+        [name]
+    );
+    return pick(rows.filter(learner => compatible(learner) && !contradicts(learner.email, profile.email))) || {};
+}
+
+// The learner row, archived or not, or null. forUpdate locks it for the transaction.
+async function findLearner(connection, learnerId, { forUpdate = false } = {}) {
+    const [rows] = await connection.execute(
+        `SELECT * FROM learners WHERE learner_id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+        [learnerId]
+    );
+    return rows[0] || null;
+}
+
+// Learners the user may see (trainers: learners enrolled on their courses), newest first.
+// archived lists the archived learners instead.
+async function listLearners(connection, user, { archived = false } = {}) {
+    const scope = learnerScope(user, 'learner_id');
+    const [rows] = await connection.execute(
+        `SELECT learner_id, learner_name, email, phone, employer, nebosh_learner_number, date_of_birth,
+            registration_date${archived ? ', archived_at, archived_by' : ''}
+        FROM learners
+        WHERE archived_at IS ${archived ? 'NOT NULL' : 'NULL'} AND ${scope.sql}
+        ORDER BY ${archived ? 'archived_at' : 'registration_date'} DESC`,
+        scope.params
+    );
+    return rows;
+}
+
+async function countLearners(connection, user) {
+    const scope = learnerScope(user, 'learner_id');
+    const [rows] = await connection.execute(
+        `SELECT COUNT(*) AS total_learners FROM learners
+        WHERE archived_at IS NULL AND ${scope.sql}`,
+        scope.params
+    );
+    return rows[0].total_learners;
+}
+
+// Kiosk autocomplete: learners enrolled on the course whose name contains query
+async function searchEnrolled(connection, courseId, query) {
+    const [rows] = await connection.execute(
+        `SELECT l.learner_id, l.learner_name
+        FROM learners l
+        JOIN enrollments e ON e.learner_id = l.learner_id AND e.course_id = ?
+        WHERE l.learner_name LIKE ? AND l.archived_at IS NULL
+        LIMIT 10`,
+        [courseId, `%${query}%`]
+    );
+    return rows;
+}
+
+// The course, as a list of one, when the learner is active and enrolled on it; empty otherwise
+async function findLearnerCourses(connection, learnerId, courseId) {
+    const [rows] = await connection.execute(
+        `SELECT c.course_id, c.unit, c.start_date, c.venue
+        FROM enrollments e
+        JOIN courses c ON c.course_id = e.course_id
+        JOIN learners l ON l.learner_id = e.learner_id
+        WHERE e.learner_id = ? AND e.course_id = ? AND l.archived_at IS NULL`,
+        [learnerId, courseId]
+    );
+    return rows;
+}
+
+// Resolves to the new learner_id. profile is a parseProfile result keyed by column.
+async function createLearner(connection, name, profile = {}) {
+    const columns = ['learner_name', ...Object.keys(profile)];
+    const [result] = await connection.execute(
+        `INSERT INTO learners (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        [name, ...Object.values(profile)]
+    );
+    return result.insertId;
+}
+
+// Lower case, accents and punctuation removed, name parts sorted: "Smith, John" and
+// "john  SMITH" compare equal
+function comparableName(name) {
+    return normalizeName(name)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9 ]/g, ' ')
+        .split(' ')
+        .filter(Boolean)
+        .sort()
+        .join(' ');
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function nameSimilarity(a, b) {
+    if (a === b) return 1;
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 0 : 1 - levenshtein(a, b) / longest;
+}
+
+function phoneDigits(phone) {
+    return phone ? phone.replace(/\D/g, '').slice(-9) : null;
+}
+
+// Scores how likely two learners are the same person (0..1) with the reasons, or null when
+// their identifiers show they are different people
+function scorePair(a, b) {
+    if (contradicts(a.nebosh_learner_number, b.nebosh_learner_number)
+        || contradicts(formatDate(a.date_of_birth), formatDate(b.date_of_birth))) {
+        return null;
+    }
+    const reasons = [];
+    const similarity = nameSimilarity(a.comparableName, b.comparableName);
+    let score = 0;
+    if (similarity === 1) {
+        score = 0.7;
+        reasons.push('Same name');
+    } else if (similarity >= 0.8) {
+        score = 0.7 * similarity;
+        reasons.push('Similar name');
+    }
+    if (a.email && a.email === b.email) {
+        score += 0.3;
+        reasons.push('Same email');
+    }
+    if (a.phoneDigits && a.phoneDigits === b.phoneDigits) {
+        score += 0.2;
+        reasons.push('Same phone');
+    }
+    if (a.date_of_birth && formatDate(a.date_of_birth) === formatDate(b.date_of_birth)) {
+        score += 0.2;
+        reasons.push('Same date of birth');
+    }
+    if (score > 0 && a.employer && a.employer.toLowerCase() === (b.employer || '').toLowerCase()) {
+        score += 0.1;
+        reasons.push('Same employer');
+    }
+    return score > 0 ? { score: Math.min(Math.round(score * 100) / 100, 1), reasons } : null;
+}
+
+// Likely duplicate learners for the admin report, best matches first. Only learners sharing
+// an email, a phone number or the start of a name part are compared, so this stays fast on
+// a full table.
+function findDuplicatePairs(learners, minScore = DEFAULT_MIN_SCORE) {
+    const prepared = learners.map(learner => ({
+        ...learner,
+        comparableName: comparableName(learner.learner_name),
+        phoneDigits: phoneDigits(learner.phone)
+    }));
+    const blocks = new Map();
+    const addToBlock = (key, index) => {
+        if (!blocks.has(key)) blocks.set(key, []);
+        blocks.get(key).push(index);
+    };
+    prepared.forEach((learner, index) => {
+        learner.comparableName.split(' ')
+            .filter(part => part.length >= 2)
+            .forEach(part => addToBlock(`name:${part.slice(0, 3)}`, index));
+        if (learner.email) addToBlock(`email:${learner.email}`, index);
+        if (learner.phoneDigits) addToBlock(`phone:${learner.phoneDigits}`, index);
+    });
+
+    const seen = new Set();
+    const pairs = [];
+    for (const members of blocks.values()) {
+        for (let i = 0; i < members.length; i++) {
+            for (let j = i + 1; j < members.length; j++) {
+                const key = `${members[i]}:${members[j]}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+                const a = prepared[members[i]];
+                const b = prepared[members[j]];
+                const result = scorePair(a, b);
+                if (result && result.score >= minScore) {
+                    pairs.push({ ...result, learners: [a, b] });
+                }
+            }
+        }
+    }
+    pairs.sort((x, y) => y.score - x.score);
+    return pairs.slice(0, MAX_DUPLICATE_PAIRS).map(pair => ({
+        score: pair.score,
+        reasons: pair.reasons,
+        learners: pair.learners.map(learner => ({
+            learnerId: learner.learner_id,
+            learnerName: learner.learner_name,
+            email: learner.email,
+            phone: learner.phone,
+            employer: learner.employer,
+            neboshLearnerNumber: learner.nebosh_learner_number,
+            dateOfBirth: formatDate(learner.date_of_birth),
+            registrationDate: learner.registration_date
+        }))
+    }));
+}
+
+// The duplicate report over every active learner
+async function findDuplicates(connection, minScore) {
+    const [rows] = await connection.execute(
+        `SELECT learner_id, learner_name, email, phone, employer, nebosh_learner_number, date_of_birth,
+            registration_date
+        FROM learners
+        WHERE archived_at IS NULL`
+    );
+    return findDuplicatePairs(rows, minScore);
+}
+
+// Courses both learners hold a certificate for, with both certificate numbers. A merge cannot
+// keep both (one certificate per learner and course) and an issued certificate is never
+// deleted, so these have to be sorted out before the learners can be merged.
+async function findCertificateConflicts(connection, keepId, duplicateId) {
+    const [rows] = await connection.execute(
+        `SELECT k.course_id, k.certificate_number AS keep_certificate, d.certificate_number AS duplicate_certificate
+        FROM certificates k
+        JOIN certificates d ON d.course_id = k.course_id AND d.learner_id = ?
+        WHERE k.learner_id = ?
+        ORDER BY k.course_id`,
+        [duplicateId, keepId]
+    );
+    return rows;
+}
+
+// Moves everything recorded against duplicateId onto keepId, then deletes the duplicate.
+// Where both learners have a record for the same course the records are combined; if both
+// signed the same session, the kept learner's signature stays and the duplicate's is moved
+// to superseded_signatures with the merge as the reason. Empty profile fields on the kept
+// learner are filled from the duplicate. Certificates move across, so check
+// findCertificateConflicts first. Call inside a transaction with both rows locked.
+// Resolves to counts of what moved.
+async function mergeLearners(connection, keep, duplicate, userId) {
+    const summary = { recordsMoved: 0, recordsCombined: 0, signaturesMoved: 0, signaturesSuperseded: 0, enrollmentsMoved: 0 };
+    const reason = `Learner ${duplicate.learner_id} (${duplicate.learner_name}) merged into learner ${keep.learner_id}`;
+
+    const [records] = await connection.execute(
+        `SELECT d.record_id, d.course_id, d.attendance_date, d.submission_timestamp, k.record_id AS keep_record_id
+        FROM attendance_records d
+        LEFT JOIN attendance_records k ON k.course_id = d.course_id AND k.learner_id = ?
+        WHERE d.learner_id = ?`,
+        [keep.learner_id, duplicate.learner_id]
+    );
+    for (const record of records) {
+        if (record.keep_record_id === null) {
+            await connection.execute(
+                'UPDATE attendance_records SET learner_id = ? WHERE record_id = ?',
+                [keep.learner_id, record.record_id]
+            );
+            summary.recordsMoved++;
+            continue;
+        }
+
+        const [signatures] = await connection.execute(
+            `SELECT s.*, EXISTS (
+                SELECT 1 FROM attendance_signatures k WHERE k.record_id = ? AND k.session_id = s.session_id
+            ) AS kept_signed
+            FROM attendance_signatures s
+            WHERE s.record_id = ?`,
+            [record.keep_record_id, record.record_id]
+        );
+        for (const signature of signatures) {
+            if (signature.kept_signed) {
+                await connection.execute(
+                    `INSERT INTO superseded_signatures
+                    (signature_id, record_id, session_id, signature_ref, signature_sha256, signature_data,
+                     signed_at, client_date, ip_address, user_agent, superseded_by, reason)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        signature.signature_id, record.keep_record_id, signature.session_id, signature.signature_ref,
+                        signature.signature_sha256, signature.signature_data, signature.signed_at, signature.client_date,
+                        signature.ip_address, signature.user_agent, userId, reason
+                    ]
+                );
+                await connection.execute('DELETE FROM attendance_signatures WHERE signature_id = ?', [signature.signature_id]);
+                summary.signaturesSuperseded++;
+            } else {
+                await connection.execute(
+                    'UPDATE attendance_signatures SET record_id = ? WHERE signature_id = ?',
+                    [record.keep_record_id, signature.signature_id]
+                );
+                summary.signaturesMoved++;
+            }
+        }
+        // Earlier overrides on the duplicate's record follow it, or the cascade below would drop them
+        await connection.execute(
+            'UPDATE superseded_signatures SET record_id = ? WHERE record_id = ?',
+            [record.keep_record_id, record.record_id]
+        );
+        await connection.execute(
+            `UPDATE attendance_records SET
+                attendance_date = GREATEST(COALESCE(attendance_date, ?), COALESCE(?, attendance_date)),
+                submission_timestamp = GREATEST(COALESCE(submission_timestamp, ?), COALESCE(?, submission_timestamp))
+            WHERE record_id = ?`,
+            [
+                record.attendance_date, record.attendance_date,
+                record.submission_timestamp, record.submission_timestamp,
+                record.keep_record_id
+            ]
+        );
+        await connection.execute('DELETE FROM attendance_records WHERE record_id = ?', [record.record_id]);
+        summary.recordsCombined++;
+    }
+
+    const [enrolled] = await connection.execute(
+        `INSERT IGNORE INTO enrollments (course_id, learner_id, enrolled_at)
+        SELECT course_id, ?, enrolled_at FROM enrollments WHERE learner_id = ?`,
+        [keep.learner_id, duplicate.learner_id]
+    );
+    summary.enrollmentsMoved = enrolled.affectedRows;
+    await connection.execute('DELETE FROM enrollments WHERE learner_id = ?', [duplicate.learner_id]);
+    // Fails rather than leaving a certificate behind for the cascade below to delete
+    await connection.execute(
+        'UPDATE certificates SET learner_id = ? WHERE learner_id = ?',
+        [keep.learner_id, duplicate.learner_id]
+    );
+
+    // The learner number is unique, so it has to leave the duplicate before the keeper takes it
+    await connection.execute('DELETE FROM learners WHERE learner_id = ?', [duplicate.learner_id]);
+    const fill = Object.values(PROFILE_COLUMNS).filter(column => keep[column] === null && duplicate[column] !== null);
+    if (fill.length > 0) {
+        await connection.execute(
+            `UPDATE learners SET ${fill.map(column => `${column} = ?`).join(', ')} WHERE learner_id = ?`,
+            [...fill.map(column => duplicate[column]), keep.learner_id]
+        );
+    }
+    // Registration reports count the merged learner from whichever registered first
+    if (duplicate.registration_date && (!keep.registration_date || duplicate.registration_date < keep.registration_date)) {
+        await connection.execute(
+            'UPDATE learners SET registration_date = ? WHERE learner_id = ?',
+            [duplicate.registration_date, keep.learner_id]
+        );
+    }
+    return summary;
+}
+
+// changes is keyed by column (learner_name and the profile columns)
+function updateLearner(connection, learnerId, changes) {
+    const columns = Object.keys(changes);
+    return connection.execute(
+        `UPDATE learners SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE learner_id = ?`,
+        [...Object.values(changes), learnerId]
+    );
+}
+
+// Archived learners drop out of everything kept for day-to-day running until they are restored:
+// they cannot be enrolled, sign, be imported or merged, and are left out of learner lists,
+// course enrollment lists, kiosk searches, attendance lists, exports, registers, reports and
+// emails. Their own attendance and timeline (GET /api/learners/:id/attendance and
+// /api/learners/:id/timeline) and the audit log still show them.
+// Resolves to false when the learner does not exist or is already archived
+async function archiveLearner(connection, learnerId, userId) {
+    const [result] = await connection.execute(
+        'UPDATE learners SET archived_at = CURRENT_TIMESTAMP, archived_by = ? WHERE learner_id = ? AND archived_at IS NULL',
+        [userId, learnerId]
+    );
+    return result.affectedRows > 0;
+}
+
+function restoreLearner(connection, learnerId) {
+    return connection.execute(
+        'UPDATE learners SET archived_at = NULL, archived_by = NULL WHERE learner_id = ?',
+        [learnerId]
+    );
+}
+
+// Learners archived more than retentionDays ago, oldest first, for the purge
+async function findArchivedBefore(connection, retentionDays) {
+    const [rows] = await connection.execute(
+        `SELECT learner_id, learner_name, archived_at FROM learners
+        WHERE archived_at IS NOT NULL AND archived_at < NOW() - INTERVAL ${Number(retentionDays)} DAY
+        ORDER BY archived_at`
+    );
+    return rows;
+}
+
+// Permanently deletes a learner with their attendance records, signatures, superseded
+// signatures and certificates, and audits the deletion (signatures as hashes only). Call
+// inside a transaction. Resolves to the storage refs of the deleted images and certificate
+// PDFs, to remove once the transaction commits.
+async function purgeLearner(connection, learner, actor) {
+    const [signatures] = await connection.execute(
+        `SELECT ar.record_id, ar.course_id, cs.session_num, s.signature_ref, s.signature_sha256, s.signature_data
+        FROM attendance_records ar
+        JOIN attendance_signatures s ON s.record_id = ar.record_id
+        JOIN course_sessions cs ON cs.session_id = s.session_id
+        WHERE ar.learner_id = ?
+        ORDER BY ar.record_id, cs.session_num`,
+        [learner.learner_id]
+    );
+    const [superseded] = await connection.execute(
+        `SELECT ss.signature_ref
+        FROM superseded_signatures ss
+        JOIN attendance_records ar ON ar.record_id = ss.record_id
+        WHERE ar.learner_id = ? AND ss.signature_ref IS NOT NULL`,
+        [learner.learner_id]
+    );
+    const [certificates] = await connection.execute(
+        'SELECT file_ref AS signature_ref FROM certificates WHERE learner_id = ? AND file_ref IS NOT NULL',
+        [learner.learner_id]
+    );
+
+    // Signatures and superseded signatures cascade with the records; enrollments and
+    // certificates with the learner
+    await connection.execute('DELETE FROM attendance_records WHERE learner_id = ?', [learner.learner_id]);
+    await connection.execute('DELETE FROM learners WHERE learner_id = ?', [learner.learner_id]);
+
+    await audit.record(connection, {
+        action: audit.ACTIONS.DELETE,
+        entityType: 'learner',
+        entityId: learner.learner_id,
+        actor,
+        before: {
+            learner,
+            signatures: signatures.map(row => ({
+                recordId: row.record_id,
+                courseId: row.course_id,
+                sessionNum: row.session_num,
+                signatureHash: row.signature_sha256 || audit.hashState(row.signature_data)
+            }))
+        },
+        after: null,
+        details: { signaturesRemoved: signatures.length }
+    });
+    return [...signatures, ...superseded, ...certificates].map(row => row.signature_ref).filter(Boolean);
+}
+
+module.exports = {
+    MAX_NAME_LENGTH,
+    PROFILE_COLUMNS,
+    PROFILE_FIELDS,
+    normalizeName,
+    parseLearnerName,
+    parseProfile,
+    findMatchingLearner,
+    findLearner,
+    listLearners,
+    countLearners,
+    searchEnrolled,
+    findLearnerCourses,
+    createLearner,
+    findDuplicatePairs,
+    findDuplicates,
+    findCertificateConflicts,
+    mergeLearners,
+    updateLearner,
+    archiveLearner,
+    restoreLearner,
+    findArchivedBefore,
+    purgeLearner
+};
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.sql$/;
+const CREATE_TRIGGER = /\bCREATE\s+TRIGGER\b/i;
+// MySQL's error for a trigger created without SUPER while binary logging is on
+const ER_BINLOG_CREATE_ROUTINE_NEED_SUPER = 1419;
+
+// The migration files in order: [{ version, name, file, sql, checksum }]. version is the
+// three-digit prefix; gaps in the numbering are fine.
+function listMigrations(dir = MIGRATIONS_DIR) {
+    return fs.readdirSync(dir)
+        .map(file => ({ file, match: FILE_PATTERN.exec(file) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+            return {
+                version: match[1],
+                name: match[2],
+                file,
+                sql,
+                checksum: crypto.createHash('sha256').update(sql).digest('hex')
+            };
+        })
+        .sort((a, b) => a.version.localeCompare(b.version));
+}
+
+// Which migrations have run is kept in the database itself
+async function ensureMigrationsTable(connection) {
+    await connection.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(20) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            checksum CHAR(64) NOT NULL,
+            applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )`
+    );
+}
+
+// Every migration file with whether it has run: [{ version, name, file, applied, appliedAt,
+// changed }]. changed means the file was edited after it ran. Applied versions with no file
+// any more are listed with missing: true.
+async function getStatus(connection, dir = MIGRATIONS_DIR) {
+    await ensureMigrationsTable(connection);
+    const [rows] = await connection.query('SELECT version, name, checksum, applied_at FROM schema_migrations');
+    const applied = new Map(rows.map(row => [row.version, row]));
+    const migrations = listMigrations(dir);
+    const status = migrations.map(migration => {
+        const row = applied.get(migration.version);
+        return {
+            version: migration.version,
+            name: migration.name,
+            file: migration.file,
+            applied: Boolean(row),
+            appliedAt: row ? row.applied_at : null,
+            changed: Boolean(row) && row.checksum !== migration.checksum
+        };
+    });
+    const known = new Set(migrations.map(migration => migration.version));
+    rows.filter(row => !known.has(row.version)).forEach(row => status.push({
+        version: row.version,
+        name: row.name,
+        file: null,
+        applied: true,
+        appliedAt: row.applied_at,
+        missing: true
+    }));
+    return status.sort((a, b) => a.version.localeCompare(b.version));
+}
+
+function triggerPrivilegeMessage(file) {
+    return `${file} creates triggers (the audit log's append-only guard). With binary logging on, the `
+        + 'default on managed MySQL, MySQL only allows that for a user with the SUPER privilege or when '
+        + 'log_bin_trust_function_creators is 1. Set log_bin_trust_function_creators to 1 (in the '
+        + 'parameter group on managed MySQL) or migrate as a user with SUPER, then run the migrations again.';
+}
+
+// Whether this connection may create triggers: resolves to true unless binary logging is on,
+// log_bin_trust_function_creators is off and the user has no SUPER privilege.
+async function canCreateTriggers(connection) {
+    const [[settings]] = await connection.query(
+        'SELECT @@log_bin AS log_bin, @@log_bin_trust_function_creators AS trust_function_creators'
+    );
+    if (!Number(settings.log_bin) || Number(settings.trust_function_creators)) {
+        return true;
+    }
+    const [grants] = await connection.query('SHOW GRANTS FOR CURRENT_USER()');
+    return grants
+        .map(row => Object.values(row)[0])
+        .some(grant => /^GRANT (ALL PRIVILEGES|.*\bSUPER\b.*) ON \*\.\* TO/i.test(grant));
+}
+
+// Runs the migrations that have not run yet, in order, stopping at the first failure. The
+// connection must allow multiple statements. MySQL commits schema changes as it goes, so a
+// migration that fails part way has to be finished or undone by hand before running again.
+// Migrations that create triggers need more than the usual schema privileges (see
+// triggerPrivilegeMessage), so that is checked before anything runs rather than half way.
+// Resolves to the migrations applied.
+async function migrate(connection, { dir = MIGRATIONS_DIR, log = () => {} } = {}) {
+    const status = await getStatus(connection, dir);
+    const done = new Set(status.filter(entry => entry.applied).map(entry => entry.version));
+    const pending = listMigrations(dir).filter(migration => !done.has(migration.version));
+    const withTriggers = pending.find(migration => CREATE_TRIGGER.test(migration.sql));
+    if (withTriggers && !(await canCreateTriggers(connection))) {
+        throw new Error(triggerPrivilegeMessage(withTriggers.file));
+    }
+    const applied = [];
+    for (const migration of pending) {
+        log(`applying ${migration.file}`);
+        try {
+            await connection.query(migration.sql);
+        } catch (error) {
+            error.message = error.errno === ER_BINLOG_CREATE_ROUTINE_NEED_SUPER
+                ? triggerPrivilegeMessage(migration.file)
+                : `${migration.file}: ${error.message}`;
+            throw error;
+        }
+        await connection.execute(
+            'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+            [migration.version, migration.name, migration.checksum]
+        );
+        applied.push(migration);
+    }
+    return applied;
+}
+
+// For databases whose schema was set up by hand before this runner existed: records every
+// migration up to and including version as applied without running it. Resolves to the
+// migrations recorded.
+async function markApplied(connection, version, { dir = MIGRATIONS_DIR } = {}) {
+    await ensureMigrationsTable(connection);
+    const migrations = listMigrations(dir).filter(migration => migration.version <= version);
+    for (const migration of migrations) {
+        await connection.execute(
+            'INSERT IGNORE INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+            [migration.version, migration.name, migration.checksum]
+        );
+    }
+    return migrations;
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    listMigrations,
+    canCreateTriggers,
+    getStatus,
+    migrate,
+    markApplied
+};
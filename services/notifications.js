@@ -0,0 +1,221 @@
+const { ROLES } = require('./auth');
+const courses = require('./courses');
+const emailQueue = require('./emailQueue');
+const emailTemplates = require('./emailTemplates');
+const registerPdf = require('./registerPdf');
+const { createSendGridTransport } = require('./email/sendgrid');
+const { createMockTransport } = require('./email/mock');
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+const REMINDER_SCAN_INTERVAL_MS = 60 * 60 * 1000;
+// Only sessions this recent get reminders, so the first run does not email years of backlog
+const REMINDER_WINDOW_DAYS = 14;
+
+function formatDateTime(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+// Builds the email transport from the email section of config/index.js: transport is
+// 'sendgrid' (with sendgridApiKey), 'mock' (messages written as JSON to mockDir, if set) or null
+// when notifications are off. Returns null in that case.
+function createTransport(options) {
+    if (options.transport === 'sendgrid') {
+        return createSendGridTransport({ apiKey: options.sendgridApiKey });
+    }
+    if (options.transport === 'mock') {
+        return createMockTransport({ outDir: options.mockDir || undefined });
+    }
+    return null;
+}
+
+// Event-driven emails: sign confirmations, unsigned-session reminders and the completed
+// register for administrators. Events queue emails in the caller's transaction; start() runs a
+// worker in this process that scans for reminders and drains the queue.
+// options: { pool, transport (null disables everything), from, templatesDir,
+//            registerRecipients (defaults to every administrator account), signatureStore, intervalMs }
+function createNotifications({ pool, transport, from, templatesDir, registerRecipients = [], signatureStore, intervalMs = DEFAULT_INTERVAL_MS }) {
+    const enabled = Boolean(transport);
+    if (enabled && !from) {
+        throw new Error('EMAIL_FROM is not set.');
+    }
+    const templates = emailTemplates.loadTemplates(templatesDir);
+    let timer = null;
+    let running = false;
+    let lastReminderScan = 0;
+
+    async function adminRecipients(connection) {
+        if (registerRecipients.length > 0) {
+            return registerRecipients;
+        }
+        const [rows] = await connection.execute('SELECT email FROM admin_users WHERE role = ?', [ROLES.ADMINISTRATOR]);
+        return rows.map(row => row.email);
+    }
+
+    // The completed register is attached when sending, so it includes every signature
+    async function courseRegisterAttachment(courseId) {
+        let connection;
+        let course;
+        let data;
+        try {
+            connection = await pool.getConnection();
+            course = await courses.findCourse(connection, courseId);
+            if (!course) {
+                throw new Error(`Course ${courseId} no longer exists`);
+            }
+            data = await registerPdf.loadCourseRegister(connection, course);
+        } finally {
+            if (connection) connection.release();
+        }
+        return {
+            filename: `register-course-${course.course_id}.pdf`,
+            type: 'application/pdf',
+            content: await registerPdf.renderCourseRegister(signatureStore, course, data)
+        };
+    }
+
+    // Call in the signing transaction, after the signature row is inserted. Queues the learner's
+    // confirmation and, when this was the last missing signature, the completed register.
+    async function sessionSigned(connection, { signatureId, learnerId, course, sessionNum, signedAt }) {
+        if (!enabled) return;
+        const [learners] = await connection.execute(
+            'SELECT learner_name, email FROM learners WHERE learner_id = ?',
+            [learnerId]
+        );
+        if (learners.length > 0 && learners[0].email) {
+            await emailQueue.enqueue(connection, {
+                template: 'sign-confirmation',
+                to: learners[0].email,
+                data: {
+                    learnerName: learners[0].learner_name,
+                    unit: course.unit,
+                    venue: course.venue,
+                    sessionNum,
+                    signedAt: formatDateTime(signedAt)
+                },
+                dedupeKey: `sign-confirmation:${signatureId}`
+            });
+        }
+
+        // Complete when every enrolled, active learner has signed every session
+        const [counts] = await connection.execute(
+            `SELECT
+                (SELECT COUNT(*) FROM course_sessions cs WHERE cs.course_id = ?) AS session_count,
+                COUNT(*) AS learner_count,
+                SUM((
+                    SELECT COUNT(*) FROM attendance_signatures s
+                    JOIN attendance_records ar ON ar.record_id = s.record_id
+                    WHERE ar.course_id = e.course_id AND ar.learner_id = e.learner_id
+                )) AS signed_count
+            FROM enrollments e
+            JOIN learners l ON l.learner_id = e.learner_id
+            WHERE e.course_id = ? AND l.archived_at IS NULL`,
+            [course.course_id, course.course_id]
+        );
+        const { session_count: sessionCount, learner_count: learnerCount, signed_count: signedCount } = counts[0];
+        if (sessionCount === 0 || learnerCount === 0 || Number(signedCount) < sessionCount * learnerCount) {
+            return;
+        }
+        for (const to of await adminRecipients(connection)) {
+            await emailQueue.enqueue(connection, {
+                template: 'register-complete',
+                to,
+                data: {
+                    courseId: course.course_id,
+                    unit: course.unit,
+                    venue: course.venue,
+                    trainerEmail: course.trainer_email || 'not assigned'
+                },
+                attachment: `course-register:${course.course_id}`,
+                dedupeKey: `register-complete:${course.course_id}:${to}`
+            });
+        }
+    }
+
+    // Queues one reminder per learner and course for recent sessions that have passed unsigned
+    async function queueReminders() {
+        if (!enabled) return 0;
+        let connection;
+        let queued = 0;
+        try {
+            connection = await pool.getConnection();
+            const [rows] = await connection.execute(
+                `SELECT c.course_id, c.unit, c.venue, l.learner_id, l.learner_name, l.email,
+                    GROUP_CONCAT(cs.session_num ORDER BY cs.session_num SEPARATOR ', ') AS sessions
+                FROM enrollments e
+                JOIN learners l ON l.learner_id = e.learner_id
+                JOIN courses c ON c.course_id = e.course_id
+                JOIN course_sessions cs ON cs.course_id = e.course_id
+                LEFT JOIN attendance_records ar ON ar.learner_id = e.learner_id AND ar.course_id = e.course_id
+                LEFT JOIN attendance_signatures s ON s.record_id = ar.record_id AND s.session_id = cs.session_id
+                WHERE s.signature_id IS NULL
+                    AND cs.session_date < CURDATE()
+                    AND cs.session_date >= CURDATE() - INTERVAL ${REMINDER_WINDOW_DAYS} DAY
+                    AND l.email IS NOT NULL
+                    AND l.archived_at IS NULL
+                GROUP BY c.course_id, c.unit, c.venue, l.learner_id, l.learner_name, l.email`
+            );
+            for (const row of rows) {
+                const added = await emailQueue.enqueue(connection, {
+                    template: 'unsigned-reminder',
+                    to: row.email,
+                    data: { learnerName: row.learner_name, unit: row.unit, venue: row.venue, sessions: row.sessions },
+                    dedupeKey: `unsigned-reminder:${row.course_id}:${row.learner_id}`
+                });
+                if (added) queued++;
+            }
+        } finally {
+            if (connection) connection.release();
+        }
+        return queued;
+    }
+
+    // One worker pass: the reminder scan (at most hourly) and then a batch of sends
+    async function runOnce() {
+        if (!enabled || running) return null;
+        running = true;
+        try {
+            if (Date.now() - lastReminderScan >= REMINDER_SCAN_INTERVAL_MS) {
+                lastReminderScan = Date.now();
+                await queueReminders();
+            }
+            return await emailQueue.processQueue(pool, {
+                transport,
+                templates,
+                from,
+                attachments: { 'course-register': courseRegisterAttachment }
+            });
+        } catch (error) {
+            console.error('Error processing email queue:', error);
+            return null;
+        } finally {
+            running = false;
+        }
+    }
+
+    function start() {
+        if (!enabled || timer) return;
+        timer = setInterval(runOnce, intervalMs);
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return {
+        enabled,
+        transport,
+        sessionSigned,
+        queueReminders,
+        runOnce,
+        start,
+        stop
+    };
+}
+
+module.exports = {
+    createTransport,
+    createNotifications
+};
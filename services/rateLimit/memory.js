@@ -0,0 +1,57 @@
+// Rate limit counters in this process's memory. Fine for one server; several servers behind a
+// load balancer each count on their own, so pass a shared store to createApp instead. A store
+// has three methods, all returning promises:
+//   increment(key, windowMs)  adds one to key's counter, starting a window of windowMs when
+//                             there is none, and resolves to { count, resetAt } (ms timestamp)
+//   get(key)                  resolves to { count, resetAt }, or null when no window is open
+//   reset(key)                drops the counter
+function createMemoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+    const counters = new Map();
+
+    function current(key, now = Date.now()) {
+        const counter = counters.get(key);
+        if (counter && counter.resetAt <= now) {
+            counters.delete(key);
+            return null;
+        }
+        return counter || null;
+    }
+
+    // Expired counters are dropped as they are read, and in bulk here, so addresses that never
+    // come back do not pile up
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        for (const [key, counter] of counters) {
+            if (counter.resetAt <= now) counters.delete(key);
+        }
+    }, sweepIntervalMs);
+    sweeper.unref();
+
+    return {
+        name: 'memory',
+
+        async increment(key, windowMs) {
+            const now = Date.now();
+            const counter = current(key, now) || { count: 0, resetAt: now + windowMs };
+            counter.count++;
+            counters.set(key, counter);
+            return { ...counter };
+        },
+
+        async get(key) {
+            const counter = current(key);
+            return counter ? { ...counter } : null;
+        },
+
+        async reset(key) {
+            counters.delete(key);
+        },
+
+        // Stops the sweeper, for tests and shutdown
+        close() {
+            clearInterval(sweeper);
+        }
+    };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,91 @@
+const ExcelJS = require('exceljs');
+
+// Builds the attendance register table: one row per learner and course, one column per session
+// holding the time it was signed (UTC), then the completion figures. Signature images are
+// never included.
+// records: rows from attendance.findRecords; sessionRows: rows from attendance.findSessionRows
+function buildRegister(records, sessionRows) {
+    const signedAtByRecord = new Map();
+    sessionRows.forEach(row => {
+        if (!signedAtByRecord.has(row.record_id)) {
+            signedAtByRecord.set(row.record_id, {});
+        }
+        signedAtByRecord.get(row.record_id)[row.session_num] = row.signature_id !== null ? row.signed_at : null;
+    });
+
+    const maxSessions = records.reduce((max, record) => Math.max(max, record.session_count), 0);
+    const sessionHeaders = [];
+    for (let i = 1; i <= maxSessions; i++) {
+        sessionHeaders.push(`Session ${i} signed at (UTC)`);
+    }
+    const headers = [
+        'Learner ID', 'Learner name', 'Module', 'Course ID', 'Venue', 'Course start date',
+        ...sessionHeaders,
+        'Sessions signed', 'Sessions total', 'Completion %'
+    ];
+
+    const rows = records.map(record => {
+        const signedAt = signedAtByRecord.get(record.record_id) || {};
+        const sessionCells = [];
+        for (let i = 1; i <= maxSessions; i++) {
+            // Blank for unsigned sessions; "n/a" where this course has fewer sessions than the widest one
+            sessionCells.push(i > record.session_count ? 'n/a' : signedAt[i] || null);
+        }
+        const completion = record.session_count > 0
+            ? Math.round((record.signed_count / record.session_count) * 1000) / 10
+            : 0;
+        return [
+            record.learner_id, record.learner_name, record.module_title, record.course_id, record.venue,
+            record.start_date,
+            ...sessionCells,
+            record.signed_count, record.session_count, completion
+        ];
+    });
+    return { headers, rows };
+}
+
+function formatCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = value instanceof Date ? value.toISOString().replace('T', ' ').slice(0, 19) : String(value);
+    // Stop spreadsheet apps treating learner-entered text as a formula
+    if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv({ headers, rows }) {
+    const lines = [headers, ...rows].map(row => row.map(formatCsvValue).join(','));
+    // BOM so Excel opens UTF-8 names correctly
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+async function toXlsx({ headers, rows }, sheetName = 'Attendance register') {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.addRow(headers).font = { bold: true };
+    rows.forEach(row => sheet.addRow(row));
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    sheet.columns.forEach((column, index) => {
+        column.width = index === 1 ? 28 : Math.max(12, headers[index].length + 2);
+    });
+    // Signed-at and start date cells are Dates; show them as dates rather than serial numbers
+    sheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+        row.eachCell(cell => {
+            if (cell.value instanceof Date) {
+                cell.numFmt = 'yyyy-mm-dd hh:mm';
+            }
+        });
+    });
+    return workbook.xlsx.writeBuffer();
+}
+
+module.exports = {
+    buildRegister,
+    toCsv,
+    toXlsx
+};
@@ -0,0 +1,226 @@
+const PDFDocument = require('pdfkit');
+const sharp = require('sharp');
+const { parseDataUrl } = require('./signatureStore');
+const { getSchedule } = require('./sessions');
+
+// A4 landscape, in points
+const MARGIN = 30;
+const NAME_COLUMN_WIDTH = 170;
+const HEADER_ROW_HEIGHT = 34;
+const ROW_HEIGHT = 46;
+// Courses with more sessions than this are printed as several tables of consecutive sessions
+const SESSIONS_PER_TABLE = 8;
+
+function formatDate(value) {
+    if (!value) return '';
+    return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+function formatDateTime(value) {
+    if (!value) return '';
+    const date = value instanceof Date ? value : new Date(value);
+    return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function formatTime(value) {
+    return value ? String(value).slice(0, 5) : '';
+}
+
+async function readStream(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+// Loads one signature as a PNG buffer for embedding, from the store or a legacy data URL.
+// SVG signatures from before server-side normalization are rasterized; resolves to null when
+// the image cannot be read.
+async function loadSignatureImage(signatureStore, signature) {
+    try {
+        let buffer;
+        if (signature.signature_ref) {
+            buffer = await readStream(await signatureStore.open(signature.signature_ref));
+        } else {
+            const image = parseDataUrl(signature.signature_data);
+            if (!image) return null;
+            buffer = image.buffer;
+        }
+        return await sharp(buffer).flatten({ background: '#ffffff' }).png().toBuffer();
+    } catch (error) {
+        console.error(`Error loading signature ${signature.signature_id} for register:`, error.message);
+        return null;
+    }
+}
+
+function drawHeader(doc, course, generatedAt) {
+    doc.font('Helvetica-Bold').fontSize(16).text('Attendance register', MARGIN, MARGIN);
+    doc.moveDown(0.3);
+    doc.font('Helvetica').fontSize(10);
+    const lines = [
+        `Course: ${course.unit} (ID ${course.course_id})`,
+        `Venue: ${course.venue}`,
+        `Dates: ${course.firstDate} to ${course.lastDate}`,
+        `Trainer: ${course.trainer_email || 'Not assigned'}`
+    ];
+    if (course.signed_off_at) {
+        lines.push(`Signed off: ${formatDateTime(course.signed_off_at)}`);
+    }
+    lines.forEach(line => doc.text(line));
+    const bottom = doc.y;
+    doc.fontSize(8).fillColor('#555555')
+        .text(`Generated ${formatDateTime(generatedAt)}`, MARGIN, MARGIN, { align: 'right' })
+        .fillColor('#000000');
+    doc.y = bottom;
+}
+
+function drawCell(doc, x, y, width, height) {
+    doc.lineWidth(0.5).rect(x, y, width, height).stroke();
+}
+
+function drawTableHeader(doc, sessions, columnWidth, y) {
+    doc.font('Helvetica-Bold').fontSize(9);
+    drawCell(doc, MARGIN, y, NAME_COLUMN_WIDTH, HEADER_ROW_HEIGHT);
+    doc.text('Learner', MARGIN + 4, y + 4, { width: NAME_COLUMN_WIDTH - 8 });
+    sessions.forEach((session, index) => {
+        const x = MARGIN + NAME_COLUMN_WIDTH + index * columnWidth;
+        drawCell(doc, x, y, columnWidth, HEADER_ROW_HEIGHT);
+        doc.font('Helvetica-Bold').fontSize(9)
+            .text(`Session ${session.session_num}`, x + 2, y + 4, { width: columnWidth - 4, align: 'center' });
+        const times = session.start_time ? ` ${formatTime(session.start_time)}-${formatTime(session.end_time)}` : '';
+        doc.font('Helvetica').fontSize(7)
+            .text(`${formatDate(session.session_date)}${times}`, x + 2, y + 16, { width: columnWidth - 4, align: 'center' });
+    });
+    return y + HEADER_ROW_HEIGHT;
+}
+
+function drawLearnerRow(doc, learner, sessions, columnWidth, y) {
+    drawCell(doc, MARGIN, y, NAME_COLUMN_WIDTH, ROW_HEIGHT);
+    doc.font('Helvetica').fontSize(9)
+        .text(learner.learner_name, MARGIN + 4, y + 6, { width: NAME_COLUMN_WIDTH - 8, height: ROW_HEIGHT - 8, ellipsis: true });
+    sessions.forEach((session, index) => {
+        const x = MARGIN + NAME_COLUMN_WIDTH + index * columnWidth;
+        drawCell(doc, x, y, columnWidth, ROW_HEIGHT);
+        const signature = learner.signatures.get(session.session_num);
+        if (!signature) return;
+        if (signature.image) {
+            doc.image(signature.image, x + 3, y + 2, {
+                fit: [columnWidth - 6, ROW_HEIGHT - 13],
+                align: 'center',
+                valign: 'center'
+            });
+        } else {
+            doc.font('Helvetica-Oblique').fontSize(7)
+                .text('Signed (image unavailable)', x + 2, y + 10, { width: columnWidth - 4, align: 'center' });
+        }
+        doc.font('Helvetica').fontSize(6)
+            .text(formatDateTime(signature.signed_at), x + 2, y + ROW_HEIGHT - 9, { width: columnWidth - 4, align: 'center' });
+    });
+    return y + ROW_HEIGHT;
+}
+
+// Everything the register shows for one course, from the database: the schedule, the active
+// learners (everyone enrolled plus anyone who signed without still being enrolled, or just
+// learnerId) and their signature rows. Archived learners are left out, as in every other list.
+async function loadCourseRegister(connection, course, learnerId) {
+    const schedule = await getSchedule(connection, course.course_id);
+    const learnerParams = learnerId !== undefined ? [learnerId] : [];
+    const [learners] = await connection.execute(
+        `SELECT l.learner_id, l.learner_name
+        FROM learners l
+        WHERE l.archived_at IS NULL AND (
+            l.learner_id IN (SELECT e.learner_id FROM enrollments e WHERE e.course_id = ?)
+            OR l.learner_id IN (SELECT ar.learner_id FROM attendance_records ar WHERE ar.course_id = ?)
+        ) ${learnerId !== undefined ? 'AND l.learner_id = ?' : ''}
+        ORDER BY l.learner_name, l.learner_id`,
+        [course.course_id, course.course_id, ...learnerParams]
+    );
+    const [signatures] = await connection.execute(
+        `SELECT s.signature_id, s.signature_ref, s.signature_data, s.signed_at, ar.learner_id, cs.session_num
+        FROM attendance_signatures s
+        JOIN attendance_records ar ON ar.record_id = s.record_id
+        JOIN course_sessions cs ON cs.session_id = s.session_id
+        JOIN learners l ON l.learner_id = ar.learner_id
+        WHERE ar.course_id = ? AND l.archived_at IS NULL ${learnerId !== undefined ? 'AND ar.learner_id = ?' : ''}`,
+        [course.course_id, ...learnerParams]
+    );
+    return { sessions: schedule, learners, signatures };
+}
+
+// Loads the signature images for a loadCourseRegister result and renders the register.
+// Resolves to the PDF as a Buffer.
+async function renderCourseRegister(signatureStore, course, { sessions, learners, signatures }) {
+    const byLearner = new Map(learners.map(learner => [learner.learner_id, { ...learner, signatures: new Map() }]));
+    for (const signature of signatures) {
+        const learner = byLearner.get(signature.learner_id);
+        if (!learner) continue;
+        learner.signatures.set(signature.session_num, {
+            signed_at: signature.signed_at,
+            image: await loadSignatureImage(signatureStore, signature)
+        });
+    }
+    return drawCourseRegister({ course, sessions, learners: [...byLearner.values()] });
+}
+
+// learners: [{ learner_id, learner_name, signatures: Map(session_num => { signed_at, image }) }]
+function drawCourseRegister({ course, sessions, learners }) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            layout: 'landscape',
+            margin: MARGIN,
+            info: { Title: `Attendance register - ${course.unit} (course ${course.course_id})` }
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const sessionDates = sessions.map(session => formatDate(session.session_date)).sort();
+        const header = {
+            ...course,
+            firstDate: sessionDates[0] || formatDate(course.start_date),
+            lastDate: sessionDates[sessionDates.length - 1] || formatDate(course.start_date)
+        };
+        const generatedAt = new Date();
+        const pageBottom = doc.page.height - MARGIN;
+
+        drawHeader(doc, header, generatedAt);
+        if (learners.length === 0 || sessions.length === 0) {
+            doc.font('Helvetica').fontSize(10).text(
+                learners.length === 0 ? 'No learners are enrolled on this course.' : 'This course has no sessions.',
+                MARGIN, doc.y + 10
+            );
+            doc.end();
+            return;
+        }
+
+        for (let start = 0; start < sessions.length; start += SESSIONS_PER_TABLE) {
+            const tableSessions = sessions.slice(start, start + SESSIONS_PER_TABLE);
+            const columnWidth = (doc.page.width - 2 * MARGIN - NAME_COLUMN_WIDTH) / tableSessions.length;
+            let y = doc.y + 10;
+            if (start > 0 || y + HEADER_ROW_HEIGHT + ROW_HEIGHT > pageBottom) {
+                doc.addPage();
+                drawHeader(doc, header, generatedAt);
+                y = doc.y + 10;
+            }
+            y = drawTableHeader(doc, tableSessions, columnWidth, y);
+            learners.forEach(learner => {
+                if (y + ROW_HEIGHT > pageBottom) {
+                    doc.addPage();
+                    drawHeader(doc, header, generatedAt);
+                    y = drawTableHeader(doc, tableSessions, columnWidth, doc.y + 10);
+                }
+                y = drawLearnerRow(doc, learner, tableSessions, columnWidth, y);
+            });
+            doc.y = y;
+        }
+        doc.end();
+    });
+}
+
+module.exports = {
+    loadCourseRegister,
+    renderCourseRegister
+};
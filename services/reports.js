@@ -0,0 +1,260 @@
+const { isValidDate, courseScope, learnerScope } = require('./courses');
+
+const COMPLETION_GROUPS = {
+    module: 'p.unit',
+    month: "DATE_FORMAT(p.start_date, '%Y-%m')"
+};
+const REGISTRATION_INTERVALS = {
+    day: "DATE_FORMAT(l.registration_date, '%Y-%m-%d')",
+    week: "DATE_FORMAT(l.registration_date, '%x-W%v')",
+    month: "DATE_FORMAT(l.registration_date, '%Y-%m')"
+};
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// The filters shared by the reports, as query fields for middleware/validate.js: dateFrom /
+// dateTo (on the course start date, or the registration date for registrations), module and courseId
+const FILTER_QUERY = {
+    dateFrom: { type: 'date' },
+    dateTo: {
+        type: 'date',
+        check: (value, query) => (isValidDate(query.dateFrom) && query.dateFrom > value ? 'must not be before dateFrom' : null)
+    },
+    module: { type: 'string', maxLength: 255 },
+    courseId: { type: 'id' }
+};
+
+// Reads the filters from a query already checked against FILTER_QUERY
+function parseFilters(query) {
+    return {
+        dateFrom: query.dateFrom || null,
+        dateTo: query.dateTo || null,
+        moduleTitle: query.module || null,
+        courseId: query.courseId || null
+    };
+}
+
+// Conditions on enrollments e, courses c and learners l for the course-based reports
+function enrollmentWhere(filters, user) {
+    const scope = courseScope(user, 'e.course_id');
+    const where = ['l.archived_at IS NULL', scope.sql];
+    const params = [...scope.params];
+    if (filters.dateFrom) {
+        where.push('c.start_date >= ?');
+        params.push(filters.dateFrom);
+    }
+    if (filters.dateTo) {
+        where.push('c.start_date <= ?');
+        params.push(filters.dateTo);
+    }
+    if (filters.moduleTitle) {
+        where.push('c.unit = ?');
+        params.push(filters.moduleTitle);
+    }
+    if (filters.courseId) {
+        where.push('e.course_id = ?');
+        params.push(filters.courseId);
+    }
+    return { sql: where.join(' AND '), params };
+}
+
+// One row per enrolled learner and course with the course's session count and how many of
+// them the learner signed. Learners who never signed count with signed_count 0.
+// Wrapped as derived table "p".
+function progressQuery(filters, user) {
+    const where = enrollmentWhere(filters, user);
+    const sql = `(
+            SELECT e.learner_id, l.learner_name, e.course_id, c.unit, c.venue, c.start_date,
+                (SELECT COUNT(*) FROM course_sessions cs WHERE cs.course_id = e.course_id) AS session_count,
+                COUNT(s.signature_id) AS signed_count
+            FROM enrollments e
+            JOIN courses c ON c.course_id = e.course_id
+            JOIN learners l ON l.learner_id = e.learner_id
+            LEFT JOIN attendance_records ar ON ar.learner_id = e.learner_id AND ar.course_id = e.course_id
+            LEFT JOIN attendance_signatures s ON s.record_id = ar.record_id
+            WHERE ${where.sql}
+            GROUP BY e.enrollment_id, e.learner_id, l.learner_name, e.course_id, c.unit, c.venue, c.start_date
+        ) p`;
+    return { sql, params: where.params };
+}
+
+function rate(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+// Completion per module or per month of the course start date: learners enrolled, how many
+// signed every session, the completion rate (%) and the average number of sessions signed.
+async function completion(connection, filters, user, groupBy) {
+    const query = progressQuery(filters, user);
+    const group = COMPLETION_GROUPS[groupBy];
+    const [rows] = await connection.execute(
+        `SELECT ${group} AS group_key,
+            COUNT(*) AS learners,
+            SUM(p.session_count > 0 AND p.signed_count >= p.session_count) AS completed,
+            SUM(p.signed_count) AS sessions_signed,
+            SUM(p.session_count) AS sessions_scheduled
+        FROM ${query.sql}
+        GROUP BY group_key
+        ORDER BY group_key`,
+        query.params
+    );
+    const summarize = row => ({
+        learners: Number(row.learners),
+        completed: Number(row.completed),
+        completionRate: rate(Number(row.completed), Number(row.learners)),
+        averageSessionsSigned: row.learners > 0 ? Math.round((row.sessions_signed / row.learners) * 100) / 100 : null,
+        averageSessionsScheduled: row.learners > 0 ? Math.round((row.sessions_scheduled / row.learners) * 100) / 100 : null
+    });
+    const totals = rows.reduce((sum, row) => ({
+        learners: sum.learners + Number(row.learners),
+        completed: sum.completed + Number(row.completed),
+        sessions_signed: sum.sessions_signed + Number(row.sessions_signed),
+        sessions_scheduled: sum.sessions_scheduled + Number(row.sessions_scheduled)
+    }), { learners: 0, completed: 0, sessions_signed: 0, sessions_scheduled: 0 });
+    return {
+        groupBy,
+        totals: summarize(totals),
+        groups: rows.map(row => ({ [groupBy]: row.group_key, ...summarize(row) }))
+    };
+}
+
+// Per session number, over sessions already held (dated before today, or undated): how many
+// enrolled learners were due to sign it, how many did, and how many dropped off there, i.e.
+// signed every earlier session but not this one.
+async function dropOff(connection, filters, user) {
+    const where = enrollmentWhere(filters, user);
+    const held = '(cs.session_date IS NULL OR cs.session_date < CURDATE())';
+    const from = `FROM enrollments e
+        JOIN courses c ON c.course_id = e.course_id
+        JOIN learners l ON l.learner_id = e.learner_id
+        JOIN course_sessions cs ON cs.course_id = e.course_id
+        LEFT JOIN attendance_records ar ON ar.learner_id = e.learner_id AND ar.course_id = e.course_id
+        LEFT JOIN attendance_signatures s ON s.record_id = ar.record_id AND s.session_id = cs.session_id
+        WHERE ${where.sql} AND ${held}`;
+    const [sessionRows] = await connection.execute(
+        `SELECT cs.session_num, COUNT(*) AS due, COUNT(s.signature_id) AS signed
+        ${from}
+        GROUP BY cs.session_num
+        ORDER BY cs.session_num`,
+        where.params
+    );
+    const [dropRows] = await connection.execute(
+        `SELECT d.first_missed AS session_num, COUNT(*) AS dropped
+        FROM (
+            SELECT MIN(cs.session_num) AS first_missed
+            ${from} AND s.signature_id IS NULL
+            GROUP BY e.enrollment_id
+        ) d
+        GROUP BY d.first_missed`,
+        where.params
+    );
+    const dropped = new Map(dropRows.map(row => [row.session_num, Number(row.dropped)]));
+    return sessionRows.map(row => ({
+        sessionNum: row.session_num,
+        due: Number(row.due),
+        signed: Number(row.signed),
+        attendanceRate: rate(Number(row.signed), Number(row.due)),
+        droppedOff: dropped.get(row.session_num) || 0
+    }));
+}
+
+// Learners who have not signed every session of a course, with the session numbers they are
+// missing. Paged; newest courses first.
+async function incomplete(connection, filters, user, { page, pageSize }) {
+    const where = enrollmentWhere(filters, user);
+    const from = `FROM enrollments e
+        JOIN courses c ON c.course_id = e.course_id
+        JOIN learners l ON l.learner_id = e.learner_id
+        JOIN course_sessions cs ON cs.course_id = e.course_id
+        LEFT JOIN attendance_records ar ON ar.learner_id = e.learner_id AND ar.course_id = e.course_id
+        LEFT JOIN attendance_signatures s ON s.record_id = ar.record_id AND s.session_id = cs.session_id
+        WHERE ${where.sql}
+        GROUP BY e.enrollment_id, e.learner_id, l.learner_name, e.course_id, c.unit, c.venue, c.start_date
+        HAVING COUNT(s.signature_id) < COUNT(*)`;
+    const [countRows] = await connection.execute(
+        `SELECT COUNT(*) AS total FROM (SELECT e.enrollment_id ${from}) i`,
+        where.params
+    );
+    // LIMIT/OFFSET are inlined: both are integers parsed by the caller
+    const [rows] = await connection.execute(
+        `SELECT e.learner_id, l.learner_name, e.course_id, c.unit, c.venue, c.start_date,
+            COUNT(*) AS session_count,
+            COUNT(s.signature_id) AS signed_count,
+            GROUP_CONCAT(CASE WHEN s.signature_id IS NULL THEN cs.session_num END ORDER BY cs.session_num) AS missing_sessions
+        ${from}
+        ORDER BY c.start_date DESC, e.course_id DESC, l.learner_name
+        LIMIT ${Number(pageSize)} OFFSET ${(Number(page) - 1) * Number(pageSize)}`,
+        where.params
+    );
+    return {
+        total: Number(countRows[0].total),
+        page,
+        pageSize,
+        learners: rows.map(row => ({
+            learnerId: row.learner_id,
+            learnerName: row.learner_name,
+            courseId: row.course_id,
+            unit: row.unit,
+            venue: row.venue,
+            courseStartDate: row.start_date,
+            sessionCount: Number(row.session_count),
+            signedCount: Number(row.signed_count),
+            missingSessions: row.missing_sessions ? row.missing_sessions.split(',').map(Number) : []
+        }))
+    };
+}
+
+// Learners registered per day, ISO week or month. dateFrom / dateTo apply to the registration
+// date; module and courseId count only learners enrolled on a matching course.
+async function registrations(connection, filters, user, interval) {
+    const scope = learnerScope(user, 'l.learner_id');
+    const where = ['l.archived_at IS NULL', scope.sql];
+    const params = [...scope.params];
+    if (filters.dateFrom) {
+        where.push('l.registration_date >= ?');
+        params.push(filters.dateFrom);
+    }
+    if (filters.dateTo) {
+        where.push('l.registration_date < ? + INTERVAL 1 DAY');
+        params.push(filters.dateTo);
+    }
+    if (filters.moduleTitle || filters.courseId) {
+        const course = [];
+        if (filters.moduleTitle) {
+            course.push('c.unit = ?');
+            params.push(filters.moduleTitle);
+        }
+        if (filters.courseId) {
+            course.push('c.course_id = ?');
+            params.push(filters.courseId);
+        }
+        where.push(`l.learner_id IN (SELECT e.learner_id FROM enrollments e
+            JOIN courses c ON c.course_id = e.course_id WHERE ${course.join(' AND ')})`);
+    }
+    const [rows] = await connection.execute(
+        `SELECT ${REGISTRATION_INTERVALS[interval]} AS period, COUNT(*) AS registrations
+        FROM learners l
+        WHERE ${where.join(' AND ')}
+        GROUP BY period
+        ORDER BY period`,
+        params
+    );
+    return {
+        interval,
+        total: rows.reduce((sum, row) => sum + Number(row.registrations), 0),
+        periods: rows.map(row => ({ period: row.period, registrations: Number(row.registrations) }))
+    };
+}
+
+module.exports = {
+    FILTER_QUERY,
+    COMPLETION_GROUPS,
+    REGISTRATION_INTERVALS,
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    parseFilters,
+    completion,
+    dropOff,
+    incomplete,
+    registrations
+};
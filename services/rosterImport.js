@@ -0,0 +1,281 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { enrollLearner, isEnrolled } = require('./courses');
+const learners = require('./learners');
+
+const MAX_ROWS = 1000;
+
+// Header spellings seen on client rosters, mapped to the field they fill. Profile fields use
+// the names learners.parseProfile reads.
+const HEADER_ALIASES = {
+    name: 'name',
+    'learner name': 'name',
+    'full name': 'name',
+    learner: 'name',
+    delegate: 'name',
+    'delegate name': 'name',
+    email: 'email',
+    'email address': 'email',
+    phone: 'phone',
+    'phone number': 'phone',
+    mobile: 'phone',
+    telephone: 'phone',
+    employer: 'employer',
+    company: 'employer',
+    organisation: 'employer',
+    'nebosh learner number': 'neboshLearnerNumber',
+    'learner number': 'neboshLearnerNumber',
+    'nebosh number': 'neboshLearnerNumber',
+    'date of birth': 'dateOfBirth',
+    dob: 'dateOfBirth'
+};
+
+class RosterError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RosterError';
+    }
+}
+
+// Minimal RFC 4180 parser: quoted fields, doubled quotes, CRLF or LF line endings
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new RosterError('CSV file has an unterminated quoted field.');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+        // Rich text, hyperlinks and formulas
+        if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return String(value.text);
+        if (value.result !== undefined) return cellText(value.result);
+        return '';
+    }
+    return String(value);
+}
+
+const cleanName = learners.normalizeName;
+
+// Reads the first sheet row by row and stops once it has more rows than a roster may have (a
+// header and MAX_ROWS learners), so an oversized workbook is refused without being read whole
+async function parseXlsx(buffer) {
+    const reader = new ExcelJS.stream.xlsx.WorkbookReader(Readable.from([buffer]), {
+        sharedStrings: 'cache',
+        styles: 'cache', // dates are numbers with a date format
+        hyperlinks: 'ignore',
+        worksheets: 'emit',
+        entries: 'ignore'
+    });
+    const rows = [];
+    let filled = 0;
+    try {
+        for await (const sheet of reader) {
+            for await (const row of sheet) {
+                // Empty rows are skipped, so pad to keep rows[i] the row numbered i + 1
+                while (rows.length < row.number - 1) rows.push([]);
+                // row.values is 1-based
+                const cells = row.values.slice(1).map(cellText);
+                rows.push(cells);
+                if (cells.some(cell => cleanName(cell) !== '') && ++filled > MAX_ROWS + 1) {
+                    throw new RosterError(`Roster has more than ${MAX_ROWS} rows, the limit.`);
+                }
+            }
+            return rows;
+        }
+    } catch (error) {
+        if (error instanceof RosterError) throw error;
+        throw new RosterError('File could not be read as an XLSX workbook.');
+    }
+    throw new RosterError('Workbook has no worksheets.');
+}
+
+// Parses an uploaded roster (CSV or XLSX, first sheet) into
+// [{ rowNumber, name, profile, error }], where rowNumber is the line in the file, profile is
+// keyed by learners column and error is set for rows that failed validation. Throws
+// RosterError when the file itself is unusable.
+async function parseRoster(buffer, filename) {
+    const extension = String(filename || '').toLowerCase().split('.').pop();
+    let table;
+    if (extension === 'csv') {
+        table = parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    } else if (extension === 'xlsx') {
+        table = await parseXlsx(buffer);
+    } else {
+        throw new RosterError('Roster must be a .csv or .xlsx file.');
+    }
+
+    const headerIndex = table.findIndex(cells => cells.some(cell => cleanName(cell) !== ''));
+    if (headerIndex === -1) {
+        throw new RosterError('Roster is empty.');
+    }
+    const columns = {};
+    table[headerIndex].forEach((cell, index) => {
+        const field = HEADER_ALIASES[cleanName(cell).toLowerCase()];
+        if (field && columns[field] === undefined) {
+            columns[field] = index;
+        }
+    });
+    if (columns.name === undefined) {
+        const nameHeaders = Object.keys(HEADER_ALIASES).filter(header => HEADER_ALIASES[header] === 'name');
+        throw new RosterError(`Roster needs a name column. Accepted headers: ${nameHeaders.join(', ')}.`);
+    }
+
+    const rows = [];
+    for (let i = headerIndex + 1; i < table.length; i++) {
+        const cells = table[i];
+        if (cells.every(cell => cleanName(cell) === '')) continue;
+        const input = {};
+        Object.entries(columns).forEach(([field, index]) => {
+            input[field] = cells[index] === undefined ? '' : cells[index];
+        });
+        const parsedName = learners.parseLearnerName(input.name);
+        const parsedProfile = learners.parseProfile(input);
+        rows.push({
+            rowNumber: i + 1,
+            name: cleanName(input.name),
+            profile: parsedProfile.profile || {},
+            error: parsedName.error || parsedProfile.error || null
+        });
+    }
+    if (rows.length === 0) {
+        throw new RosterError('Roster has no learner rows.');
+    }
+    if (rows.length > MAX_ROWS) {
+        throw new RosterError(`Roster has ${rows.length} rows; the limit is ${MAX_ROWS}.`);
+    }
+    return rows;
+}
+
+// Two rows of one file describe the same person when they share a learner number, or share a
+// name (case-insensitive) without their email or date of birth telling them apart
+function sameRosterPerson(a, b) {
+    if (a.profile.nebosh_learner_number && a.profile.nebosh_learner_number === b.profile.nebosh_learner_number) {
+        return true;
+    }
+    const differ = column => a.profile[column] && b.profile[column] && a.profile[column] !== b.profile[column];
+    return a.name.toLowerCase() === b.name.toLowerCase() && !differ('email') && !differ('date_of_birth')
+        && !differ('nebosh_learner_number');
+}
+
+// Works out what importing each row would do, without changing anything:
+//   create   - no existing learner matches
+//   match    - exactly one existing learner matches (alreadyEnrolled says if they are on the course)
+//   conflict - several existing learners match equally, the match is archived, or the row
+//              repeats an earlier row
+//   invalid  - the row failed validation
+// Matching is learners.findMatchingLearner: learner number, then email, then name.
+async function previewImport(connection, courseId, rows) {
+    const preview = [];
+    const accepted = [];
+    for (const row of rows) {
+        const base = { rowNumber: row.rowNumber, name: row.name, profile: row.profile };
+        if (row.error) {
+            preview.push({ ...base, action: 'invalid', reason: row.error });
+            continue;
+        }
+        const earlier = accepted.find(other => sameRosterPerson(other, row));
+        if (earlier) {
+            preview.push({ ...base, action: 'conflict', reason: `Same learner as row ${earlier.rowNumber}.` });
+            continue;
+        }
+        accepted.push(row);
+
+        const match = await learners.findMatchingLearner(connection, row.name, row.profile);
+        if (match.ambiguous) {
+            preview.push({
+                ...base,
+                action: 'conflict',
+                reason: `${match.ambiguous.length} existing learners match this row. Add an email, date of birth or learner number.`,
+                candidates: match.ambiguous.map(learner => ({ learnerId: learner.learner_id, learnerName: learner.learner_name }))
+            });
+        } else if (match.learner && match.learner.archived_at) {
+            preview.push({
+                ...base,
+                action: 'conflict',
+                reason: `Matches archived learner ${match.learner.learner_id}. Restore them before importing.`
+            });
+        } else if (match.learner) {
+            preview.push({
+                ...base,
+                action: 'match',
+                learnerId: match.learner.learner_id,
+                matchedName: match.learner.learner_name,
+                alreadyEnrolled: await isEnrolled(connection, courseId, match.learner.learner_id)
+            });
+        } else {
+            preview.push({ ...base, action: 'create' });
+        }
+    }
+    return preview;
+}
+
+function summarize(preview) {
+    const summary = { create: 0, match: 0, conflict: 0, invalid: 0 };
+    preview.forEach(row => {
+        summary[row.action]++;
+    });
+    return summary;
+}
+
+// Creates the "create" rows and enrolls them and the "match" rows on the course. Conflicts
+// and invalid rows are left out, and matched learners keep their existing profile. Call
+// inside a transaction; fills in learnerId on created rows.
+async function commitImport(connection, courseId, preview) {
+    let enrolled = 0;
+    for (const row of preview) {
+        if (row.action === 'create') {
+            row.learnerId = await learners.createLearner(connection, row.name, row.profile);
+        } else if (row.action !== 'match') {
+            continue;
+        }
+        const [result] = await enrollLearner(connection, courseId, row.learnerId);
+        enrolled += result.affectedRows;
+    }
+    return enrolled;
+}
+
+module.exports = {
+    RosterError,
+    parseRoster,
+    previewImport,
+    summarize,
+    commitImport
+};
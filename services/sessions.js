@@ -0,0 +1,104 @@
+const { isValidDate } = require('./courses');
+
+const MAX_SESSIONS = 20;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Checks a schedule sent by the dashboard: [{ date, startTime, endTime }, ...] in session order.
+// Returns an error message, or null when it is valid.
+function validateSchedule(sessions) {
+    if (!Array.isArray(sessions) || sessions.length === 0) {
+        return 'sessions must be a non-empty array.';
+    }
+    if (sessions.length > MAX_SESSIONS) {
+        return `A course can have at most ${MAX_SESSIONS} sessions.`;
+    }
+    for (let i = 0; i < sessions.length; i++) {
+        const session = sessions[i] || {};
+        if (session.date !== undefined && session.date !== null && !isValidDate(session.date)) {
+            return `Session ${i + 1}: invalid date. Use YYYY-MM-DD.`;
+        }
+        for (const field of ['startTime', 'endTime']) {
+            if (session[field] !== undefined && session[field] !== null && !TIME_PATTERN.test(session[field])) {
+                return `Session ${i + 1}: invalid ${field}. Use HH:MM.`;
+            }
+        }
+        if (session.startTime && session.endTime && session.startTime >= session.endTime) {
+            return `Session ${i + 1}: endTime must be after startTime.`;
+        }
+    }
+    return null;
+}
+
+async function getSchedule(connection, courseId) {
+    const [rows] = await connection.execute(
+        `SELECT session_id, session_num, session_date, start_time, end_time
+        FROM course_sessions
+        WHERE course_id = ?
+        ORDER BY session_num`,
+        [courseId]
+    );
+    return rows;
+}
+
+async function findSession(connection, courseId, sessionNum) {
+    const [rows] = await connection.execute(
+        'SELECT session_id, session_num, session_date, start_time, end_time FROM course_sessions WHERE course_id = ? AND session_num = ?',
+        [courseId, sessionNum]
+    );
+    return rows[0] || null;
+}
+
+// Replaces a course's schedule. Sessions past the end of the new schedule are removed, which
+// is refused (returns false) if any of them has already been signed.
+async function replaceSchedule(connection, courseId, sessions) {
+    const [signedBeyond] = await connection.execute(
+        `SELECT COUNT(*) AS total
+        FROM attendance_signatures s
+        JOIN course_sessions cs ON cs.session_id = s.session_id
+        WHERE cs.course_id = ? AND cs.session_num > ?`,
+        [courseId, sessions.length]
+    );
+    if (signedBeyond[0].total > 0) {
+        return false;
+    }
+
+    await connection.execute(
+        'DELETE FROM course_sessions WHERE course_id = ? AND session_num > ?',
+        [courseId, sessions.length]
+    );
+    for (let i = 0; i < sessions.length; i++) {
+        const session = sessions[i] || {};
+        await connection.execute(
+            `INSERT INTO course_sessions (course_id, session_num, session_date, start_time, end_time)
+            VALUES (?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                session_date = VALUES(session_date),
+                start_time = VALUES(start_time),
+                end_time = VALUES(end_time)`,
+            [courseId, i + 1, session.date || null, session.startTime || null, session.endTime || null]
+        );
+    }
+    return true;
+}
+
+// Turns rows of (record, session_num, signature_id) into the signatures / isSignedStatus maps
+// the dashboard reads, with one entry per session the course has. Signatures are returned as
+// the URL of the image endpoint rather than the image itself, and only when the group has a
+// signatures map.
+function addSessionToGroup(group, row) {
+    const signed = row.signature_id !== null && row.signature_id !== undefined;
+    if (group.signatures) {
+        group.signatures[`signature${row.session_num}`] = signed ? `/api/signatures/${row.signature_id}/image` : null;
+    }
+    group.isSignedStatus[`is_signed${row.session_num}`] = signed ? 1 : 0;
+    group.sessionCount = Math.max(group.sessionCount || 0, row.session_num);
+}
+
+module.exports = {
+    MAX_SESSIONS,
+    validateSchedule,
+    getSchedule,
+    findSession,
+    replaceSchedule,
+    addSessionToGroup
+};
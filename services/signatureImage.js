@@ -0,0 +1,104 @@
+const sharp = require('sharp');
+const { parseDataUrl } = require('./signatureStore');
+
+const MAX_BYTES = 512 * 1024; // decoded image size
+const MIN_WIDTH = 100;
+const MIN_HEIGHT = 40;
+const MAX_WIDTH = 4000;
+const MAX_HEIGHT = 4000;
+
+// Every accepted signature is stored as a greyscale PNG of this size, on a white background
+const OUTPUT_WIDTH = 600;
+const OUTPUT_HEIGHT = 200;
+
+// A pixel darker than this counts as ink. Less ink than MIN_INK_RATIO is a blank or a stray
+// tap; more than MAX_INK_RATIO is a filled-in canvas rather than a signature.
+const INK_THRESHOLD = 200;
+const MIN_INK_RATIO = 0.002;
+const MAX_INK_RATIO = 0.5;
+
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// Anything that could make the renderer load or run something else
+const UNSAFE_SVG_PATTERN = /<script|<foreignObject|<image|<iframe|\bon[a-z]+\s*=|(?:xlink:)?href\s*=\s*["']\s*(?!#)/i;
+
+class SignatureValidationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SignatureValidationError';
+        this.status = status;
+    }
+}
+
+function checkContent(image) {
+    if (image.mimeType === 'image/png') {
+        if (!image.buffer.subarray(0, PNG_MAGIC.length).equals(PNG_MAGIC)) {
+            throw new SignatureValidationError('Signature is labelled as PNG but is not a PNG image.');
+        }
+        return;
+    }
+    const text = image.buffer.toString('utf8');
+    if (!/^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<svg[\s>]/i.test(text)) {
+        throw new SignatureValidationError('Signature is labelled as SVG but is not an SVG image.');
+    }
+    if (UNSAFE_SVG_PATTERN.test(text)) {
+        throw new SignatureValidationError('SVG signatures may only contain drawing elements.');
+    }
+}
+
+// Decodes a signature data URL, checks it is a real PNG or SVG within the size and dimension
+// limits with a plausible amount of ink, and re-renders it as a fixed-size greyscale PNG.
+// checkInk: false skips the ink checks, for signatures accepted before they existed.
+// Resolves to { buffer, mimeType, inkRatio }; rejects with SignatureValidationError.
+async function normalizeSignature(dataUrl, { checkInk = true } = {}) {
+    const image = parseDataUrl(dataUrl);
+    if (!image) {
+        throw new SignatureValidationError('signatureData must be a base64 PNG or SVG data URL.');
+    }
+    if (image.buffer.length > MAX_BYTES) {
+        throw new SignatureValidationError(`Signature image is larger than ${MAX_BYTES / 1024} KB.`, 413);
+    }
+    checkContent(image);
+
+    let metadata;
+    try {
+        metadata = await sharp(image.buffer, { limitInputPixels: MAX_WIDTH * MAX_HEIGHT }).metadata();
+    } catch (error) {
+        throw new SignatureValidationError('Signature image could not be decoded.');
+    }
+    if (metadata.width < MIN_WIDTH || metadata.height < MIN_HEIGHT) {
+        throw new SignatureValidationError(`Signature image must be at least ${MIN_WIDTH}x${MIN_HEIGHT} pixels.`);
+    }
+    if (metadata.width > MAX_WIDTH || metadata.height > MAX_HEIGHT) {
+        throw new SignatureValidationError(`Signature image must be at most ${MAX_WIDTH}x${MAX_HEIGHT} pixels.`);
+    }
+
+    // Transparent canvases are flattened onto white so only the strokes count as ink
+    const { data: pixels, info } = await sharp(image.buffer)
+        .flatten({ background: '#ffffff' })
+        .greyscale()
+        .resize(OUTPUT_WIDTH, OUTPUT_HEIGHT, { fit: 'contain', background: '#ffffff' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    let inkPixels = 0;
+    for (let i = 0; i < pixels.length; i += info.channels) {
+        if (pixels[i] < INK_THRESHOLD) inkPixels++;
+    }
+    const inkRatio = inkPixels / (info.width * info.height);
+    if (checkInk && inkRatio < MIN_INK_RATIO) {
+        throw new SignatureValidationError('Signature is blank or too faint. Please sign again.');
+    }
+    if (checkInk && inkRatio > MAX_INK_RATIO) {
+        throw new SignatureValidationError('Signature image is mostly filled in. Please sign again.');
+    }
+
+    const buffer = await sharp(pixels, { raw: { width: info.width, height: info.height, channels: info.channels } })
+        .png({ compressionLevel: 9 })
+        .toBuffer();
+    return { buffer, mimeType: 'image/png', inkRatio };
+}
+
+module.exports = {
+    SignatureValidationError,
+    normalizeSignature
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const createLocalStorage = require('./storage/local');
+const createS3Storage = require('./storage/s3');
+
+const EXTENSIONS = {
+    'image/png': 'png',
+    'image/svg+xml': 'svg'
+};
+const MIME_TYPES = {
+    png: 'image/png',
+    svg: 'image/svg+xml'
+};
+const DATA_URL_PATTERN = /^data:([a-z0-9.+/-]+);base64,([a-z0-9+/=\s]+)$/i;
+
+// Splits "data:image/png;base64,...." into { mimeType, buffer }. Returns null for anything
+// that is not a base64 PNG or SVG data URL.
+function parseDataUrl(dataUrl) {
+    const match = typeof dataUrl === 'string' ? DATA_URL_PATTERN.exec(dataUrl) : null;
+    if (!match) {
+        return null;
+    }
+    const mimeType = match[1].toLowerCase();
+    if (!EXTENSIONS[mimeType]) {
+        return null;
+    }
+    const buffer = Buffer.from(match[2], 'base64');
+    return buffer.length > 0 ? { mimeType, buffer } : null;
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function mimeTypeForRef(ref) {
+    return MIME_TYPES[String(ref).split('.').pop()] || 'application/octet-stream';
+}
+
+// Builds the storage backend from the storage section of config/index.js:
+// { backend: 'local', dir } or { backend: 's3', bucket, region, endpoint, forcePathStyle,
+// accessKeyId, secretAccessKey, prefix }
+function createStorage(options) {
+    if (options.backend === 's3') {
+        return createS3Storage({
+            bucket: options.bucket,
+            region: options.region || undefined,
+            endpoint: options.endpoint || undefined,
+            forcePathStyle: options.forcePathStyle,
+            accessKeyId: options.accessKeyId || undefined,
+            secretAccessKey: options.secretAccessKey || undefined,
+            prefix: options.prefix || undefined
+        });
+    }
+    return createLocalStorage({ baseDir: options.dir });
+}
+
+// Wraps a storage backend ({ put, getStream, delete }) with signature-specific naming and checksums
+function createSignatureStore(storage) {
+    return {
+        backend: storage.name,
+
+        // Resolves to { ref, sha256 }. The ref is what the database keeps.
+        async save(buffer, mimeType) {
+            const now = new Date();
+            const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+            const ref = `signatures/${now.getUTCFullYear()}/${month}/${crypto.randomUUID()}.${EXTENSIONS[mimeType]}`;
+            await storage.put(ref, buffer, mimeType);
+            return { ref, sha256: sha256(buffer) };
+        },
+
+        open(ref) {
+            return storage.getStream(ref);
+        },
+
+        // Best-effort cleanup; a leftover file is harmless, so failures are only logged
+        async remove(ref) {
+            try {
+                await storage.delete(ref);
+            } catch (error) {
+                console.error(`Error removing stored signature ${ref}:`, error.message);
+            }
+        }
+    };
+}
+
+module.exports = {
+    parseDataUrl,
+    mimeTypeForRef,
+    createStorage,
+    createSignatureStore
+};
@@ -0,0 +1,85 @@
+const { courseScope } = require('./courses');
+
+// One signature's image columns, or null when it does not exist or is outside the user's courses
+async function findSignatureImage(connection, signatureId, user) {
+    const scope = courseScope(user, 'ar.course_id');
+    const [rows] = await connection.execute(
+        `SELECT s.signature_ref, s.signature_sha256, s.signature_data
+        FROM attendance_signatures s
+        JOIN attendance_records ar ON ar.record_id = s.record_id
+        WHERE s.signature_id = ? AND ${scope.sql}`,
+        [signatureId, ...scope.params]
+    );
+    return rows[0] || null;
+}
+
+// The signature with its learner, course and session number, locked for the override
+async function findSignatureForUpdate(connection, signatureId) {
+    const [rows] = await connection.execute(
+        `SELECT s.signature_id, s.record_id, s.session_id, s.signature_ref, s.signature_sha256,
+            s.signature_data, s.signed_at,
+            s.client_date, s.ip_address, s.user_agent, ar.learner_id, ar.course_id, cs.session_num
+        FROM attendance_signatures s
+        JOIN attendance_records ar ON ar.record_id = s.record_id
+        JOIN course_sessions cs ON cs.session_id = s.session_id
+        WHERE s.signature_id = ?
+        FOR UPDATE`,
+        [signatureId]
+    );
+    return rows[0] || null;
+}
+
+// Copies the signature into superseded_signatures. The copy keeps the old image reference, so
+// the old file stays in the store. Resolves to the superseded_id.
+async function supersedeSignature(connection, previous, userId, reason) {
+    const [result] = await connection.execute(
+        `INSERT INTO superseded_signatures
+        (signature_id, record_id, session_id, signature_ref, signature_sha256, signature_data,
+         signed_at, client_date, ip_address, user_agent, superseded_by, reason)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            previous.signature_id, previous.record_id, previous.session_id, previous.signature_ref,
+            previous.signature_sha256, previous.signature_data, previous.signed_at, previous.client_date,
+            previous.ip_address, previous.user_agent, userId, reason
+        ]
+    );
+    return result.insertId;
+}
+
+// Points the signature at a newly stored image and records when and from where it was signed
+function replaceSignatureImage(connection, signatureId, stored, { clientDate, ipAddress, userAgent }) {
+    return connection.execute(
+        `UPDATE attendance_signatures SET
+            signature_ref = ?,
+            signature_sha256 = ?,
+            signature_data = NULL,
+            signed_at = CURRENT_TIMESTAMP,
+            client_date = ?,
+            ip_address = ?,
+            user_agent = ?
+        WHERE signature_id = ?`,
+        [stored.ref, stored.sha256, clientDate, ipAddress, userAgent, signatureId]
+    );
+}
+
+// Earlier versions of a signature, newest first
+async function listSuperseded(connection, signatureId) {
+    const [rows] = await connection.execute(
+        `SELECT ss.superseded_id, ss.signature_id, ss.signed_at, ss.client_date, ss.ip_address,
+            ss.user_agent, ss.superseded_at, u.email AS superseded_by, ss.reason
+        FROM superseded_signatures ss
+        LEFT JOIN admin_users u ON u.user_id = ss.superseded_by
+        WHERE ss.signature_id = ?
+        ORDER BY ss.superseded_at DESC`,
+        [signatureId]
+    );
+    return rows;
+}
+
+module.exports = {
+    findSignatureImage,
+    findSignatureForUpdate,
+    supersedeSignature,
+    replaceSignatureImage,
+    listSuperseded
+};
@@ -0,0 +1,285 @@
+const audit = require('./audit');
+const courses = require('./courses');
+const sessions = require('./sessions');
+const learners = require('./learners');
+const checkIns = require('./checkIns');
+
+// A signature that cannot be applied. status is the HTTP status to answer with; code is set
+// for the cases a syncing tablet needs to tell apart (ALREADY_SIGNED, DUPLICATE_KEY) and for a
+// check-in code that matches no window (CHECK_IN_INVALID), which counts towards the lockout.
+class SigningError extends Error {
+    constructor(message, status = 400, code = null, details = null) {
+        super(message);
+        this.name = 'SigningError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// The fields of POST /api/sign-session (and of each offline sync item), for
+// middleware/validate.js. learnerId is 'NEW' for learners not picked from the search; they may
+// also give email, phone, employer, neboshLearnerNumber and dateOfBirth, which are used to
+// find their registration.
+const SIGNING_FIELDS = {
+    learnerId: { type: 'id', also: ['NEW'], required: true },
+    learnerName: { type: 'string', required: true, maxLength: learners.MAX_NAME_LENGTH },
+    courseId: { type: 'id', required: true },
+    sessionNum: { type: 'int', required: true, min: 1, max: sessions.MAX_SESSIONS },
+    attendanceDate: { type: 'date', required: true },
+    signatureData: { type: 'string', required: true },
+    checkInCode: {
+        type: 'string',
+        required: true,
+        maxLength: 64,
+        message: 'Missing check-in code. Scan the QR code or enter the PIN your trainer gives you.'
+    },
+    ...learners.PROFILE_FIELDS
+};
+
+// Works out the learner of a signing request already checked against SIGNING_FIELDS: an id, or
+// 'NEW' with a name and profile. Returns { learnerId, newLearner, sessionNumber } or
+// { error, field }.
+function parseSigningRequest(body) {
+    const { learnerName, learnerId, sessionNum } = body;
+    let newLearner = null;
+    if (learnerId === 'NEW') {
+        const parsedName = learners.parseLearnerName(learnerName);
+        const parsedProfile = learners.parseProfile(body);
+        if (parsedName.error) {
+            return { error: parsedName.error, field: 'learnerName' };
+        }
+        if (parsedProfile.error) {
+            return parsedProfile;
+        }
+        newLearner = { name: parsedName.name, profile: parsedProfile.profile };
+    }
+    return { learnerId, newLearner, sessionNumber: sessionNum };
+}
+
+// Signatures a tablet captured while offline carry the key it generated for the signature.
+// Resolves to the signature already synced under that key, or null.
+async function findSyncedSignature(connection, idempotencyKey) {
+    const [rows] = await connection.execute(
+        `SELECT s.signature_id, s.signed_at, s.captured_at, ar.learner_id, ar.course_id, cs.session_num
+        FROM attendance_signatures s
+        JOIN attendance_records ar ON ar.record_id = s.record_id
+        JOIN course_sessions cs ON cs.session_id = s.session_id
+        WHERE s.idempotency_key = ?`,
+        [idempotencyKey]
+    );
+    return rows[0] || null;
+}
+
+// Signing a session, shared by the kiosk (POST /api/sign-session) and offline sync
+function createSigning({ signatureStore, notifications, certificates }) {
+    return {
+        // Call in a transaction. Checks the session was open for check-in (now, or at capturedAt
+        // for signatures made offline) and the learner is enrolled, stores the image and records
+        // the signature. Throws SigningError when the signature cannot be applied; the stored
+        // image is removed again if anything fails here. Resolves to
+        // { signatureId, learnerId, course, sessionNumber, certificateNumber, signatureRef }.
+        // Commit, then call finish() to render a new certificate's PDF.
+        async sign(connection, request) {
+            const {
+                attendanceDate, courseId, sessionNumber, newLearner, image, checkInCode,
+                capturedAt = null, idempotencyKey = null, actor, ipAddress, userAgent
+            } = request;
+
+            const course = await courses.findCourse(connection, courseId);
+            if (!course) {
+                throw new SigningError('Course not found.', 404);
+            }
+            const moduleTitle = course.unit;
+
+            const session = await sessions.findSession(connection, course.course_id, sessionNumber);
+            if (!session) {
+                const schedule = await sessions.getSchedule(connection, course.course_id);
+                throw new SigningError(`Invalid session number. This course has ${schedule.length} sessions.`);
+            }
+
+            // The session must be open for check-in, and the code must be for this session
+            const window = capturedAt
+                ? await checkIns.findWindowAt(connection, checkInCode, capturedAt)
+                : await checkIns.findOpenWindow(connection, checkInCode);
+            if (!window || window.session_id !== session.session_id) {
+                if (window) {
+                    throw new SigningError(`This check-in code is for session ${window.session_num} of ${window.unit}, not the session you are signing.`, 403);
+                }
+                throw new SigningError(capturedAt
+                    ? `Session ${sessionNumber} was not open for signing when this signature was captured.`
+                    : `Session ${sessionNumber} is not open for signing. Ask your trainer for the current QR code or PIN.`, 403, 'CHECK_IN_INVALID');
+            }
+
+            let currentLearnerId = request.learnerId;
+
+            // Step 1: Find the learner (if learnerId is 'NEW', by name and profile). Learners are
+            // not registered at the kiosk; they must already be on the course's register.
+            if (currentLearnerId === 'NEW') {
+                const match = await learners.findMatchingLearner(connection, newLearner.name, newLearner.profile);
+                if (match.ambiguous) {
+                    throw new SigningError(`More than one learner is registered as ${newLearner.name}. Please give your email, date of birth or NEBOSH learner number.`, 409);
+                }
+                if (match.learner && match.learner.archived_at) {
+                    throw new SigningError('This learner record is archived. Please ask an administrator to restore it.', 409);
+                }
+                if (!match.learner) {
+                    throw new SigningError(`${newLearner.name} is not on the register for this course. Please ask your trainer.`, 403);
+                }
+                currentLearnerId = match.learner.learner_id; // Use existing ID
+            } else {
+                const [existingLearners] = await connection.execute(
+                    'SELECT learner_id FROM learners WHERE learner_id = ? AND archived_at IS NULL',
+                    [currentLearnerId]
+                );
+                if (existingLearners.length === 0) {
+                    throw new SigningError(`Learner with ID ${currentLearnerId} not found. Please re-enter learner name.`, 404);
+                }
+            }
+            if (!(await courses.isEnrolled(connection, course.course_id, currentLearnerId))) {
+                throw new SigningError('Learner is not enrolled in this course.', 403);
+            }
+
+            // Step 2: Find or create the learner's attendance record for this course
+            const [existingAttendance] = await connection.execute(
+                'SELECT record_id FROM attendance_records WHERE learner_id = ? AND course_id = ?',
+                [currentLearnerId, course.course_id]
+            );
+
+            let recordId;
+            if (existingAttendance.length > 0) {
+                recordId = existingAttendance[0].record_id;
+                await connection.execute(
+                    `UPDATE attendance_records SET
+                        attendance_date = ?, -- Update the attendance_date to the latest sign date
+                        submission_timestamp = CURRENT_TIMESTAMP
+                    WHERE record_id = ?`,
+                    [attendanceDate, recordId]
+                );
+            } else {
+                const [insertResult] = await connection.execute(
+                    `INSERT INTO attendance_records
+                    (learner_id, course_id, attendance_date, module_title)
+                    VALUES (?, ?, ?, ?)`,
+                    [currentLearnerId, course.course_id, attendanceDate, moduleTitle]
+                );
+                recordId = insertResult.insertId;
+            }
+
+            // Step 3: A session can only be signed once. Replacing a signature needs the admin override.
+            const [existingSignatures] = await connection.execute(
+                `SELECT signature_id, signed_at, client_date
+                FROM attendance_signatures
+                WHERE record_id = ? AND session_id = ?
+                FOR UPDATE`,
+                [recordId, session.session_id]
+            );
+            if (existingSignatures.length > 0) {
+                throw new SigningError(`Session ${sessionNumber} has already been signed by this learner.`, 409, 'ALREADY_SIGNED', {
+                    signatureId: existingSignatures[0].signature_id,
+                    learnerId: currentLearnerId,
+                    courseId: course.course_id,
+                    sessionNum: sessionNumber,
+                    signedAt: existingSignatures[0].signed_at,
+                    clientDate: existingSignatures[0].client_date
+                });
+            }
+
+            // Step 4: Save the image to the signature store, then record it as its own row for this
+            // session with where and when it was made
+            const stored = await signatureStore.save(image.buffer, image.mimeType);
+            try {
+                const [signatureResult] = await connection.execute(
+                    `INSERT INTO attendance_signatures
+                    (record_id, session_id, signature_ref, signature_sha256, client_date, ip_address, user_agent,
+                     idempotency_key, captured_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        recordId,
+                        session.session_id,
+                        stored.ref,
+                        stored.sha256,
+                        String(attendanceDate).slice(0, 40),
+                        ipAddress || null,
+                        (userAgent || '').slice(0, 512) || null,
+                        idempotencyKey,
+                        capturedAt
+                    ]
+                );
+
+                // Step 5: Audit the signature
+                await audit.record(connection, {
+                    action: audit.ACTIONS.SIGN,
+                    entityType: 'signature',
+                    entityId: signatureResult.insertId,
+                    actor,
+                    beforeHash: null,
+                    afterHash: stored.sha256,
+                    details: {
+                        learnerId: currentLearnerId,
+                        courseId: course.course_id,
+                        sessionNum: sessionNumber,
+                        ...(capturedAt ? { capturedAt } : {})
+                    }
+                });
+
+                // Step 6: Queue the confirmation email (and the completed register if this was the last signature)
+                await notifications.sessionSigned(connection, {
+                    signatureId: signatureResult.insertId,
+                    learnerId: currentLearnerId,
+                    course,
+                    sessionNum: sessionNumber,
+                    signedAt: capturedAt || new Date()
+                });
+
+                // Step 7: Issue the completion certificate if this was the learner's last session
+                const certificateNumber = await certificates.issueIfComplete(connection, {
+                    learnerId: currentLearnerId,
+                    course,
+                    actor
+                });
+
+                return {
+                    signatureId: signatureResult.insertId,
+                    learnerId: currentLearnerId,
+                    course,
+                    sessionNumber,
+                    certificateNumber,
+                    signatureRef: stored.ref
+                };
+            } catch (error) {
+                await signatureStore.remove(stored.ref); // The row pointing at it will be rolled back
+                // Two requests for the same session (or the same offline signature) raced; the other one won
+                if (error.code === 'ER_DUP_ENTRY' && error.message.includes('uq_attendance_signatures_idempotency_key')) {
+                    throw new SigningError('This signature has already been synced.', 409, 'DUPLICATE_KEY');
+                }
+                if (error.code === 'ER_DUP_ENTRY' && error.message.includes('uq_attendance_signatures_record_session')) {
+                    throw new SigningError(`Session ${sessionNumber} has already been signed by this learner.`, 409, 'ALREADY_SIGNED');
+                }
+                throw error;
+            }
+        },
+
+        // Call after the signing transaction has committed. The PDF of a newly issued certificate
+        // is rendered here; if this fails it is rendered on first download instead, so the
+        // signing still succeeds.
+        async finish(connection, signed) {
+            if (!signed.certificateNumber) {
+                return;
+            }
+            try {
+                await certificates.generatePdf(connection, signed.certificateNumber);
+            } catch (error) {
+                console.error(`Error generating certificate ${signed.certificateNumber}:`, error);
+            }
+        }
+    };
+}
+
+module.exports = {
+    SIGNING_FIELDS,
+    SigningError,
+    parseSigningRequest,
+    findSyncedSignature,
+    createSigning
+};
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores objects as files under a base directory. Keys use "/" separators and map to
+// sub-directories; anything that would escape the base directory is rejected.
+function createLocalStorage({ baseDir }) {
+    const root = path.resolve(baseDir);
+
+    function resolveKey(key) {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    return {
+        name: 'local',
+
+        async put(key, buffer) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            // Write to a temp file first so a crash never leaves a half-written image behind
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, buffer, { flag: 'wx' });
+            await fs.promises.rename(tempPath, filePath);
+        },
+
+        async getStream(key) {
+            const filePath = resolveKey(key);
+            await fs.promises.access(filePath, fs.constants.R_OK);
+            return fs.createReadStream(filePath);
+        },
+
+        async delete(key) {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        }
+    };
+}
+
+module.exports = createLocalStorage;
@@ -0,0 +1,41 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+// S3-compatible object storage. Works against AWS S3 or any compatible server: set endpoint
+// (e.g. http://localhost:9000 for a local MinIO) and forcePathStyle for servers that do not
+// support bucket subdomains.
+function createS3Storage({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, prefix = '' }) {
+    if (!bucket) {
+        throw new Error('S3 signature storage needs a bucket name.');
+    }
+    const client = new S3Client({
+        region: region || 'us-east-1',
+        endpoint: endpoint || undefined,
+        forcePathStyle: Boolean(forcePathStyle),
+        // Without explicit keys the SDK falls back to its normal credential chain (env, instance role)
+        credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    return {
+        name: 's3',
+
+        async put(key, buffer, contentType) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: prefix + key,
+                Body: buffer,
+                ContentType: contentType
+            }));
+        },
+
+        async getStream(key) {
+            const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: prefix + key }));
+            return result.Body;
+        },
+
+        async delete(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: prefix + key }));
+        }
+    };
+}
+
+module.exports = createS3Storage;
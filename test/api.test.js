@@ -0,0 +1,632 @@
+// Integration tests: every route, run against a throwaway MySQL database.
+// Set TEST_DB_NAME to a database name ending in _test; it is dropped and recreated from
+// migrations/ on every run. The connection uses the usual DB_HOST, DB_USER, DB_PASSWORD and
+// DB_PORT. Without TEST_DB_NAME the suite is skipped.
+//   TEST_DB_NAME=nebosh_attendance_test npm test
+require('dotenv').config();
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPool, createConnection } = require('../config/db');
+const { loadConfig } = require('../config');
+const createLocalStorage = require('../services/storage/local');
+const { createMockTransport } = require('../services/email/mock');
+const migrations = require('../services/migrations');
+const auth = require('../services/auth');
+const { createApp, startServer } = require('../server');
+
+const DB_NAME = process.env.TEST_DB_NAME;
+const PASSWORD = 'correct-horse-battery';
+const SIGNATURE_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="600" height="200">'
+    + '<path d="M20 120 C 150 20, 300 180, 580 80" stroke="black" stroke-width="6" fill="none"/></svg>';
+const SIGNATURE = `data:image/svg+xml;base64,${Buffer.from(SIGNATURE_SVG).toString('base64')}`;
+
+function skipReason() {
+    if (!DB_NAME) {
+        return 'TEST_DB_NAME is not set';
+    }
+    if (!/^[A-Za-z0-9_]+_test$/.test(DB_NAME)) {
+        return 'TEST_DB_NAME must end in _test, because the database is dropped';
+    }
+    return false;
+}
+
+async function resetDatabase() {
+    const connection = await createConnection({ database: undefined, multipleStatements: true });
+    try {
+        await connection.query(`DROP DATABASE IF EXISTS \`${DB_NAME}\``);
+        await connection.query(`CREATE DATABASE \`${DB_NAME}\``);
+        await connection.query(`USE \`${DB_NAME}\``);
+        await migrations.migrate(connection);
+    } finally {
+        await connection.end();
+    }
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+describe('API', { skip: skipReason() }, () => {
+    let pool;
+    let server;
+    let baseUrl;
+    let tmpDir;
+    const users = {};
+    const tokens = {};
+
+    // fetch against the test server. options: { token, body (JSON), form (FormData), headers }.
+    // Resolves to { status, headers, body } with body parsed when the response is JSON.
+    async function api(method, url, { token, body, form, headers = {} } = {}) {
+        const response = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers: {
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            },
+            body: form || (body !== undefined ? JSON.stringify(body) : undefined)
+        });
+        const type = response.headers.get('content-type') || '';
+        const content = type.includes('application/json')
+            ? await response.json()
+            : Buffer.from(await response.arrayBuffer());
+        return { status: response.status, headers: response.headers, body: content };
+    }
+
+    async function login(email, password = PASSWORD) {
+        const res = await api('POST', '/api/login', { body: { username: email, password } });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        return res.body.token;
+    }
+
+    before(async () => {
+        await resetDatabase();
+        pool = createPool({ database: DB_NAME });
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attendance-test-'));
+        const config = loadConfig({
+            PORT: '0',
+            AUTH_TOKEN_SECRET: 'integration-test-secret',
+            EMAIL_FROM: 'noreply@example.com'
+        }, ['server', 'auth', 'email', 'limits']);
+        const app = createApp({
+            config,
+            pool,
+            storage: createLocalStorage({ baseDir: tmpDir }),
+            transport: createMockTransport()
+        });
+        server = await startServer(app, config);
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        const connection = await pool.getConnection();
+        try {
+            for (const [name, role] of [
+                ['admin', auth.ROLES.ADMINISTRATOR],
+                ['trainer', auth.ROLES.TRAINER],
+                ['otherTrainer', auth.ROLES.TRAINER],
+                ['auditor', auth.ROLES.AUDITOR]
+            ]) {
+                const email = `${name.toLowerCase()}@example.com`;
+                users[name] = { email, userId: await auth.createUser(connection, email, PASSWORD, role) };
+            }
+        } finally {
+            connection.release();
+        }
+    });
+
+    after(async () => {
+        if (server) await new Promise(resolve => server.close(resolve));
+        if (pool) await pool.end();
+        if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    // Filled in as the tests run; later tests build on earlier ones
+    const state = {};
+
+    describe('login, logout and password', () => {
+        it('rejects missing and wrong credentials', async () => {
+            const missing = await api('POST', '/api/login', { body: {} });
+            assert.equal(missing.status, 400);
+            assert.equal(missing.body.code, 'VALIDATION_FAILED');
+            assert.deepEqual(missing.body.details.map(detail => detail.field), ['username', 'password']);
+            const res = await api('POST', '/api/login', { body: { username: users.admin.email, password: 'wrong-password' } });
+            assert.equal(res.status, 401);
+            assert.equal(res.body.code, 'UNAUTHENTICATED');
+        });
+
+        it('answers unreadable bodies and unknown paths with the error format', async () => {
+            const badJson = await api('POST', '/api/login', { headers: { 'Content-Type': 'application/json' }, form: '{"username":' });
+            assert.equal(badJson.status, 400);
+            assert.equal(badJson.body.code, 'INVALID_JSON');
+            const unknown = await api('GET', '/api/no-such-endpoint');
+            assert.equal(unknown.status, 404);
+            assert.equal(unknown.body.code, 'NOT_FOUND');
+        });
+
+        it('logs every role in', async () => {
+            for (const name of Object.keys(users)) {
+                tokens[name] = await login(users[name].email);
+            }
+        });
+
+        it('requires a token for dashboard routes', async () => {
+            assert.equal((await api('GET', '/api/learners')).status, 401);
+            assert.equal((await api('GET', '/api/learners', { token: 'not-a-token' })).status, 401);
+        });
+
+        it('changes the password and revokes other sessions', async () => {
+            const email = 'changer@example.com';
+            const created = await api('POST', '/api/users', { token: tokens.admin, body: { email, password: PASSWORD, role: 'auditor' } });
+            assert.equal(created.status, 201);
+            const first = await login(email);
+            const second = await login(email);
+            const wrong = await api('POST', '/api/password', { token: first, body: { currentPassword: 'nope-nope-nope', newPassword: 'another-long-password' } });
+            assert.equal(wrong.status, 401);
+            const res = await api('POST', '/api/password', { token: first, body: { currentPassword: PASSWORD, newPassword: 'another-long-password' } });
+            assert.equal(res.status, 200);
+            assert.equal((await api('GET', '/api/learners', { token: second })).status, 401);
+            assert.equal((await api('GET', '/api/learners', { token: first })).status, 200);
+            await login(email, 'another-long-password');
+        });
+
+        it('locks an account out after repeated wrong passwords', async () => {
+            const email = 'locked@example.com';
+            const created = await api('POST', '/api/users', { token: tokens.admin, body: { email, password: PASSWORD, role: 'auditor' } });
+            assert.equal(created.status, 201);
+            const attempts = [];
+            for (let i = 0; i < 5; i++) {
+                attempts.push((await api('POST', '/api/login', { body: { username: email, password: 'wrong-password' } })).status);
+            }
+            assert.deepEqual(attempts, [401, 401, 401, 401, 429]);
+            // Refused even with the right password until the lock runs out
+            const res = await api('POST', '/api/login', { body: { username: email.toUpperCase(), password: PASSWORD } });
+            assert.equal(res.status, 429);
+            assert.equal(res.body.code, 'TOO_MANY_REQUESTS');
+            assert.ok(Number(res.headers.get('retry-after')) > 0);
+        });
+
+        it('logs out', async () => {
+            const token = await login(users.auditor.email);
+            assert.equal((await api('POST', '/api/logout', { token })).status, 200);
+            assert.equal((await api('GET', '/api/learners', { token })).status, 401);
+        });
+    });
+
+    describe('users', () => {
+        it('is for administrators only', async () => {
+            assert.equal((await api('GET', '/api/users', { token: tokens.trainer })).status, 403);
+            const res = await api('GET', '/api/users', { token: tokens.admin });
+            assert.equal(res.status, 200);
+            assert.ok(res.body.some(user => user.email === users.trainer.email));
+        });
+
+        it('creates accounts and refuses duplicates', async () => {
+            const body = { email: 'new.trainer@example.com', password: PASSWORD, role: 'trainer' };
+            const res = await api('POST', '/api/users', { token: tokens.admin, body });
+            assert.equal(res.status, 201);
+            state.newUserId = res.body.userId;
+            assert.equal((await api('POST', '/api/users', { token: tokens.admin, body })).status, 409);
+            assert.equal((await api('POST', '/api/users', { token: tokens.admin, body: { ...body, role: 'owner' } })).status, 400);
+        });
+
+        it('changes roles, but not your own', async () => {
+            const res = await api('PATCH', `/api/users/${state.newUserId}/role`, { token: tokens.admin, body: { role: 'auditor' } });
+            assert.equal(res.status, 200);
+            const own = await api('PATCH', `/api/users/${users.admin.userId}/role`, { token: tokens.admin, body: { role: 'trainer' } });
+            assert.equal(own.status, 400);
+            assert.equal((await api('PATCH', '/api/users/999999/role', { token: tokens.admin, body: { role: 'trainer' } })).status, 404);
+        });
+    });
+
+    describe('courses', () => {
+        it('creates a course with its sessions', async () => {
+            const body = {
+                unit: 'NEBOSH IG1',
+                startDate: today(),
+                venue: 'Room 1',
+                trainerId: users.trainer.userId,
+                sessions: [{ date: today(), startTime: '09:00', endTime: '12:00' }, { date: today(), startTime: '13:00', endTime: '16:00' }]
+            };
+            assert.equal((await api('POST', '/api/courses', { token: tokens.trainer, body })).status, 403);
+            assert.equal((await api('POST', '/api/courses', { token: tokens.admin, body: { ...body, startDate: '2024-13-01' } })).status, 400);
+            const notTrainer = await api('POST', '/api/courses', { token: tokens.admin, body: { ...body, trainerId: users.auditor.userId } });
+            assert.equal(notTrainer.status, 400);
+            const res = await api('POST', '/api/courses', { token: tokens.admin, body });
+            assert.equal(res.status, 201);
+            state.courseId = res.body.courseId;
+        });
+
+        it('lists courses by trainer', async () => {
+            const own = await api('GET', '/api/courses', { token: tokens.trainer });
+            assert.deepEqual(own.body.map(course => course.course_id), [state.courseId]);
+            const other = await api('GET', '/api/courses', { token: tokens.otherTrainer });
+            assert.deepEqual(other.body, []);
+        });
+
+        it('shows one course to its trainer only', async () => {
+            const res = await api('GET', `/api/courses/${state.courseId}`, { token: tokens.trainer });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.sessions.length, 2);
+            assert.equal((await api('GET', `/api/courses/${state.courseId}`, { token: tokens.otherTrainer })).status, 403);
+            assert.equal((await api('GET', '/api/courses/999999', { token: tokens.admin })).status, 404);
+        });
+
+        it('updates a course and its schedule', async () => {
+            const res = await api('PATCH', `/api/courses/${state.courseId}`, { token: tokens.admin, body: { venue: 'Room 2' } });
+            assert.equal(res.status, 200);
+            assert.equal((await api('PATCH', `/api/courses/${state.courseId}`, { token: tokens.admin, body: {} })).status, 400);
+            const schedule = await api('PUT', `/api/courses/${state.courseId}/sessions`, {
+                token: tokens.admin,
+                body: { sessions: [{ date: today(), startTime: '09:00', endTime: '11:00' }, { date: today(), startTime: '12:00', endTime: '15:00' }] }
+            });
+            assert.equal(schedule.status, 200);
+            assert.equal(schedule.body.sessionCount, 2);
+        });
+    });
+
+    describe('learners', () => {
+        it('registers learners and refuses duplicates', async () => {
+            const ann = await api('POST', '/api/learners', { token: tokens.admin, body: { learnerName: 'Ann Archer', email: 'ann@example.com' } });
+            assert.equal(ann.status, 201);
+            state.annId = ann.body.learnerId;
+            const ben = await api('POST', '/api/learners', { token: tokens.admin, body: { learnerName: 'Ben Baker', dateOfBirth: '1990-04-01' } });
+            assert.equal(ben.status, 201);
+            state.benId = ben.body.learnerId;
+            const again = await api('POST', '/api/learners', { token: tokens.admin, body: { learnerName: 'Ann Archer', email: 'ann@example.com' } });
+            assert.equal(again.status, 409);
+            assert.equal((await api('POST', '/api/learners', { token: tokens.admin, body: { learnerName: 'Cat', email: 'not-an-email' } })).status, 400);
+            assert.equal((await api('POST', '/api/learners', { token: tokens.trainer, body: { learnerName: 'Dan Day' } })).status, 403);
+        });
+
+        it('enrolls learners on the course', async () => {
+            for (const learnerId of [state.annId, state.benId]) {
+                const res = await api('POST', `/api/courses/${state.courseId}/enrollments`, { token: tokens.admin, body: { learnerId } });
+                assert.equal(res.status, 201);
+            }
+            const missing = await api('POST', `/api/courses/${state.courseId}/enrollments`, { token: tokens.admin, body: { learnerId: 999999 } });
+            assert.equal(missing.status, 404);
+        });
+
+        it('lists and counts learners by trainer', async () => {
+            const all = await api('GET', '/api/learners', { token: tokens.admin });
+            assert.equal(all.status, 200);
+            assert.equal(all.body.length, 2);
+            assert.equal((await api('GET', '/api/learners/count', { token: tokens.trainer })).body.total_learners, 2);
+            assert.equal((await api('GET', '/api/learners/count', { token: tokens.otherTrainer })).body.total_learners, 0);
+        });
+    });
+
+    describe('check-in and kiosk signing', () => {
+        it('lets the course trainer open check-in', async () => {
+            const url = `/api/courses/${state.courseId}/sessions/1/check-in`;
+            assert.equal((await api('POST', url, { token: tokens.otherTrainer, body: {} })).status, 403);
+            assert.equal((await api('POST', url, { token: tokens.trainer, body: { minutes: 0 } })).status, 400);
+            const res = await api('POST', url, { token: tokens.trainer, body: { minutes: 30 } });
+            assert.equal(res.status, 201);
+            assert.match(res.body.pin, /^\d+$/);
+            assert.match(res.body.qrCode, /^data:image\/png;base64,/);
+            state.checkIn = res.body;
+        });
+
+        it('resolves check-in codes publicly', async () => {
+            const res = await api('GET', `/api/check-in/${state.checkIn.pin}`);
+            assert.equal(res.status, 200);
+            assert.equal((await api('GET', `/api/check-in/${state.checkIn.token}`)).status, 200);
+            assert.equal((await api('GET', '/api/check-in/000000000')).status, 404);
+        });
+
+        it('searches enrolled learners only with a valid code', async () => {
+            assert.equal((await api('GET', '/api/learners/search?query=Ann')).status, 400);
+            assert.equal((await api('GET', '/api/learners/search?query=Ann&code=nope')).status, 403);
+            const res = await api('GET', `/api/learners/search?query=Ann&code=${state.checkIn.pin}`);
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.map(learner => learner.learner_id), [state.annId]);
+        });
+
+        it('lists a learner\'s courses and status for the kiosk with a valid code', async () => {
+            const code = state.checkIn.pin;
+            assert.equal((await api('GET', `/api/learners/${state.annId}/courses`)).status, 400);
+            assert.equal((await api('GET', `/api/learners/${state.annId}/courses?code=nope`)).status, 403);
+            const courses = await api('GET', `/api/learners/${state.annId}/courses?code=${code}`);
+            assert.deepEqual(courses.body.map(course => course.course_id), [state.courseId]);
+            const status = await api('GET', `/api/attendance/learner-module?code=${code}&learnerId=${state.annId}&courseId=${state.courseId}`);
+            assert.equal(status.status, 200);
+            assert.equal(status.body.session_count, 2);
+            assert.equal(status.body.is_signed1, 0);
+            assert.equal((await api('GET', `/api/attendance/learner-module?learnerId=${state.annId}`)).status, 400);
+            assert.equal((await api('GET', `/api/attendance/learner-module?code=${code}&learnerId=999999`)).status, 404);
+        });
+
+        it('signs a session once', async () => {
+            const body = {
+                learnerName: 'Ann Archer',
+                learnerId: state.annId,
+                attendanceDate: today(),
+                courseId: state.courseId,
+                sessionNum: 1,
+                signatureData: SIGNATURE,
+                checkInCode: state.checkIn.pin
+            };
+            assert.equal((await api('POST', '/api/sign-session', { body: { ...body, checkInCode: undefined } })).status, 400);
+            assert.equal((await api('POST', '/api/sign-session', { body: { ...body, signatureData: 'data:image/png;base64,AAAA' } })).status, 400);
+            const invalid = await api('POST', '/api/sign-session', { body: { ...body, sessionNum: 'one', attendanceDate: '2024-02-30' } });
+            assert.equal(invalid.status, 400);
+            assert.deepEqual(invalid.body.details.map(detail => [detail.field, detail.code]), [
+                ['sessionNum', 'INVALID_FORMAT'],
+                ['attendanceDate', 'INVALID_FORMAT']
+            ]);
+            assert.equal((await api('POST', '/api/sign-session', { body: { ...body, sessionNum: '2' } })).status, 403);
+            const res = await api('POST', '/api/sign-session', { body });
+            assert.equal(res.status, 201, JSON.stringify(res.body));
+            assert.equal(res.body.learnerId, state.annId);
+            const again = await api('POST', '/api/sign-session', { body });
+            assert.equal(again.status, 409);
+        });
+
+        it('refuses learners who are not on the register', async () => {
+            const res = await api('POST', '/api/sign-session', {
+                body: {
+                    learnerName: 'Zed Stranger',
+                    learnerId: 'NEW',
+                    attendanceDate: today(),
+                    courseId: state.courseId,
+                    sessionNum: 1,
+                    signatureData: SIGNATURE,
+                    checkInCode: state.checkIn.pin
+                }
+            });
+            assert.equal(res.status, 403);
+        });
+
+        it('syncs offline signatures idempotently', async () => {
+            const item = {
+                idempotencyKey: 'tablet-1:0001',
+                capturedAt: new Date().toISOString(),
+                learnerName: 'Ben Baker',
+                learnerId: state.benId,
+                attendanceDate: today(),
+                courseId: state.courseId,
+                sessionNum: 1,
+                signatureData: SIGNATURE,
+                checkInCode: state.checkIn.token
+            };
+            const res = await api('POST', '/api/sync/signatures', { body: { items: [item, { ...item, idempotencyKey: 'bad' }] } });
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.results.map(result => result.status), ['accepted', 'rejected']);
+            const replay = await api('POST', '/api/sync/signatures', { body: { items: [item] } });
+            assert.equal(replay.body.results[0].status, 'duplicate');
+            assert.equal((await api('POST', '/api/sync/signatures', { body: { items: [] } })).status, 400);
+        });
+
+        it('issues a certificate when the last session is signed', async () => {
+            const opened = await api('POST', `/api/courses/${state.courseId}/sessions/2/check-in`, { token: tokens.admin, body: {} });
+            assert.equal(opened.status, 201);
+            const res = await api('POST', '/api/sign-session', {
+                body: {
+                    learnerName: 'Ann Archer',
+                    learnerId: state.annId,
+                    attendanceDate: today(),
+                    courseId: state.courseId,
+                    sessionNum: 2,
+                    signatureData: SIGNATURE,
+                    checkInCode: opened.body.pin
+                }
+            });
+            assert.equal(res.status, 201, JSON.stringify(res.body));
+            assert.ok(res.body.certificateNumber);
+            state.certificateNumber = res.body.certificateNumber;
+        });
+
+        it('closes check-in', async () => {
+            const url = `/api/courses/${state.courseId}/sessions/1/check-in`;
+            assert.equal((await api('DELETE', url, { token: tokens.trainer })).status, 200);
+            assert.equal((await api('DELETE', url, { token: tokens.trainer })).status, 404);
+            assert.equal((await api('GET', `/api/check-in/${state.checkIn.pin}`)).status, 404);
+        });
+    });
+
+    describe('attendance and signatures', () => {
+        it('lists attendance records', async () => {
+            const res = await api('GET', '/api/attendance', { token: tokens.auditor });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.total, 2);
+            assert.equal(res.body.data.find(record => record.learnerId === state.annId).signedCount, 2);
+            assert.equal((await api('GET', '/api/attendance', { token: tokens.otherTrainer })).body.total, 0);
+            assert.equal((await api('GET', '/api/attendance?pageSize=abc&sort=nope', { token: tokens.admin })).status, 400);
+        });
+
+        it('keeps the module filter in step with a renamed course', async () => {
+            const rename = unit => api('PATCH', `/api/courses/${state.courseId}`, { token: tokens.admin, body: { unit } });
+            assert.equal((await rename('NEBOSH IG1 (2024 syllabus)')).status, 200);
+            const renamed = await api('GET', `/api/attendance?module=${encodeURIComponent('NEBOSH IG1 (2024 syllabus)')}`, { token: tokens.admin });
+            assert.equal(renamed.body.total, 2);
+            assert.equal((await api('GET', '/api/attendance?module=NEBOSH%20IG1', { token: tokens.admin })).body.total, 0);
+            assert.equal((await rename('NEBOSH IG1')).status, 200);
+        });
+
+        it('shows a learner\'s attendance and timeline', async () => {
+            const records = await api('GET', `/api/learners/${state.annId}/attendance`, { token: tokens.admin });
+            assert.equal(records.status, 200);
+            assert.equal(records.body.length, 1);
+            const timeline = await api('GET', `/api/learners/${state.annId}/timeline`, { token: tokens.admin });
+            assert.equal(timeline.status, 200);
+            assert.deepEqual(timeline.body.map(entry => entry.sessionNum), [1, 2]);
+            state.signatureId = timeline.body[0].signatureId;
+        });
+
+        it('serves signature images', async () => {
+            const res = await api('GET', `/api/signatures/${state.signatureId}/image`, { token: tokens.trainer });
+            assert.equal(res.status, 200);
+            assert.equal(res.headers.get('content-type'), 'image/png');
+            assert.equal((await api('GET', `/api/signatures/${state.signatureId}/image`, { token: tokens.otherTrainer })).status, 404);
+        });
+
+        it('overrides a signature and keeps the old one', async () => {
+            const url = `/api/signatures/${state.signatureId}/override`;
+            assert.equal((await api('POST', url, { token: tokens.admin, body: { signatureData: SIGNATURE, reason: 'short' } })).status, 400);
+            const res = await api('POST', url, { token: tokens.admin, body: { signatureData: SIGNATURE, reason: 'Learner signed with the wrong pen' } });
+            assert.equal(res.status, 200);
+            const superseded = await api('GET', `/api/signatures/${state.signatureId}/superseded`, { token: tokens.auditor });
+            assert.equal(superseded.body.length, 1);
+            assert.equal(superseded.body[0].superseded_by, users.admin.email);
+        });
+    });
+
+    describe('certificates', () => {
+        it('lists certificates by trainer', async () => {
+            const res = await api('GET', '/api/certificates', { token: tokens.trainer });
+            assert.deepEqual(res.body.map(certificate => certificate.certificate_number), [state.certificateNumber]);
+            assert.deepEqual((await api('GET', '/api/certificates', { token: tokens.otherTrainer })).body, []);
+            assert.equal((await api('GET', '/api/certificates?learnerId=x', { token: tokens.admin })).status, 400);
+        });
+
+        it('verifies certificates publicly', async () => {
+            const res = await api('GET', `/api/certificates/verify/${state.certificateNumber}`);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.valid, true);
+            assert.equal(res.body.learnerName, 'Ann Archer');
+            assert.equal((await api('GET', '/api/certificates/verify/TIHS-2000-000000-AAAA')).status, 404);
+        });
+
+        it('downloads the certificate PDF', async () => {
+            const res = await api('GET', `/api/certificates/${state.certificateNumber}/pdf`, { token: tokens.admin });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.subarray(0, 5).toString(), '%PDF-');
+        });
+    });
+
+    describe('exports and imports', () => {
+        it('exports the register as CSV and XLSX', async () => {
+            const csv = await api('GET', '/api/exports/attendance?format=csv', { token: tokens.admin });
+            assert.equal(csv.status, 200);
+            assert.match(csv.body.toString(), /Ann Archer/);
+            const xlsx = await api('GET', '/api/exports/attendance?format=xlsx', { token: tokens.admin });
+            assert.equal(xlsx.status, 200);
+            assert.equal(xlsx.body.subarray(0, 2).toString(), 'PK');
+            assert.equal((await api('GET', '/api/exports/attendance?format=doc', { token: tokens.admin })).status, 400);
+        });
+
+        it('exports a course register PDF', async () => {
+            const res = await api('GET', `/api/exports/courses/${state.courseId}/register.pdf`, { token: tokens.trainer });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.subarray(0, 5).toString(), '%PDF-');
+        });
+
+        it('previews and imports a roster', async () => {
+            const roster = 'Name,Email\nAnn Archer,ann@example.com\nCara Cole,cara@example.com\n';
+            const form = () => {
+                const data = new FormData();
+                data.append('courseId', String(state.courseId));
+                data.append('file', new Blob([roster], { type: 'text/csv' }), 'roster.csv');
+                return data;
+            };
+            const preview = await api('POST', '/api/imports/roster', { token: tokens.admin, form: form() });
+            assert.equal(preview.status, 200);
+            assert.deepEqual(preview.body.summary, { create: 1, match: 1, conflict: 0, invalid: 0 });
+            const commit = form();
+            commit.append('dryRun', 'false');
+            const res = await api('POST', '/api/imports/roster', { token: tokens.admin, form: commit });
+            assert.equal(res.status, 201);
+            state.caraId = res.body.rows.find(row => row.action === 'create').learnerId;
+            assert.ok(state.caraId);
+        });
+    });
+
+    describe('reports', () => {
+        it('reports completion, drop-off, incomplete learners and registrations', async () => {
+            const completion = await api('GET', '/api/reports/completion', { token: tokens.auditor });
+            assert.equal(completion.status, 200);
+            assert.equal(completion.body.totals.learners, 3);
+            assert.equal(completion.body.totals.completed, 1);
+            assert.equal((await api('GET', '/api/reports/drop-off', { token: tokens.trainer })).status, 200);
+            const incomplete = await api('GET', '/api/reports/incomplete', { token: tokens.admin });
+            assert.equal(incomplete.status, 200);
+            assert.equal(incomplete.body.total, 2);
+            const registrations = await api('GET', '/api/reports/registrations?interval=day', { token: tokens.admin });
+            assert.equal(registrations.body.total, 3);
+        });
+
+        it('rejects bad report parameters', async () => {
+            assert.equal((await api('GET', '/api/reports/completion?groupBy=year', { token: tokens.admin })).status, 400);
+            assert.equal((await api('GET', '/api/reports/registrations?dateFrom=yesterday', { token: tokens.admin })).status, 400);
+        });
+    });
+
+    describe('learner maintenance', () => {
+        it('edits a learner', async () => {
+            const res = await api('PATCH', `/api/learners/${state.benId}`, { token: tokens.admin, body: { phone: '+44 7700 900456' } });
+            assert.equal(res.status, 200);
+            assert.equal((await api('PATCH', '/api/learners/999999', { token: tokens.admin, body: { phone: '01234 567' } })).status, 404);
+            const badId = await api('PATCH', '/api/learners/abc', { token: tokens.admin, body: { phone: '01234 567' } });
+            assert.equal(badId.status, 400);
+            assert.deepEqual(badId.body.details.map(detail => [detail.location, detail.field]), [['params', 'id']]);
+        });
+
+        it('finds and merges duplicates', async () => {
+            const dup = await api('POST', '/api/learners', { token: tokens.admin, body: { learnerName: 'Cara Coles', phone: '+44 7700 900789' } });
+            assert.equal(dup.status, 201);
+            const pairs = await api('GET', '/api/learners/duplicates', { token: tokens.admin });
+            assert.equal(pairs.status, 200);
+            assert.equal((await api('GET', '/api/learners/duplicates?minScore=2', { token: tokens.admin })).status, 400);
+            const res = await api('POST', `/api/learners/${state.caraId}/merge`, { token: tokens.admin, body: { duplicateId: dup.body.learnerId } });
+            assert.equal(res.status, 200);
+            const again = await api('POST', `/api/learners/${state.caraId}/merge`, { token: tokens.admin, body: { duplicateId: dup.body.learnerId } });
+            assert.equal(again.status, 404);
+        });
+
+        it('archives and restores a learner', async () => {
+            assert.equal((await api('DELETE', `/api/learners/${state.benId}`, { token: tokens.admin })).status, 200);
+            const archived = await api('GET', '/api/learners?archived=true', { token: tokens.admin });
+            assert.deepEqual(archived.body.map(learner => learner.learner_id), [state.benId]);
+            assert.equal((await api('PATCH', `/api/learners/${state.benId}`, { token: tokens.admin, body: { phone: '0123 456' } })).status, 409);
+            const enroll = await api('POST', `/api/courses/${state.courseId}/enrollments`, { token: tokens.admin, body: { learnerId: state.benId } });
+            assert.equal(enroll.status, 409);
+            const course = await api('GET', `/api/courses/${state.courseId}`, { token: tokens.admin });
+            assert.ok(!course.body.learners.some(learner => learner.learner_id === state.benId));
+            assert.equal((await api('POST', `/api/learners/${state.benId}/restore`, { token: tokens.admin })).status, 200);
+            assert.equal((await api('POST', `/api/learners/${state.benId}/restore`, { token: tokens.admin })).status, 404);
+        });
+    });
+
+    describe('course wind-down', () => {
+        it('removes an enrollment', async () => {
+            const url = `/api/courses/${state.courseId}/enrollments/${state.caraId}`;
+            assert.equal((await api('DELETE', url, { token: tokens.admin })).status, 200);
+            assert.equal((await api('DELETE', url, { token: tokens.admin })).status, 404);
+        });
+
+        it('lets the trainer sign the course off once', async () => {
+            const url = `/api/courses/${state.courseId}/sign-off`;
+            assert.equal((await api('POST', url, { token: tokens.otherTrainer })).status, 403);
+            assert.equal((await api('POST', url, { token: tokens.trainer })).status, 200);
+            assert.equal((await api('POST', url, { token: tokens.trainer })).status, 409);
+        });
+
+        it('deletes only courses without attendance', async () => {
+            assert.equal((await api('DELETE', `/api/courses/${state.courseId}`, { token: tokens.admin })).status, 409);
+            const empty = await api('POST', '/api/courses', {
+                token: tokens.admin,
+                body: { unit: 'NEBOSH IG2', startDate: today(), venue: 'Room 3', sessions: [{ date: today() }] }
+            });
+            assert.equal((await api('DELETE', `/api/courses/${empty.body.courseId}`, { token: tokens.admin })).status, 200);
+        });
+    });
+
+    describe('audit log', () => {
+        it('lists entries for administrators and auditors', async () => {
+            assert.equal((await api('GET', '/api/audit', { token: tokens.trainer })).status, 403);
+            const res = await api('GET', `/api/audit?entityType=learner&entityId=${state.benId}`, { token: tokens.auditor });
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.map(entry => entry.action), ['restore', 'archive', 'edit']);
+        });
+
+        it('verifies the hash chain', async () => {
+            const res = await api('GET', '/api/audit/verify', { token: tokens.admin });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.valid, true);
+            assert.ok(res.body.checked > 0);
+        });
+    });
+});
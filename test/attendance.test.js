@@ -0,0 +1,132 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const attendance = require('../services/attendance');
+const createAttendanceRouter = require('../routes/attendance');
+const { checkFields } = require('../middleware/validate');
+const { fakeConnection, fakePool, signedInAs, serve } = require('./helpers/fakes');
+
+const ADMIN = { userId: 1, role: 'administrator' };
+const TRAINER = { userId: 4, role: 'trainer' };
+
+function listQuery(query) {
+    const { values, details } = checkFields(attendance.LIST_QUERY, query, 'query');
+    assert.deepEqual(details, []);
+    return attendance.parseListQuery(values);
+}
+
+describe('parseListQuery', () => {
+    it('defaults to the most recent activity first, 25 to a page', () => {
+        assert.deepEqual(listQuery({}), {
+            filters: { moduleTitle: null, courseId: null, learnerName: null, dateFrom: null, dateTo: null, status: null },
+            page: 1,
+            pageSize: 25,
+            sort: 'lastActivity',
+            order: 'desc'
+        });
+    });
+
+    it('sorts other columns ascending unless told otherwise, and caps the page size', () => {
+        const parsed = listQuery({ sort: 'learnerName', pageSize: '1000', page: '3', module: 'IG1', courseId: '5', status: 'complete' });
+        assert.deepEqual([parsed.sort, parsed.order, parsed.page, parsed.pageSize], ['learnerName', 'asc', 3, 200]);
+        assert.deepEqual([parsed.filters.moduleTitle, parsed.filters.courseId, parsed.filters.status], ['IG1', 5, 'complete']);
+        assert.equal(listQuery({ sort: 'completion', order: 'desc' }).order, 'desc');
+    });
+
+    it('refuses sort keys, orders, statuses, dates and course ids it does not know', () => {
+        const { details } = checkFields(attendance.LIST_QUERY, {
+            sort: 'learner_name; DROP TABLE',
+            order: 'sideways',
+            status: 'done',
+            dateTo: '31/12/2024',
+            courseId: '5 OR 1=1'
+        }, 'query');
+        assert.deepEqual(details.map(detail => detail.field), ['courseId', 'dateTo', 'status', 'sort', 'order']);
+    });
+});
+
+describe('findRecords', () => {
+    it('filters, sorts and pages in SQL with the values as parameters', async () => {
+        const connection = fakeConnection(() => []);
+        const filters = { moduleTitle: 'IG1', courseId: '5', learnerName: 'ann', dateFrom: '2024-01-01', dateTo: '2024-12-31', status: 'incomplete' };
+        await attendance.findRecords(connection, filters, TRAINER, { sort: 'completion', order: 'asc', limit: 25, offset: 50 });
+        const [{ sql, params }] = connection.statements;
+        assert.deepEqual(params, [4, 'IG1', '5', '%ann%', '2024-01-01', '2024-12-31']);
+        assert.match(sql, /WHERE l\.archived_at IS NULL AND ar\.course_id IN \(SELECT course_id FROM courses WHERE trainer_id = \?\)/);
+        assert.match(sql, /AND ar\.attendance_date >= \? AND ar\.attendance_date < \? \+ INTERVAL 1 DAY/);
+        assert.match(sql, /WHERE t\.signed_count < t\.session_count ORDER BY t\.signed_count \/ NULLIF\(t\.session_count, 0\) ASC, t\.record_id ASC LIMIT 25 OFFSET 50$/);
+        assert.ok(!sql.includes('signature_data'));
+    });
+
+    it('counts with the same filters and returns every row when there is no limit', async () => {
+        const connection = fakeConnection(() => [{ total: 3 }]);
+        assert.equal(await attendance.countRecords(connection, { status: 'complete' }, ADMIN), 3);
+        await attendance.findRecords(connection, {}, ADMIN);
+        const [count, find] = connection.statements;
+        assert.match(count.sql, /^SELECT COUNT\(\*\) AS total FROM .* WHERE t\.signed_count >= t\.session_count$/);
+        assert.match(find.sql, /ORDER BY t\.submission_timestamp DESC, t\.record_id DESC$/);
+    });
+});
+
+describe('findSessionRows', () => {
+    it('skips the query when there are no records', async () => {
+        const connection = fakeConnection(() => []);
+        assert.deepEqual(await attendance.findSessionRows(connection, []), []);
+        await attendance.findSessionRows(connection, [3, 4]);
+        assert.equal(connection.statements.length, 1);
+        assert.match(connection.statements[0].sql, /IN \(\?, \?\)/);
+    });
+});
+
+describe('attendance route', () => {
+    let connection;
+    let answer;
+    let requireAuth;
+    let server;
+
+    before(async () => {
+        connection = fakeConnection((sql, params) => answer(sql, params));
+        requireAuth = signedInAs(ADMIN);
+        server = await serve(createAttendanceRouter({ pool: fakePool(connection), requireAuth }));
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        connection.statements.length = 0;
+        requireAuth.user = ADMIN;
+    });
+
+    it('refuses a query it cannot run before touching the database', async () => {
+        const res = await server.request('GET', '/api/attendance?sort=password&pageSize=0');
+        assert.deepEqual([res.status, res.body.code], [400, 'VALIDATION_FAILED']);
+        assert.deepEqual(res.body.details.map(detail => detail.field), ['sort', 'pageSize']);
+        assert.equal(connection.statements.length, 0);
+    });
+
+    it('groups the sessions under their record, with images only when asked for', async () => {
+        answer = sql => {
+            if (sql.startsWith('SELECT COUNT(*) AS total')) return [{ total: 26 }];
+            if (sql.startsWith('SELECT ar.record_id, cs.session_num')) {
+                return [{ record_id: 10, session_num: 1, signature_id: 40 }, { record_id: 10, session_num: 2, signature_id: null }];
+            }
+            return [{ record_id: 10, learner_id: 3, learner_name: 'Ann Lee', course_id: 5, module_title: 'IG1', session_count: 2, signed_count: 1 }];
+        };
+        const plain = await server.request('GET', '/api/attendance');
+        assert.deepEqual([plain.body.total, plain.body.totalPages], [26, 2]);
+        assert.deepEqual(plain.body.data[0].isSignedStatus, { is_signed1: 1, is_signed2: 0 });
+        assert.equal(plain.body.data[0].signatures, undefined);
+        const withImages = await server.request('GET', '/api/attendance?includeSignatures=true');
+        assert.equal(withImages.body.data[0].signatures.signature1, '/api/signatures/40/image');
+    });
+
+    it('answers 500 and releases the connection when the database fails', async t => {
+        t.mock.method(console, 'error', () => {});
+        connection.released = false;
+        answer = () => {
+            throw new Error('Connection lost');
+        };
+        const res = await server.request('GET', '/api/attendance');
+        assert.deepEqual([res.status, res.body.message], [500, 'Error fetching attendance records.']);
+        assert.equal(connection.released, true);
+    });
+});
@@ -0,0 +1,188 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+const audit = require('../services/audit');
+const createAuditRouter = require('../routes/audit');
+const { fakeConnection, fakePool, signedInAs, serve } = require('./helpers/fakes');
+
+const ACTOR = audit.actorFromRequest({ user: { userId: 1 }, ip: '10.0.0.1' });
+
+// The audit_log and audit_chain_head tables in memory, answering the statements audit.js runs
+function fakeAuditDatabase() {
+    const rows = [];
+    const head = { last_entry_id: 0, last_hash: audit.GENESIS_HASH };
+    const connection = fakeConnection((sql, params) => {
+        if (sql.startsWith('SELECT last_hash FROM audit_chain_head')) return [{ last_hash: head.last_hash }];
+        if (sql.startsWith('SELECT last_entry_id')) return [{ ...head }];
+        if (sql.startsWith('UPDATE audit_chain_head')) {
+            [head.last_entry_id, head.last_hash] = params;
+            return undefined;
+        }
+        if (sql.startsWith('INSERT INTO audit_log')) {
+            const [action, entityType, entityId, actorType, actorId, , beforeHash, afterHash, payload, prevHash, entryHash] = params;
+            rows.push({
+                entry_id: rows.length + 1,
+                action,
+                entity_type: entityType,
+                entity_id: entityId,
+                actor_type: actorType,
+                actor_id: actorId,
+                before_hash: beforeHash,
+                after_hash: afterHash,
+                payload,
+                prev_hash: prevHash,
+                entry_hash: entryHash
+            });
+            return { insertId: rows.length };
+        }
+        if (sql.includes('FROM audit_log')) return rows.filter(row => row.entry_id > params[0]);
+        throw new Error(`Unexpected statement: ${sql}`);
+    });
+    connection.rows = rows;
+    connection.head = head;
+    return connection;
+}
+
+async function recordSome(connection) {
+    await audit.record(connection, { action: audit.ACTIONS.SIGN, entityType: 'signature', entityId: 1, actor: ACTOR, after: { sessionNum: 1 } });
+    await audit.record(connection, { action: audit.ACTIONS.EDIT, entityType: 'course', entityId: 7, actor: ACTOR, before: { venue: 'A' }, after: { venue: 'B' } });
+    await audit.record(connection, { action: audit.ACTIONS.DELETE, entityType: 'signature', entityId: 1, actor: ACTOR, before: { sessionNum: 1 } });
+}
+
+describe('hashState', () => {
+    it('hashes objects the same whatever their key order', () => {
+        assert.equal(
+            audit.hashState({ learnerId: 3, course: { venue: 'Leeds', id: 9 }, sessions: [1, 2] }),
+            audit.hashState({ sessions: [1, 2], course: { id: 9, venue: 'Leeds' }, learnerId: 3 })
+        );
+        assert.notEqual(audit.hashState({ sessions: [1, 2] }), audit.hashState({ sessions: [2, 1] }));
+        assert.equal(audit.hashState(null), null);
+        assert.match(audit.hashState(Buffer.from('image')), /^[0-9a-f]{64}$/);
+    });
+});
+
+describe('actors', () => {
+    it('names the dashboard user, an anonymous kiosk learner or a system job', () => {
+        assert.deepEqual(audit.actorFromRequest({ user: { userId: 3 }, ip: '10.0.0.1' }), { type: 'user', id: '3', ip: '10.0.0.1' });
+        assert.deepEqual(audit.actorFromRequest({ ip: '10.0.0.2' }), { type: 'learner', id: null, ip: '10.0.0.2' });
+        assert.deepEqual(audit.systemActor('purge-learners'), { type: 'system', id: 'purge-learners', ip: null });
+    });
+});
+
+describe('record', () => {
+    it('stores hashes of the before and after states rather than the states', async () => {
+        const connection = fakeAuditDatabase();
+        const before = { venue: 'Leeds', unit: 'IG1' };
+        await audit.record(connection, {
+            action: audit.ACTIONS.EDIT,
+            entityType: 'course',
+            entityId: 7,
+            actor: ACTOR,
+            before,
+            after: null,
+            details: { fields: ['venue'] }
+        });
+        const [row] = connection.rows;
+        assert.equal(row.before_hash, audit.hashState(before));
+        assert.equal(row.after_hash, null);
+        assert.ok(!row.payload.includes('Leeds'));
+        assert.deepEqual(JSON.parse(row.payload).details, { fields: ['venue'] });
+        assert.equal(JSON.parse(row.payload).actorIp, '10.0.0.1');
+    });
+
+    it('takes hashes the caller already has, such as a stored image\'s checksum', async () => {
+        const connection = fakeAuditDatabase();
+        await audit.record(connection, {
+            action: audit.ACTIONS.RESIGN,
+            entityType: 'signature',
+            entityId: 61,
+            actor: ACTOR,
+            beforeHash: 'a'.repeat(64),
+            afterHash: 'b'.repeat(64)
+        });
+        assert.deepEqual([connection.rows[0].before_hash, connection.rows[0].after_hash], ['a'.repeat(64), 'b'.repeat(64)]);
+    });
+
+    it('needs the chain head the migration creates', async () => {
+        const connection = fakeConnection(() => []);
+        await assert.rejects(
+            audit.record(connection, { action: audit.ACTIONS.SIGN, entityType: 'signature', entityId: 1, actor: ACTOR }),
+            /Audit chain head is missing/
+        );
+    });
+});
+
+describe('audit chain', () => {
+    it('links each entry to the one before and verifies an untouched log', async () => {
+        const connection = fakeAuditDatabase();
+        await recordSome(connection);
+        assert.equal(connection.rows[0].prev_hash, audit.GENESIS_HASH);
+        assert.equal(connection.rows[1].prev_hash, connection.rows[0].entry_hash);
+        assert.equal(JSON.parse(connection.rows[1].payload).entityId, '7');
+        const result = await audit.verifyChain(connection);
+        assert.deepEqual(result, { valid: true, checked: 3, headHash: connection.rows[2].entry_hash, brokenAt: null });
+    });
+
+    it('finds an edited payload', async () => {
+        const connection = fakeAuditDatabase();
+        await recordSome(connection);
+        connection.rows[1].payload = connection.rows[1].payload.replace('"edit"', '"sign"');
+        const result = await audit.verifyChain(connection);
+        assert.equal(result.valid, false);
+        assert.equal(result.checked, 1);
+        assert.deepEqual(result.brokenAt, { entryId: 2, reason: 'entry_hash does not match the entry payload' });
+    });
+
+    it('finds a column changed without its payload', async () => {
+        const connection = fakeAuditDatabase();
+        await recordSome(connection);
+        connection.rows[0].actor_id = 'someone-else';
+        const result = await audit.verifyChain(connection);
+        assert.deepEqual(result.brokenAt, { entryId: 1, reason: 'entry columns do not match the hashed payload' });
+    });
+
+    it('finds a deleted entry, in the middle or at the end', async () => {
+        const middle = fakeAuditDatabase();
+        await recordSome(middle);
+        middle.rows.splice(1, 1);
+        assert.deepEqual((await audit.verifyChain(middle)).brokenAt, { entryId: 3, reason: 'prev_hash does not match the previous entry' });
+
+        const end = fakeAuditDatabase();
+        await recordSome(end);
+        end.rows.pop();
+        assert.deepEqual((await audit.verifyChain(end)).brokenAt, { entryId: 3, reason: 'chain head does not match the last entry' });
+    });
+});
+
+describe('audit routes', () => {
+    let connection;
+    let requireAuth;
+    let server;
+
+    before(async () => {
+        connection = fakeAuditDatabase();
+        await recordSome(connection);
+        requireAuth = signedInAs({ userId: 5, role: 'auditor' });
+        server = await serve(createAuditRouter({ pool: fakePool(connection), requireAuth }));
+    });
+
+    after(() => server.close());
+
+    it('verify the chain for auditors and administrators only', async () => {
+        const res = await server.request('GET', '/api/audit/verify');
+        assert.deepEqual([res.status, res.body.valid, res.body.checked], [200, true, 3]);
+        requireAuth.user = { userId: 4, role: 'trainer' };
+        assert.equal((await server.request('GET', '/api/audit/verify')).status, 403);
+        requireAuth.user = { userId: 5, role: 'auditor' };
+    });
+
+    it('filter the log, and refuse a page size over the maximum', async () => {
+        connection.statements.length = 0;
+        const tooMany = await server.request('GET', '/api/audit?limit=100000');
+        assert.deepEqual([tooMany.status, tooMany.body.details[0].code], [400, 'OUT_OF_RANGE']);
+        assert.equal(connection.statements.length, 0);
+        await server.request('GET', '/api/audit?entityType=course&entityId=7&limit=500');
+        const [{ sql, params }] = connection.statements;
+        assert.match(sql, /WHERE 1 = 1 AND entity_type = \? AND entity_id = \? ORDER BY entry_id DESC LIMIT 500$/);
+        assert.deepEqual(params, ['course', '7']);
+    });
+});
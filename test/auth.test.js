@@ -0,0 +1,223 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const jwt = require('jsonwebtoken');
+const auth = require('../services/auth');
+const { createRequireAuth, requireRole } = require('../middleware/auth');
+const createAuthRouter = require('../routes/auth');
+const { fakeConnection, fakePool, fakeResponse, signedInAs, limitsFor, serve } = require('./helpers/fakes');
+
+const TOKEN_SETTINGS = { tokenSecret: 'unit-test-secret', tokenTtlSeconds: 8 * 3600 };
+
+// admin_users and admin_sessions in memory. A session is live until revoked or expired.
+function fakeAuthDatabase(users = []) {
+    const sessions = [];
+    const connection = fakeConnection((sql, params) => {
+        if (sql.includes('FROM admin_users WHERE email = ?')) {
+            return users.filter(user => user.email === params[0]);
+        }
+        if (sql.includes('FROM admin_users WHERE user_id = ?')) {
+            return users.filter(user => user.user_id === params[0]);
+        }
+        if (sql.startsWith('UPDATE admin_users SET password_hash')) {
+            users.find(user => user.user_id === params[1]).password_hash = params[0];
+            return undefined;
+        }
+        if (sql.startsWith('INSERT INTO admin_sessions')) {
+            const [sessionId, userId, expiresAt] = params;
+            sessions.push({ sessionId, userId, expiresAt, revoked: false });
+            return undefined;
+        }
+        if (sql.includes('FROM admin_sessions s')) {
+            const session = sessions.find(s => s.sessionId === params[0] && !s.revoked && s.expiresAt > new Date());
+            const user = session && users.find(u => u.user_id === session.userId);
+            return user ? [{ session_id: session.sessionId, user_id: user.user_id, email: user.email, role: user.role }] : [];
+        }
+        if (sql.startsWith('UPDATE admin_sessions SET revoked_at = NOW() WHERE session_id')) {
+            const session = sessions.find(s => s.sessionId === params[0] && !s.revoked);
+            if (session) session.revoked = true;
+            return { affectedRows: session ? 1 : 0 };
+        }
+        if (sql.startsWith('UPDATE admin_sessions SET revoked_at = NOW() WHERE user_id')) {
+            const others = sessions.filter(s => s.userId === params[0] && s.sessionId !== params[1] && !s.revoked);
+            others.forEach(session => { session.revoked = true; });
+            return { affectedRows: others.length };
+        }
+        throw new Error(`Unexpected statement: ${sql}`);
+    });
+    connection.sessions = sessions;
+    return connection;
+}
+
+describe('passwords', () => {
+    it('hashes with bcrypt and verifies only the right password', async () => {
+        const hash = await auth.hashPassword('correct horse battery');
+        assert.match(hash, /^\$2[aby]\$12\$/);
+        assert.equal(await auth.verifyPassword('correct horse battery', hash), true);
+        assert.equal(await auth.verifyPassword('wrong horse battery', hash), false);
+        assert.equal(await auth.verifyPassword('anything', null), false);
+    });
+
+    it('needs at least ten characters', () => {
+        assert.equal(auth.checkPasswordStrength('0123456789'), null);
+        assert.equal(auth.checkPasswordStrength('012345678'), 'Password must be at least 10 characters long.');
+        assert.equal(auth.checkPasswordStrength(undefined), 'Password must be at least 10 characters long.');
+    });
+
+    it('logs in by email whatever its case, and not with a wrong password or unknown email', async () => {
+        const user = { user_id: 1, email: 'ann@example.com', role: 'administrator', password_hash: await auth.hashPassword('ann-password') };
+        const connection = fakeAuthDatabase([user]);
+        assert.equal(await auth.authenticateUser(connection, ' Ann@Example.com ', 'ann-password'), user);
+        assert.equal(await auth.authenticateUser(connection, 'ann@example.com', 'not-her-password'), null);
+        assert.equal(await auth.authenticateUser(connection, 'ben@example.com', 'ann-password'), null);
+    });
+});
+
+describe('sessions', () => {
+    const user = { user_id: 7, email: 'trainer@example.com', role: 'trainer' };
+
+    it('issues a token for a stored session and resolves it to the user', async () => {
+        const connection = fakeAuthDatabase([user]);
+        const { token, sessionId, expiresAt } = await auth.createSession(connection, 7, TOKEN_SETTINGS);
+        assert.equal(connection.sessions[0].sessionId, sessionId);
+        assert.ok(Math.abs(expiresAt - Date.now() - 8 * 3600 * 1000) < 5000);
+        assert.deepEqual(await auth.resolveSession(connection, token, TOKEN_SETTINGS),
+            { userId: 7, email: 'trainer@example.com', role: 'trainer', sessionId });
+    });
+
+    it('refuses a revoked session, a token signed with another secret and a token for another user', async () => {
+        const connection = fakeAuthDatabase([user]);
+        const { token, sessionId } = await auth.createSession(connection, 7, TOKEN_SETTINGS);
+        const foreign = jwt.sign({ sid: sessionId }, 'another-secret', { subject: '7' });
+        assert.equal(await auth.resolveSession(connection, foreign, TOKEN_SETTINGS), null);
+        const forged = jwt.sign({ sid: sessionId }, TOKEN_SETTINGS.tokenSecret, { subject: '8' });
+        assert.equal(await auth.resolveSession(connection, forged, TOKEN_SETTINGS), null);
+        await auth.revokeSession(connection, sessionId);
+        assert.equal(await auth.resolveSession(connection, token, TOKEN_SETTINGS), null);
+    });
+
+    it('requireAuth sets req.user for a live session and answers 401 otherwise', async () => {
+        const connection = fakeAuthDatabase([user]);
+        const requireAuth = createRequireAuth(fakePool(connection), TOKEN_SETTINGS);
+        const { token } = await auth.createSession(connection, 7, TOKEN_SETTINGS);
+        const request = authorization => ({ get: name => (name === 'Authorization' ? authorization : undefined) });
+
+        const req = request(`Bearer ${token}`);
+        let passed = false;
+        await requireAuth(req, fakeResponse(), () => { passed = true; });
+        assert.equal(passed, true);
+        assert.equal(req.user.role, 'trainer');
+        assert.equal(connection.released, true);
+
+        for (const authorization of [undefined, `Basic ${token}`, 'Bearer not-a-token']) {
+            const res = fakeResponse();
+            await requireAuth(request(authorization), res, () => assert.fail('should not pass'));
+            assert.equal(res.statusCode, 401);
+        }
+    });
+
+    it('requireAuth answers 500 when the session cannot be looked up', async t => {
+        t.mock.method(console, 'error', () => {});
+        const connection = fakeConnection(() => {
+            throw new Error('Connection lost');
+        });
+        const requireAuth = createRequireAuth(fakePool(connection), TOKEN_SETTINGS);
+        const token = jwt.sign({ sid: 'x' }, TOKEN_SETTINGS.tokenSecret, { subject: '7' });
+        const res = fakeResponse();
+        await requireAuth({ get: () => `Bearer ${token}` }, res, () => assert.fail('should not pass'));
+        assert.equal(res.statusCode, 500);
+        assert.equal(connection.released, true);
+    });
+});
+
+describe('requireRole', () => {
+    const canManage = requireRole(auth.ROLES.ADMINISTRATOR, auth.ROLES.TRAINER);
+
+    function check(user) {
+        const res = fakeResponse();
+        let passed = false;
+        canManage({ user }, res, () => { passed = true; });
+        return { passed, statusCode: res.statusCode, body: res.body };
+    }
+
+    it('lets the listed roles through', () => {
+        assert.equal(check({ userId: 1, role: 'administrator' }).passed, true);
+        assert.equal(check({ userId: 2, role: 'trainer' }).passed, true);
+    });
+
+    it('answers 403 naming the allowed roles, or 401 before requireAuth has run', () => {
+        const refused = check({ userId: 3, role: 'auditor' });
+        assert.equal(refused.passed, false);
+        assert.equal(refused.statusCode, 403);
+        assert.equal(refused.body.message,
+            'Your role (auditor) is not allowed to perform this action. Allowed roles: administrator, trainer.');
+        assert.equal(check(undefined).statusCode, 401);
+    });
+});
+
+describe('auth routes', () => {
+    let user;
+    let connection;
+    let requireAuth;
+    let server;
+
+    before(async () => {
+        user = { user_id: 1, email: 'ann@example.com', role: 'administrator', password_hash: await auth.hashPassword('ann-password') };
+        connection = fakeAuthDatabase([user]);
+        requireAuth = signedInAs(null);
+        server = await serve(createAuthRouter({ pool: fakePool(connection), requireAuth, limits: limitsFor({ loginMaxFailures: 3 }), tokenSettings: TOKEN_SETTINGS }));
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        connection.statements.length = 0;
+        connection.transaction.length = 0;
+    });
+
+    it('log in with the right password only', async () => {
+        const login = body => server.request('POST', '/api/login', { body });
+        const missing = await login({ username: 'ann@example.com' });
+        assert.deepEqual([missing.status, missing.body.code, missing.body.message], [400, 'VALIDATION_FAILED', 'password is required.']);
+        const wrong = await login({ username: 'ann@example.com', password: 'not-her-password' });
+        assert.deepEqual([wrong.status, wrong.body.code, wrong.body.message], [401, 'UNAUTHENTICATED', 'Invalid credentials.']);
+        const ok = await login({ username: 'ann@example.com', password: 'ann-password' });
+        assert.deepEqual([ok.status, ok.body.role], [200, 'administrator']);
+        assert.ok(await auth.resolveSession(connection, ok.body.token, TOKEN_SETTINGS));
+    });
+
+    it('change a password after checking the current one, and end the other sessions', async () => {
+        const { sessionId } = await auth.createSession(connection, 1, TOKEN_SETTINGS);
+        const other = await auth.createSession(connection, 1, TOKEN_SETTINGS);
+        requireAuth.user = { userId: 1, role: 'administrator', sessionId };
+        const change = body => server.request('POST', '/api/password', { body });
+        const weak = await change({ currentPassword: 'ann-password', newPassword: 'short' });
+        assert.deepEqual([weak.status, weak.body.message], [400, 'Password must be at least 10 characters long.']);
+        assert.deepEqual(weak.body.details.map(detail => [detail.field, detail.code]), [['newPassword', 'WEAK_PASSWORD']]);
+        const wrong = await change({ currentPassword: 'not-her-password', newPassword: 'a-new-password' });
+        assert.deepEqual([wrong.status, wrong.body.message], [401, 'Current password is incorrect.']);
+        assert.equal((await change({ currentPassword: 'ann-password', newPassword: 'a-new-password' })).status, 200);
+        assert.deepEqual(connection.transaction, ['begin', 'commit']);
+        assert.equal(await auth.verifyPassword('a-new-password', user.password_hash), true);
+        assert.equal(await auth.resolveSession(connection, other.token, TOKEN_SETTINGS), null);
+        assert.equal(connection.sessions.find(session => session.sessionId === sessionId).revoked, false);
+    });
+
+    it('lock an account after too many wrong passwords, even for the right one', async () => {
+        const login = password => server.request('POST', '/api/login', { body: { username: 'ben@example.com', password } });
+        assert.equal((await login('guess-one')).status, 401);
+        assert.equal((await login('guess-two')).status, 401);
+        const locked = await login('guess-three');
+        assert.deepEqual([locked.status, locked.body.code], [429, 'TOO_MANY_REQUESTS']);
+        assert.ok(Number(locked.headers.get('retry-after')) > 0);
+        connection.statements.length = 0;
+        assert.equal((await login('ben-password')).status, 429);
+        assert.equal(connection.statements.length, 0);
+    });
+
+    it('log out by revoking the session used', async () => {
+        const { token, sessionId } = await auth.createSession(connection, 1, TOKEN_SETTINGS);
+        requireAuth.user = { userId: 1, role: 'administrator', sessionId };
+        assert.equal((await server.request('POST', '/api/logout')).status, 200);
+        assert.equal(await auth.resolveSession(connection, token, TOKEN_SETTINGS), null);
+    });
+});
@@ -0,0 +1,183 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { Readable } = require('stream');
+const audit = require('../services/audit');
+const { normalizeNumber, createCertificates } = require('../services/certificates');
+const createCertificatesRouter = require('../routes/certificates');
+const { fakeConnection, fakePool, signedInAs, serve } = require('./helpers/fakes');
+
+const COURSE = { course_id: 5, unit: 'IG1' };
+
+// Answers the completion query with progress and records the other statements. insertAffected
+// is 0 when the learner already has a certificate for the course.
+function fakeCertificateDatabase({ progress, insertAffected = 1, certificate = null }) {
+    return fakeConnection(sql => {
+        if (sql.includes('AS signed_count')) return progress ? [progress] : [];
+        if (sql.startsWith('INSERT INTO certificates')) return { affectedRows: insertAffected, insertId: 42 };
+        if (sql.includes('FROM certificates ct')) return certificate ? [certificate] : [];
+        if (sql.includes('FROM course_sessions')) return [{ session_num: 1, session_date: '2024-05-01' }];
+        if (sql.startsWith('SELECT last_hash')) return [{ last_hash: audit.GENESIS_HASH }];
+        return undefined;
+    });
+}
+
+const CERTIFICATE = {
+    certificate_id: 42,
+    certificate_number: 'TIHS-2024-000042-AB2C',
+    course_id: 5,
+    learner_name: 'Ann Lee',
+    unit: 'IG1',
+    venue: 'Leeds',
+    sessions_completed: 1,
+    completed_at: new Date('2024-05-01T16:00:00Z'),
+    issued_at: new Date('2024-05-01T16:00:00Z'),
+    trainer_id: 4,
+    trainer_email: 'trainer@example.com'
+};
+
+describe('normalizeNumber', () => {
+    it('accepts certificate numbers in any case and refuses anything else', () => {
+        assert.equal(normalizeNumber(' tihs-2024-000042-ab2c '), 'TIHS-2024-000042-AB2C');
+        assert.equal(normalizeNumber('TIHS-2024-42-AB2C'), null);
+        assert.equal(normalizeNumber('TIHS-2024-000042-AB1C'), null);
+        assert.equal(normalizeNumber(undefined), null);
+    });
+});
+
+describe('certificates', () => {
+    const certificates = createCertificates({ storage: {}, verifyBaseUrl: 'https://example.com/verify/' });
+
+    it('issues a numbered certificate once every session is signed', async () => {
+        const connection = fakeCertificateDatabase({ progress: { session_count: 3, signed_count: 3, completed_at: new Date() } });
+        const number = await certificates.issueIfComplete(connection, { learnerId: 8, course: COURSE, actor: audit.systemActor('test') });
+        assert.match(number, new RegExp(`^TIHS-${new Date().getUTCFullYear()}-000042-[A-HJ-NP-Z2-9]{4}$`));
+        assert.equal(normalizeNumber(number), number);
+        const update = connection.statements.find(statement => statement.sql.startsWith('UPDATE certificates SET certificate_number'));
+        assert.deepEqual(update.params, [number, 42]);
+        assert.ok(connection.statements.some(statement => statement.sql.startsWith('INSERT INTO audit_log')));
+    });
+
+    it('issues nothing before the last session or a second time', async () => {
+        const actor = audit.systemActor('test');
+        const unfinished = fakeCertificateDatabase({ progress: { session_count: 3, signed_count: 2 } });
+        assert.equal(await certificates.issueIfComplete(unfinished, { learnerId: 8, course: COURSE, actor }), null);
+        assert.equal(unfinished.statements.length, 1);
+        const noSessions = fakeCertificateDatabase({ progress: { session_count: 0, signed_count: 0 } });
+        assert.equal(await certificates.issueIfComplete(noSessions, { learnerId: 8, course: COURSE, actor }), null);
+        const issued = fakeCertificateDatabase({ progress: { session_count: 3, signed_count: 3 }, insertAffected: 0 });
+        assert.equal(await certificates.issueIfComplete(issued, { learnerId: 8, course: COURSE, actor }), null);
+        assert.ok(!issued.statements.some(statement => statement.sql.startsWith('UPDATE certificates')));
+    });
+
+    it('issues the certificates of a course\'s learners who have signed every session', async () => {
+        // Learner 8 has signed both sessions, learner 9 one of them
+        const connection = fakeConnection((sql, params) => {
+            if (sql.startsWith('SELECT DISTINCT ar.learner_id')) return [{ learner_id: 8 }, { learner_id: 9 }];
+            if (sql.includes('AS signed_count')) return [{ session_count: 2, signed_count: params[0] === 8 ? 2 : 1, completed_at: new Date() }];
+            if (sql.startsWith('INSERT INTO certificates')) return { affectedRows: 1, insertId: 42 };
+            if (sql.startsWith('SELECT last_hash')) return [{ last_hash: audit.GENESIS_HASH }];
+            return undefined;
+        });
+        const numbers = await certificates.issueForCourse(connection, { course: COURSE, actor: audit.systemActor('test') });
+        assert.equal(numbers.length, 1);
+        assert.match(connection.statements[0].sql, /WHERE ar\.course_id = \? AND l\.archived_at IS NULL$/);
+        const inserts = connection.statements.filter(statement => statement.sql.startsWith('INSERT INTO certificates'));
+        assert.deepEqual(inserts.map(statement => statement.params[1]), [8]);
+    });
+
+    it('points the QR code at the verification page for the number', () => {
+        assert.equal(certificates.verifyUrl('TIHS-2024-000042-AB2C'), 'https://example.com/verify/TIHS-2024-000042-AB2C');
+    });
+
+    it('renders and stores the PDF', async () => {
+        const stored = [];
+        const withStorage = createCertificates({
+            storage: { async put(ref, buffer, type) { stored.push({ ref, buffer, type }); } },
+            verifyBaseUrl: 'https://example.com/verify'
+        });
+        const connection = fakeCertificateDatabase({ certificate: CERTIFICATE });
+        const result = await withStorage.generatePdf(connection, 'TIHS-2024-000042-AB2C');
+        assert.equal(stored[0].ref, 'certificates/2024/TIHS-2024-000042-AB2C.pdf');
+        assert.equal(stored[0].type, 'application/pdf');
+        assert.equal(stored[0].buffer.subarray(0, 5).toString(), '%PDF-');
+        assert.equal(result.file_ref, stored[0].ref);
+        await assert.rejects(withStorage.generatePdf(fakeCertificateDatabase({}), 'TIHS-2024-000043-AB2C'), /not found/);
+    });
+});
+
+describe('certificates routes', () => {
+    const ADMIN = { userId: 1, role: 'administrator' };
+    let certificate;
+    let connection;
+    let requireAuth;
+    let server;
+    let stored;
+
+    before(async () => {
+        connection = fakeConnection((sql, params) => {
+            if (sql.includes('WHERE ct.certificate_number = ?')) {
+                return certificate && params[0] === certificate.certificate_number ? [certificate] : [];
+            }
+            if (sql.includes('FROM certificates ct')) return [{ certificate_number: CERTIFICATE.certificate_number }];
+            if (sql.includes('FROM course_sessions')) return [];
+            return undefined;
+        });
+        stored = new Map();
+        const storage = {
+            async put(ref, buffer) { stored.set(ref, buffer); },
+            async getStream(ref) {
+                if (!stored.has(ref)) throw new Error('not found');
+                return Readable.from([stored.get(ref)]);
+            }
+        };
+        const certificates = createCertificates({ storage, verifyBaseUrl: 'https://example.com/verify' });
+        requireAuth = signedInAs(ADMIN);
+        server = await serve(createCertificatesRouter({ pool: fakePool(connection), requireAuth, certificates }));
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        connection.statements.length = 0;
+        certificate = { ...CERTIFICATE, file_ref: null, file_sha256: null };
+        stored.clear();
+        requireAuth.user = ADMIN;
+    });
+
+    it('confirm a genuine number to anyone, and only that', async () => {
+        const valid = await server.request('GET', '/api/certificates/verify/tihs-2024-000042-ab2c');
+        assert.deepEqual([valid.status, valid.body.valid, valid.body.learnerName], [200, true, 'Ann Lee']);
+        const unknown = await server.request('GET', '/api/certificates/verify/TIHS-2024-000043-AB2C');
+        assert.deepEqual([unknown.status, unknown.body.valid], [404, false]);
+        connection.statements.length = 0;
+        assert.equal((await server.request('GET', '/api/certificates/verify/not-a-number')).status, 404);
+        assert.equal(connection.statements.length, 0);
+    });
+
+    it('list certificates for staff, refusing malformed filters', async () => {
+        const invalid = await server.request('GET', '/api/certificates?courseId=5x');
+        assert.deepEqual([invalid.status, invalid.body.message], [400, 'courseId must be a positive whole number.']);
+        assert.deepEqual(invalid.body.details, [{ location: 'query', field: 'courseId', code: 'INVALID_FORMAT', message: 'courseId must be a positive whole number.' }]);
+        requireAuth.user = { userId: 4, role: 'trainer' };
+        const listed = await server.request('GET', '/api/certificates?learnerId=8');
+        assert.equal(listed.status, 200);
+        assert.deepEqual(connection.statements[0].params, [4, 8]);
+    });
+
+    it('render the PDF on first download, and hide other trainers\' certificates', async () => {
+        const res = await server.request('GET', `/api/certificates/${CERTIFICATE.certificate_number}/pdf`);
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('content-type'), 'application/pdf');
+        assert.equal(res.body.subarray(0, 5).toString(), '%PDF-');
+        assert.match(res.headers.get('etag'), /^"[0-9a-f]{64}"$/);
+        requireAuth.user = { userId: 7, role: 'trainer' };
+        assert.equal((await server.request('GET', `/api/certificates/${CERTIFICATE.certificate_number}/pdf`)).status, 404);
+    });
+
+    it('answer 404 when the stored PDF has gone', async t => {
+        t.mock.method(console, 'error', () => {});
+        certificate.file_ref = 'certificates/2024/missing.pdf';
+        const res = await server.request('GET', `/api/certificates/${CERTIFICATE.certificate_number}/pdf`);
+        assert.deepEqual([res.status, res.body.message], [404, 'Certificate file not available.']);
+    });
+});
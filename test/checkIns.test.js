@@ -0,0 +1,141 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const crypto = require('crypto');
+const checkIns = require('../services/checkIns');
+const createCheckInsRouter = require('../routes/checkIns');
+const { fakeConnection, fakePool, signedInAs, limitsFor, serve } = require('./helpers/fakes');
+
+const EXPIRES_AT = new Date('2024-05-01T09:15:00Z');
+
+// session_check_ins for one session. takenPins are PINs already used by an open window; window
+// is what a code lookup finds.
+function fakeCheckInDatabase({ takenPins = [], window = null } = {}) {
+    return fakeConnection((sql, params) => {
+        if (sql.startsWith('SELECT 1 FROM session_check_ins WHERE pin')) {
+            return takenPins.includes(params[0]) ? [{ 1: 1 }] : [];
+        }
+        if (sql.startsWith('INSERT INTO session_check_ins')) return { insertId: 9 };
+        if (sql.startsWith('SELECT expires_at')) return [{ expires_at: EXPIRES_AT }];
+        if (sql.includes('FROM session_check_ins ci')) return window ? [window] : [];
+        return undefined;
+    });
+}
+
+describe('check-in windows', () => {
+    it('closes any open window for the session and opens one with a token and a six-digit PIN', async () => {
+        const connection = fakeCheckInDatabase();
+        const opened = await checkIns.openWindow(connection, 101, 4, 30);
+        assert.match(opened.token, /^[A-Za-z0-9_-]{32}$/);
+        assert.match(opened.pin, /^\d{6}$/);
+        assert.deepEqual(opened.expiresAt, new Date('2024-05-01T09:15:00Z'));
+        const [close, , insert] = connection.statements;
+        assert.match(close.sql, /^UPDATE session_check_ins SET closed_at = NOW\(\) WHERE session_id = \?/);
+        assert.deepEqual(close.params, [101]);
+        assert.match(insert.sql, /NOW\(\) \+ INTERVAL 30 MINUTE\)$/);
+        assert.deepEqual(insert.params, [101, opened.token, opened.pin, 4]);
+    });
+
+    it('picks another PIN when one is taken by an open window', async t => {
+        const connection = fakeCheckInDatabase({ takenPins: ['000001'] });
+        let calls = 0;
+        t.mock.method(crypto, 'randomInt', () => (calls++ === 0 ? 1 : 2));
+        const opened = await checkIns.openWindow(connection, 101, 4);
+        assert.equal(opened.pin, '000002');
+        assert.match(connection.statements.find(statement => statement.sql.startsWith('INSERT')).sql, /INTERVAL 15 MINUTE/);
+    });
+
+    it('looks codes up as a PIN or a QR token, and not at all when they are neither', async () => {
+        const window = { session_id: 101, course_id: 5 };
+        const pin = fakeCheckInDatabase({ window });
+        assert.equal(await checkIns.findOpenWindow(pin, ' 123456 '), window);
+        assert.match(pin.statements[0].sql, /WHERE ci\.pin = \? AND ci\.closed_at IS NULL AND ci\.expires_at > NOW\(\)/);
+        assert.deepEqual(pin.statements[0].params, ['123456']);
+
+        const token = fakeCheckInDatabase({ window });
+        await checkIns.findOpenWindow(token, 'a'.repeat(32));
+        assert.match(token.statements[0].sql, /WHERE ci\.token = \?/);
+
+        for (const code of ['12345', '1234567', 'a'.repeat(31), "' OR 1=1 --", undefined]) {
+            const connection = fakeCheckInDatabase({ window });
+            assert.equal(await checkIns.findOpenWindow(connection, code), null);
+            assert.equal(connection.statements.length, 0);
+        }
+    });
+
+    it('finds the window a code belonged to when an offline signature was captured', async () => {
+        const connection = fakeCheckInDatabase();
+        const capturedAt = new Date('2024-05-01T09:05:00Z');
+        assert.equal(await checkIns.findWindowAt(connection, '123456', capturedAt), null);
+        assert.match(connection.statements[0].sql, /ci\.opened_at <= \? AND \? < LEAST\(ci\.expires_at, COALESCE\(ci\.closed_at, ci\.expires_at\)\)/);
+        assert.deepEqual(connection.statements[0].params, ['123456', capturedAt, capturedAt]);
+    });
+});
+
+describe('check-in routes', () => {
+    const TRAINER = { userId: 4, role: 'trainer' };
+    // Course 5 is taught by trainer 4 and has sessions 1 and 2; session 1 has a window open
+    const COURSE = { course_id: 5, unit: 'IG1', venue: 'Leeds', trainer_id: 4 };
+    const WINDOW = { session_id: 101, course_id: 5, unit: 'IG1', venue: 'Leeds', session_num: 1, session_date: '2024-05-01', expires_at: EXPIRES_AT };
+    let connection;
+    let requireAuth;
+    let server;
+
+    before(async () => {
+        connection = fakeConnection((sql, params) => {
+            if (sql.includes('FROM courses c')) return Number(params[0]) === 5 ? [COURSE] : [];
+            if (sql.includes('FROM course_sessions WHERE course_id = ? AND session_num = ?')) {
+                return params[1] <= 2 ? [{ session_id: 100 + params[1], session_num: params[1] }] : [];
+            }
+            if (sql.startsWith('SELECT 1 FROM session_check_ins')) return [];
+            if (sql.startsWith('INSERT INTO session_check_ins')) return { insertId: 9 };
+            if (sql.startsWith('SELECT expires_at')) return [{ expires_at: EXPIRES_AT }];
+            if (sql.includes('FROM session_check_ins ci')) return params[0] === '123456' ? [WINDOW] : [];
+            if (sql.startsWith('UPDATE session_check_ins')) return { affectedRows: params[0] === 101 ? 1 : 0 };
+            return undefined;
+        });
+        requireAuth = signedInAs(TRAINER);
+        server = await serve(createCheckInsRouter({ pool: fakePool(connection), requireAuth, limits: limitsFor(), checkInBaseUrl: 'https://example.com/kiosk' }));
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        connection.statements.length = 0;
+        connection.transaction.length = 0;
+        requireAuth.user = TRAINER;
+    });
+
+    it('open a window with a PIN and a QR code of the kiosk link', async () => {
+        const res = await server.request('POST', '/api/courses/5/sessions/1/check-in', { body: { minutes: 30 } });
+        assert.equal(res.status, 201);
+        assert.match(res.body.pin, /^\d{6}$/);
+        assert.equal(res.body.checkInUrl, `https://example.com/kiosk?code=${res.body.token}`);
+        assert.match(res.body.qrCode, /^data:image\/png;base64,/);
+        assert.deepEqual(connection.transaction, ['begin', 'commit']);
+    });
+
+    it('refuse a bad length, other trainers\' courses and unknown sessions', async () => {
+        const minutes = await server.request('POST', '/api/courses/5/sessions/1/check-in', { body: { minutes: 241 } });
+        assert.deepEqual([minutes.status, minutes.body.message], [400, 'minutes must be from 1 to 240.']);
+        assert.equal((await server.request('POST', '/api/courses/5/sessions/0/check-in', { body: {} })).status, 400);
+        assert.equal(connection.statements.length, 0);
+        assert.equal((await server.request('POST', '/api/courses/5/sessions/3/check-in', { body: {} })).status, 404);
+        assert.deepEqual(connection.transaction, ['begin', 'rollback']);
+        requireAuth.user = { userId: 7, role: 'trainer' };
+        assert.equal((await server.request('POST', '/api/courses/5/sessions/1/check-in', { body: {} })).status, 403);
+        requireAuth.user = { userId: 5, role: 'auditor' };
+        assert.equal((await server.request('DELETE', '/api/courses/5/sessions/1/check-in')).status, 403);
+    });
+
+    it('close an open window, and answer 404 when none is open', async () => {
+        assert.equal((await server.request('DELETE', '/api/courses/5/sessions/1/check-in')).status, 200);
+        const none = await server.request('DELETE', '/api/courses/5/sessions/2/check-in');
+        assert.deepEqual([none.status, none.body.message], [404, 'Check-in is not open for this session.']);
+    });
+
+    it('tell the kiosk what a code opens, without signing in', async () => {
+        const res = await server.request('GET', '/api/check-in/123456');
+        assert.deepEqual([res.status, res.body.courseId, res.body.sessionNum], [200, 5, 1]);
+        assert.equal((await server.request('GET', '/api/check-in/654321')).status, 404);
+    });
+});
@@ -0,0 +1,99 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const path = require('path');
+const { loadConfig, ConfigError, STATIC_DIR } = require('../config');
+
+const DB_ENV = { DB_HOST: 'localhost', DB_USER: 'app', DB_PASSWORD: '', DB_NAME: 'attendance' };
+
+function problemsOf(env, sections) {
+    try {
+        loadConfig(env, sections);
+    } catch (error) {
+        assert.ok(error instanceof ConfigError);
+        return error.problems;
+    }
+    assert.fail('expected a ConfigError');
+}
+
+describe('loadConfig', () => {
+    it('fills in defaults and derives the server addresses', () => {
+        const { server } = loadConfig({}, ['server']);
+        assert.equal(server.port, 3000);
+        assert.equal(server.tls, null);
+        assert.equal(server.publicUrl, 'http://localhost:3000');
+        assert.equal(server.checkInUrl, 'http://localhost:3000/');
+        assert.equal(server.certificateVerifyUrl, 'http://localhost:3000/api/certificates/verify');
+        assert.deepEqual(server.corsOrigins, []);
+        assert.equal(server.trustProxy, false);
+    });
+
+    it('converts values by type', () => {
+        const config = loadConfig({
+            ...DB_ENV,
+            DB_PORT: '3307',
+            PUBLIC_URL: 'https://attendance.example.com/',
+            CORS_ORIGINS: 'https://a.example, https://b.example:8443/',
+            TRUST_PROXY: '1',
+            BODY_LIMIT: '500KB'
+        }, ['server', 'db']);
+        assert.equal(config.db.port, 3307);
+        assert.equal(config.db.password, '');
+        assert.equal(config.server.publicUrl, 'https://attendance.example.com');
+        assert.deepEqual(config.server.corsOrigins, ['https://a.example', 'https://b.example:8443']);
+        assert.equal(config.server.trustProxy, 1);
+        assert.equal(config.server.bodyLimit, '500kb');
+    });
+
+    it('reports every problem at once without repeating secrets', () => {
+        const problems = problemsOf({ DB_HOST: 'localhost', DB_PORT: 'x', AUTH_TOKEN_SECRET: 'short-secret' }, ['db', 'auth']);
+        assert.deepEqual(problems, [
+            'DB_PORT must be a port number.',
+            'DB_USER is not set.',
+            'DB_PASSWORD is not set.',
+            'DB_NAME is not set.',
+            'AUTH_TOKEN_SECRET must be at least 16 characters long.'
+        ]);
+    });
+
+    it('keeps archived learners six years unless told otherwise, and at least a day', () => {
+        assert.equal(loadConfig({}, ['learners']).learners.retentionDays, 6 * 365);
+        assert.equal(loadConfig({ LEARNER_RETENTION_DAYS: '30' }, ['learners']).learners.retentionDays, 30);
+        for (const days of ['0', '-5', 'six years']) {
+            assert.deepEqual(problemsOf({ LEARNER_RETENTION_DAYS: days }, ['learners']), ['LEARNER_RETENTION_DAYS must be a whole number of at least 1.']);
+        }
+    });
+
+    it('blocks a check-in address after a few kiosks\' worth of wrong codes', () => {
+        const { limits } = loadConfig({}, ['limits']);
+        assert.deepEqual([limits.checkInMaxFailures, limits.checkInMaxAddressFailures], [20, 60]);
+    });
+
+    it('checks settings that depend on others', () => {
+        assert.deepEqual(problemsOf({ EMAIL_TRANSPORT: 'sendgrid' }, ['email']), [
+            'SENDGRID_API_KEY is not set.',
+            'EMAIL_FROM is not set.'
+        ]);
+        assert.deepEqual(problemsOf({ SIGNATURE_STORE: 's3' }, ['storage']), ['SIGNATURE_S3_BUCKET is not set.']);
+        assert.deepEqual(problemsOf({ CORS_ORIGINS: 'https://a.example/path' }, ['server']), [
+            'CORS_ORIGINS has an invalid origin: https://a.example/path (use scheme://host[:port]).'
+        ]);
+    });
+
+    it('serves only public/ and keeps stored files out of it', () => {
+        assert.equal(loadConfig({}, ['server']).server.staticDir, STATIC_DIR);
+        assert.equal(path.basename(STATIC_DIR), 'public');
+        const problems = problemsOf({
+            SIGNATURE_STORE_DIR: path.join(STATIC_DIR, 'signatures'),
+            EMAIL_MOCK_DIR: STATIC_DIR
+        }, ['storage', 'email']);
+        assert.equal(problems.length, 2);
+        assert.match(problems[0], /^SIGNATURE_STORE_DIR must not be inside /);
+        assert.match(problems[1], /^EMAIL_MOCK_DIR must not be inside /);
+        const { storage } = loadConfig({ SIGNATURE_STORE_DIR: path.join(STATIC_DIR, '..', 'signatures') }, ['storage']);
+        assert.equal(storage.dir, path.join(STATIC_DIR, '..', 'signatures'));
+    });
+
+    it('rejects unknown sections', () => {
+        assert.throws(() => loadConfig({}, ['nope']), /Unknown config section: nope/);
+    });
+});
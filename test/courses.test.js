@@ -0,0 +1,220 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const audit = require('../services/audit');
+const courses = require('../services/courses');
+const createCoursesRouter = require('../routes/courses');
+const { fakeConnection, fakePool, signedInAs, serve } = require('./helpers/fakes');
+
+const ADMIN = { userId: 1, role: 'administrator' };
+const TRAINER = { userId: 4, role: 'trainer' };
+const AUDITOR = { userId: 5, role: 'auditor' };
+
+describe('isValidDate', () => {
+    it('accepts real calendar dates in YYYY-MM-DD form only', () => {
+        assert.equal(courses.isValidDate('2024-02-29'), true);
+        assert.equal(courses.isValidDate('2024-13-01'), false);
+        assert.equal(courses.isValidDate('2023-02-29'), false);
+        assert.equal(courses.isValidDate('2024-04-31'), false);
+        assert.equal(courses.isValidDate('2024-1-01'), false);
+        assert.equal(courses.isValidDate('2024-01-01T00:00:00Z'), false);
+        assert.equal(courses.isValidDate(20240101), false);
+    });
+});
+
+describe('course access', () => {
+    it('limits trainers to their own courses', () => {
+        assert.equal(courses.canAccessCourse(TRAINER, { trainer_id: 4 }), true);
+        assert.equal(courses.canAccessCourse(TRAINER, { trainer_id: 9 }), false);
+        assert.equal(courses.canAccessCourse(AUDITOR, { trainer_id: 9 }), true);
+    });
+
+    it('builds SQL conditions that only restrict trainers', () => {
+        assert.deepEqual(courses.courseScope(AUDITOR, 'c.course_id'), { sql: '1 = 1', params: [] });
+        const courseScope = courses.courseScope(TRAINER, 'a.course_id');
+        assert.match(courseScope.sql, /^a\.course_id IN \(SELECT course_id FROM courses WHERE trainer_id = \?\)$/);
+        assert.deepEqual(courseScope.params, [4]);
+        const learnerScope = courses.learnerScope(TRAINER, 'l.learner_id');
+        assert.match(learnerScope.sql, /^l\.learner_id IN \(SELECT e\.learner_id FROM enrollments e/);
+        assert.deepEqual(learnerScope.params, [4]);
+    });
+});
+
+describe('updateCourse', () => {
+    it('copies a new unit to the course\'s attendance records', async () => {
+        const connection = fakeConnection();
+        await courses.updateCourse(connection, 12, { unit: 'IG2', venue: 'Leeds' });
+        assert.deepEqual(connection.statements, [
+            { sql: 'UPDATE courses SET unit = ?, venue = ? WHERE course_id = ?', params: ['IG2', 'Leeds', 12] },
+            { sql: 'UPDATE attendance_records SET module_title = ? WHERE course_id = ?', params: ['IG2', 12] }
+        ]);
+    });
+
+    it('leaves attendance records alone when the unit is unchanged', async () => {
+        const connection = fakeConnection();
+        await courses.updateCourse(connection, 12, { start_date: '2024-05-01' });
+        assert.equal(connection.statements.length, 1);
+    });
+});
+
+describe('courses routes', () => {
+    // Course 5 is taught by trainer 4, has three sessions and attendance records; user 4 is a
+    // trainer, user 5 is not; learner 8 is active and learner 9 archived
+    const COURSE = { course_id: 5, unit: 'IG1', start_date: '2024-05-01', venue: 'Leeds', trainer_id: 4, signed_off_at: null };
+    let connection;
+    let course;
+    let requireAuth;
+    let server;
+    // The certificates issueForCourse() issues, and those whose PDFs were rendered
+    let issued;
+    let rendered;
+
+    before(async () => {
+        connection = fakeConnection((sql, params) => {
+            if (sql.includes('FROM courses c') && sql.includes('WHERE c.course_id = ?')) {
+                return Number(params[0]) === 5 && course ? [course] : [];
+            }
+            if (sql.includes('FROM admin_users WHERE user_id = ?')) {
+                return [{ role: params[0] === 4 ? 'trainer' : 'auditor' }];
+            }
+            if (sql.startsWith('SELECT COUNT(*) AS total FROM attendance_records')) {
+                return [{ total: Number(params[0]) === 5 ? 2 : 0 }];
+            }
+            // Sessions signed past the end of a new schedule: course 5 has two signed sessions
+            if (sql.startsWith('SELECT COUNT(*) AS total FROM attendance_signatures')) {
+                return [{ total: params[0] === 5 && params[1] < 2 ? 1 : 0 }];
+            }
+            if (sql.includes('FROM course_sessions WHERE course_id = ?')) {
+                return [1, 2, 3].map(sessionNum => ({ session_num: sessionNum }));
+            }
+            if (sql.startsWith('UPDATE courses SET') || sql.startsWith('DELETE FROM courses')) {
+                return { affectedRows: Number(params[params.length - 1]) === 5 ? 1 : 0 };
+            }
+            if (sql.startsWith('SELECT * FROM learners WHERE learner_id = ?')) {
+                return [8, 9].includes(params[0]) ? [{ learner_id: params[0], archived_at: params[0] === 9 ? new Date('2024-01-01') : null }] : [];
+            }
+            if (sql.startsWith('INSERT INTO courses')) return { insertId: 6 };
+            if (sql.startsWith('SELECT last_hash FROM audit_chain_head')) return [{ last_hash: audit.GENESIS_HASH }];
+            return [];
+        });
+        requireAuth = signedInAs(ADMIN);
+        const certificates = {
+            issueForCourse: async () => issued,
+            async generatePdf(conn, certificateNumber) {
+                rendered.push(certificateNumber);
+            }
+        };
+        server = await serve(createCoursesRouter({ pool: fakePool(connection), requireAuth, certificates }));
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        connection.statements.length = 0;
+        course = { ...COURSE };
+        requireAuth.user = ADMIN;
+        issued = [];
+        rendered = [];
+    });
+
+    it('create a course with a real date, a schedule and a trainer account', async () => {
+        const create = body => server.request('POST', '/api/courses', { body });
+        const missing = await create({ unit: 'IG1', venue: 'Leeds', sessions: [{}] });
+        assert.deepEqual([missing.status, missing.body.code, missing.body.message], [400, 'VALIDATION_FAILED', 'startDate is required.']);
+        const date = await create({ unit: 'IG1', startDate: '2023-02-29', venue: 'Leeds', sessions: [] });
+        assert.deepEqual(date.body.details.map(detail => [detail.field, detail.code]), [['startDate', 'INVALID_FORMAT'], ['sessions', 'TOO_SHORT']]);
+        const schedule = await create({ unit: 'IG1', startDate: '2024-05-01', venue: 'Leeds', sessions: [{ startTime: '9am' }] });
+        assert.deepEqual([schedule.status, schedule.body.details[0].field, schedule.body.message], [400, 'sessions', 'Session 1: invalid startTime. Use HH:MM.']);
+        assert.equal(connection.statements.length, 0);
+
+        const notTrainer = await create({ unit: 'IG1', startDate: '2024-05-01', venue: 'Leeds', sessions: [{}], trainerId: 5 });
+        assert.deepEqual([notTrainer.status, notTrainer.body.message], [400, 'User 5 is not a trainer.']);
+        assert.equal(notTrainer.body.details[0].field, 'trainerId');
+        connection.transaction.length = 0;
+        const created = await create({ unit: 'IG1', startDate: '2024-05-01', venue: 'Leeds', sessions: [{}, {}], trainerId: 4 });
+        assert.deepEqual([created.status, created.body.courseId], [201, 6]);
+        assert.deepEqual(connection.transaction, ['begin', 'commit']);
+        assert.equal(connection.statements.filter(statement => statement.sql.startsWith('INSERT INTO course_sessions')).length, 2);
+    });
+
+    it('replace a schedule, but not remove sessions that have been signed', async () => {
+        const replace = (id, body) => server.request('PUT', `/api/courses/${id}/sessions`, { body });
+        const invalid = await replace(5, { sessions: [{ startTime: '9am' }] });
+        assert.deepEqual([invalid.status, invalid.body.message], [400, 'Session 1: invalid startTime. Use HH:MM.']);
+        assert.equal((await replace(9, { sessions: [{}] })).status, 404);
+
+        connection.transaction.length = 0;
+        const removed = await replace(5, { sessions: [{}] });
+        assert.deepEqual([removed.status, removed.body.message], [409, 'Sessions that have already been signed cannot be removed.']);
+        assert.deepEqual(connection.transaction, ['begin', 'rollback']);
+        const replaced = await replace(5, { sessions: [{}, {}, {}] });
+        assert.deepEqual([replaced.status, replaced.body.sessionCount], [200, 3]);
+    });
+
+    it('issue the certificates of learners a shorter schedule completes', async () => {
+        const replace = sessions => server.request('PUT', '/api/courses/5/sessions', { body: { sessions } });
+        issued = ['TIHS-2024-000042-AB2C'];
+        const same = await replace([{}, {}, {}]);
+        assert.deepEqual([same.status, same.body.certificateNumbers], [200, []]);
+
+        connection.transaction.length = 0;
+        const shorter = await replace([{}, {}]);
+        assert.deepEqual([shorter.status, shorter.body.certificateNumbers], [200, ['TIHS-2024-000042-AB2C']]);
+        assert.deepEqual(connection.transaction, ['begin', 'commit']);
+        assert.deepEqual(rendered, ['TIHS-2024-000042-AB2C']);
+    });
+
+    it('leave course management to administrators', async () => {
+        requireAuth.user = TRAINER;
+        assert.equal((await server.request('POST', '/api/courses', { body: { unit: 'IG1', startDate: '2024-05-01', venue: 'Leeds', sessions: [{}] } })).status, 403);
+        assert.equal((await server.request('DELETE', '/api/courses/5')).status, 403);
+        assert.equal(connection.statements.length, 0);
+    });
+
+    it('update only the fields sent, and refuse an update with nothing to change', async () => {
+        const nothing = await server.request('PATCH', '/api/courses/5', { body: {} });
+        assert.deepEqual([nothing.status, nothing.body.code], [400, 'NOTHING_TO_UPDATE']);
+        assert.equal((await server.request('PATCH', '/api/courses/5', { body: { startDate: '01/05/2024' } })).status, 400);
+        const blank = await server.request('PATCH', '/api/courses/5', { body: { unit: ' ', venue: '', startDate: '' } });
+        assert.deepEqual([blank.status, blank.body.code], [400, 'VALIDATION_FAILED']);
+        assert.deepEqual(blank.body.details.map(detail => [detail.field, detail.code]), [['unit', 'REQUIRED'], ['startDate', 'REQUIRED'], ['venue', 'REQUIRED']]);
+        assert.equal(connection.statements.length, 0);
+        assert.equal((await server.request('PATCH', '/api/courses/9', { body: { venue: 'York' } })).status, 404);
+        connection.statements.length = 0;
+        assert.equal((await server.request('PATCH', '/api/courses/5', { body: { venue: 'York' } })).status, 200);
+        assert.deepEqual(connection.statements.find(statement => statement.sql.startsWith('UPDATE courses')), { sql: 'UPDATE courses SET venue = ? WHERE course_id = ?', params: ['York', 5] });
+    });
+
+    it('keep courses that have attendance records', async () => {
+        const res = await server.request('DELETE', '/api/courses/5');
+        assert.deepEqual([res.status, res.body.message], [409, 'Course has attendance records and cannot be deleted.']);
+        assert.equal((await server.request('DELETE', '/api/courses/9')).status, 404);
+    });
+
+    it('show trainers only the courses they teach', async () => {
+        requireAuth.user = { userId: 7, role: 'trainer' };
+        assert.equal((await server.request('GET', '/api/courses/5')).status, 403);
+        requireAuth.user = AUDITOR;
+        assert.equal((await server.request('GET', '/api/courses/9')).status, 404);
+        assert.equal((await server.request('GET', '/api/courses/abc')).status, 400);
+    });
+
+    it('sign off a course once, by its own trainer', async () => {
+        requireAuth.user = { userId: 7, role: 'trainer' };
+        assert.equal((await server.request('POST', '/api/courses/5/sign-off')).status, 403);
+        requireAuth.user = TRAINER;
+        assert.equal((await server.request('POST', '/api/courses/5/sign-off')).status, 200);
+        course.signed_off_at = new Date();
+        assert.equal((await server.request('POST', '/api/courses/5/sign-off')).status, 409);
+    });
+
+    it('enroll a learner who exists and is not archived', async () => {
+        const enroll = body => server.request('POST', '/api/courses/5/enrollments', { body });
+        const missing = await enroll({});
+        assert.deepEqual([missing.status, missing.body.message], [400, 'learnerId is required.']);
+        assert.equal((await enroll({ learnerId: 7 })).status, 404);
+        const archived = await enroll({ learnerId: 9 });
+        assert.deepEqual([archived.status, archived.body.message], [409, 'This learner is archived. Restore them before enrolling them.']);
+        assert.equal(connection.statements.some(statement => statement.sql.startsWith('INSERT')), false);
+        assert.equal((await enroll({ learnerId: 8 })).status, 201);
+    });
+});
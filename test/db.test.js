@@ -0,0 +1,58 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+const { createPool, rollback } = require('../config/db');
+const { fakeConnection } = require('./helpers/fakes');
+
+describe('rollback', () => {
+    it('rolls back and keeps the connection', async () => {
+        const connection = fakeConnection();
+        await rollback(connection);
+        assert.deepEqual([connection.transaction, connection.destroyed], [['rollback'], false]);
+    });
+
+    it('destroys the connection instead of throwing when the rollback fails', async t => {
+        t.mock.method(console, 'error', () => {});
+        const connection = fakeConnection();
+        connection.rollback = async () => {
+            throw new Error('Connection lost: The server closed the connection.');
+        };
+        await rollback(connection);
+        assert.equal(connection.destroyed, true);
+    });
+
+    it('does nothing before a connection was got', async () => {
+        await rollback(undefined);
+    });
+});
+
+describe('createPool', () => {
+    const DB_ENV = { DB_HOST: '127.0.0.1', DB_USER: 'app', DB_PASSWORD: '', DB_NAME: 'attendance' };
+    let saved;
+
+    before(() => {
+        saved = {};
+        for (const [name, value] of Object.entries(DB_ENV)) {
+            saved[name] = process.env[name];
+            process.env[name] = value;
+        }
+    });
+
+    after(() => {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    });
+
+    it('reads and writes dates as UTC and sets each new connection to UTC', async () => {
+        const pool = createPool();
+        try {
+            assert.equal(pool.pool.config.connectionConfig.timezone, 'Z');
+            const statements = [];
+            pool.pool.emit('connection', { query: sql => statements.push(sql) });
+            assert.deepEqual(statements, ["SET time_zone = '+00:00'"]);
+        } finally {
+            await pool.end();
+        }
+    });
+});
@@ -0,0 +1,171 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_TEMPLATES, loadTemplates, render } = require('../services/emailTemplates');
+const { createMockTransport } = require('../services/email/mock');
+const { enqueue, processQueue } = require('../services/emailQueue');
+const { loadConfig } = require('../config');
+const { createNotifications, createTransport } = require('../services/notifications');
+const { fakeConnection, fakePool } = require('./helpers/fakes');
+
+describe('email templates', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-templates-test-'));
+        fs.writeFileSync(path.join(dir, 'sign-confirmation.subject.txt'), 'Signed: {{ unit }}\n');
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('fills placeholders, escaping them in the HTML only', () => {
+        const message = render(DEFAULT_TEMPLATES, 'sign-confirmation', {
+            learnerName: 'Ann <b>Lee</b>',
+            sessionNum: 2,
+            unit: 'IG1\r\nBcc: someone@example.com',
+            venue: 'Leeds & York',
+            signedAt: null
+        });
+        assert.equal(message.subject, 'Session 2 of IG1 Bcc: someone@example.com signed');
+        assert.match(message.text, /^Hello Ann <b>Lee<\/b>,/);
+        assert.match(message.text, /at Leeds & York on \./);
+        assert.match(message.html, /Hello Ann &lt;b&gt;Lee&lt;\/b&gt;,/);
+        assert.match(message.html, /Leeds &amp; York/);
+        assert.throws(() => render(DEFAULT_TEMPLATES, 'welcome', {}), /Unknown email template: welcome/);
+    });
+
+    it('takes any part from a file in the templates directory', () => {
+        const templates = loadTemplates(dir);
+        assert.equal(render(templates, 'sign-confirmation', { unit: 'IG1' }).subject, 'Signed: IG1');
+        assert.equal(templates['sign-confirmation'].text, DEFAULT_TEMPLATES['sign-confirmation'].text);
+        assert.deepEqual(loadTemplates(undefined), DEFAULT_TEMPLATES);
+    });
+});
+
+describe('mock transport', () => {
+    it('keeps what it sends and fails when told to', async () => {
+        const transport = createMockTransport();
+        transport.failNext();
+        await assert.rejects(transport.send({ to: 'a@example.com' }), /Mock transport failure/);
+        await transport.send({ to: 'a@example.com' });
+        assert.deepEqual(transport.sent, [{ to: 'a@example.com' }]);
+    });
+});
+
+describe('email queue', () => {
+    // email_outbox with rows due; the status updates are recorded in updates
+    function fakeOutbox(rows) {
+        const connection = fakeConnection((sql, params) => {
+            if (sql.includes('FROM email_outbox')) return rows;
+            if (sql.includes('INSERT INTO email_outbox')) return { affectedRows: params[4] === 'taken' ? 0 : 1 };
+            return undefined;
+        });
+        connection.updates = () => connection.statements
+            .filter(statement => statement.sql.startsWith('UPDATE email_outbox SET status'))
+            .map(statement => statement.params);
+        return connection;
+    }
+
+    function row(emailId, fields = {}) {
+        return {
+            email_id: emailId,
+            template: 'sign-confirmation',
+            to_address: `learner${emailId}@example.com`,
+            data: JSON.stringify({ learnerName: 'Ann', unit: 'IG1', sessionNum: 1 }),
+            attachment: null,
+            attempts: 0,
+            ...fields
+        };
+    }
+
+    it('ignores an email queued twice under the same key', async () => {
+        const connection = fakeOutbox([]);
+        assert.equal(await enqueue(connection, { template: 'sign-confirmation', to: 'a@example.com', data: {}, dedupeKey: 'new' }), true);
+        assert.equal(await enqueue(connection, { template: 'sign-confirmation', to: 'a@example.com', data: {}, dedupeKey: 'taken' }), false);
+    });
+
+    it('sends due emails with their attachments and schedules retries for the ones that fail', async t => {
+        t.mock.method(console, 'error', () => {});
+        const connection = fakeOutbox([
+            row(1, { attachment: 'register:5', template: 'register-complete' }),
+            row(2),
+            row(3, { attempts: 5 }),
+            row(4, { attachment: 'unknown:1' })
+        ]);
+        const transport = createMockTransport();
+        const attachments = { register: async id => ({ filename: `register-${id}.pdf`, content: Buffer.from('%PDF'), type: 'application/pdf' }) };
+        const send = transport.send;
+        transport.send = async message => {
+            if (message.to !== 'learner1@example.com') throw new Error('SendGrid unavailable');
+            return send(message);
+        };
+
+        const counts = await processQueue(fakePool(connection), { transport, templates: DEFAULT_TEMPLATES, from: 'register@example.com', attachments });
+        assert.deepEqual(counts, { sent: 1, retrying: 2, failed: 1 });
+        assert.equal(transport.sent[0].from, 'register@example.com');
+        assert.equal(transport.sent[0].attachments[0].filename, 'register-5.pdf');
+        assert.deepEqual(connection.transaction, ['begin', 'commit']);
+        assert.deepEqual(connection.updates().map(params => params.slice(0, 3)), [
+            [1],
+            ['pending', 1, 'SendGrid unavailable'],
+            ['failed', 6, 'SendGrid unavailable'],
+            ['pending', 1, 'Unknown attachment kind: unknown']
+        ]);
+        assert.equal(connection.released, true);
+    });
+});
+
+describe('notifications', () => {
+    const COURSE = { course_id: 5, unit: 'IG1', venue: 'Leeds', trainer_email: 'trainer@example.com' };
+    const SIGNED = { signatureId: 40, learnerId: 10, course: COURSE, sessionNum: 2, signedAt: new Date('2024-05-02T09:15:00Z') };
+
+    // Learner 10 has an email; course 5 has two sessions and one learner, who has signed signedCount
+    function fakeCourseDatabase(signedCount) {
+        return fakeConnection(sql => {
+            if (sql.startsWith('SELECT learner_name, email FROM learners')) return [{ learner_name: 'Ann Lee', email: 'ann@example.com' }];
+            if (sql.includes('AS session_count')) return [{ session_count: 2, learner_count: 1, signed_count: String(signedCount) }];
+            if (sql.startsWith('SELECT email FROM admin_users')) return [{ email: 'admin@example.com' }];
+            return undefined;
+        });
+    }
+
+    function queued(connection) {
+        return connection.statements
+            .filter(statement => statement.sql.startsWith('INSERT INTO email_outbox'))
+            .map(statement => [statement.params[0], statement.params[1], statement.params[4]]);
+    }
+
+    it('pick the transport from the email config, or none', () => {
+        const fromEnv = env => createTransport(loadConfig(env, ['email']).email);
+        assert.equal(createTransport({ transport: null }), null);
+        assert.equal(createTransport({ transport: 'mock', mockDir: null }).name, 'mock');
+        assert.equal(fromEnv({}), null);
+        assert.equal(fromEnv({ EMAIL_TRANSPORT: 'mock', EMAIL_FROM: 'register@example.com' }).name, 'mock');
+        assert.throws(() => fromEnv({ EMAIL_TRANSPORT: 'smtp' }), /EMAIL_TRANSPORT must be one of: sendgrid, mock\./);
+    });
+
+    it('need a from address when they are on, and do nothing when they are off', async () => {
+        assert.throws(() => createNotifications({ pool: {}, transport: createMockTransport() }), /EMAIL_FROM is not set/);
+        const connection = fakeCourseDatabase(2);
+        const notifications = createNotifications({ pool: fakePool(connection), transport: null });
+        assert.equal(notifications.enabled, false);
+        await notifications.sessionSigned(connection, SIGNED);
+        assert.equal(await notifications.queueReminders(), 0);
+        assert.equal(connection.statements.length, 0);
+    });
+
+    it('confirm each signature, and send administrators the register once every session is signed', async () => {
+        const notifications = createNotifications({ pool: {}, transport: createMockTransport(), from: 'register@example.com' });
+        const partway = fakeCourseDatabase(1);
+        await notifications.sessionSigned(partway, SIGNED);
+        assert.deepEqual(queued(partway), [['sign-confirmation', 'ann@example.com', 'sign-confirmation:40']]);
+        assert.equal(JSON.parse(partway.statements[1].params[2]).signedAt, '2024-05-02 09:15 UTC');
+
+        const complete = fakeCourseDatabase(2);
+        await notifications.sessionSigned(complete, SIGNED);
+        assert.deepEqual(queued(complete)[1], ['register-complete', 'admin@example.com', 'register-complete:5:admin@example.com']);
+        assert.equal(complete.statements.find(statement => statement.params[0] === 'register-complete').params[3], 'course-register:5');
+    });
+});
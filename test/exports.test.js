@@ -0,0 +1,122 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const createExportsRouter = require('../routes/exports');
+const { fakeConnection, fakePool, signedInAs, serve } = require('./helpers/fakes');
+
+const ADMIN = { userId: 1, role: 'administrator' };
+const RECORD = { record_id: 1, learner_id: 10, learner_name: 'Ann Lee', module_title: 'IG1', course_id: 5, venue: 'Leeds', start_date: '2024-03-04', session_count: 1, signed_count: 1 };
+
+describe('exports routes', () => {
+    let connection;
+    let answer;
+    let requireAuth;
+    let server;
+
+    before(async () => {
+        connection = fakeConnection((sql, params) => answer(sql, params));
+        requireAuth = signedInAs(ADMIN);
+        server = await serve(createExportsRouter({ pool: fakePool(connection), requireAuth }));
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        connection.statements.length = 0;
+        connection.released = false;
+        answer = sql => (sql.includes('FROM attendance_records ar JOIN course_sessions')
+            ? [{ record_id: 1, session_num: 1, signature_id: 40, signed_at: '2024-03-04 09:15:30' }]
+            : [RECORD]);
+        requireAuth.user = ADMIN;
+    });
+
+    it('refuse unknown formats and filters before reading anything', async () => {
+        const format = await server.request('GET', '/api/exports/attendance?format=pdf');
+        assert.deepEqual([format.status, format.body.message], [400, 'format must be one of: csv, xlsx.']);
+        const filter = await server.request('GET', '/api/exports/attendance?status=done&dateFrom=2024-02-30');
+        assert.deepEqual(filter.body.details.map(detail => [detail.field, detail.code]), [['dateFrom', 'INVALID_FORMAT'], ['status', 'NOT_ALLOWED']]);
+        assert.equal(connection.statements.length, 0);
+    });
+
+    it('download the register as CSV by default, sorted by learner name', async () => {
+        const res = await server.request('GET', '/api/exports/attendance?module=IG1');
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('content-type'), 'text/csv; charset=utf-8');
+        assert.match(res.headers.get('content-disposition'), /^attachment; filename="attendance-register-\d{4}-\d{2}-\d{2}\.csv"$/);
+        assert.match(res.body.toString('utf8'), /\r\n10,Ann Lee,IG1,5,Leeds,2024-03-04,2024-03-04 09:15:30,1,1,100\r\n$/);
+        assert.match(connection.statements[0].sql, /ORDER BY t\.learner_name ASC/);
+        assert.equal(connection.released, true);
+    });
+
+    it('download the register as XLSX', async () => {
+        const res = await server.request('GET', '/api/exports/attendance?format=xlsx');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.subarray(0, 2).toString(), 'PK');
+    });
+
+    it('answer 500 and release the connection when the database fails', async t => {
+        t.mock.method(console, 'error', () => {});
+        answer = () => {
+            throw new Error('Connection lost');
+        };
+        const res = await server.request('GET', '/api/exports/attendance');
+        assert.deepEqual([res.status, res.body.message], [500, 'Error exporting attendance register.']);
+        assert.equal(connection.released, true);
+    });
+});
+
+describe('register PDF route', () => {
+    // Course 5 is taught by trainer 4; learner 10 is on it and signed session 1
+    const COURSE = { course_id: 5, unit: 'IG1', start_date: '2024-05-01', venue: 'Leeds', trainer_id: 4, trainer_email: 'trainer@example.com' };
+    let connection;
+    let requireAuth;
+    let server;
+
+    before(async () => {
+        connection = fakeConnection((sql, params) => {
+            if (sql.includes('FROM courses c')) return Number(params[0]) === 5 ? [COURSE] : [];
+            if (sql.includes('FROM course_sessions')) return [{ session_id: 1, session_num: 1, session_date: '2024-05-01' }];
+            if (sql.includes('FROM learners l')) {
+                return params[2] === undefined || params[2] === 10 ? [{ learner_id: 10, learner_name: 'Ann Lee' }] : [];
+            }
+            if (sql.includes('FROM attendance_signatures s')) {
+                return [{ signature_id: 40, signature_ref: 'a.png', signed_at: new Date(), learner_id: 10, session_num: 1 }];
+            }
+            return [];
+        });
+        const signatureStore = {
+            async open() {
+                throw new Error('not found');
+            }
+        };
+        requireAuth = signedInAs(ADMIN);
+        server = await serve(createExportsRouter({ pool: fakePool(connection), requireAuth, signatureStore }));
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        connection.statements.length = 0;
+        requireAuth.user = ADMIN;
+    });
+
+    it('refuses a malformed learnerId, unknown courses and learners, and other trainers', async () => {
+        const invalid = await server.request('GET', '/api/exports/courses/5/register.pdf?learnerId=x');
+        assert.deepEqual([invalid.status, invalid.body.message], [400, 'learnerId must be a positive whole number.']);
+        assert.equal(connection.statements.length, 0);
+        assert.equal((await server.request('GET', '/api/exports/courses/9/register.pdf')).status, 404);
+        const learner = await server.request('GET', '/api/exports/courses/5/register.pdf?learnerId=11');
+        assert.deepEqual([learner.status, learner.body.message], [404, 'Learner not found on this course.']);
+        requireAuth.user = { userId: 7, role: 'trainer' };
+        assert.equal((await server.request('GET', '/api/exports/courses/5/register.pdf')).status, 403);
+    });
+
+    it('sends the register as a PDF, even when a signature image cannot be read', async t => {
+        t.mock.method(console, 'error', () => {});
+        const res = await server.request('GET', '/api/exports/courses/5/register.pdf?learnerId=10');
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('content-type'), 'application/pdf');
+        assert.equal(res.headers.get('content-disposition'), 'attachment; filename="register-course-5-learner-10.pdf"');
+        assert.equal(res.body.subarray(0, 5).toString(), '%PDF-');
+        assert.equal(console.error.mock.callCount(), 1);
+    });
+});
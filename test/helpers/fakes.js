@@ -0,0 +1,122 @@
+const express = require('express');
+const { SCHEMA } = require('../../config');
+const { errorCodes, handleErrors } = require('../../middleware/errors');
+const { createLimits } = require('../../middleware/rateLimit');
+const { createMemoryStore } = require('../../services/rateLimit/memory');
+
+// Stand-ins for a MySQL connection and pool and for Express's res, so the tests run without a
+// database, and a way to run a router on its own.
+
+// A connection that records each statement run in statements, as { sql, params } with the SQL's
+// whitespace collapsed, and answers it with what answer(sql, params) returns: rows for a SELECT,
+// a result such as { affectedRows, insertId } for anything else. When answer returns undefined
+// the statement affected one row.
+function fakeConnection(answer = () => undefined) {
+    const connection = {
+        statements: [],
+        transaction: [], // 'begin', 'commit' and 'rollback', in the order they happened
+        released: false,
+        destroyed: false,
+        async execute(sql, params = []) {
+            const text = sql.replace(/\s+/g, ' ').trim();
+            connection.statements.push({ sql: text, params });
+            const result = await answer(text, params);
+            return [result === undefined ? { affectedRows: 1, insertId: 1 } : result];
+        },
+        query(sql, params) {
+            return connection.execute(sql, params);
+        },
+        async beginTransaction() {
+            connection.transaction.push('begin');
+        },
+        async commit() {
+            connection.transaction.push('commit');
+        },
+        async rollback() {
+            connection.transaction.push('rollback');
+        },
+        release() {
+            connection.released = true;
+        },
+        destroy() {
+            connection.destroyed = true;
+        }
+    };
+    return connection;
+}
+
+// A pool that hands out connection every time
+function fakePool(connection) {
+    return {
+        getConnection: async () => connection,
+        execute: (sql, params) => connection.execute(sql, params),
+        query: (sql, params) => connection.query(sql, params)
+    };
+}
+
+// Just enough of Express's res for middleware
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        set(name, value) { this.headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+// requireAuth for a router under test: every request is made by requireAuth.user, which a test
+// can change between requests
+function signedInAs(user) {
+    const requireAuth = (req, res, next) => {
+        req.user = requireAuth.user;
+        next();
+    };
+    requireAuth.user = user;
+    return requireAuth;
+}
+
+// The limits of middleware/rateLimit.js for a router under test: the configured defaults with
+// overrides, counted in a store of their own
+function limitsFor(overrides = {}) {
+    const limits = {};
+    for (const [name, setting] of Object.entries(SCHEMA.limits)) {
+        limits[name] = name in overrides ? overrides[name] : setting.default;
+    }
+    return createLimits({ store: createMemoryStore(), limits });
+}
+
+// Runs router in an Express app of its own on a free port, with the error format of server.js.
+// Resolves to { request, close }:
+// request(method, url, { body, headers }) resolves to { status, headers, body }, with body parsed
+// when the response is JSON. body is sent as JSON, or as a multipart form when it is FormData.
+async function serve(router) {
+    const app = express();
+    app.use(errorCodes);
+    app.use(express.json());
+    app.use(router);
+    app.use(handleErrors);
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    return {
+        async request(method, url, { body, headers = {} } = {}) {
+            const json = body !== undefined && !(body instanceof FormData);
+            const response = await fetch(`${baseUrl}${url}`, {
+                method,
+                headers: { ...(json ? { 'Content-Type': 'application/json' } : {}), ...headers },
+                body: json ? JSON.stringify(body) : body
+            });
+            const type = response.headers.get('content-type') || '';
+            const content = type.includes('application/json')
+                ? await response.json()
+                : Buffer.from(await response.arrayBuffer());
+            return { status: response.status, headers: response.headers, body: content };
+        },
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { fakeConnection, fakePool, fakeResponse, signedInAs, limitsFor, serve };
@@ -0,0 +1,96 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const createImportsRouter = require('../routes/imports');
+const { fakeConnection, fakePool, signedInAs, serve } = require('./helpers/fakes');
+
+const ADMIN = { userId: 1, role: 'administrator' };
+
+function roster(text, filename = 'roster.csv', fields = { courseId: '5' }) {
+    const form = new FormData();
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+    if (text !== null) {
+        form.append('file', new Blob([text]), filename);
+    }
+    return form;
+}
+
+describe('imports routes', () => {
+    let connection;
+    let answer;
+    let requireAuth;
+    let server;
+
+    // Course 5 exists and has nobody called Ann Lee yet
+    function courseAnswer(sql, params) {
+        if (sql.includes('FROM courses c')) {
+            return Number(params[0]) === 5 ? [{ course_id: 5, unit: 'IG1', trainer_id: 4 }] : [];
+        }
+        if (sql.startsWith('INSERT INTO learners')) return { insertId: 12 };
+        return sql.startsWith('SELECT') ? [] : undefined;
+    }
+
+    before(async () => {
+        connection = fakeConnection((sql, params) => answer(sql, params));
+        requireAuth = signedInAs(ADMIN);
+        server = await serve(createImportsRouter({ pool: fakePool(connection), requireAuth }));
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        connection.statements.length = 0;
+        connection.transaction.length = 0;
+        connection.released = false;
+        answer = courseAnswer;
+        requireAuth.user = ADMIN;
+    });
+
+    const upload = form => server.request('POST', '/api/imports/roster', { body: form });
+
+    it('are for administrators only', async () => {
+        requireAuth.user = { userId: 4, role: 'trainer' };
+        assert.equal((await upload(roster('name\nAnn Lee\n'))).status, 403);
+    });
+
+    it('need a file and a course, and a roster they can read', async () => {
+        const missing = await upload(roster(null));
+        assert.deepEqual([missing.status, missing.body.message], [400, 'file is required.']);
+        const unreadable = await upload(roster('name\nAnn Lee\n', 'roster.txt'));
+        assert.deepEqual([unreadable.status, unreadable.body.message], [400, 'Roster must be a .csv or .xlsx file.']);
+        const extra = new FormData();
+        extra.append('file', new Blob(['a']), 'a.csv');
+        extra.append('other', new Blob(['b']), 'b.csv');
+        assert.equal((await upload(extra)).status, 400);
+        assert.equal((await upload(roster('name\nAnn Lee\n', 'roster.csv', { courseId: '9' }))).status, 404);
+    });
+
+    it('refuse files over the size limit', async () => {
+        const res = await upload(roster(`name\n${'x'.repeat(2 * 1024 * 1024)}\n`));
+        assert.deepEqual([res.status, res.body.message], [413, 'Roster file is larger than 2 MB.']);
+    });
+
+    it('preview by default and write nothing', async () => {
+        const res = await upload(roster('name\nAnn Lee\n'));
+        assert.equal(res.status, 200);
+        assert.deepEqual([res.body.dryRun, res.body.summary], [true, { create: 1, match: 0, conflict: 0, invalid: 0 }]);
+        assert.equal(connection.statements.some(statement => statement.sql.startsWith('INSERT')), false);
+        assert.deepEqual(connection.transaction, []);
+    });
+
+    it('import in a transaction when dryRun is false, and roll back if it fails', async t => {
+        const res = await upload(roster('name\nAnn Lee\n', 'roster.csv', { courseId: '5', dryRun: 'false' }));
+        assert.deepEqual([res.status, res.body.enrolled, res.body.rows[0].learnerId], [201, 1, 12]);
+        assert.deepEqual(connection.transaction, ['begin', 'commit']);
+
+        t.mock.method(console, 'error', () => {});
+        connection.transaction.length = 0;
+        answer = (sql, params) => {
+            if (sql.startsWith('INSERT IGNORE INTO enrollments')) throw new Error('Lock wait timeout');
+            return courseAnswer(sql, params);
+        };
+        const failed = await upload(roster('name\nAnn Lee\n', 'roster.csv', { courseId: '5', dryRun: 'false' }));
+        assert.deepEqual([failed.status, failed.body.message], [500, 'Error importing roster.']);
+        assert.deepEqual(connection.transaction, ['begin', 'rollback']);
+        assert.equal(connection.released, true);
+    });
+});
@@ -0,0 +1,152 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { SigningError } = require('../services/signing');
+const createKioskRouter = require('../routes/kiosk');
+const { fakeConnection, fakePool, limitsFor, serve } = require('./helpers/fakes');
+
+const STROKE = '<path d="M20 120 C 150 20, 300 180, 580 80" stroke="black" stroke-width="6" fill="none"/>';
+const SIGNATURE = `data:image/svg+xml;base64,${Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="600" height="200">${STROKE}</svg>`).toString('base64')}`;
+
+function signingRequest(fields = {}) {
+    return {
+        learnerId: 8,
+        learnerName: 'Ann Lee',
+        courseId: 5,
+        sessionNum: 1,
+        attendanceDate: '2024-05-01',
+        signatureData: SIGNATURE,
+        checkInCode: '123456',
+        ...fields
+    };
+}
+
+describe('kiosk routes', () => {
+    // PIN 123456 is open for a session of course 5, where Ann Lee (learner 8) is enrolled and has
+    // signed session 1 of 2
+    let connection;
+    let server;
+    let outcome;
+    let removed;
+
+    before(async () => {
+        connection = fakeConnection((sql, params) => {
+            if (sql.includes('FROM session_check_ins ci')) {
+                return params[0] === '123456' ? [{ check_in_id: 1, session_id: 101, session_num: 1, course_id: 5 }] : [];
+            }
+            if (sql.includes('l.learner_name LIKE ?')) return [{ learner_id: 8, learner_name: 'Ann Lee' }];
+            if (sql.includes('FROM enrollments e')) {
+                return params[0] === 8 && params[1] === 5 ? [{ course_id: 5, unit: 'IG1', start_date: '2024-05-01', venue: 'Leeds' }] : [];
+            }
+            if (sql.includes('cs.session_num') && sql.includes('s.signature_id')) {
+                return [{ session_num: 1, signature_id: 40 }, { session_num: 2, signature_id: null }];
+            }
+            return [];
+        });
+        const signing = {
+            async sign() {
+                if (outcome) throw outcome;
+                return { signatureId: 70, learnerId: 8, certificateNumber: null, signatureRef: 'ab/cd.png' };
+            },
+            async finish() {}
+        };
+        const signatureStore = { async remove(ref) { removed.push(ref); } };
+        server = await serve(createKioskRouter({ pool: fakePool(connection), signatureStore, signing, limits: limitsFor({ checkInMaxFailures: 3 }) }));
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        connection.statements.length = 0;
+        connection.transaction.length = 0;
+        outcome = null;
+        removed = [];
+    });
+
+    it('search only with the code of an open session', async () => {
+        const missing = await server.request('GET', '/api/learners/search?query=Ann');
+        assert.equal(missing.status, 400);
+        const short = await server.request('GET', '/api/learners/search?query=A&code=123456');
+        assert.deepEqual([short.status, short.body], [200, []]);
+        assert.equal(connection.statements.length, 0);
+        const expired = await server.request('GET', '/api/learners/search?query=Ann&code=654321');
+        assert.equal(expired.status, 403);
+        const found = await server.request('GET', '/api/learners/search?query=Ann&code=123456');
+        assert.deepEqual(found.body, [{ learner_id: 8, learner_name: 'Ann Lee' }]);
+        assert.deepEqual(connection.statements[connection.statements.length - 1].params, [5, '%Ann%']);
+    });
+
+    it('give a learner their status on the check-in course only, without images', async () => {
+        const status = query => server.request('GET', `/api/attendance/learner-module?${query}`);
+        const missing = await status('learnerId=8');
+        assert.deepEqual([missing.status, missing.body.details[0].field], [400, 'code']);
+        assert.equal((await status('learnerId=8&code=654321')).status, 403);
+        const other = await status('learnerId=8&courseId=6&code=123456');
+        assert.deepEqual([other.status, other.body.message], [403, 'This check-in code is for a different course.']);
+        const stranger = await status('learnerId=9&code=123456');
+        assert.deepEqual([stranger.status, stranger.body.message], [404, 'This learner is not on the register for this course.']);
+        const signed = await status('learnerId=8&courseId=5&code=123456');
+        assert.deepEqual(signed.body, { learner_id: 8, course_id: 5, session_count: 2, is_signed1: 1, is_signed2: 0 });
+    });
+
+    it('offer a learner the check-in course when they are enrolled on it', async () => {
+        const courses = await server.request('GET', '/api/learners/8/courses?code=123456');
+        assert.deepEqual(courses.body.map(course => course.course_id), [5]);
+        assert.deepEqual((await server.request('GET', '/api/learners/9/courses?code=123456')).body, []);
+        assert.equal((await server.request('GET', '/api/learners/8/courses?code=654321')).status, 403);
+    });
+
+    it('refuse a signing request with missing fields or a bad image before touching the database', async () => {
+        const sign = body => server.request('POST', '/api/sign-session', { body });
+        const missing = await sign(signingRequest({ signatureData: undefined }));
+        assert.deepEqual([missing.status, missing.body.message], [400, 'signatureData is required.']);
+        const session = await sign(signingRequest({ sessionNum: -1, checkInCode: '' }));
+        assert.deepEqual(session.body.details.map(detail => [detail.field, detail.code]), [['sessionNum', 'OUT_OF_RANGE'], ['checkInCode', 'REQUIRED']]);
+        assert.match(session.body.details[1].message, /^Missing check-in code\./);
+        const birth = await sign(signingRequest({ learnerId: 'NEW', dateOfBirth: '2999-01-01' }));
+        assert.deepEqual([birth.status, birth.body.details[0].field], [400, 'dateOfBirth']);
+        const image = await sign(signingRequest({ signatureData: 'data:text/plain;base64,AAAA' }));
+        assert.deepEqual([image.status, image.body.details[0].code], [400, 'INVALID_SIGNATURE']);
+        assert.equal(connection.statements.length + connection.transaction.length, 0);
+    });
+
+    it('sign a session in a transaction', async () => {
+        const res = await server.request('POST', '/api/sign-session', { body: signingRequest() });
+        assert.deepEqual([res.status, res.body.message, res.body.learnerId], [201, 'Session 1 signed successfully!', 8]);
+        assert.deepEqual(connection.transaction, ['begin', 'commit']);
+    });
+
+    it('roll back and answer with the status of a refused signing, with the earlier signature', async () => {
+        outcome = new SigningError('Session 1 has already been signed.', 409, 'ALREADY_SIGNED', { signedAt: '2024-05-01T09:00:00Z' });
+        const res = await server.request('POST', '/api/sign-session', { body: signingRequest() });
+        assert.deepEqual([res.status, res.body.code, res.body.message], [409, 'ALREADY_SIGNED', 'Session 1 has already been signed.']);
+        assert.deepEqual(res.body.existingSignature, { signedAt: '2024-05-01T09:00:00Z' });
+        assert.deepEqual(connection.transaction, ['begin', 'rollback']);
+    });
+
+    it('roll back and answer 500 when signing fails', async t => {
+        t.mock.method(console, 'error', () => {});
+        connection.released = false;
+        outcome = new Error('Connection lost');
+        const res = await server.request('POST', '/api/sign-session', { body: signingRequest() });
+        assert.deepEqual([res.status, res.body.message], [500, 'Failed to sign session due to a server error.']);
+        assert.deepEqual(connection.transaction, ['begin', 'rollback']);
+        assert.equal(connection.released, true);
+        assert.deepEqual(removed, []);
+    });
+
+    it('lock out a kiosk that sends too many wrong check-in codes, but not the others beside it', async () => {
+        const tablet = { 'X-Kiosk-Id': 'tablet-1' };
+        const search = (code, headers) => server.request('GET', `/api/learners/search?query=Ann&code=${code}`, { headers });
+        assert.equal((await search('654321', tablet)).status, 403);
+        outcome = new SigningError('This check-in code is not valid or has expired.', 403, 'CHECK_IN_INVALID');
+        assert.equal((await server.request('POST', '/api/sign-session', { body: signingRequest(), headers: tablet })).status, 403);
+        assert.equal((await server.request('POST', '/api/sign-session', { body: signingRequest(), headers: tablet })).status, 403);
+        connection.statements.length = 0;
+        const locked = await search('123456', tablet);
+        assert.deepEqual([locked.status, locked.body.code], [429, 'TOO_MANY_REQUESTS']);
+        assert.ok(Number(locked.headers.get('retry-after')) > 0);
+        assert.equal(connection.statements.length, 0);
+        assert.equal((await search('123456', { 'X-Kiosk-Id': 'tablet-2' })).status, 200);
+    });
+});
@@ -0,0 +1,350 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const audit = require('../services/audit');
+const { archiveLearner, findDuplicatePairs, findMatchingLearner, mergeLearners, parseLearnerName, parseProfile, purgeLearner } = require('../services/learners');
+const createLearnersRouter = require('../routes/learners');
+const { fakeConnection, fakePool, signedInAs, serve } = require('./helpers/fakes');
+
+let nextId = 1;
+function learner(fields) {
+    return {
+        learner_id: nextId++,
+        email: null,
+        phone: null,
+        employer: null,
+        nebosh_learner_number: null,
+        date_of_birth: null,
+        registration_date: null,
+        ...fields
+    };
+}
+
+function names(pair) {
+    return pair.learners.map(entry => entry.learnerName);
+}
+
+describe('findDuplicatePairs', () => {
+    it('matches names whatever their order, case, accents or punctuation', () => {
+        const pairs = findDuplicatePairs([
+            learner({ learner_name: 'Smith, José' }),
+            learner({ learner_name: 'jose  SMITH' }),
+            learner({ learner_name: 'Ann Jones' })
+        ]);
+        assert.equal(pairs.length, 1);
+        assert.deepEqual(names(pairs[0]), ['Smith, José', 'jose  SMITH']);
+        assert.equal(pairs[0].score, 0.7);
+        assert.deepEqual(pairs[0].reasons, ['Same name']);
+    });
+
+    it('adds up the evidence and ranks the best matches first', () => {
+        const pairs = findDuplicatePairs([
+            learner({ learner_name: 'John Smith', email: 'john@example.com', phone: '07700 900123', employer: 'Acme' }),
+            learner({ learner_name: 'Jon Smith', email: 'john@example.com', phone: '+44 7700 900123', employer: 'ACME' }),
+            learner({ learner_name: 'Mary Brown', date_of_birth: new Date('1990-04-01T00:00:00Z') }),
+            learner({ learner_name: 'Mary Browne', date_of_birth: '1990-04-01' })
+        ]);
+        assert.deepEqual(pairs.map(names), [['John Smith', 'Jon Smith'], ['Mary Brown', 'Mary Browne']]);
+        assert.equal(pairs[0].score, 1);
+        assert.deepEqual(pairs[0].reasons, ['Similar name', 'Same email', 'Same phone', 'Same employer']);
+        assert.deepEqual(pairs[1].reasons, ['Similar name', 'Same date of birth']);
+        assert.equal(pairs[1].learners[0].dateOfBirth, '1990-04-01');
+    });
+
+    it('never pairs learners whose learner numbers or dates of birth differ', () => {
+        const pairs = findDuplicatePairs([
+            learner({ learner_name: 'Sam Lee', email: 'sam@example.com', nebosh_learner_number: '001' }),
+            learner({ learner_name: 'Sam Lee', email: 'sam@example.com', nebosh_learner_number: '002' }),
+            learner({ learner_name: 'Pat Kim', date_of_birth: '1980-01-01' }),
+            learner({ learner_name: 'Pat Kim', date_of_birth: '1981-01-01' })
+        ]);
+        assert.deepEqual(pairs, []);
+    });
+
+    it('leaves out pairs below the minimum score', () => {
+        const learners = [
+            learner({ learner_name: 'Alex Green', employer: 'Acme' }),
+            learner({ learner_name: 'Alex Greene', employer: 'Acme' })
+        ];
+        assert.equal(findDuplicatePairs(learners).length, 1);
+        assert.deepEqual(findDuplicatePairs(learners, 0.9), []);
+        // A shared employer alone is no evidence
+        assert.deepEqual(findDuplicatePairs([
+            learner({ learner_name: 'Alex Green', employer: 'Acme', email: 'a@example.com' }),
+            learner({ learner_name: 'Chris Green', employer: 'Acme', email: 'c@example.com' })
+        ]), []);
+    });
+});
+
+describe('findMatchingLearner', () => {
+    // Answers the three lookups from rows keyed by the column searched
+    function fakeLearnerLookups({ number = [], email = [], name = [] }) {
+        return fakeConnection(sql => {
+            if (sql.includes('nebosh_learner_number = ?')) return number;
+            if (sql.includes('email = ?')) return email;
+            return name;
+        });
+    }
+
+    it('goes by learner number first, even to an archived learner', async () => {
+        const archived = learner({ learner_name: 'Ann Lee', nebosh_learner_number: 'N1', archived_at: new Date() });
+        const connection = fakeLearnerLookups({ number: [archived] });
+        assert.equal((await findMatchingLearner(connection, 'Someone', { nebosh_learner_number: 'N1' })).learner, archived);
+        assert.equal(connection.statements.length, 1);
+    });
+
+    it('only looks up active learners by email and name', async () => {
+        const connection = fakeLearnerLookups({});
+        await findMatchingLearner(connection, 'Ann Lee', { email: 'ann@example.com' });
+        assert.deepEqual(connection.statements.map(statement => / AND archived_at IS NULL$/.test(statement.sql)), [true, true]);
+    });
+
+    it('takes a shared email only together with the name', async () => {
+        const ann = learner({ learner_name: 'Ann Lee', email: 'office@example.com' });
+        const ben = learner({ learner_name: 'Ben Hall', email: 'office@example.com' });
+        const connection = fakeLearnerLookups({ email: [ann, ben], name: [ben] });
+        assert.equal((await findMatchingLearner(connection, 'BEN HALL', { email: 'office@example.com' })).learner, ben);
+    });
+
+    it('does not match a name whose date of birth, number or email says otherwise', async () => {
+        const sam = learner({ learner_name: 'Sam Kim', date_of_birth: new Date('1990-01-01T00:00:00Z'), email: 'sam@example.com' });
+        assert.deepEqual(await findMatchingLearner(fakeLearnerLookups({ name: [sam] }), 'Sam Kim', { date_of_birth: '1991-01-01' }), {});
+        assert.deepEqual(await findMatchingLearner(fakeLearnerLookups({ name: [sam] }), 'Sam Kim', { email: 'other@example.com' }), {});
+        assert.equal((await findMatchingLearner(fakeLearnerLookups({ name: [sam] }), 'Sam Kim', { date_of_birth: '1990-01-01' })).learner, sam);
+    });
+
+    it('reports every learner that fits equally well', async () => {
+        const first = learner({ learner_name: 'Sam Kim' });
+        const second = learner({ learner_name: 'Sam Kim' });
+        assert.deepEqual(await findMatchingLearner(fakeLearnerLookups({ name: [first, second] }), 'Sam Kim', {}), { ambiguous: [first, second] });
+    });
+});
+
+describe('mergeLearners', () => {
+    it('moves or combines records, supersedes doubly signed sessions and fills the kept profile', async () => {
+        const connection = fakeConnection(sql => {
+            if (sql.includes('FROM attendance_records d')) {
+                return [
+                    { record_id: 20, course_id: 5, attendance_date: '2024-05-02', submission_timestamp: null, keep_record_id: 10 },
+                    { record_id: 21, course_id: 6, attendance_date: '2024-06-01', submission_timestamp: null, keep_record_id: null }
+                ];
+            }
+            if (sql.includes('FROM attendance_signatures s')) {
+                return [
+                    { signature_id: 30, session_id: 101, kept_signed: 1 },
+                    { signature_id: 31, session_id: 102, kept_signed: 0 }
+                ];
+            }
+            return { affectedRows: sql.startsWith('INSERT IGNORE INTO enrollments') ? 2 : 1 };
+        });
+        const { statements } = connection;
+        const keep = learner({ learner_id: 1, learner_name: 'Ann Lee', email: 'ann@example.com', registration_date: new Date('2024-03-01') });
+        const duplicate = learner({ learner_id: 2, learner_name: 'Ann  Lee', phone: '07700 900123', email: 'old@example.com', registration_date: new Date('2024-01-01') });
+        const summary = await mergeLearners(connection, keep, duplicate, 9);
+        assert.deepEqual(summary, { recordsMoved: 1, recordsCombined: 1, signaturesMoved: 1, signaturesSuperseded: 1, enrollmentsMoved: 2 });
+
+        const find = prefix => statements.filter(statement => statement.sql.startsWith(prefix));
+        const [superseded] = find('INSERT INTO superseded_signatures');
+        assert.equal(superseded.params[0], 30);
+        assert.equal(superseded.params[11], 'Learner 2 (Ann  Lee) merged into learner 1');
+        assert.deepEqual(find('UPDATE attendance_signatures SET record_id')[0].params, [10, 31]);
+        assert.deepEqual(find('UPDATE superseded_signatures SET record_id')[0].params, [10, 20]);
+        assert.deepEqual(find('UPDATE certificates SET learner_id')[0].params, [1, 2]);
+        assert.deepEqual(find('DELETE FROM attendance_records')[0].params, [20]);
+        assert.deepEqual(find('UPDATE attendance_records SET learner_id')[0].params, [1, 21]);
+        assert.deepEqual(find('UPDATE learners SET phone = ?')[0].params, ['07700 900123', 1]);
+        assert.deepEqual(find('UPDATE learners SET registration_date')[0].params, [duplicate.registration_date, 1]);
+        // The duplicate is deleted before its learner number can move to the kept learner
+        const deleted = statements.findIndex(statement => statement.sql === 'DELETE FROM learners WHERE learner_id = ?');
+        assert.ok(deleted < statements.findIndex(statement => statement.sql.startsWith('UPDATE learners SET phone')));
+    });
+});
+
+describe('parseProfile', () => {
+    it('normalizes the fields given and clears blank ones', () => {
+        assert.deepEqual(parseProfile({
+            email: ' Ann@Example.COM ',
+            phone: '+44 (0)7700 900-123',
+            employer: '',
+            neboshLearnerNumber: 'ab 12-3',
+            dateOfBirth: null
+        }), {
+            profile: {
+                email: 'ann@example.com',
+                phone: '+44 (0)7700 900-123',
+                employer: null,
+                nebosh_learner_number: 'AB12-3',
+                date_of_birth: null
+            }
+        });
+        assert.deepEqual(parseProfile({ learnerName: 'Ann' }), { profile: {} });
+    });
+
+    it('names the first field that is wrong', () => {
+        assert.deepEqual(parseProfile({ email: 'ann@', phone: '12' }), { error: 'Invalid email.', field: 'email' });
+        assert.equal(parseProfile({ phone: '12' }).field, 'phone');
+        assert.equal(parseProfile({ employer: 'x'.repeat(256) }).field, 'employer');
+        assert.equal(parseProfile({ neboshLearnerNumber: 'AB_1' }).field, 'neboshLearnerNumber');
+        assert.equal(parseProfile({ dateOfBirth: '2999-01-01' }).field, 'dateOfBirth');
+    });
+});
+
+describe('archiving and purging', () => {
+    it('archives an active learner once', async () => {
+        let affectedRows = 1;
+        const connection = fakeConnection(() => ({ affectedRows }));
+        assert.equal(await archiveLearner(connection, 3, 1), true);
+        assert.deepEqual(connection.statements[0].params, [1, 3]);
+        affectedRows = 0;
+        assert.equal(await archiveLearner(connection, 3, 1), false);
+    });
+
+    it('deletes the learner, audits their signatures as hashes and returns the files to remove', async () => {
+        const connection = fakeConnection(sql => {
+            if (sql.includes('JOIN attendance_signatures s')) {
+                return [
+                    { record_id: 20, course_id: 5, session_num: 1, signature_ref: 'signatures/a.png', signature_sha256: 'a'.repeat(64) },
+                    { record_id: 20, course_id: 5, session_num: 2, signature_ref: null, signature_data: 'data:image/png;base64,AAAA' }
+                ];
+            }
+            if (sql.includes('FROM superseded_signatures')) return [{ signature_ref: 'signatures/old.png' }];
+            if (sql.includes('FROM certificates')) return [{ signature_ref: 'certificates/C-1.pdf' }];
+            if (sql.startsWith('SELECT last_hash')) return [{ last_hash: audit.GENESIS_HASH }];
+            return undefined;
+        });
+        const refs = await purgeLearner(connection, learner({ learner_id: 7, learner_name: 'Ann Lee' }), audit.systemActor('purge-learners'));
+        assert.deepEqual(refs, ['signatures/a.png', 'signatures/old.png', 'certificates/C-1.pdf']);
+        const { statements } = connection;
+        assert.ok(statements.some(statement => statement.sql === 'DELETE FROM learners WHERE learner_id = ?'));
+        const entry = statements.find(statement => statement.sql.startsWith('INSERT INTO audit_log'));
+        const payload = JSON.parse(entry.params[8]);
+        assert.deepEqual([payload.action, payload.entityId, payload.afterHash, payload.details], ['delete', '7', null, { signaturesRemoved: 2 }]);
+        assert.ok(!entry.params[8].includes('Ann Lee'));
+    });
+});
+
+describe('parseLearnerName', () => {
+    it('stores names trimmed with single spaces, and needs one', () => {
+        assert.deepEqual(parseLearnerName('  Ann   Lee '), { name: 'Ann Lee' });
+        assert.deepEqual(parseLearnerName(' '), { error: 'Learner name is required.' });
+        assert.deepEqual(parseLearnerName('x'.repeat(256)), { error: 'Learner name must be at most 255 characters.' });
+    });
+});
+
+describe('learners routes', () => {
+    // Learner 3 is active and learner 4 archived. Learner 5, when a test adds it, holds a
+    // certificate for a course learner 3 has one for too.
+    const ADMIN = { userId: 1, role: 'administrator' };
+    let connection;
+    let rows;
+    let requireAuth;
+    let server;
+
+    before(async () => {
+        connection = fakeConnection((sql, params) => {
+            if (sql.startsWith('SELECT * FROM learners WHERE learner_id = ?')) {
+                return rows.filter(row => row.learner_id === Number(params[0]));
+            }
+            if (sql.startsWith('UPDATE learners SET archived_at = CURRENT_TIMESTAMP')) {
+                return { affectedRows: rows.some(row => row.learner_id === Number(params[1]) && !row.archived_at) ? 1 : 0 };
+            }
+            if (sql.includes('FROM certificates k')) {
+                return params[0] === 5 ? [{ course_id: 7, keep_certificate: 'C-0001', duplicate_certificate: 'C-0002' }] : [];
+            }
+            if (sql.startsWith('SELECT last_hash')) return [{ last_hash: audit.GENESIS_HASH }];
+            return undefined;
+        });
+        requireAuth = signedInAs(ADMIN);
+        server = await serve(createLearnersRouter({ pool: fakePool(connection), requireAuth }));
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        connection.statements.length = 0;
+        connection.transaction.length = 0;
+        rows = [
+            learner({ learner_id: 3, learner_name: 'Ann Lee', archived_at: null }),
+            learner({ learner_id: 4, learner_name: 'Ben Cole', archived_at: new Date('2024-01-01') })
+        ];
+        requireAuth.user = ADMIN;
+    });
+
+    it('leave changes to administrators', async () => {
+        requireAuth.user = { userId: 2, role: 'trainer' };
+        assert.equal((await server.request('POST', '/api/learners', { body: { learnerName: 'Cat Day' } })).status, 403);
+        assert.equal((await server.request('DELETE', '/api/learners/3')).status, 403);
+        assert.equal(connection.statements.length, 0);
+    });
+
+    it('refuse a bad name, profile or minScore before querying', async () => {
+        const name = await server.request('POST', '/api/learners', { body: { learnerName: ' ' } });
+        assert.equal(name.status, 400);
+        const email = await server.request('POST', '/api/learners', { body: { learnerName: 'Cat Day', email: 'cat@' } });
+        assert.deepEqual([email.status, email.body.details[0].field], [400, 'email']);
+        const nothing = await server.request('PATCH', '/api/learners/3', { body: {} });
+        assert.deepEqual([nothing.status, nothing.body.message], [400, 'No fields to update.']);
+        const score = await server.request('GET', '/api/learners/duplicates?minScore=2');
+        assert.deepEqual([score.status, score.body.message], [400, 'minScore must be from 0 to 1.']);
+        assert.equal(connection.statements.length, 0);
+    });
+
+    it('merge two different learners that exist and are not archived', async () => {
+        const merge = (id, body) => server.request('POST', `/api/learners/${id}/merge`, { body });
+        assert.deepEqual((await merge(3, {})).body.message, 'duplicateId is required.');
+        const itself = await merge(3, { duplicateId: '3' });
+        assert.deepEqual([itself.status, itself.body.details[0].field, itself.body.message], [400, 'duplicateId', 'A learner cannot be merged into itself.']);
+        assert.equal(connection.statements.length, 0);
+        assert.equal((await merge(3, { duplicateId: 9 })).status, 404);
+        const archived = await merge(3, { duplicateId: 4 });
+        assert.deepEqual([archived.status, archived.body.message], [409, 'Restore archived learners before merging them.']);
+        assert.deepEqual(connection.transaction, ['begin', 'rollback', 'begin', 'rollback']);
+    });
+
+    it('refuse to merge learners who both hold a certificate for the same course', async () => {
+        rows.push(learner({ learner_id: 5, learner_name: 'Ann  Lee', archived_at: null }));
+        const res = await server.request('POST', '/api/learners/3/merge', { body: { duplicateId: 5 } });
+        assert.deepEqual([res.status, res.body.code], [409, 'CERTIFICATE_CONFLICT']);
+        assert.deepEqual(res.body.conflicts, [{ courseId: 7, keepCertificate: 'C-0001', duplicateCertificate: 'C-0002' }]);
+        assert.deepEqual(connection.transaction, ['begin', 'rollback']);
+        assert.equal(connection.statements.some(statement => statement.sql.startsWith('DELETE')), false);
+    });
+
+    it('edit only active learners', async () => {
+        assert.equal((await server.request('PATCH', '/api/learners/9', { body: { employer: 'ACME' } })).status, 404);
+        const archived = await server.request('PATCH', '/api/learners/4', { body: { employer: 'ACME' } });
+        assert.deepEqual([archived.status, archived.body.message], [409, 'Learner is archived. Restore them before editing.']);
+        assert.equal((await server.request('PATCH', '/api/learners/3', { body: { employer: 'ACME' } })).status, 200);
+        assert.deepEqual(connection.transaction, ['begin', 'rollback', 'begin', 'rollback', 'begin', 'commit']);
+    });
+
+    it('archive a learner once, with an audit entry, and restore only archived learners', async () => {
+        const archived = await server.request('DELETE', '/api/learners/3');
+        assert.equal(archived.status, 200);
+        assert.ok(connection.statements.some(statement => statement.sql.startsWith('INSERT INTO audit_log')));
+        assert.equal((await server.request('DELETE', '/api/learners/4')).status, 404);
+        assert.equal((await server.request('POST', '/api/learners/3/restore')).status, 404);
+        assert.equal((await server.request('POST', '/api/learners/4/restore')).status, 200);
+    });
+
+    it('roll back, answer 500 and release the connection when the database fails', async t => {
+        t.mock.method(console, 'error', () => {});
+        connection.released = false;
+        rows = null;
+        const res = await server.request('DELETE', '/api/learners/3');
+        assert.deepEqual([res.status, res.body.message], [500, 'Error archiving learner.']);
+        assert.deepEqual(connection.transaction, ['begin', 'rollback']);
+        assert.equal(connection.released, true);
+    });
+
+    it('still answer 500 when the connection is lost and cannot roll back, and drop it', async t => {
+        t.mock.method(console, 'error', () => {});
+        rows = null;
+        t.mock.method(connection, 'rollback', async () => {
+            throw new Error('Connection lost: The server closed the connection.');
+        });
+        const res = await server.request('DELETE', '/api/learners/3');
+        assert.deepEqual([res.status, res.body.message], [500, 'Error archiving learner.']);
+        assert.equal(connection.destroyed, true);
+        connection.destroyed = false;
+    });
+});
@@ -0,0 +1,129 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const migrations = require('../services/migrations');
+const { fakeConnection } = require('./helpers/fakes');
+
+// A database where the schema_migrations rows in applied have run. failing names the start of a
+// statement that fails, with error if given. logBin and trustFunctionCreators are the server's
+// settings and grants the user's SHOW GRANTS lines.
+function fakeMigrationDatabase({ applied = [], failing = null, error = null, logBin = 0, trustFunctionCreators = 0, grants = [] } = {}) {
+    return fakeConnection(sql => {
+        if (failing && sql.startsWith(failing)) throw error || new Error("Table 't' already exists");
+        if (sql.startsWith('SELECT version')) return applied;
+        if (sql.startsWith('SELECT @@log_bin')) return [{ log_bin: logBin, trust_function_creators: trustFunctionCreators }];
+        if (sql.startsWith('SHOW GRANTS')) return grants.map(grant => ({ 'Grants for app@%': grant }));
+        return undefined;
+    });
+}
+
+function ran(connection, prefix) {
+    return connection.statements.filter(statement => statement.sql.startsWith(prefix));
+}
+
+describe('migrations', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-test-'));
+        fs.writeFileSync(path.join(dir, '001_tables.sql'), 'CREATE TABLE t (id INT);');
+        fs.writeFileSync(path.join(dir, '002_more.sql'), 'CREATE TABLE u (id INT);');
+        fs.writeFileSync(path.join(dir, 'notes.md'), 'Not a migration');
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('lists the migration files in version order', () => {
+        const listed = migrations.listMigrations(dir);
+        assert.deepEqual(listed.map(migration => [migration.version, migration.name]), [['001', 'tables'], ['002', 'more']]);
+        assert.match(listed[0].checksum, /^[0-9a-f]{64}$/);
+    });
+
+    it('ships migrations with one file per version', () => {
+        const versions = migrations.listMigrations().map(migration => migration.version);
+        assert.ok(versions.length > 0);
+        assert.equal(new Set(versions).size, versions.length);
+    });
+
+    it('reports which migrations ran, were edited since or no longer have a file', async () => {
+        const [tables] = migrations.listMigrations(dir);
+        const status = await migrations.getStatus(fakeMigrationDatabase({
+            applied: [
+                { version: '001', name: 'tables', checksum: 'f'.repeat(64), applied_at: new Date('2024-01-01T00:00:00Z') },
+                { version: '000', name: 'removed', checksum: tables.checksum, applied_at: new Date('2023-12-01T00:00:00Z') }
+            ]
+        }), dir);
+        assert.deepEqual(status.map(entry => [entry.version, entry.applied, entry.changed, entry.missing]), [
+            ['000', true, undefined, true],
+            ['001', true, true, undefined],
+            ['002', false, false, undefined]
+        ]);
+    });
+
+    it('applies pending migrations in order and records them', async () => {
+        const connection = fakeMigrationDatabase();
+        const applied = await migrations.migrate(connection, { dir });
+        assert.deepEqual(applied.map(migration => migration.file), ['001_tables.sql', '002_more.sql']);
+        assert.deepEqual(ran(connection, 'INSERT INTO schema_migrations').map(statement => statement.params[0]), ['001', '002']);
+    });
+
+    it('runs only what has not run, and names the file that fails', async () => {
+        const [tables] = migrations.listMigrations(dir);
+        const connection = fakeMigrationDatabase({ applied: [{ version: '001', name: 'tables', checksum: tables.checksum }] });
+        const applied = await migrations.migrate(connection, { dir });
+        assert.deepEqual(applied.map(migration => migration.file), ['002_more.sql']);
+        assert.equal(ran(connection, 'CREATE TABLE t ').length, 0);
+
+        const failing = fakeMigrationDatabase({ failing: 'CREATE TABLE t ' });
+        await assert.rejects(migrations.migrate(failing, { dir }), { message: "001_tables.sql: Table 't' already exists" });
+        assert.equal(ran(failing, 'INSERT INTO schema_migrations').length, 0);
+        assert.equal(ran(failing, 'CREATE TABLE u ').length, 0);
+    });
+
+    it('marks migrations up to a version as run without running them', async () => {
+        const connection = fakeMigrationDatabase();
+        const marked = await migrations.markApplied(connection, '001', { dir });
+        assert.deepEqual(marked.map(migration => migration.file), ['001_tables.sql']);
+        assert.equal(ran(connection, 'CREATE TABLE t ').length, 0);
+        assert.equal(ran(connection, 'INSERT IGNORE INTO schema_migrations').length, 1);
+    });
+});
+
+describe('trigger privileges', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-test-'));
+        fs.writeFileSync(path.join(dir, '001_tables.sql'), 'CREATE TABLE t (id INT);');
+        fs.writeFileSync(path.join(dir, '002_guard.sql'), 'CREATE TRIGGER t_no_delete BEFORE DELETE ON t FOR EACH ROW SET @x = 1;');
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('allow triggers when binary logging is off, trusted or the user has SUPER', async () => {
+        const allowed = options => migrations.canCreateTriggers(fakeMigrationDatabase({ logBin: 1, ...options }));
+        assert.equal(await allowed({ logBin: 0 }), true);
+        assert.equal(await allowed({ trustFunctionCreators: 1 }), true);
+        assert.equal(await allowed({ grants: ['GRANT SUPER, CREATE ON *.* TO `app`@`%`'] }), true);
+        assert.equal(await allowed({ grants: ['GRANT ALL PRIVILEGES ON *.* TO `root`@`%`'] }), true);
+        assert.equal(await allowed({ grants: ['GRANT USAGE ON *.* TO `app`@`%`', 'GRANT ALL PRIVILEGES ON `attendance`.* TO `app`@`%`'] }), false);
+    });
+
+    it('are checked before anything runs when a pending migration creates triggers', async () => {
+        const connection = fakeMigrationDatabase({ logBin: 1, grants: ['GRANT ALL PRIVILEGES ON `attendance`.* TO `app`@`%`'] });
+        await assert.rejects(migrations.migrate(connection, { dir }), /002_guard\.sql creates triggers.*log_bin_trust_function_creators/);
+        assert.equal(ran(connection, 'CREATE TABLE t ').length, 0);
+
+        const trusted = fakeMigrationDatabase({ logBin: 1, trustFunctionCreators: 1 });
+        assert.deepEqual((await migrations.migrate(trusted, { dir })).map(migration => migration.file), ['001_tables.sql', '002_guard.sql']);
+    });
+
+    it('are explained when MySQL refuses a trigger anyway', async () => {
+        const error = Object.assign(new Error('You do not have the SUPER privilege and binary logging is enabled'), { errno: 1419 });
+        const connection = fakeMigrationDatabase({ failing: 'CREATE TRIGGER', error });
+        await assert.rejects(migrations.migrate(connection, { dir }), /^Error: 002_guard\.sql creates triggers/);
+        assert.deepEqual(ran(connection, 'INSERT INTO schema_migrations').map(statement => statement.params[0]), ['001']);
+    });
+});
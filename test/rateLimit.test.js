@@ -0,0 +1,145 @@
+const assert = require('node:assert/strict');
+const { describe, it, afterEach } = require('node:test');
+const { createMemoryStore } = require('../services/rateLimit/memory');
+const { rateLimit, createLockout, createCheckInLockout } = require('../middleware/rateLimit');
+const { fakeResponse } = require('./helpers/fakes');
+
+const MINUTE = 60 * 1000;
+
+// Just enough of Express's req for the middleware
+function fakeRequest(ip, headers = {}) {
+    return { ip, get: name => headers[name] };
+}
+
+// Runs middleware and resolves to the response, with passed set when it called next()
+async function run(middleware, req) {
+    const res = fakeResponse();
+    let passed = false;
+    await middleware(req, res, () => { passed = true; });
+    res.passed = passed;
+    return res;
+}
+
+describe('memory store', () => {
+    let store;
+    afterEach(() => store.close());
+
+    it('counts within a window and starts again once it has passed', async () => {
+        store = createMemoryStore();
+        const first = await store.increment('a', 50);
+        assert.equal(first.count, 1);
+        assert.equal((await store.increment('a', 50)).count, 2);
+        assert.equal((await store.get('a')).resetAt, first.resetAt);
+        assert.equal(await store.get('b'), null);
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.equal(await store.get('a'), null);
+        assert.equal((await store.increment('a', 50)).count, 1);
+    });
+
+    it('forgets a key when reset', async () => {
+        store = createMemoryStore();
+        await store.increment('a', MINUTE);
+        await store.reset('a');
+        assert.equal(await store.get('a'), null);
+    });
+});
+
+describe('rateLimit', () => {
+    let store;
+    afterEach(() => store.close());
+
+    it('answers 429 with Retry-After once the limit is used up, per address', async () => {
+        store = createMemoryStore();
+        const limit = rateLimit({ store, name: 'test', windowMs: MINUTE, max: 2 });
+        const req = fakeRequest('10.0.0.1');
+        assert.equal((await run(limit, req)).passed, true);
+        const second = await run(limit, req);
+        assert.equal(second.passed, true);
+        assert.equal(second.headers['RateLimit-Remaining'], '0');
+        const third = await run(limit, req);
+        assert.equal(third.passed, false);
+        assert.equal(third.statusCode, 429);
+        assert.equal(third.body.code, 'TOO_MANY_REQUESTS');
+        assert.ok(Number(third.headers['Retry-After']) > 0);
+        assert.equal((await run(limit, fakeRequest('10.0.0.2'))).passed, true);
+    });
+
+    it('lets requests through when the store fails', async t => {
+        store = createMemoryStore();
+        t.mock.method(console, 'error', () => {});
+        const broken = { increment: async () => { throw new Error('store down'); } };
+        const limit = rateLimit({ store: broken, name: 'test', windowMs: MINUTE, max: 1 });
+        assert.equal((await run(limit, fakeRequest('10.0.0.1'))).passed, true);
+    });
+});
+
+describe('createLockout', () => {
+    let store;
+    afterEach(() => store.close());
+
+    it('locks an id after maxFailures and clears failures on reset', async t => {
+        store = createMemoryStore();
+        t.mock.method(console, 'warn', () => {});
+        const lockout = createLockout({ store, name: 'login', maxFailures: 3, windowMs: MINUTE, lockoutMs: 5 * MINUTE, message: 'Locked.' });
+        assert.equal(await lockout.recordFailure('ann'), 0);
+        assert.equal(await lockout.recordFailure('ann'), 0);
+        await lockout.reset('ann');
+        assert.equal(await lockout.recordFailure('ann'), 0);
+        assert.equal(await lockout.recordFailure('ann'), 0);
+        const lockedFor = await lockout.recordFailure('ann');
+        assert.ok(lockedFor > 4 * 60 && lockedFor <= 5 * 60);
+        assert.equal(await lockout.lockedFor('ann'), lockedFor);
+        assert.equal(await lockout.lockedFor('ben'), 0);
+
+        const guard = lockout.guard(req => req.account);
+        const refused = await run(guard, { account: 'ann' });
+        assert.equal(refused.statusCode, 429);
+        assert.equal(refused.body.message, 'Locked.');
+        assert.equal((await run(guard, { account: 'ben' })).passed, true);
+    });
+});
+
+describe('createCheckInLockout', () => {
+    let store;
+    afterEach(() => store.close());
+
+    function checkInLockout() {
+        return createCheckInLockout({
+            store,
+            maxFailures: 3,
+            maxAddressFailures: 10,
+            windowMs: 10 * MINUTE,
+            lockoutMs: 10 * MINUTE,
+            message: 'Too many wrong codes.'
+        });
+    }
+
+    it('locks out one kiosk without locking out the others behind the same address', async t => {
+        store = createMemoryStore();
+        t.mock.method(console, 'warn', () => {});
+        const lockout = checkInLockout();
+        const guard = lockout.guard();
+        const typo = fakeRequest('203.0.113.7', { 'X-Kiosk-Id': 'tablet-1' });
+        const neighbour = fakeRequest('203.0.113.7', { 'X-Kiosk-Id': 'tablet-2' });
+        assert.equal(await lockout.recordFailure(typo), 0);
+        assert.equal(await lockout.recordFailure(typo), 0);
+        assert.ok(await lockout.recordFailure(typo) > 0);
+        assert.equal((await run(guard, typo)).statusCode, 429);
+        assert.equal((await run(guard, neighbour)).passed, true);
+        assert.equal((await run(guard, fakeRequest('203.0.113.7'))).passed, true);
+    });
+
+    it('locks out the address when the guesses keep coming from it', async t => {
+        store = createMemoryStore();
+        t.mock.method(console, 'warn', () => {});
+        const lockout = checkInLockout();
+        const guard = lockout.guard();
+        // A guesser who changes the kiosk id each time, or sends none
+        for (let i = 0; i < 9; i++) {
+            assert.equal(await lockout.recordFailure(fakeRequest('198.51.100.4', i % 2 ? {} : { 'X-Kiosk-Id': `id-${i}` })), 0);
+        }
+        assert.ok(await lockout.recordFailure(fakeRequest('198.51.100.4')) > 0);
+        assert.equal((await run(guard, fakeRequest('198.51.100.4', { 'X-Kiosk-Id': 'fresh' }))).statusCode, 429);
+        assert.equal((await run(guard, fakeRequest('198.51.100.5'))).passed, true);
+    });
+});
@@ -0,0 +1,57 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const ExcelJS = require('exceljs');
+const { buildRegister, toCsv, toXlsx } = require('../services/registerExport');
+
+const START = new Date('2024-03-04T00:00:00Z');
+const SIGNED = new Date('2024-03-04T09:15:30Z');
+
+const records = [
+    { record_id: 1, learner_id: 10, learner_name: 'Ann Lee', module_title: 'IG1', course_id: 5, venue: 'Leeds', start_date: START, session_count: 3, signed_count: 1 },
+    { record_id: 2, learner_id: 11, learner_name: '=HYPERLINK("x")', module_title: 'IG2', course_id: 6, venue: 'York, North', start_date: START, session_count: 2, signed_count: 0 }
+];
+const sessionRows = [
+    { record_id: 1, session_num: 1, signature_id: 40, signed_at: SIGNED },
+    { record_id: 1, session_num: 2, signature_id: null, signed_at: null }
+];
+
+describe('buildRegister', () => {
+    it('has a column per session of the widest course and the completion figures', () => {
+        const { headers, rows } = buildRegister(records, sessionRows);
+        assert.deepEqual(headers.slice(6), [
+            'Session 1 signed at (UTC)', 'Session 2 signed at (UTC)', 'Session 3 signed at (UTC)',
+            'Sessions signed', 'Sessions total', 'Completion %'
+        ]);
+        assert.deepEqual(rows[0].slice(6), [SIGNED, null, null, 1, 3, 33.3]);
+        assert.deepEqual(rows[1].slice(6), [null, null, 'n/a', 0, 2, 0]);
+    });
+});
+
+describe('toCsv', () => {
+    it('writes UTC times, quotes where needed and defuses formulas', () => {
+        const text = toCsv(buildRegister(records, sessionRows));
+        assert.ok(text.startsWith('\uFEFFLearner ID,'));
+        assert.ok(text.endsWith('\r\n'));
+        const lines = text.slice(1).split('\r\n');
+        assert.equal(lines[1], '10,Ann Lee,IG1,5,Leeds,2024-03-04 00:00:00,2024-03-04 09:15:30,,,1,3,33.3');
+        assert.equal(lines[2], '11,"\'=HYPERLINK(""x"")",IG2,6,"York, North",2024-03-04 00:00:00,,,n/a,0,2,0');
+    });
+
+    it('leaves negative numbers alone', () => {
+        assert.equal(toCsv({ headers: ['a', 'b'], rows: [[-1, '-1']] }), '\uFEFFa,b\r\n-1,\'-1\r\n');
+    });
+});
+
+describe('toXlsx', () => {
+    it('writes one sheet with a bold header and dates formatted as dates', async () => {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(await toXlsx(buildRegister(records, sessionRows)));
+        const sheet = workbook.getWorksheet('Attendance register');
+        assert.equal(sheet.rowCount, 3);
+        assert.equal(sheet.getRow(1).font.bold, true);
+        const signedAt = sheet.getRow(2).getCell(7);
+        assert.equal(signedAt.value.toISOString(), SIGNED.toISOString());
+        assert.equal(signedAt.numFmt, 'yyyy-mm-dd hh:mm');
+        assert.equal(sheet.getRow(3).getCell(2).value, '=HYPERLINK("x")');
+    });
+});
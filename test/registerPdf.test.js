@@ -0,0 +1,94 @@
+const assert = require('node:assert/strict');
+const { describe, it, before } = require('node:test');
+const { Readable } = require('stream');
+const sharp = require('sharp');
+const { loadCourseRegister, renderCourseRegister } = require('../services/registerPdf');
+const { fakeConnection } = require('./helpers/fakes');
+
+const COURSE = { course_id: 5, unit: 'IG1', venue: 'Leeds', start_date: new Date('2024-05-01T00:00:00Z'), trainer_email: 'trainer@example.com' };
+
+function schedule(count) {
+    return Array.from({ length: count }, (_, index) => ({
+        session_num: index + 1,
+        session_date: new Date(Date.UTC(2024, 4, index + 1)),
+        start_time: '09:00:00',
+        end_time: '17:00:00'
+    }));
+}
+
+function pageCount(pdf) {
+    return (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+}
+
+describe('renderCourseRegister', () => {
+    let png;
+
+    before(async () => {
+        png = await sharp({ create: { width: 300, height: 100, channels: 3, background: '#ffffff' } }).png().toBuffer();
+    });
+
+    it('embeds stored and legacy signatures and notes the ones it cannot read', async t => {
+        t.mock.method(console, 'error', () => {});
+        const store = {
+            async open(ref) {
+                if (ref === 'missing.png') throw new Error('not found');
+                return Readable.from([png]);
+            }
+        };
+        const pdf = await renderCourseRegister(store, COURSE, {
+            sessions: schedule(3),
+            learners: [{ learner_id: 1, learner_name: 'Ann Lee' }, { learner_id: 2, learner_name: 'Ben Hall' }],
+            signatures: [
+                { signature_id: 10, learner_id: 1, session_num: 1, signature_ref: 'a.png', signed_at: new Date() },
+                { signature_id: 11, learner_id: 1, session_num: 2, signature_data: `data:image/png;base64,${png.toString('base64')}`, signed_at: new Date() },
+                { signature_id: 12, learner_id: 2, session_num: 1, signature_ref: 'missing.png', signed_at: new Date() },
+                // Signatures of learners no longer listed are left out
+                { signature_id: 13, learner_id: 3, session_num: 1, signature_ref: 'a.png', signed_at: new Date() }
+            ]
+        });
+        assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+        assert.equal(pageCount(pdf), 1);
+        assert.equal((pdf.toString('latin1').match(/\/Subtype \/Image/g) || []).length, 2);
+        assert.equal(console.error.mock.callCount(), 1);
+    });
+
+    it('rasterizes signatures kept as SVG from before normalization', async () => {
+        const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="300" height="100"><path d="M10 50 L290 50" stroke="#000"/></svg>');
+        const pdf = await renderCourseRegister({}, COURSE, {
+            sessions: schedule(1),
+            learners: [{ learner_id: 1, learner_name: 'Ann Lee' }],
+            signatures: [{ signature_id: 10, learner_id: 1, session_num: 1, signature_data: `data:image/svg+xml;base64,${svg.toString('base64')}`, signed_at: new Date() }]
+        });
+        assert.equal((pdf.toString('latin1').match(/\/Subtype \/Image/g) || []).length, 1);
+    });
+
+    it('prints long courses as several tables, one page each', async () => {
+        const pdf = await renderCourseRegister({}, COURSE, {
+            sessions: schedule(10),
+            learners: [{ learner_id: 1, learner_name: 'Ann Lee' }],
+            signatures: []
+        });
+        assert.equal(pageCount(pdf), 2);
+    });
+
+    it('renders a course with nobody enrolled', async () => {
+        const pdf = await renderCourseRegister({}, COURSE, { sessions: [], learners: [], signatures: [] });
+        assert.equal(pageCount(pdf), 1);
+    });
+});
+
+describe('loadCourseRegister', () => {
+    it('reads the schedule, the active learners and their signatures, or one learner only', async () => {
+        const connection = fakeConnection(() => []);
+        assert.deepEqual(await loadCourseRegister(connection, COURSE), { sessions: [], learners: [], signatures: [] });
+        assert.deepEqual(connection.statements.map(statement => statement.params), [[5], [5, 5], [5]]);
+        connection.statements.length = 0;
+        await loadCourseRegister(connection, COURSE, 8);
+        const [, learners, signatures] = connection.statements;
+        assert.match(learners.sql, /WHERE l\.archived_at IS NULL AND \(/);
+        assert.match(learners.sql, /\) AND l\.learner_id = \? ORDER BY/);
+        assert.deepEqual(learners.params, [5, 5, 8]);
+        assert.match(signatures.sql, /WHERE ar\.course_id = \? AND l\.archived_at IS NULL AND ar\.learner_id = \?$/);
+        assert.deepEqual(signatures.params, [5, 8]);
+    });
+});
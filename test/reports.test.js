@@ -0,0 +1,149 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const reports = require('../services/reports');
+const createReportsRouter = require('../routes/reports');
+const { checkFields } = require('../middleware/validate');
+const { fakeConnection: recordingConnection, fakePool, signedInAs, serve } = require('./helpers/fakes');
+
+const ADMIN = { userId: 1, role: 'administrator' };
+const TRAINER = { userId: 4, role: 'trainer' };
+
+// Answers each statement with the next of results (mysql2 returns SUM() as a string)
+function fakeConnection(...results) {
+    return recordingConnection(() => results.shift() || []);
+}
+
+describe('report filters', () => {
+    it('reads the filters and refuses an end date before the start', () => {
+        const { values, details } = checkFields(reports.FILTER_QUERY, { dateFrom: '2024-01-01', module: 'IG1', courseId: '5' }, 'query');
+        assert.deepEqual(details, []);
+        assert.deepEqual(reports.parseFilters(values), { dateFrom: '2024-01-01', dateTo: null, moduleTitle: 'IG1', courseId: 5 });
+        const backwards = checkFields(reports.FILTER_QUERY, { dateFrom: '2024-02-01', dateTo: '2024-01-31' }, 'query');
+        assert.equal(backwards.details[0].message, 'dateTo must not be before dateFrom.');
+    });
+});
+
+describe('completion', () => {
+    it('works out rates and averages per group and in total', async () => {
+        const connection = fakeConnection([
+            { group_key: 'IG1', learners: 4, completed: '3', sessions_signed: '10', sessions_scheduled: '12' },
+            { group_key: 'IG2', learners: 2, completed: '0', sessions_signed: '1', sessions_scheduled: '4' }
+        ]);
+        const result = await reports.completion(connection, { moduleTitle: 'IG1', courseId: null }, TRAINER, 'module');
+        assert.deepEqual(result.totals, { learners: 6, completed: 3, completionRate: 50, averageSessionsSigned: 1.83, averageSessionsScheduled: 2.67 });
+        assert.deepEqual(result.groups[0], { module: 'IG1', learners: 4, completed: 3, completionRate: 75, averageSessionsSigned: 2.5, averageSessionsScheduled: 3 });
+        const [{ sql, params }] = connection.statements;
+        assert.match(sql, /^SELECT p\.unit AS group_key/);
+        assert.match(sql, /WHERE l\.archived_at IS NULL AND e\.course_id IN \(SELECT course_id FROM courses WHERE trainer_id = \?\) AND c\.unit = \?/);
+        assert.deepEqual(params, [4, 'IG1']);
+    });
+
+    it('has no rates when nobody is enrolled', async () => {
+        const result = await reports.completion(fakeConnection([]), {}, ADMIN, 'month');
+        assert.deepEqual(result, {
+            groupBy: 'month',
+            totals: { learners: 0, completed: 0, completionRate: null, averageSessionsSigned: null, averageSessionsScheduled: null },
+            groups: []
+        });
+    });
+});
+
+describe('dropOff', () => {
+    it('counts learners where they first missed a session', async () => {
+        const connection = fakeConnection(
+            [{ session_num: 1, due: 10, signed: 9 }, { session_num: 2, due: 10, signed: 7 }],
+            [{ session_num: 1, dropped: 1 }, { session_num: 2, dropped: '2' }]
+        );
+        assert.deepEqual(await reports.dropOff(connection, {}, ADMIN), [
+            { sessionNum: 1, due: 10, signed: 9, attendanceRate: 90, droppedOff: 1 },
+            { sessionNum: 2, due: 10, signed: 7, attendanceRate: 70, droppedOff: 2 }
+        ]);
+        assert.ok(connection.statements.every(statement => statement.sql.includes('(cs.session_date IS NULL OR cs.session_date < CURDATE())')));
+    });
+});
+
+describe('incomplete', () => {
+    it('pages the learners with the sessions they are missing', async () => {
+        const connection = fakeConnection([{ total: 41 }], [
+            { learner_id: 8, learner_name: 'Ann Lee', course_id: 5, unit: 'IG1', session_count: 3, signed_count: 1, missing_sessions: '2,3' }
+        ]);
+        const result = await reports.incomplete(connection, {}, ADMIN, { page: 3, pageSize: 20 });
+        assert.equal(result.total, 41);
+        assert.deepEqual(result.learners[0].missingSessions, [2, 3]);
+        assert.match(connection.statements[1].sql, /LIMIT 20 OFFSET 40$/);
+    });
+});
+
+describe('registrations', () => {
+    it('counts registrations per period, through the end of dateTo', async () => {
+        const connection = fakeConnection([{ period: '2024-W01', registrations: 3 }, { period: '2024-W02', registrations: '2' }]);
+        const result = await reports.registrations(connection, { dateFrom: '2024-01-01', dateTo: '2024-01-14', courseId: 5 }, ADMIN, 'week');
+        assert.deepEqual(result, {
+            interval: 'week',
+            total: 5,
+            periods: [{ period: '2024-W01', registrations: 3 }, { period: '2024-W02', registrations: 2 }]
+        });
+        const [{ sql, params }] = connection.statements;
+        assert.match(sql, /^SELECT DATE_FORMAT\(l\.registration_date, '%x-W%v'\) AS period/);
+        assert.match(sql, /l\.registration_date < \? \+ INTERVAL 1 DAY/);
+        assert.deepEqual(params, ['2024-01-01', '2024-01-14', 5]);
+    });
+});
+
+describe('reports routes', () => {
+    let connection;
+    let answer;
+    let requireAuth;
+    let server;
+
+    before(async () => {
+        connection = recordingConnection((sql, params) => answer(sql, params));
+        requireAuth = signedInAs(ADMIN);
+        server = await serve(createReportsRouter({ pool: fakePool(connection), requireAuth }));
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        connection.statements.length = 0;
+        answer = sql => (sql.includes('AS total') ? [{ total: 0 }] : []);
+        requireAuth.user = ADMIN;
+    });
+
+    it('refuse bad filters, groupings and intervals before querying', async () => {
+        const cases = [
+            ['/api/reports/completion?dateFrom=2024-02-01&dateTo=2024-01-01', 'dateTo must not be before dateFrom.'],
+            ['/api/reports/drop-off?courseId=abc', 'courseId must be a positive whole number.'],
+            ['/api/reports/completion?groupBy=trainer', 'groupBy must be one of: module, month.'],
+            ['/api/reports/registrations?interval=year', 'interval must be one of: day, week, month.'],
+            ['/api/reports/incomplete?page=0', 'page must be at least 1.']
+        ];
+        for (const [url, message] of cases) {
+            const res = await server.request('GET', url);
+            assert.deepEqual([res.status, res.body.message], [400, message]);
+        }
+        assert.equal(connection.statements.length, 0);
+    });
+
+    it('cap the page size of the incomplete report', async () => {
+        const res = await server.request('GET', '/api/reports/incomplete?pageSize=100000');
+        assert.equal(res.status, 200);
+        assert.match(connection.statements[1].sql, /LIMIT 500 OFFSET 0$/);
+    });
+
+    it('turn away users without a reporting role', async () => {
+        requireAuth.user = { userId: 9, role: 'kiosk' };
+        assert.equal((await server.request('GET', '/api/reports/completion')).status, 403);
+    });
+
+    it('answer 500 and release the connection when the database fails', async t => {
+        t.mock.method(console, 'error', () => {});
+        connection.released = false;
+        answer = () => {
+            throw new Error('Connection lost');
+        };
+        const res = await server.request('GET', '/api/reports/drop-off');
+        assert.deepEqual([res.status, res.body.message], [500, 'Error building drop-off report.']);
+        assert.equal(connection.released, true);
+    });
+});
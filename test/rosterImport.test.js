@@ -0,0 +1,143 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const ExcelJS = require('exceljs');
+const { RosterError, parseRoster, previewImport, commitImport, summarize } = require('../services/rosterImport');
+const { fakeConnection } = require('./helpers/fakes');
+
+// The learners and enrollments tables in memory, for the lookups the import makes
+function fakeRosterDatabase(learners, enrolledIds = []) {
+    const enrollments = enrolledIds.map(learnerId => ({ course_id: 5, learner_id: learnerId }));
+    const connection = fakeConnection((sql, params) => {
+        if (sql.includes('WHERE nebosh_learner_number = ?')) {
+            return learners.filter(learner => learner.nebosh_learner_number === params[0]);
+        }
+        if (sql.includes('WHERE email = ?')) {
+            return learners.filter(learner => !learner.archived_at && learner.email === params[0]);
+        }
+        if (sql.includes('WHERE LOWER(learner_name) = LOWER(?)')) {
+            return learners.filter(learner => !learner.archived_at && learner.learner_name.toLowerCase() === params[0].toLowerCase());
+        }
+        if (sql.startsWith('SELECT enrollment_id FROM enrollments')) {
+            return enrollments.filter(e => e.course_id === params[0] && e.learner_id === params[1]);
+        }
+        if (sql.startsWith('INSERT INTO learners')) {
+            learners.push({ learner_id: learners.length + 1, learner_name: params[0] });
+            return { insertId: learners.length };
+        }
+        if (sql.startsWith('INSERT IGNORE INTO enrollments')) {
+            const exists = enrollments.some(e => e.course_id === params[0] && e.learner_id === params[1]);
+            if (!exists) enrollments.push({ course_id: params[0], learner_id: params[1] });
+            return { affectedRows: exists ? 0 : 1 };
+        }
+        throw new Error(`Unexpected statement: ${sql}`);
+    });
+    connection.enrollments = enrollments;
+    return connection;
+}
+
+function learner(fields) {
+    return { email: null, phone: null, employer: null, nebosh_learner_number: null, date_of_birth: null, archived_at: null, ...fields };
+}
+
+function csv(text) {
+    return parseRoster(Buffer.from(text), 'roster.CSV');
+}
+
+describe('parseRoster', () => {
+    it('reads quoted fields, doubled quotes, CRLF line endings and a BOM', async () => {
+        const rows = await csv('\uFEFFFull Name,Email Address,Company\r\n'
+            + '"Smith, Ann",ANN@example.com,"The ""Best"" Ltd"\r\n'
+            + '"Line\nBreak",,\r\n');
+        assert.deepEqual(rows, [
+            { rowNumber: 2, name: 'Smith, Ann', profile: { email: 'ann@example.com', employer: 'The "Best" Ltd' }, error: null },
+            { rowNumber: 3, name: 'Line Break', profile: { email: null, employer: null }, error: null }
+        ]);
+    });
+
+    it('finds the header below blank lines and skips blank rows', async () => {
+        const rows = await csv('\n,,\nDelegate,DOB,Learner Number\n\nBen Hall,1990-02-03,ab 123\n,,\n');
+        assert.deepEqual(rows, [
+            { rowNumber: 5, name: 'Ben Hall', profile: { date_of_birth: '1990-02-03', nebosh_learner_number: 'AB123' }, error: null }
+        ]);
+    });
+
+    it('keeps rows that fail validation, with the reason', async () => {
+        const rows = await csv('name,email\n,ann@example.com\nAnn,not-an-email\n');
+        assert.deepEqual(rows.map(row => [row.rowNumber, row.error]), [
+            [2, 'Learner name is required.'],
+            [3, 'Invalid email.']
+        ]);
+        assert.deepEqual(summarize(rows.map(row => ({ action: row.error ? 'invalid' : 'create' }))),
+            { create: 0, match: 0, conflict: 0, invalid: 2 });
+    });
+
+    it('reads the first sheet of a workbook', async () => {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Delegates');
+        sheet.addRow(['Learner name', 'Date of birth', 'Mobile']);
+        sheet.addRow([{ richText: [{ text: 'Cara ' }, { text: 'Diaz' }] }, new Date(Date.UTC(1985, 6, 9)), '07700 900456']);
+        const rows = await parseRoster(Buffer.from(await workbook.xlsx.writeBuffer()), 'roster.xlsx');
+        assert.deepEqual(rows, [
+            { rowNumber: 2, name: 'Cara Diaz', profile: { date_of_birth: '1985-07-09', phone: '07700 900456' }, error: null }
+        ]);
+    });
+
+    it('counts a workbook\'s rows as it reads them, skipping empty ones', async () => {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Delegates');
+        sheet.getRow(2).values = ['Name'];
+        for (let i = 1; i <= 1000; i++) sheet.addRow([`Learner ${i}`]);
+        sheet.getRow(1010).values = ['Learner 1001'];
+        await assert.rejects(parseRoster(Buffer.from(await workbook.xlsx.writeBuffer()), 'roster.xlsx'),
+            { name: 'RosterError', message: 'Roster has more than 1000 rows, the limit.' });
+
+        sheet.spliceRows(1010, 1);
+        const rows = await parseRoster(Buffer.from(await workbook.xlsx.writeBuffer()), 'roster.xlsx');
+        assert.deepEqual([rows.length, rows[0].rowNumber, rows[999].rowNumber], [1000, 3, 1002]);
+    });
+
+    it('refuses files it cannot use', async () => {
+        const refuses = (promise, message) => assert.rejects(promise, error => error instanceof RosterError && message.test(error.message));
+        await refuses(parseRoster(Buffer.from('name\nAnn'), 'roster.txt'), /must be a \.csv or \.xlsx file/);
+        await refuses(parseRoster(Buffer.from('not a zip'), 'roster.xlsx'), /could not be read as an XLSX workbook/);
+        await refuses(csv(' , \n'), /Roster is empty/);
+        await refuses(csv('email\nann@example.com\n'), /needs a name column\. Accepted headers: name, learner name/);
+        await refuses(csv('name\n'), /no learner rows/);
+        await refuses(csv('name\n"Ann\n'), /unterminated quoted field/);
+        await refuses(csv(`name\n${'Ann\n'.repeat(1001)}`), /1001 rows; the limit is 1000/);
+    });
+});
+
+describe('previewImport', () => {
+    it('works out what each row would do, and commitImport does it', async () => {
+        const connection = fakeRosterDatabase([
+            learner({ learner_id: 1, learner_name: 'Ann Lee', email: 'ann@example.com' }),
+            learner({ learner_id: 2, learner_name: 'Ben Hall' }),
+            learner({ learner_id: 3, learner_name: 'Sam Kim' }),
+            learner({ learner_id: 4, learner_name: 'Sam Kim' }),
+            learner({ learner_id: 5, learner_name: 'Old Learner', nebosh_learner_number: 'N1', archived_at: new Date() })
+        ], [2]);
+        const rows = await csv('name,email,learner number\n'
+            + 'ann lee,ann@example.com,\n'
+            + 'Ben Hall,,\n'
+            + 'Sam Kim,,\n'
+            + 'Someone Else,,N1\n'
+            + 'New Person,new@example.com,\n'
+            + 'new person,,\n'
+            + 'Bad Email,nope,\n');
+        const preview = await previewImport(connection, 5, rows);
+        assert.deepEqual(preview.map(row => [row.rowNumber, row.action]), [
+            [2, 'match'], [3, 'match'], [4, 'conflict'], [5, 'conflict'], [6, 'create'], [7, 'conflict'], [8, 'invalid']
+        ]);
+        assert.deepEqual([preview[0].learnerId, preview[0].alreadyEnrolled], [1, false]);
+        assert.deepEqual([preview[1].learnerId, preview[1].alreadyEnrolled], [2, true]);
+        assert.deepEqual(preview[2].candidates.map(candidate => candidate.learnerId), [3, 4]);
+        assert.equal(preview[3].reason, 'Matches archived learner 5. Restore them before importing.');
+        assert.equal(preview[5].reason, 'Same learner as row 6.');
+        assert.deepEqual(summarize(preview), { create: 1, match: 2, conflict: 3, invalid: 1 });
+
+        assert.equal(await commitImport(connection, 5, preview), 2);
+        assert.equal(preview[4].learnerId, 6);
+        assert.deepEqual(connection.enrollments.map(e => e.learner_id).sort(), [1, 2, 6]);
+    });
+});
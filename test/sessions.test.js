@@ -0,0 +1,64 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const sessions = require('../services/sessions');
+const { fakeConnection } = require('./helpers/fakes');
+
+// Answers the signed-sessions count with signedBeyond and records everything else
+function fakeScheduleDatabase(signedBeyond = 0) {
+    return fakeConnection(sql => (sql.includes('COUNT(*) AS total') ? [{ total: signedBeyond }] : undefined));
+}
+
+describe('validateSchedule', () => {
+    it('accepts sessions with or without a date and times', () => {
+        assert.equal(sessions.validateSchedule([
+            { date: '2024-05-01', startTime: '09:00', endTime: '17:00' },
+            {},
+            { date: null, startTime: '09:30' }
+        ]), null);
+    });
+
+    it('names the first session that is wrong', () => {
+        assert.equal(sessions.validateSchedule([]), 'sessions must be a non-empty array.');
+        assert.equal(sessions.validateSchedule('3'), 'sessions must be a non-empty array.');
+        assert.equal(sessions.validateSchedule(new Array(21).fill({})), 'A course can have at most 20 sessions.');
+        assert.equal(sessions.validateSchedule([{}, { date: '2024-13-01' }]), 'Session 2: invalid date. Use YYYY-MM-DD.');
+        assert.equal(sessions.validateSchedule([{ startTime: '9:00' }]), 'Session 1: invalid startTime. Use HH:MM.');
+        assert.equal(sessions.validateSchedule([{ startTime: '13:00', endTime: '12:00' }]), 'Session 1: endTime must be after startTime.');
+    });
+});
+
+describe('replaceSchedule', () => {
+    it('upserts every session and removes the ones past the end', async () => {
+        const connection = fakeScheduleDatabase();
+        assert.equal(await sessions.replaceSchedule(connection, 3, [{ date: '2024-05-01' }, { startTime: '09:00' }]), true);
+        const [, removed, first, second] = connection.statements;
+        assert.deepEqual(removed, { sql: 'DELETE FROM course_sessions WHERE course_id = ? AND session_num > ?', params: [3, 2] });
+        assert.deepEqual(first.params, [3, 1, '2024-05-01', null, null]);
+        assert.deepEqual(second.params, [3, 2, null, '09:00', null]);
+    });
+
+    it('refuses to remove sessions that have been signed', async () => {
+        const connection = fakeScheduleDatabase(1);
+        assert.equal(await sessions.replaceSchedule(connection, 3, [{}]), false);
+        assert.equal(connection.statements.length, 1);
+    });
+});
+
+describe('addSessionToGroup', () => {
+    it('links signed sessions to their image and marks the others unsigned', () => {
+        const group = { signatures: {}, isSignedStatus: {} };
+        sessions.addSessionToGroup(group, { session_num: 1, signature_id: 40 });
+        sessions.addSessionToGroup(group, { session_num: 2, signature_id: null });
+        assert.deepEqual(group, {
+            signatures: { signature1: '/api/signatures/40/image', signature2: null },
+            isSignedStatus: { is_signed1: 1, is_signed2: 0 },
+            sessionCount: 2
+        });
+    });
+
+    it('leaves out the image links when the group has no signatures map', () => {
+        const group = { isSignedStatus: {} };
+        sessions.addSessionToGroup(group, { session_num: 1, signature_id: 40 });
+        assert.deepEqual(group, { isSignedStatus: { is_signed1: 1 }, sessionCount: 1 });
+    });
+});
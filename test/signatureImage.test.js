@@ -0,0 +1,82 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const sharp = require('sharp');
+const { SignatureValidationError, normalizeSignature } = require('../services/signatureImage');
+
+function svgDataUrl(svg) {
+    return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+}
+
+function svg(body, width = 300, height = 100) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${body}</svg>`;
+}
+
+const STROKE = '<path d="M10 80 C 60 10, 120 10, 150 60 S 250 90, 290 20" stroke="black" stroke-width="4" fill="none"/>';
+
+function rejectsWith(promise, message, status = 400) {
+    return assert.rejects(promise, error => {
+        assert.ok(error instanceof SignatureValidationError);
+        assert.match(error.message, message);
+        assert.equal(error.status, status);
+        return true;
+    });
+}
+
+describe('normalizeSignature', () => {
+    it('re-renders a signature as a fixed-size greyscale PNG', async () => {
+        const result = await normalizeSignature(svgDataUrl(svg(STROKE)));
+        assert.equal(result.mimeType, 'image/png');
+        assert.ok(result.inkRatio > 0.002 && result.inkRatio < 0.5);
+        const metadata = await sharp(result.buffer).metadata();
+        assert.deepEqual([metadata.format, metadata.width, metadata.height], ['png', 600, 200]);
+        const { channels } = await sharp(result.buffer).stats();
+        assert.ok(channels.every(channel => channel.mean === channels[0].mean));
+    });
+
+    it('counts a stroke on a transparent PNG as ink', async () => {
+        const png = await sharp(Buffer.from(svg(STROKE))).png().toBuffer();
+        const result = await normalizeSignature(`data:image/png;base64,${png.toString('base64')}`);
+        assert.ok(result.inkRatio > 0.002);
+    });
+
+    it('accepts an XML declaration and comments before the svg element', async () => {
+        const result = await normalizeSignature(svgDataUrl(`<?xml version="1.0"?>\n<!-- drawn on the kiosk -->\n${svg(STROKE)}`));
+        assert.equal(result.mimeType, 'image/png');
+    });
+
+    it('puts the strokes on white, so a transparent background is not counted as ink', async () => {
+        const result = await normalizeSignature(svgDataUrl(svg(STROKE)));
+        const { channels } = await sharp(result.buffer).stats();
+        assert.ok(channels[0].max === 255 && channels[0].mean > 200);
+    });
+
+    it('refuses a blank or a filled-in canvas', async () => {
+        await rejectsWith(normalizeSignature(svgDataUrl(svg(''))), /blank or too faint/);
+        await rejectsWith(normalizeSignature(svgDataUrl(svg('<rect width="300" height="100" fill="black"/>'))), /mostly filled in/);
+    });
+
+    it('can skip the ink checks for signatures taken before them, and no others', async () => {
+        const faint = await normalizeSignature(svgDataUrl(svg('')), { checkInk: false });
+        assert.equal(faint.inkRatio, 0);
+        await rejectsWith(normalizeSignature(svgDataUrl(svg(`<script>alert(1)</script>${STROKE}`)), { checkInk: false }), /only contain drawing elements/);
+    });
+
+    it('refuses anything that is not a PNG or SVG image', async () => {
+        await rejectsWith(normalizeSignature('not a data url'), /base64 PNG or SVG data URL/);
+        await rejectsWith(normalizeSignature(`data:image/png;base64,${Buffer.from('GIF89a').toString('base64')}`), /not a PNG image/);
+        await rejectsWith(normalizeSignature(svgDataUrl('<html></html>')), /not an SVG image/);
+    });
+
+    it('refuses SVGs that could load or run something', async () => {
+        await rejectsWith(normalizeSignature(svgDataUrl(svg(`${STROKE}<script>alert(1)</script>`))), /only contain drawing elements/);
+        await rejectsWith(normalizeSignature(svgDataUrl(svg(`<image href="https://example.com/x.png"/>${STROKE}`))), /only contain drawing elements/);
+        await rejectsWith(normalizeSignature(svgDataUrl(svg(`<path onload="x()" d="M0 0"/>${STROKE}`))), /only contain drawing elements/);
+    });
+
+    it('refuses images that are too small or too large', async () => {
+        await rejectsWith(normalizeSignature(svgDataUrl(svg(STROKE, 50, 20))), /at least 100x40 pixels/);
+        await rejectsWith(normalizeSignature(svgDataUrl(svg(STROKE, 5000, 100))), /at most 4000x4000 pixels/);
+        const padded = svg(`${STROKE}<!--${'x'.repeat(600 * 1024)}-->`);
+        await rejectsWith(normalizeSignature(svgDataUrl(padded)), /larger than 512 KB/, 413);
+    });
+});
@@ -0,0 +1,94 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../config');
+const createLocalStorage = require('../services/storage/local');
+const { parseDataUrl, mimeTypeForRef, createStorage, createSignatureStore } = require('../services/signatureStore');
+
+async function readStream(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+describe('parseDataUrl', () => {
+    it('decodes base64 PNG and SVG data URLs only', () => {
+        const png = parseDataUrl(`data:IMAGE/PNG;base64,${Buffer.from('png').toString('base64')}`);
+        assert.deepEqual(png, { mimeType: 'image/png', buffer: Buffer.from('png') });
+        assert.equal(parseDataUrl(`data:image/svg+xml;base64,${Buffer.from('<svg/>').toString('base64')}`).mimeType, 'image/svg+xml');
+        assert.equal(parseDataUrl('data:image/gif;base64,R0lGOD=='), null);
+        assert.equal(parseDataUrl('data:image/png,rawtext'), null);
+        assert.equal(parseDataUrl('data:image/png;base64,'), null);
+        assert.equal(parseDataUrl(undefined), null);
+    });
+
+    it('maps a stored ref back to its type', () => {
+        assert.equal(mimeTypeForRef('signatures/2024/05/x.png'), 'image/png');
+        assert.equal(mimeTypeForRef('signatures/2024/05/x.svg'), 'image/svg+xml');
+        assert.equal(mimeTypeForRef('signatures/2024/05/x'), 'application/octet-stream');
+    });
+});
+
+describe('createStorage', () => {
+    it('builds the configured backend', () => {
+        assert.equal(createStorage({ backend: 'local', dir: os.tmpdir() }).name, 'local');
+        assert.equal(createStorage({ backend: 's3', bucket: 'signatures', forcePathStyle: false }).name, 's3');
+    });
+
+    it('needs a directory for local storage and a backend it knows in the storage config', () => {
+        const fromEnv = env => createStorage(loadConfig(env, ['storage']).storage);
+        assert.throws(() => fromEnv({}), /SIGNATURE_STORE_DIR is not set/);
+        assert.equal(fromEnv({ SIGNATURE_STORE_DIR: os.tmpdir() }).name, 'local');
+        assert.throws(() => fromEnv({ SIGNATURE_STORE: 'ftp' }), /SIGNATURE_STORE must be one of: local, s3\./);
+    });
+});
+
+describe('local storage', () => {
+    let dir;
+    let storage;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'signature-store-test-'));
+        storage = createLocalStorage({ baseDir: dir });
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('writes, reads back and deletes by key', async () => {
+        assert.equal(storage.name, 'local');
+        await storage.put('a/b/c.png', Buffer.from('image'));
+        assert.deepEqual(await readStream(await storage.getStream('a/b/c.png')), Buffer.from('image'));
+        assert.deepEqual(fs.readdirSync(path.join(dir, 'a', 'b')), ['c.png']);
+        await storage.delete('a/b/c.png');
+        await assert.rejects(storage.getStream('a/b/c.png'), { code: 'ENOENT' });
+        await storage.delete('a/b/c.png');
+    });
+
+    it('refuses keys that leave the base directory', async () => {
+        await assert.rejects(storage.put('../escaped.png', Buffer.from('x')), /Invalid storage key/);
+        await assert.rejects(storage.getStream('/etc/passwd'), /Invalid storage key/);
+        await assert.rejects(storage.delete('a/../..'), /Invalid storage key/);
+    });
+
+    it('saves signatures under the month with their checksum', async () => {
+        const store = createSignatureStore(storage);
+        const { ref, sha256 } = await store.save(Buffer.from('signature'), 'image/png');
+        const now = new Date();
+        const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+        assert.match(ref, new RegExp(`^signatures/${now.getUTCFullYear()}/${month}/[0-9a-f-]{36}\\.png$`));
+        assert.equal(sha256, crypto.createHash('sha256').update('signature').digest('hex'));
+        assert.deepEqual(await readStream(await store.open(ref)), Buffer.from('signature'));
+        await store.remove(ref);
+        await assert.rejects(store.open(ref), { code: 'ENOENT' });
+    });
+
+    it('only logs a failed removal', async t => {
+        t.mock.method(console, 'error', () => {});
+        const store = createSignatureStore({ name: 'broken', delete: async () => { throw new Error('unreachable'); } });
+        await store.remove('signatures/x.png');
+        assert.equal(console.error.mock.callCount(), 1);
+    });
+});
@@ -0,0 +1,184 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { Readable } = require('stream');
+const audit = require('../services/audit');
+const createSignaturesRouter = require('../routes/signatures');
+const { fakeConnection, fakePool, signedInAs, serve } = require('./helpers/fakes');
+
+const ADMIN = { userId: 1, role: 'administrator' };
+const REASON = 'Learner signed with the wrong hand';
+const STROKE = '<path d="M20 120 C 150 20, 300 180, 580 80" stroke="black" stroke-width="6" fill="none"/>';
+const svgDataUrl = body => `data:image/svg+xml;base64,${Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="600" height="200">${body}</svg>`).toString('base64')}`;
+const NEW_SIGNATURE = svgDataUrl(STROKE);
+
+// Images by ref; save() and remove() are recorded
+function fakeSignatureStore(images) {
+    const store = {
+        saved: [],
+        removed: [],
+        async save(buffer, mimeType) {
+            store.saved.push({ buffer, mimeType });
+            return { ref: 'signatures/new.png', sha256: 'b'.repeat(64) };
+        },
+        async open(ref) {
+            if (!images[ref]) throw Object.assign(new Error(`ENOENT: ${ref}`), { code: 'ENOENT' });
+            return Readable.from([images[ref]]);
+        },
+        async remove(ref) {
+            store.removed.push(ref);
+        }
+    };
+    return store;
+}
+
+describe('signatures routes', () => {
+    // Signature 61 is session 1 of learner 8 on course 5
+    const SIGNATURE = {
+        signature_id: 61,
+        record_id: 50,
+        session_id: 101,
+        signature_ref: 'signatures/a.png',
+        signature_sha256: 'a'.repeat(64),
+        signature_data: null,
+        signed_at: new Date('2024-05-01T09:00:00Z'),
+        client_date: '2024-05-01',
+        ip_address: '203.0.113.9',
+        user_agent: 'Kiosk/1.0',
+        learner_id: 8,
+        course_id: 5,
+        session_num: 1
+    };
+    // The images of signatures 61 (stored), 62 (an SVG data URL not yet moved to the store), 63
+    // (stored, but the file is gone) and 64 (a data URL of an SVG with a script in it)
+    const IMAGES = {
+        61: { signature_ref: 'signatures/a.png', signature_sha256: 'a'.repeat(64), signature_data: null },
+        62: { signature_ref: null, signature_sha256: null, signature_data: NEW_SIGNATURE },
+        63: { signature_ref: 'signatures/gone.png', signature_sha256: 'c'.repeat(64), signature_data: null },
+        64: { signature_ref: null, signature_sha256: null, signature_data: svgDataUrl(`<script>alert(document.cookie)</script>${STROKE}`) }
+    };
+    let connection;
+    let signatureStore;
+    let requireAuth;
+    let server;
+
+    before(async () => {
+        connection = fakeConnection((sql, params) => {
+            if (sql.startsWith('SELECT s.signature_ref, s.signature_sha256, s.signature_data')) {
+                return IMAGES[params[0]] ? [IMAGES[params[0]]] : [];
+            }
+            if (sql.includes('FROM attendance_signatures s') && sql.includes('FOR UPDATE')) {
+                return Number(params[0]) === 61 ? [SIGNATURE] : [];
+            }
+            if (sql.startsWith('INSERT INTO superseded_signatures')) return { insertId: 3 };
+            if (sql.startsWith('SELECT last_hash FROM audit_chain_head')) return [{ last_hash: audit.GENESIS_HASH }];
+            return undefined;
+        });
+        signatureStore = fakeSignatureStore({ 'signatures/a.png': Buffer.from('stored image') });
+        requireAuth = signedInAs(ADMIN);
+        server = await serve(createSignaturesRouter({ pool: fakePool(connection), requireAuth, signatureStore }));
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        connection.statements.length = 0;
+        connection.transaction.length = 0;
+        signatureStore.saved.length = 0;
+        signatureStore.removed.length = 0;
+        requireAuth.user = ADMIN;
+    });
+
+    it('stream a stored image with its checksum as the ETag', async () => {
+        const res = await server.request('GET', '/api/signatures/61/image');
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('content-type'), 'image/png');
+        assert.equal(res.headers.get('etag'), `"${'a'.repeat(64)}"`);
+        assert.deepEqual(res.body, Buffer.from('stored image'));
+        assert.equal(res.headers.get('x-content-type-options'), 'nosniff');
+        assert.equal(res.headers.get('content-security-policy'), "default-src 'none'");
+    });
+
+    it('serve an image still held as a data URL only re-rendered as a PNG', async t => {
+        t.mock.method(console, 'warn', () => {});
+        const res = await server.request('GET', '/api/signatures/62/image');
+        assert.deepEqual([res.status, res.headers.get('content-type')], [200, 'image/png']);
+        assert.deepEqual(res.body.subarray(1, 4), Buffer.from('PNG'));
+        assert.equal(res.headers.get('content-security-policy'), "default-src 'none'");
+        const unsafe = await server.request('GET', '/api/signatures/64/image');
+        assert.deepEqual([unsafe.status, unsafe.body.message], [404, 'Signature image not available.']);
+    });
+
+    it('answer 404 for an unknown signature or a missing file', async t => {
+        t.mock.method(console, 'error', () => {});
+        assert.equal((await server.request('GET', '/api/signatures/99/image')).status, 404);
+        const gone = await server.request('GET', '/api/signatures/63/image');
+        assert.deepEqual([gone.status, gone.body.message], [404, 'Signature image not available.']);
+    });
+
+    it('only show trainers the images from their own courses', async () => {
+        requireAuth.user = { userId: 4, role: 'trainer' };
+        await server.request('GET', '/api/signatures/61/image');
+        const [{ sql, params }] = connection.statements;
+        assert.match(sql, /AND ar\.course_id IN \(SELECT course_id FROM courses WHERE trainer_id = \?\)$/);
+        assert.deepEqual(params, [61, 4]);
+    });
+
+    it('need a new signature and a reason of ten characters or more to override one', async () => {
+        const override = body => server.request('POST', '/api/signatures/61/override', { body });
+        const missing = await override({ reason: REASON });
+        assert.deepEqual([missing.status, missing.body.code, missing.body.message], [400, 'VALIDATION_FAILED', 'signatureData is required.']);
+        const short = await override({ signatureData: NEW_SIGNATURE, reason: ' too short ' });
+        assert.deepEqual([short.status, short.body.message], [400, 'reason must be at least 10 characters long.']);
+        assert.deepEqual(short.body.details.map(detail => [detail.field, detail.code]), [['reason', 'TOO_SHORT']]);
+        const image = await override({ signatureData: 'data:image/gif;base64,R0lGOD==', reason: REASON });
+        assert.deepEqual([image.status, image.body.message], [400, 'signatureData must be a base64 PNG or SVG data URL.']);
+        assert.deepEqual(image.body.details.map(detail => [detail.field, detail.code]), [['signatureData', 'INVALID_SIGNATURE']]);
+        const blank = await override({ signatureData: svgDataUrl(''), reason: REASON });
+        assert.deepEqual([blank.status, blank.body.message], [400, 'Signature is blank or too faint. Please sign again.']);
+        assert.equal(connection.statements.length, 0);
+    });
+
+    it('leave overrides to administrators', async () => {
+        requireAuth.user = { userId: 4, role: 'trainer' };
+        const res = await server.request('POST', '/api/signatures/61/override', { body: { signatureData: NEW_SIGNATURE, reason: REASON } });
+        assert.equal(res.status, 403);
+    });
+
+    it('answer 404 for an unknown signature, and roll back', async () => {
+        const res = await server.request('POST', '/api/signatures/99/override', { body: { signatureData: NEW_SIGNATURE, reason: REASON } });
+        assert.equal(res.status, 404);
+        assert.deepEqual(connection.transaction, ['begin', 'rollback']);
+    });
+
+    it('keep the replaced signature with the reason, store the new image and audit the change', async () => {
+        const res = await server.request('POST', '/api/signatures/61/override', {
+            body: { signatureData: NEW_SIGNATURE, reason: ` ${REASON} `, attendanceDate: '2024-05-02' }
+        });
+        assert.deepEqual([res.status, res.body.supersededId], [200, 3]);
+        const superseded = connection.statements.find(statement => statement.sql.startsWith('INSERT INTO superseded_signatures'));
+        assert.deepEqual(superseded.params.slice(3, 5), ['signatures/a.png', 'a'.repeat(64)]);
+        assert.deepEqual(superseded.params.slice(-2), [1, REASON]);
+        // The image is stored as the normalized PNG, not as sent
+        assert.equal(signatureStore.saved[0].mimeType, 'image/png');
+        assert.equal(signatureStore.saved[0].buffer.subarray(1, 4).toString(), 'PNG');
+        const entry = connection.statements.find(statement => statement.sql.startsWith('INSERT INTO audit_log'));
+        assert.deepEqual([entry.params[0], entry.params[6], entry.params[7]], ['re-sign', 'a'.repeat(64), 'b'.repeat(64)]);
+        assert.equal(JSON.parse(entry.params[8]).details.reason, REASON);
+        assert.deepEqual(connection.transaction, ['begin', 'commit']);
+    });
+
+    it('remove the new image again when the override fails', async t => {
+        t.mock.method(console, 'error', () => {});
+        const execute = connection.execute;
+        t.after(() => { connection.execute = execute; });
+        connection.execute = async (sql, params) => {
+            if (sql.includes('UPDATE attendance_signatures SET')) throw new Error('Lock wait timeout exceeded');
+            return execute(sql, params);
+        };
+        const res = await server.request('POST', '/api/signatures/61/override', { body: { signatureData: NEW_SIGNATURE, reason: REASON } });
+        assert.equal(res.status, 500);
+        assert.deepEqual(signatureStore.removed, ['signatures/new.png']);
+        assert.deepEqual(connection.transaction, ['begin', 'rollback']);
+    });
+});
@@ -0,0 +1,225 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const audit = require('../services/audit');
+const { SigningError, createSigning, parseSigningRequest } = require('../services/signing');
+const { fakeConnection } = require('./helpers/fakes');
+
+const PIN = '123456';
+const COURSE = { course_id: 5, unit: 'IG1', trainer_id: 4 };
+
+// The tables signing reads and writes, for learner 8 enrolled on course 5 (three sessions,
+// session_id 100 + session_num). options: { windowSession (the session the open check-in
+// window is for, or null for none), enrolled, signed (session numbers already signed) }.
+// inserted() lists the attendance_signatures rows written and windowLookups() the check-in
+// window queries' params.
+function fakeSigningDatabase({ windowSession = 1, enrolled = true, signed = [] } = {}) {
+    const connection = fakeConnection((sql, params) => {
+        if (sql.includes('FROM courses c') && sql.includes('WHERE c.course_id = ?')) {
+            return params[0] === COURSE.course_id ? [COURSE] : [];
+        }
+        if (sql.includes('FROM course_sessions WHERE course_id = ? AND session_num = ?')) {
+            return params[1] <= 3 ? [{ session_id: 100 + params[1], session_num: params[1] }] : [];
+        }
+        if (sql.includes('FROM course_sessions')) {
+            return [1, 2, 3].map(num => ({ session_id: 100 + num, session_num: num }));
+        }
+        if (sql.includes('FROM session_check_ins ci')) {
+            const open = windowSession && params[0] === PIN;
+            return open ? [{ session_id: 100 + windowSession, session_num: windowSession, course_id: 5, unit: 'IG1' }] : [];
+        }
+        if (sql.startsWith('SELECT learner_id FROM learners')) {
+            return params[0] === 8 ? [{ learner_id: 8 }] : [];
+        }
+        if (sql.startsWith('SELECT enrollment_id FROM enrollments')) {
+            return enrolled ? [{ enrollment_id: 1 }] : [];
+        }
+        if (sql.startsWith('SELECT record_id FROM attendance_records')) return [];
+        if (sql.includes('INSERT INTO attendance_records')) return { insertId: 50 };
+        if (sql.includes('FROM attendance_signatures') && sql.includes('FOR UPDATE')) {
+            const num = params[1] - 100;
+            return signed.includes(num) ? [{ signature_id: 60 + num, signed_at: new Date('2024-05-01T09:00:00Z'), client_date: '2024-05-01' }] : [];
+        }
+        if (sql.includes('INSERT INTO attendance_signatures')) return { insertId: 70 };
+        if (sql.startsWith('SELECT last_hash FROM audit_chain_head')) return [{ last_hash: audit.GENESIS_HASH }];
+        if (sql.includes('INSERT INTO audit_log') || sql.startsWith('UPDATE audit_chain_head')) return undefined;
+        throw new Error(`Unexpected statement: ${sql}`);
+    });
+    const paramsOf = test => connection.statements.filter(statement => test(statement.sql)).map(statement => statement.params);
+    connection.inserted = () => paramsOf(sql => sql.includes('INSERT INTO attendance_signatures'));
+    connection.windowLookups = () => paramsOf(sql => sql.includes('FROM session_check_ins ci'));
+    return connection;
+}
+
+// signing with a signature store, notifications and certificates that remember their calls
+function fakeSigning() {
+    const calls = { saved: 0, removed: [], emails: [] };
+    const signing = createSigning({
+        signatureStore: {
+            async save() {
+                calls.saved++;
+                return { ref: 'ab/cdef.png', sha256: 'f'.repeat(64) };
+            },
+            async remove(ref) {
+                calls.removed.push(ref);
+            }
+        },
+        notifications: {
+            async sessionSigned(connection, event) {
+                calls.emails.push(event);
+            }
+        },
+        certificates: {
+            async issueIfComplete() {
+                return null;
+            }
+        }
+    });
+    return { signing, calls };
+}
+
+function request(fields = {}) {
+    return {
+        learnerId: 8,
+        courseId: 5,
+        sessionNumber: 1,
+        attendanceDate: '2024-05-01',
+        image: { buffer: Buffer.from('png'), mimeType: 'image/png' },
+        checkInCode: PIN,
+        actor: audit.actorFromRequest({ ip: '203.0.113.9' }),
+        ipAddress: '203.0.113.9',
+        userAgent: 'Kiosk/1.0',
+        ...fields
+    };
+}
+
+describe('signing', () => {
+    it('records the client date, address and browser with the signature', async () => {
+        const connection = fakeSigningDatabase();
+        const { signing, calls } = fakeSigning();
+        const signed = await signing.sign(connection, request({ userAgent: `Kiosk/1.0 ${'x'.repeat(600)}` }));
+        assert.deepEqual(
+            { signatureId: signed.signatureId, learnerId: signed.learnerId, sessionNumber: signed.sessionNumber },
+            { signatureId: 70, learnerId: 8, sessionNumber: 1 }
+        );
+        const [recordId, sessionId, ref, sha256, clientDate, ipAddress, userAgent, idempotencyKey, capturedAt] = connection.inserted()[0];
+        assert.deepEqual([recordId, sessionId, ref, sha256, clientDate, ipAddress], [50, 101, 'ab/cdef.png', 'f'.repeat(64), '2024-05-01', '203.0.113.9']);
+        assert.equal(userAgent.length, 512);
+        assert.deepEqual([idempotencyKey, capturedAt], [null, null]);
+        assert.equal(calls.emails[0].signatureId, 70);
+    });
+
+    it('leaves the address and browser empty when they are not known', async () => {
+        const connection = fakeSigningDatabase();
+        await fakeSigning().signing.sign(connection, request({ ipAddress: undefined, userAgent: undefined }));
+        assert.deepEqual(connection.inserted()[0].slice(5, 7), [null, null]);
+    });
+
+    it('keeps learner names out of the log', async t => {
+        const logged = [];
+        t.mock.method(console, 'log', (...args) => logged.push(args.join(' ')));
+        await fakeSigning().signing.sign(fakeSigningDatabase(), request({ learnerName: 'Ann Lee' }));
+        assert.equal(logged.some(line => line.includes('Ann Lee')), false);
+    });
+
+    it('refuses learners who are not enrolled, without storing the image', async () => {
+        const { signing, calls } = fakeSigning();
+        await assert.rejects(signing.sign(fakeSigningDatabase({ enrolled: false }), request()), error => {
+            assert.ok(error instanceof SigningError);
+            assert.equal(error.status, 403);
+            return true;
+        });
+        assert.equal(calls.saved, 0);
+    });
+
+    it('refuses to sign a session again, saying when it was signed', async () => {
+        const { signing, calls } = fakeSigning();
+        await assert.rejects(signing.sign(fakeSigningDatabase({ signed: [1] }), request()), error => {
+            assert.equal(error.status, 409);
+            assert.equal(error.code, 'ALREADY_SIGNED');
+            assert.equal(error.message, 'Session 1 has already been signed by this learner.');
+            assert.deepEqual(error.details, {
+                signatureId: 61,
+                learnerId: 8,
+                courseId: 5,
+                sessionNum: 1,
+                signedAt: new Date('2024-05-01T09:00:00Z'),
+                clientDate: '2024-05-01'
+            });
+            return true;
+        });
+        assert.equal(calls.saved, 0);
+    });
+
+    it('removes the stored image when a second signature for the session wins the race', async () => {
+        const connection = fakeSigningDatabase();
+        const execute = connection.execute;
+        connection.execute = async (sql, params) => {
+            if (sql.includes('INSERT INTO attendance_signatures')) {
+                throw Object.assign(new Error("Duplicate entry '50-101' for key 'uq_attendance_signatures_record_session'"), { code: 'ER_DUP_ENTRY' });
+            }
+            return execute(sql, params);
+        };
+        const { signing, calls } = fakeSigning();
+        await assert.rejects(signing.sign(connection, request()), { code: 'ALREADY_SIGNED', status: 409 });
+        assert.deepEqual(calls.removed, ['ab/cdef.png']);
+    });
+
+    it('needs an open check-in window for the session being signed', async () => {
+        const { signing, calls } = fakeSigning();
+        await assert.rejects(signing.sign(fakeSigningDatabase({ windowSession: null }), request()), {
+            status: 403,
+            message: 'Session 1 is not open for signing. Ask your trainer for the current QR code or PIN.'
+        });
+        await assert.rejects(signing.sign(fakeSigningDatabase({ windowSession: 2 }), request()), {
+            status: 403,
+            code: null,
+            message: 'This check-in code is for session 2 of IG1, not the session you are signing.'
+        });
+        await assert.rejects(signing.sign(fakeSigningDatabase(), request({ checkInCode: '654321' })), { status: 403 });
+        assert.equal(calls.saved, 0);
+    });
+
+    it('checks an offline signature against the window open when it was captured, and keeps its key', async () => {
+        const connection = fakeSigningDatabase();
+        const capturedAt = new Date('2024-05-01T09:05:00Z');
+        await fakeSigning().signing.sign(connection, request({ capturedAt, idempotencyKey: 'tablet-1:0001' }));
+        assert.deepEqual(connection.windowLookups(), [[PIN, capturedAt, capturedAt]]);
+        assert.deepEqual(connection.inserted()[0].slice(7), ['tablet-1:0001', capturedAt]);
+
+        await assert.rejects(fakeSigning().signing.sign(fakeSigningDatabase({ windowSession: null }), request({ capturedAt })), {
+            status: 403,
+            message: 'Session 1 was not open for signing when this signature was captured.'
+        });
+    });
+
+    it('reports an offline signature synced twice at once as a duplicate', async () => {
+        const connection = fakeSigningDatabase();
+        const execute = connection.execute;
+        connection.execute = async (sql, params) => {
+            if (sql.includes('INSERT INTO attendance_signatures')) {
+                throw Object.assign(new Error("Duplicate entry 'tablet-1:0001' for key 'uq_attendance_signatures_idempotency_key'"), { code: 'ER_DUP_ENTRY' });
+            }
+            return execute(sql, params);
+        };
+        const { signing, calls } = fakeSigning();
+        await assert.rejects(signing.sign(connection, request({ capturedAt: new Date(), idempotencyKey: 'tablet-1:0001' })),
+            { code: 'DUPLICATE_KEY', status: 409 });
+        assert.deepEqual(calls.removed, ['ab/cdef.png']);
+    });
+});
+
+describe('parseSigningRequest', () => {
+    it('passes a chosen learner through and reads the name and profile of a new one', () => {
+        assert.deepEqual(parseSigningRequest({ learnerId: 8, learnerName: 'Ann Lee', sessionNum: 2 }),
+            { learnerId: 8, newLearner: null, sessionNumber: 2 });
+        assert.deepEqual(parseSigningRequest({ learnerId: 'NEW', learnerName: '  Ann   Lee ', sessionNum: 1, email: 'Ann@Example.com' }),
+            { learnerId: 'NEW', newLearner: { name: 'Ann Lee', profile: { email: 'ann@example.com' } }, sessionNumber: 1 });
+    });
+
+    it('names the field that is wrong', () => {
+        assert.deepEqual(parseSigningRequest({ learnerId: 'NEW', learnerName: ' ', sessionNum: 1 }),
+            { error: 'Learner name is required.', field: 'learnerName' });
+        assert.deepEqual(parseSigningRequest({ learnerId: 'NEW', learnerName: 'Ann', sessionNum: 1, dateOfBirth: '1990-02-30' }),
+            { error: 'Invalid dateOfBirth. Use YYYY-MM-DD, not in the future.', field: 'dateOfBirth' });
+    });
+});
@@ -0,0 +1,150 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { SigningError } = require('../services/signing');
+const createSyncRouter = require('../routes/sync');
+const { fakeConnection, fakePool, limitsFor, serve } = require('./helpers/fakes');
+
+const STROKE = '<path d="M20 120 C 150 20, 300 180, 580 80" stroke="black" stroke-width="6" fill="none"/>';
+const SIGNATURE = `data:image/svg+xml;base64,${Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="600" height="200">${STROKE}</svg>`).toString('base64')}`;
+
+function item(fields = {}) {
+    return {
+        idempotencyKey: 'tablet-1:0001',
+        capturedAt: '2024-05-01T09:05:00Z',
+        learnerId: 8,
+        learnerName: 'Ann Lee',
+        courseId: 5,
+        sessionNum: 1,
+        attendanceDate: '2024-05-01',
+        signatureData: SIGNATURE,
+        checkInCode: '123456',
+        ...fields
+    };
+}
+
+describe('sync routes', () => {
+    let connection;
+    let pool;
+    let server;
+    // What signing.sign() does with the next items, by idempotency key: an error to throw, or
+    // nothing to sign
+    let outcomes;
+    let signed;
+    let removed;
+
+    before(async () => {
+        // tablet-1:0009 was synced before
+        connection = fakeConnection((sql, params) => (sql.includes('WHERE s.idempotency_key = ?')
+            ? (params[0] === 'tablet-1:0009' ? [{ signature_id: 69, learner_id: 8, course_id: 5, session_num: 2 }] : [])
+            : undefined));
+        const signing = {
+            async sign(conn, request) {
+                if (outcomes[request.idempotencyKey]) throw outcomes[request.idempotencyKey];
+                signed.push(request);
+                return { signatureId: 70, learnerId: 8, course: { course_id: 5 }, sessionNumber: request.sessionNumber, certificateNumber: null, signatureRef: 'ab/cd.png' };
+            },
+            async finish() {}
+        };
+        const signatureStore = { async remove(ref) { removed.push(ref); } };
+        pool = fakePool(connection);
+        server = await serve(createSyncRouter({ pool, signatureStore, signing, limits: limitsFor({ checkInMaxAddressFailures: 2 }) }));
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        connection.statements.length = 0;
+        connection.transaction.length = 0;
+        connection.released = false;
+        connection.destroyed = false;
+        outcomes = {};
+        signed = [];
+        removed = [];
+    });
+
+    const sync = items => server.request('POST', '/api/sync/signatures', { body: { items } });
+
+    it('need between one and fifty items', async () => {
+        const none = await sync([]);
+        assert.deepEqual([none.status, none.body.code, none.body.message], [400, 'VALIDATION_FAILED', 'items must have at least 1 item.']);
+        assert.deepEqual((await sync('x')).body.details.map(detail => [detail.field, detail.code]), [['items', 'INVALID_TYPE']]);
+        const many = await sync(Array.from({ length: 51 }, () => item()));
+        assert.deepEqual([many.status, many.body.message], [400, 'items must have at most 50 items.']);
+    });
+
+    it('apply each item in its own transaction and report what happened to it', async () => {
+        outcomes['tablet-1:0003'] = new SigningError('Session 2 has already been signed by this learner.', 409, 'ALREADY_SIGNED', { signatureId: 61 });
+        outcomes['tablet-1:0004'] = new SigningError('Session 1 was not open for signing when this signature was captured.', 403);
+        const res = await sync([
+            item(),
+            item({ idempotencyKey: 'tablet-1:0009' }),
+            item({ idempotencyKey: 'tablet-1:0003' }),
+            item({ idempotencyKey: 'tablet-1:0004' })
+        ]);
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.summary, { accepted: 1, duplicate: 1, conflict: 1, rejected: 1, error: 0 });
+        assert.deepEqual(res.body.results.map(result => result.status), ['accepted', 'duplicate', 'conflict', 'rejected']);
+        assert.equal(res.body.results[1].signatureId, 69);
+        assert.deepEqual(res.body.results[2].existingSignature, { signatureId: 61 });
+        assert.deepEqual(signed[0].capturedAt, new Date('2024-05-01T09:05:00Z'));
+        assert.deepEqual(connection.transaction, ['begin', 'commit', 'begin', 'rollback', 'begin', 'rollback', 'begin', 'rollback']);
+        assert.equal(connection.released, true);
+    });
+
+    it('reject items that are malformed, from the future or unsigned, without opening a transaction', async () => {
+        const future = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+        const res = await sync([
+            'not an object',
+            item({ idempotencyKey: 'short' }),
+            item({ capturedAt: 'yesterday' }),
+            item({ capturedAt: '2024-05-01T09:05:00' }),
+            item({ capturedAt: future }),
+            item({ sessionNum: -1 }),
+            item({ signatureData: 'data:image/gif;base64,R0lGOD' })
+        ]);
+        assert.deepEqual(res.body.summary, { accepted: 0, duplicate: 0, conflict: 0, rejected: 7, error: 0 });
+        assert.deepEqual(res.body.results.slice(1, 6).map(result => result.message), [
+            'idempotencyKey must be 8 to 64 letters, digits or -_.: characters.',
+            'capturedAt must be an ISO 8601 date and time.',
+            'capturedAt must end in Z or a UTC offset such as +01:00.',
+            'capturedAt is in the future. Check the tablet clock.',
+            'sessionNum must be from 1 to 20.'
+        ]);
+        assert.deepEqual(res.body.results[5].details.map(detail => [detail.field, detail.code]), [['sessionNum', 'OUT_OF_RANGE']]);
+        assert.deepEqual(res.body.results.map(result => result.code), [...new Array(6).fill('VALIDATION_FAILED'), 'BAD_REQUEST']);
+        assert.deepEqual(connection.transaction, []);
+    });
+
+    it('report a server error for the item so the tablet sends it again', async t => {
+        t.mock.method(console, 'error', () => {});
+        outcomes['tablet-1:0001'] = new Error('Lock wait timeout');
+        const res = await sync([item()]);
+        assert.deepEqual(res.body.results[0], { idempotencyKey: 'tablet-1:0001', status: 'error', code: 'INTERNAL_ERROR', message: 'Server error. Send this signature again later.' });
+        assert.deepEqual(connection.transaction, ['begin', 'rollback']);
+    });
+
+    it('take a fresh connection for each item, so one that fails does not take the rest with it', async t => {
+        t.mock.method(console, 'error', () => {});
+        const getConnection = t.mock.method(pool, 'getConnection');
+        outcomes['tablet-1:0001'] = Object.assign(new Error('Connection lost: The server closed the connection.'), { fatal: true });
+        t.mock.method(connection, 'rollback', async () => {
+            throw new Error("Can't add new command when connection is in closed state");
+        });
+        const res = await sync([item(), item({ idempotencyKey: 'tablet-1:0002' })]);
+        assert.deepEqual(res.body.results.map(result => result.status), ['error', 'accepted']);
+        assert.equal(connection.destroyed, true);
+        assert.equal(getConnection.mock.callCount(), 2);
+    });
+
+    it('count each wrong check-in code once, and stop the batch once the device is locked out', async () => {
+        const invalid = code => item({ idempotencyKey: `tablet-1:${code}`, checkInCode: code });
+        outcomes['tablet-1:111111'] = new SigningError('This check-in code is not valid or has expired.', 403, 'CHECK_IN_INVALID');
+        outcomes['tablet-1:222222'] = outcomes['tablet-1:111111'];
+        const res = await sync([invalid('111111'), invalid('111111'), invalid('222222'), item()]);
+        assert.deepEqual(res.body.results.map(result => result.code), ['CHECK_IN_INVALID', 'CHECK_IN_INVALID', 'CHECK_IN_INVALID', 'TOO_MANY_REQUESTS']);
+        assert.deepEqual(res.body.summary, { accepted: 0, duplicate: 0, conflict: 0, rejected: 3, error: 1 });
+        assert.ok(res.body.results[3].retryAfter > 0);
+        assert.equal((await sync([item()])).status, 429);
+    });
+});
@@ -0,0 +1,79 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const createUsersRouter = require('../routes/users');
+const { fakeConnection, fakePool, signedInAs, serve } = require('./helpers/fakes');
+
+const ADMIN = { userId: 1, role: 'administrator' };
+const PASSWORD = 'correct-horse-battery';
+
+describe('users routes', () => {
+    let connection;
+    let answer;
+    let requireAuth;
+    let server;
+
+    before(async () => {
+        connection = fakeConnection((sql, params) => answer(sql, params));
+        requireAuth = signedInAs(ADMIN);
+        server = await serve(createUsersRouter({ pool: fakePool(connection), requireAuth }));
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        connection.statements.length = 0;
+        answer = () => undefined;
+        requireAuth.user = ADMIN;
+    });
+
+    it('are for administrators only', async () => {
+        requireAuth.user = { userId: 2, role: 'trainer' };
+        const res = await server.request('GET', '/api/users');
+        assert.equal(res.status, 403);
+        assert.equal(connection.statements.length, 0);
+    });
+
+    it('refuse a new account without every field, with an unknown role or a weak password', async () => {
+        const create = body => server.request('POST', '/api/users', { body });
+        const missing = await create({ email: 'ann@example.com', role: 'trainer' });
+        assert.deepEqual([missing.status, missing.body.code, missing.body.message], [400, 'VALIDATION_FAILED', 'password is required.']);
+        const role = await create({ email: 'ann@example.com', password: PASSWORD, role: 'owner' });
+        assert.deepEqual([role.status, role.body.message], [400, 'role must be one of: trainer, administrator, auditor.']);
+        const weak = await create({ email: 'ann@example.com', password: 'short', role: 'trainer' });
+        assert.deepEqual([weak.status, weak.body.message], [400, 'Password must be at least 10 characters long.']);
+        assert.deepEqual(weak.body.details.map(detail => [detail.field, detail.code]), [['password', 'WEAK_PASSWORD']]);
+        assert.equal(connection.statements.length, 0);
+    });
+
+    it('create an account under the lower-cased email, once', async () => {
+        answer = () => ({ insertId: 5 });
+        const created = await server.request('POST', '/api/users', { body: { email: ' Ann@Example.com ', password: PASSWORD, role: 'trainer' } });
+        assert.deepEqual([created.status, created.body.userId], [201, 5]);
+        assert.deepEqual(connection.statements[0].params.filter((param, index) => index !== 1), ['ann@example.com', 'trainer']);
+
+        answer = () => {
+            throw Object.assign(new Error("Duplicate entry 'ann@example.com'"), { code: 'ER_DUP_ENTRY' });
+        };
+        const again = await server.request('POST', '/api/users', { body: { email: 'ann@example.com', password: PASSWORD, role: 'trainer' } });
+        assert.equal(again.status, 409);
+    });
+
+    it('do not let administrators change their own role, and answer 404 for unknown users', async () => {
+        const own = await server.request('PATCH', '/api/users/1/role', { body: { role: 'trainer' } });
+        assert.deepEqual([own.status, own.body.message], [400, 'You cannot change your own role.']);
+        assert.deepEqual([own.body.details[0].location, own.body.details[0].field], ['params', 'id']);
+        answer = () => ({ affectedRows: 0 });
+        assert.equal((await server.request('PATCH', '/api/users/99/role', { body: { role: 'trainer' } })).status, 404);
+    });
+
+    it('answer 500 and release the connection when the database fails', async t => {
+        t.mock.method(console, 'error', () => {});
+        connection.released = false;
+        answer = () => {
+            throw new Error('Connection lost');
+        };
+        const res = await server.request('GET', '/api/users');
+        assert.deepEqual([res.status, res.body.message], [500, 'Error fetching users.']);
+        assert.equal(connection.released, true);
+    });
+});
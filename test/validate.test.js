@@ -0,0 +1,120 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { checkFields, validate } = require('../middleware/validate');
+const { fakeResponse } = require('./helpers/fakes');
+
+describe('checkFields', () => {
+    it('converts ids and numbers and fills in defaults', () => {
+        const { values, details } = checkFields({
+            id: { type: 'id', required: true },
+            page: { type: 'int', min: 1, default: 1 },
+            score: { type: 'number' },
+            active: { type: 'boolean' },
+            email: { type: 'email' }
+        }, { id: '12', score: '-2.5', active: 'false', email: ' ann@example.com ', extra: 'kept' }, 'query');
+        assert.deepEqual(details, []);
+        assert.deepEqual(values, { id: 12, page: 1, score: -2.5, active: false, email: 'ann@example.com', extra: 'kept' });
+    });
+
+    it('accepts the literal values an id lists', () => {
+        const { values, details } = checkFields({ learnerId: { type: 'id', also: ['NEW'] } }, { learnerId: 'NEW' }, 'body');
+        assert.deepEqual(details, []);
+        assert.equal(values.learnerId, 'NEW');
+    });
+
+    it('reports every problem with its code', () => {
+        const { details } = checkFields({
+            name: { type: 'string', required: true },
+            id: { type: 'id' },
+            sessions: { type: 'int', min: 1, max: 10 },
+            role: { type: 'enum', values: ['trainer', 'auditor'] },
+            code: { type: 'string', maxLength: 3 },
+            date: { type: 'date' },
+            start: { type: 'time' },
+            at: { type: 'datetime' },
+            rows: { type: 'array', minItems: 1 },
+            profile: { type: 'object' }
+        }, {
+            name: '  ',
+            id: '0',
+            sessions: '11',
+            role: 'owner',
+            code: 'ABCD',
+            date: '2024-02-30',
+            start: '24:00',
+            at: 'yesterday',
+            rows: [],
+            profile: ['x']
+        }, 'body');
+        assert.deepEqual(details.map(detail => [detail.field, detail.code]), [
+            ['name', 'REQUIRED'],
+            ['id', 'INVALID_FORMAT'],
+            ['sessions', 'OUT_OF_RANGE'],
+            ['role', 'NOT_ALLOWED'],
+            ['code', 'TOO_LONG'],
+            ['date', 'INVALID_FORMAT'],
+            ['start', 'INVALID_FORMAT'],
+            ['at', 'INVALID_FORMAT'],
+            ['rows', 'TOO_SHORT'],
+            ['profile', 'INVALID_TYPE']
+        ]);
+        assert.equal(details[2].message, 'sessions must be from 1 to 10.');
+        assert.ok(details.every(detail => detail.location === 'body'));
+    });
+
+    it('leaves blank optional fields as they are', () => {
+        const { values, details } = checkFields({ notes: { type: 'string', maxLength: 5 } }, { notes: '' }, 'body');
+        assert.deepEqual(details, []);
+        assert.equal(values.notes, '');
+    });
+
+    it('refuses blank fields that may only be left out', () => {
+        const fields = { venue: { type: 'string', notBlank: true } };
+        assert.deepEqual(checkFields(fields, {}, 'body').details, []);
+        for (const venue of ['', '  ', null]) {
+            const { details } = checkFields(fields, { venue }, 'body');
+            assert.deepEqual(details.map(detail => [detail.field, detail.code, detail.message]), [['venue', 'REQUIRED', 'venue must not be blank.']]);
+        }
+    });
+
+    it('runs check once the type is right, and uses a rule message in place of the generated one', () => {
+        const fields = {
+            startDate: { type: 'date' },
+            endDate: {
+                type: 'date',
+                check: (value, values) => value < values.startDate ? 'must not be before startDate' : null
+            },
+            pin: { type: 'string', pattern: /^\d{4}$/, message: 'Enter the four-digit PIN.' }
+        };
+        const { details } = checkFields(fields, { startDate: '2024-05-02', endDate: '2024-05-01', pin: '12a4' }, 'body');
+        assert.deepEqual(details.map(detail => [detail.field, detail.code, detail.message]), [
+            ['endDate', 'INVALID_VALUE', 'endDate must not be before startDate.'],
+            ['pin', 'INVALID_FORMAT', 'Enter the four-digit PIN.']
+        ]);
+    });
+});
+
+describe('validate', () => {
+    it('replaces the request values with the converted ones and calls next', () => {
+        const req = { params: { id: '3' }, query: {} };
+        let passed = false;
+        validate({ params: { id: { type: 'id' } }, query: { limit: { type: 'int', default: 50 } } })(req, fakeResponse(), () => { passed = true; });
+        assert.equal(passed, true);
+        assert.equal(req.params.id, 3);
+        assert.equal(req.query.limit, 50);
+    });
+
+    it('answers 400 with the problems from every part of the request', () => {
+        const res = fakeResponse();
+        let passed = false;
+        validate({
+            params: { id: { type: 'id' } },
+            body: { email: { type: 'email', required: true } }
+        })({ params: { id: 'x' }, body: {} }, res, () => { passed = true; });
+        assert.equal(passed, false);
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.code, 'VALIDATION_FAILED');
+        assert.deepEqual(res.body.details.map(detail => detail.location), ['params', 'body']);
+        assert.equal(res.body.message, 'id must be a positive whole number. email is required.');
+    });
+});